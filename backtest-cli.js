@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+const config = require('./src/config');
+const BacktestService = require('./src/services/backtestService');
+
+const USAGE = `
+Usage: node backtest-cli.js --strategy <${BacktestService.supportedStrategies.join('|')}> [options]
+
+Data (one of):
+  --days <n>            Replay the last n days of stored candles (default 7)
+  --file <path>         Replay candles from a CSV or JSON file
+                        (token_address,timestamp,open,high,low,close,volume,liquidity,market_cap)
+
+Options:
+  --params <json>       Strategy params, e.g. '{"minVolumeIncrease":100,"minLiquidity":10000}'
+  --balance <usd>       Starting balance (default 1000)
+  --fee <rate>          Fee rate per trade (default config.feePercentage or 0.003)
+  --slippage <pct>      Exit slippage % (default 1)
+  --take-profit <pct>   Take-profit exit % (default 20)
+  --stop-loss <pct>     Stop-loss exit % (default 10)
+  --max-hold <hours>    Max holding time in hours (default 24)
+  --step <seconds>      Minimum spacing between strategy evaluations
+  --trades <n>          Number of trades to list (default 20)
+  --json                Print the full report as JSON
+`;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.strategy || args.help) {
+        console.log(USAGE);
+        process.exit(args.help ? 0 : 1);
+    }
+
+    let db = null;
+    if (!args.file) {
+        const DatabaseManager = require('./src/modules/database');
+        db = new DatabaseManager();
+    }
+
+    const backtestService = new BacktestService(config, db);
+    const candles = args.file
+        ? backtestService.loadCandlesFromFile(args.file)
+        : backtestService.loadStoredCandles(parseFloat(args.days) || 7);
+
+    console.log(`🧪 Replaying ${candles.length} candles through ${args.strategy}...`);
+
+    const exits = {};
+    if (args['take-profit'] !== undefined) exits.takeProfit = parseFloat(args['take-profit']);
+    if (args['stop-loss'] !== undefined) exits.stopLoss = parseFloat(args['stop-loss']);
+    if (args['max-hold'] !== undefined) exits.maxHoldSeconds = parseFloat(args['max-hold']) * 3600;
+
+    const report = await backtestService.run({
+        strategy: args.strategy,
+        candles,
+        params: args.params ? JSON.parse(args.params) : {},
+        startingBalance: args.balance ? parseFloat(args.balance) : undefined,
+        feeRate: args.fee !== undefined ? parseFloat(args.fee) : undefined,
+        slippage: args.slippage !== undefined ? parseFloat(args.slippage) : undefined,
+        exits,
+        stepSeconds: args.step ? parseInt(args.step, 10) : undefined
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(backtestService.formatReport(report, parseInt(args.trades, 10) || 20).replace(/[*`]/g, ''));
+    }
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+});
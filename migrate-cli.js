@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const MigrationRunner = require('./src/database/migrator');
+
+const DEFAULT_DB = path.join(__dirname, 'db/4tool.db');
+
+const USAGE = `
+Usage: node migrate-cli.js [command] [--db <path>]
+
+Commands:
+  (none)                Apply all pending migrations
+  --dry-run             Print the SQL of pending migrations without applying it
+  --status              List applied and pending migrations
+  --verify              Compare the database against the schema the migrations define
+
+Options:
+  --db <path>           Database file (default db/4tool.db)
+`;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function openDatabase(dbPath, readOnly) {
+    if (!fs.existsSync(dbPath)) {
+        if (readOnly) {
+            // Nothing to inspect yet: plan against an empty database
+            console.log(`ℹ️ ${dbPath} does not exist, showing migrations for a new database`);
+            return new Database(':memory:');
+        }
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+    return new Database(dbPath);
+}
+
+function printVerify(result) {
+    const { missingTables, missingColumns, typeMismatches } = result;
+    missingTables.forEach(table => console.log(`❌ Missing table: ${table}`));
+    missingColumns.forEach(column => console.log(`❌ Missing column: ${column}`));
+    typeMismatches.forEach(mismatch => console.log(`⚠️ Type mismatch: ${mismatch}`));
+    if (missingTables.length === 0 && missingColumns.length === 0) {
+        console.log('✅ Schema matches migrations');
+        return true;
+    }
+    return false;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    const dbPath = typeof args.db === 'string' ? path.resolve(args.db) : DEFAULT_DB;
+    const readOnly = !!(args['dry-run'] || args.status || args.verify);
+    const db = openDatabase(dbPath, readOnly);
+    const runner = new MigrationRunner(db);
+
+    try {
+        if (args.status) {
+            const applied = runner.getAppliedMigrations();
+            const pending = runner.getPendingMigrations();
+            applied.forEach(row => console.log(`✅ ${String(row.version).padStart(3, '0')}_${row.name} (applied ${row.applied_at})`));
+            pending.forEach(migration => console.log(`⏳ ${migration.file} (pending)`));
+            console.log(`\n${applied.length} applied, ${pending.length} pending`);
+        } else if (args['dry-run']) {
+            const plan = runner.dryRun();
+            if (plan.length === 0) {
+                console.log('✅ No pending migrations');
+            }
+            for (const migration of plan) {
+                console.log(`-- ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+                migration.statements.forEach(sql => console.log(sql));
+                console.log('');
+            }
+        } else if (args.verify) {
+            if (!printVerify(runner.verify())) {
+                process.exitCode = 1;
+            }
+        } else {
+            const applied = runner.migrate();
+            console.log(applied.length === 0 ? '✅ Database is up to date' : `✅ Applied ${applied.length} migration(s)`);
+            if (!printVerify(runner.verify())) {
+                process.exitCode = 1;
+            }
+        }
+    } finally {
+        db.close();
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+}
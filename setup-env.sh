@@ -49,6 +49,58 @@ FEE_PERCENTAGE=0.003
 MARKETING_SHARE=0.5
 MINIMUM_TOKEN_HOLDINGS=1000
 
+# Holder fee distribution: 40% of each fee goes to REWARD_WALLET and is paid out weekly
+# to 4TOOL holders pro rata to their balance
+TOOL_TOKEN_MINT=your_4tool_token_mint
+REWARD_WALLET=your_reward_wallet_address
+# Reward wallet secret key (base64 of the 64-byte key) used to sign payouts
+REWARD_WALLET_SECRET=
+# Log the allocations each week without sending payouts
+FEE_DISTRIBUTION_DRY_RUN=false
+FEE_DISTRIBUTION_BATCH_SIZE=10
+FEE_DISTRIBUTION_MAX_RETRIES=3
+# Days bot users have to claim from the Rewards menu before their share is paid out, and hours between claims
+REWARD_CLAIM_WINDOW_DAYS=7
+REWARD_CLAIM_COOLDOWN_HOURS=24
+# Fraction of a referred user's trading fee sent to their referrer (0 disables, at most 0.6)
+REFERRAL_FEE_SHARE=0.2
+
+# New-listing scanner: alerts users when a new Raydium pool or Jupiter mint matches one of their filter rules.
+# Off unless LISTING_SCANNER_ENABLED=true. It polls the RPC endpoint and vets each listing with Birdeye
+# (BIRDEYE_API_KEY) and RugCheck, so expect extra API usage while it runs.
+#   LISTING_SCAN_INTERVAL_SECONDS - how often to look for new listings
+#   LISTING_MAX_AGE_MINUTES       - listings older than this are skipped
+#   LISTING_MAX_RISK_SCORE        - listings with a higher RugCheck score (0-100) are skipped
+#   LISTING_MIN_LIQUIDITY         - minimum liquidity in USD, 0 for no minimum
+LISTING_SCANNER_ENABLED=false
+LISTING_SCAN_INTERVAL_SECONDS=60
+LISTING_MAX_AGE_MINUTES=30
+LISTING_MAX_RISK_SCORE=60
+LISTING_MIN_LIQUIDITY=0
+
+# Wallet Keystore (32-byte key as hex or base64; generate with: openssl rand -hex 32)
+# Without it a key file is generated at db/keystore.key. Back up whichever you use.
+WALLET_MASTER_KEY=
+# WALLET_MASTER_KEY_FILE=/etc/4tool/keystore.key
+# Also encrypt wallet keys with the user's wallet passphrase
+WALLET_LAYER_PASSPHRASE=false
+# Minutes a passphrase unlock keeps automated trading live (users can change theirs)
+TRADING_SESSION_TTL_MINUTES=30
+
+# Price oracle: quotes older than this are stale and never trigger exits
+PRICE_STALE_AFTER_SECONDS=120
+# Max fractional disagreement between price sources before a quote is divergent
+PRICE_MAX_DIVERGENCE=0.1
+
+# Email reports over SMTP (leave SMTP_HOST empty to disable)
+# For local testing point this at an SMTP sink, e.g. SMTP_HOST=localhost SMTP_PORT=1025
+SMTP_HOST=
+SMTP_PORT=587
+SMTP_SECURE=false
+SMTP_USER=
+SMTP_PASS=
+EMAIL_FROM="4TOOL Reports <reports@example.com>"
+
 # Environment
 NODE_ENV=development
 
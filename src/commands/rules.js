@@ -1,5 +1,12 @@
 const RuleEngine = require('../services/ruleEngine');
 
+// Sell 25% at +50% and 25% at +100%, leaving half for the trailing stop
+const DEFAULT_TAKE_PROFIT_LADDER = [
+    { percentage: 50, sellPercent: 25 },
+    { percentage: 100, sellPercent: 25 }
+];
+const MAX_LADDER_RUNGS = 5;
+
 class RulesCommand {
     constructor(bot, db, config) {
         this.bot = bot;
@@ -1402,7 +1409,10 @@ Select the timeframe for volume change:`;
         }
 
         // Management rules
-        if (data.takeProfit) {
+        if (data.takeProfit && data.takeProfit.ladder) {
+            selections += `- Take Profit Ladder: ${this.formatTakeProfitLadder(data.takeProfit.ladder)}\n`;
+            hasStrategies = true;
+        } else if (data.takeProfit) {
             selections += `- Take Profit: ${data.takeProfit.percentage}%\n`;
             hasStrategies = true;
         }
@@ -2075,6 +2085,19 @@ ${stats.recentActivity.length > 0 ? stats.recentActivity.join('\n') : 'No recent
                         await this.showUnifiedRuleOptions(ctx);
                         return;
 
+                    case 'custom_take_profit_ladder': {
+                        const { ladder, error } = this.parseTakeProfitLadder(text);
+                        if (error) {
+                            await this.sendMessage(chatId, `❌ ${error}`);
+                            return;
+                        }
+
+                        userState.waitingFor = null; // Clear waiting state
+                        userState.step = null; // Clear step
+                        await this.setTakeProfitLadder(ctx, userState, ladder);
+                        return;
+                    }
+
                     case 'custom_trailing_stop':
                         const trailingStopPercentage = parseFloat(text);
                         if (isNaN(trailingStopPercentage) || trailingStopPercentage <= 0 || trailingStopPercentage > 50) {
@@ -3940,6 +3963,7 @@ Your rule creation progress has been cleared. You can now start creating a new r
         if (ruleData.priceChange) this.validateChangeCondition(ruleData.priceChange, 'Price change', errors);
         if (ruleData.volumeChange) this.validateChangeCondition(ruleData.volumeChange, 'Volume change', errors);
         if (ruleData.takeProfit) this.validatePercentageRule(ruleData.takeProfit, 'Take profit', errors);
+        if (ruleData.takeProfit && ruleData.takeProfit.ladder) this.validateTakeProfitLadder(ruleData.takeProfit.ladder, errors);
         if (ruleData.stopLoss) this.validatePercentageRule(ruleData.stopLoss, 'Stop loss', errors);
         if (ruleData.trailingStop) this.validatePercentageRule(ruleData.trailingStop, 'Trailing stop', errors);
     }
@@ -3959,6 +3983,7 @@ Your rule creation progress has been cleared. You can now start creating a new r
 
         // Validate management rules
         if (ruleData.takeProfit) this.validatePercentageRule(ruleData.takeProfit, 'Take profit', errors);
+        if (ruleData.takeProfit && ruleData.takeProfit.ladder) this.validateTakeProfitLadder(ruleData.takeProfit.ladder, errors);
         if (ruleData.stopLoss) this.validatePercentageRule(ruleData.stopLoss, 'Stop loss', errors);
         if (ruleData.trailingStop) this.validatePercentageRule(ruleData.trailingStop, 'Trailing stop', errors);
     }
@@ -5307,7 +5332,9 @@ Current: ${userState.data.narrative?.categories?.join(', ') || 'None selected'}`
         const message = `
 *💰 Take Profit Configuration*
 
-Configure your take profit parameters:`;
+Configure your take profit parameters.
+
+A single target sells the whole position. A *ladder* sells part of it at each rung, moves the stop to breakeven after the first rung and leaves the rest to your trailing stop.`;
 
         const keyboard = {
             inline_keyboard: [
@@ -5322,6 +5349,12 @@ Configure your take profit parameters:`;
                 [
                     { text: '📝 Custom %', callback_data: 'take_profit_custom' }
                 ],
+                [
+                    { text: '🪜 Ladder: 25% at +50%, 25% at +100%', callback_data: 'take_profit_ladder_default' }
+                ],
+                [
+                    { text: '🪜 Custom Ladder', callback_data: 'take_profit_ladder_custom' }
+                ],
                 [
                     { text: '◀️ Back', callback_data: 'rules_unified_options' }
                 ]
@@ -5441,6 +5474,39 @@ Examples:
             return;
         }
 
+        if (action === 'take_profit_ladder_custom') {
+            userState.waitingFor = 'custom_take_profit_ladder';
+            this.userStates.set(userId, userState);
+
+            const message = `
+*🪜 Custom Take Profit Ladder*
+
+Send each rung as \`gain%:sell%\`, separated by commas. The sell % is a share of the original position.
+
+Examples:
+• \`50:25, 100:25\` = sell 25% at +50%, 25% more at +100%
+• \`30:33, 60:33, 120:34\` = sell in thirds
+
+Up to ${MAX_LADDER_RUNGS} rungs, in rising order. Whatever the ladder leaves is held for your trailing stop or stop loss, and the stop moves to breakeven after the first rung.`;
+
+            await this.sendMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '❌ Cancel', callback_data: 'take_profit_select' }
+                        ]
+                    ]
+                }
+            });
+            return;
+        }
+
+        if (action === 'take_profit_ladder_default') {
+            await this.setTakeProfitLadder(ctx, userState, DEFAULT_TAKE_PROFIT_LADDER);
+            return;
+        }
+
         const percentage = parseInt(action.replace('take_profit_', ''));
         if (percentage) {
             userState.data.takeProfit = {
@@ -5453,6 +5519,86 @@ Examples:
         }
     }
 
+    async setTakeProfitLadder(ctx, userState, ladder) {
+        // percentage is the first rung, where taking profit starts
+        userState.data.takeProfit = {
+            percentage: ladder[0].percentage,
+            enabled: true,
+            ladder,
+            breakevenAfterFirstRung: true
+        };
+
+        let message = `✅ Take profit ladder set: ${this.formatTakeProfitLadder(ladder)}`;
+        if (!userState.data.trailingStop) {
+            message += '\n\n💡 Add a trailing stop to manage what the ladder leaves behind.';
+        }
+        await this.sendMessage(ctx.chat.id, message);
+        await this.showUnifiedRuleOptions(ctx);
+    }
+
+    /**
+     * Parse "50:25, 100:25" into ladder rungs
+     * @param {string} text - Comma-separated gain%:sell% pairs
+     * @returns {{ladder?: Array<{percentage: number, sellPercent: number}>, error?: string}}
+     */
+    parseTakeProfitLadder(text) {
+        const parts = String(text).split(',').map(part => part.trim()).filter(Boolean);
+        const ladder = [];
+        for (const part of parts) {
+            const match = part.match(/^\+?(\d+(?:\.\d+)?)\s*%?\s*:\s*(\d+(?:\.\d+)?)\s*%?$/);
+            if (!match) {
+                return { error: `Could not read "${part}". Use gain%:sell%, e.g. 50:25, 100:25` };
+            }
+            ladder.push({ percentage: parseFloat(match[1]), sellPercent: parseFloat(match[2]) });
+        }
+
+        const errors = [];
+        this.validateTakeProfitLadder(ladder, errors);
+        return errors.length > 0 ? { error: errors[0] } : { ladder };
+    }
+
+    /**
+     * Validate take profit ladder rungs
+     * @param {Array} ladder - Rungs of { percentage, sellPercent }
+     * @param {Array} errors - Errors array to populate
+     */
+    validateTakeProfitLadder(ladder, errors) {
+        if (!Array.isArray(ladder) || ladder.length === 0) {
+            errors.push('Take profit ladder needs at least one rung');
+            return;
+        }
+        if (ladder.length > MAX_LADDER_RUNGS) {
+            errors.push(`Take profit ladder can have at most ${MAX_LADDER_RUNGS} rungs`);
+            return;
+        }
+
+        let previous = 0;
+        let totalSell = 0;
+        for (const rung of ladder) {
+            if (!(rung.percentage > 0) || rung.percentage > 1000) {
+                errors.push('Each ladder rung needs a gain between 1% and 1000%');
+                return;
+            }
+            if (!(rung.sellPercent > 0) || rung.sellPercent > 100) {
+                errors.push('Each ladder rung must sell between 1% and 100% of the position');
+                return;
+            }
+            if (rung.percentage <= previous) {
+                errors.push('Ladder rungs must be in rising order of gain');
+                return;
+            }
+            previous = rung.percentage;
+            totalSell += rung.sellPercent;
+        }
+        if (totalSell > 100) {
+            errors.push(`Ladder rungs sell ${totalSell}% in total; the most you can sell is 100%`);
+        }
+    }
+
+    formatTakeProfitLadder(ladder) {
+        return ladder.map(rung => `${rung.sellPercent}% at +${rung.percentage}%`).join(', ');
+    }
+
     async handleTrailingStopSelection(ctx, action) {
         const chatId = ctx.chat.id;
         const userId = ctx.from.id.toString();
@@ -61,6 +61,19 @@ const config = {
         maxRetries: 3, // Maximum number of retries for failed trades
         retryDelay: 5000 // 5 seconds delay between retries
     },
+    // Wallet key encryption, trading session length and price sanity checks, also used by src/index.js
+    keystore: {
+        masterKey: process.env.WALLET_MASTER_KEY,
+        keyFile: process.env.WALLET_MASTER_KEY_FILE,
+        layerPassphrase: process.env.WALLET_LAYER_PASSPHRASE === 'true'
+    },
+    tradingSessions: {
+        ttlMinutes: parseInt(process.env.TRADING_SESSION_TTL_MINUTES) || 30
+    },
+    priceOracle: {
+        staleAfterMs: (parseInt(process.env.PRICE_STALE_AFTER_SECONDS) || 120) * 1000,
+        maxDivergence: parseFloat(process.env.PRICE_MAX_DIVERGENCE) || 0.1
+    },
     // Add heliusApiKey for backward compatibility
     heliusApiKey: process.env.HELIUS_API_KEY
 };
@@ -0,0 +1,256 @@
+/**
+ * Baseline schema, as DatabaseManager created it before versioned migrations.
+ * Everything is IF NOT EXISTS so databases from that era adopt it in place.
+ */
+module.exports = {
+    up: [
+        // Users table
+        `
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            telegram_id TEXT UNIQUE NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+        `,
+
+        // Wallets table with is_active flag and locked status
+        `
+        CREATE TABLE IF NOT EXISTS wallets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            public_key TEXT NOT NULL,
+            encrypted_private_key TEXT NOT NULL,
+            is_active BOOLEAN DEFAULT 0,
+            is_locked BOOLEAN DEFAULT 1,
+            passphrase_hash TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            UNIQUE(user_id, public_key)
+        )
+        `,
+
+        // Strategies table
+        `
+        CREATE TABLE IF NOT EXISTS strategies (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            strategy_json TEXT NOT NULL,
+            active BOOLEAN DEFAULT true,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `,
+
+        // Tokens tracked table
+        `
+        CREATE TABLE IF NOT EXISTS tokens_tracked (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_address TEXT NOT NULL,
+            buy_price REAL,
+            tp_price REAL,
+            sl_price REAL,
+            trailing_sl BOOLEAN DEFAULT false,
+            active BOOLEAN DEFAULT true,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `,
+
+        // Trades table
+        `
+        CREATE TABLE IF NOT EXISTS trades (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_address TEXT NOT NULL,
+            amount REAL NOT NULL,
+            price REAL NOT NULL,
+            side TEXT NOT NULL,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `,
+
+        // Fees table
+        `
+        CREATE TABLE IF NOT EXISTS fees (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            trade_id INTEGER NOT NULL,
+            total_fee REAL NOT NULL,
+            team_wallet_share REAL NOT NULL,
+            holders_share REAL NOT NULL,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (trade_id) REFERENCES trades(id)
+        )
+        `,
+
+        // Snapshots table
+        `
+        CREATE TABLE IF NOT EXISTS snapshots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            epoch_id INTEGER NOT NULL,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            eligible_wallets TEXT NOT NULL
+        )
+        `,
+
+        // Claims table
+        `
+        CREATE TABLE IF NOT EXISTS claims (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            epoch_id INTEGER NOT NULL,
+            claimed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `,
+
+        // Rules table
+        `
+        CREATE TABLE IF NOT EXISTS rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            description TEXT,
+            type TEXT NOT NULL,
+            is_active BOOLEAN DEFAULT true,
+            success_count INTEGER DEFAULT 0,
+            failure_count INTEGER DEFAULT 0,
+            last_check TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `,
+
+        // Rule conditions table
+        `
+        CREATE TABLE IF NOT EXISTS rule_conditions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id INTEGER NOT NULL,
+            condition_type TEXT NOT NULL,
+            condition_value TEXT NOT NULL,
+            operator TEXT DEFAULT '>=',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (rule_id) REFERENCES rules(id)
+        )
+        `,
+
+        // Rule settings table
+        `
+        CREATE TABLE IF NOT EXISTS rule_settings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id INTEGER NOT NULL,
+            notifications_enabled BOOLEAN DEFAULT true,
+            alerts_enabled BOOLEAN DEFAULT true,
+            notification_frequency TEXT DEFAULT 'immediate',
+            alert_threshold INTEGER DEFAULT 100,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (rule_id) REFERENCES rules(id)
+        )
+        `,
+
+        // Rule history table
+        `
+        CREATE TABLE IF NOT EXISTS rule_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id INTEGER NOT NULL,
+            token_address TEXT NOT NULL,
+            token_name TEXT,
+            trigger_price REAL,
+            trigger_volume REAL,
+            trigger_market_cap REAL,
+            trigger_liquidity REAL,
+            status TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (rule_id) REFERENCES rules(id)
+        )
+        `,
+
+        // Rule criteria table
+        `
+        CREATE TABLE IF NOT EXISTS rule_criteria (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id INTEGER NOT NULL,
+            criteria_type TEXT NOT NULL,
+            operator TEXT NOT NULL,
+            value TEXT NOT NULL,
+            secondary_value TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (rule_id) REFERENCES rules(id) ON DELETE CASCADE
+        )
+        `,
+
+        // Rule metrics table
+        `
+        CREATE TABLE IF NOT EXISTS rule_metrics (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id INTEGER NOT NULL,
+            metric_type TEXT NOT NULL,
+            threshold REAL NOT NULL,
+            timeframe TEXT NOT NULL,
+            direction TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (rule_id) REFERENCES rules(id) ON DELETE CASCADE
+        )
+        `,
+
+        // External wallets table for copy trading
+        `
+        CREATE TABLE IF NOT EXISTS external_wallets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            wallet_address TEXT NOT NULL,
+            name TEXT,
+            is_active BOOLEAN DEFAULT true,
+            last_trade_time TIMESTAMP,
+            total_trades INTEGER DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            UNIQUE(user_id, wallet_address)
+        )
+        `,
+
+        // User settings table
+        `
+        CREATE TABLE IF NOT EXISTS user_settings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            max_trade_amount REAL,
+            min_trade_amount REAL,
+            max_daily_trades INTEGER,
+            auto_confirm_trades BOOLEAN DEFAULT false,
+            notify_on_trade BOOLEAN DEFAULT true,
+            default_stop_loss REAL DEFAULT 10.0,
+            default_take_profit REAL DEFAULT 20.0,
+            trailing_stop_enabled BOOLEAN DEFAULT false,
+            trailing_stop_threshold REAL DEFAULT 5.0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            UNIQUE(user_id)
+        )
+        `,
+
+        // Portfolio snapshots table
+        `
+        CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT NOT NULL,
+            value REAL NOT NULL,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+        `,
+
+        // Sold tokens table for manual management duplicate prevention
+        `
+        CREATE TABLE IF NOT EXISTS sold_tokens (
+            user_id INTEGER,
+            token_address TEXT,
+            sold_at INTEGER,
+            PRIMARY KEY (user_id, token_address)
+        )
+        `
+    ]
+};
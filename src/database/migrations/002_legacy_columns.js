@@ -0,0 +1,19 @@
+/**
+ * Columns that used to be bolted on by DatabaseManager.runMigrations.
+ * addColumn steps are skipped when the column already exists, so databases
+ * created before or after each column was introduced both end up complete.
+ */
+module.exports = {
+    up: [
+        { addColumn: 'external_wallets', column: 'name', definition: 'TEXT' },
+        { addColumn: 'external_wallets', column: 'total_trades', definition: 'INTEGER DEFAULT 0' },
+        { addColumn: 'user_settings', column: 'autonomous_enabled', definition: 'BOOLEAN DEFAULT false' },
+        { addColumn: 'user_settings', column: 'auto_confirm', definition: 'BOOLEAN DEFAULT false' },
+        { addColumn: 'user_settings', column: 'default_slippage', definition: 'REAL DEFAULT 1.0' },
+        { addColumn: 'user_settings', column: 'notify_on_pnl', definition: 'BOOLEAN DEFAULT true' },
+        { addColumn: 'user_settings', column: 'notify_on_rule_trigger', definition: 'BOOLEAN DEFAULT true' },
+        { addColumn: 'user_settings', column: 'notify_on_market_alerts', definition: 'BOOLEAN DEFAULT true' },
+        { addColumn: 'user_settings', column: 'notify_on_price_alerts', definition: 'BOOLEAN DEFAULT true' },
+        { addColumn: 'user_settings', column: 'notify_on_system_updates', definition: 'BOOLEAN DEFAULT true' }
+    ]
+};
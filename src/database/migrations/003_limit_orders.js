@@ -0,0 +1,32 @@
+/**
+ * Persistent limit-order book watched by LimitOrderService.
+ */
+module.exports = {
+    up: [
+        // Limit orders table
+        `
+        CREATE TABLE IF NOT EXISTS limit_orders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            wallet_id INTEGER NOT NULL,
+            token_address TEXT NOT NULL,
+            side TEXT NOT NULL,
+            amount REAL NOT NULL,
+            target_price REAL NOT NULL,
+            slippage_bps INTEGER DEFAULT 100,
+            status TEXT DEFAULT 'open',
+            expires_at DATETIME,
+            last_price REAL,
+            last_checked_at DATETIME,
+            fill_price REAL,
+            fill_signature TEXT,
+            filled_at DATETIME,
+            error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+        )
+        `
+    ]
+};
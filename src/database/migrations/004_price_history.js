@@ -0,0 +1,42 @@
+/**
+ * Tracked tokens and the OHLCV candles PriceHistoryService samples into.
+ */
+module.exports = {
+    up: [
+        // Tokens the price history sampler follows
+        `
+        CREATE TABLE IF NOT EXISTS tracked_tokens (
+            token_address TEXT PRIMARY KEY,
+            symbol TEXT,
+            category TEXT,
+            source TEXT DEFAULT 'manual',
+            last_sampled_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+        `,
+
+        // OHLCV candles; volume is the rolling 24h USD volume at the candle close
+        `
+        CREATE TABLE IF NOT EXISTS price_candles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            token_address TEXT NOT NULL,
+            resolution TEXT NOT NULL,
+            bucket_start INTEGER NOT NULL,
+            open REAL NOT NULL,
+            high REAL NOT NULL,
+            low REAL NOT NULL,
+            close REAL NOT NULL,
+            volume REAL DEFAULT 0,
+            liquidity REAL,
+            market_cap REAL,
+            sample_count INTEGER DEFAULT 1,
+            UNIQUE(token_address, resolution, bucket_start)
+        )
+        `,
+
+        `
+        CREATE INDEX IF NOT EXISTS idx_price_candles_token_time
+        ON price_candles (token_address, bucket_start)
+        `
+    ]
+};
@@ -0,0 +1,39 @@
+/**
+ * Simulated balances and positions for paper-trading wallets.
+ */
+module.exports = {
+    up: [
+        // Simulated SOL balance for paper-trading wallets
+        `
+        CREATE TABLE IF NOT EXISTS paper_balances (
+            wallet_id INTEGER PRIMARY KEY,
+            sol_balance REAL NOT NULL DEFAULT 0,
+            starting_balance REAL NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+        )
+        `,
+
+        // Simulated token positions for paper-trading wallets; avg_price is SOL per token
+        `
+        CREATE TABLE IF NOT EXISTS paper_positions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            wallet_id INTEGER NOT NULL,
+            token_address TEXT NOT NULL,
+            symbol TEXT,
+            amount REAL NOT NULL DEFAULT 0,
+            avg_price REAL NOT NULL DEFAULT 0,
+            realized_pnl REAL NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(wallet_id, token_address),
+            FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+        )
+        `,
+
+        // Paper-trading flags on wallets and the trades they simulate
+        { addColumn: 'wallets', column: 'is_paper', definition: 'BOOLEAN DEFAULT 0' },
+        { addColumn: 'trades', column: 'is_paper', definition: 'BOOLEAN DEFAULT 0' }
+    ]
+};
@@ -0,0 +1,9 @@
+/**
+ * Per-user trading session length for passphrase-protected wallets.
+ */
+module.exports = {
+    up: [
+        // Minutes an unlocked session stays live; NULL uses the configured default
+        { addColumn: 'user_settings', column: 'auto_lock_timeout', definition: 'INTEGER' }
+    ]
+};
@@ -0,0 +1,32 @@
+/**
+ * Named sets of a user's wallets that buys and sells can be fanned out across.
+ */
+module.exports = {
+    up: [
+        // split_mode: 'split' divides the order between members by weight, 'each' repeats it per wallet
+        `
+        CREATE TABLE IF NOT EXISTS wallet_groups (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            split_mode TEXT NOT NULL DEFAULT 'split',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(user_id, name),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `,
+
+        `
+        CREATE TABLE IF NOT EXISTS wallet_group_members (
+            group_id INTEGER NOT NULL,
+            wallet_id INTEGER NOT NULL,
+            weight REAL NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (group_id, wallet_id),
+            FOREIGN KEY (group_id) REFERENCES wallet_groups(id),
+            FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+        )
+        `
+    ]
+};
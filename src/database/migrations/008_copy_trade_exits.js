@@ -0,0 +1,28 @@
+/**
+ * Per-leader exit settings for copy trading and the positions each leader opened for us.
+ */
+module.exports = {
+    up: [
+        // exit_mode: 'mirror' sells alongside the leader, 'ignore' holds, 'tpsl' leaves it to the user's TP/SL
+        { addColumn: 'external_wallets', column: 'exit_mode', definition: "TEXT DEFAULT 'mirror'" },
+
+        // Tokens bought by copying a leader, so their exits can be mirrored proportionally
+        `
+        CREATE TABLE IF NOT EXISTS copy_trade_positions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            external_wallet_id INTEGER NOT NULL,
+            wallet_id INTEGER NOT NULL,
+            token_address TEXT NOT NULL,
+            amount REAL NOT NULL DEFAULT 0,
+            cost_sol REAL NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(external_wallet_id, wallet_id, token_address),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (external_wallet_id) REFERENCES external_wallets(id),
+            FOREIGN KEY (wallet_id) REFERENCES wallets(id)
+        )
+        `
+    ]
+};
@@ -0,0 +1,11 @@
+/**
+ * Per-leader sizing for copied buys.
+ */
+module.exports = {
+    up: [
+        // sizing_mode: 'fixed' SOL, 'balance_pct' of our balance, 'proportional' to the leader's
+        // portfolio share, or 'kelly'; sizing_value is that mode's parameter (NULL uses the default)
+        { addColumn: 'external_wallets', column: 'sizing_mode', definition: "TEXT DEFAULT 'fixed'" },
+        { addColumn: 'external_wallets', column: 'sizing_value', definition: 'REAL' }
+    ]
+};
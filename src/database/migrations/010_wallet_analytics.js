@@ -0,0 +1,65 @@
+/**
+ * On-chain track records of candidate copy-trade leaders, rebuilt from their swap history.
+ */
+module.exports = {
+    up: [
+        // One row per analysed wallet; max_drawdown is a fraction of the SOL the wallet deployed
+        `
+        CREATE TABLE IF NOT EXISTS wallet_analytics (
+            wallet_address TEXT PRIMARY KEY,
+            score REAL NOT NULL DEFAULT 0,
+            swaps_analyzed INTEGER NOT NULL DEFAULT 0,
+            closed_trades INTEGER NOT NULL DEFAULT 0,
+            win_rate REAL NOT NULL DEFAULT 0,
+            profit_factor REAL NOT NULL DEFAULT 0,
+            realized_pnl_sol REAL NOT NULL DEFAULT 0,
+            unrealized_pnl_sol REAL NOT NULL DEFAULT 0,
+            total_cost_sol REAL NOT NULL DEFAULT 0,
+            avg_hold_seconds REAL NOT NULL DEFAULT 0,
+            max_drawdown REAL NOT NULL DEFAULT 0,
+            first_trade_at INTEGER,
+            last_trade_at INTEGER,
+            analyzed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+        `,
+
+        // Per-token breakdown of an analysed wallet
+        `
+        CREATE TABLE IF NOT EXISTS wallet_analytics_tokens (
+            wallet_address TEXT NOT NULL,
+            token_address TEXT NOT NULL,
+            buys INTEGER NOT NULL DEFAULT 0,
+            sells INTEGER NOT NULL DEFAULT 0,
+            cost_sol REAL NOT NULL DEFAULT 0,
+            proceeds_sol REAL NOT NULL DEFAULT 0,
+            realized_pnl_sol REAL NOT NULL DEFAULT 0,
+            open_amount REAL NOT NULL DEFAULT 0,
+            open_cost_sol REAL NOT NULL DEFAULT 0,
+            unrealized_pnl_sol REAL NOT NULL DEFAULT 0,
+            avg_hold_seconds REAL NOT NULL DEFAULT 0,
+            PRIMARY KEY (wallet_address, token_address)
+        )
+        `,
+
+        // Every sell matched against earlier buys; closed_at is a unix timestamp in seconds
+        `
+        CREATE TABLE IF NOT EXISTS wallet_analytics_trades (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            wallet_address TEXT NOT NULL,
+            token_address TEXT NOT NULL,
+            signature TEXT NOT NULL,
+            amount REAL NOT NULL,
+            cost_sol REAL NOT NULL,
+            proceeds_sol REAL NOT NULL,
+            profit_sol REAL NOT NULL,
+            hold_seconds REAL NOT NULL DEFAULT 0,
+            closed_at INTEGER NOT NULL
+        )
+        `,
+
+        `
+        CREATE INDEX IF NOT EXISTS idx_wallet_analytics_trades_wallet
+        ON wallet_analytics_trades(wallet_address, closed_at)
+        `
+    ]
+};
@@ -0,0 +1,77 @@
+/**
+ * Account-wide risk limits, and the trade history the risk guard checks them against.
+ */
+module.exports = {
+    up: [
+        // SOL amounts; NULL (or 0) means no limit
+        { addColumn: 'user_settings', column: 'daily_loss_limit', definition: 'REAL' },
+        { addColumn: 'user_settings', column: 'max_open_positions', definition: 'INTEGER' },
+        { addColumn: 'user_settings', column: 'max_token_exposure_sol', definition: 'REAL' },
+        // Pause buying for loss_cooldown_minutes after loss_streak_limit losing sells in a row
+        { addColumn: 'user_settings', column: 'loss_streak_limit', definition: 'INTEGER' },
+        { addColumn: 'user_settings', column: 'loss_cooldown_minutes', definition: 'INTEGER DEFAULT 60' },
+
+        // Every fill the guard saw; realized_pnl_sol is NULL for buys and for sells with no known cost
+        `
+        CREATE TABLE IF NOT EXISTS risk_trades (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_address TEXT NOT NULL,
+            side TEXT NOT NULL,
+            is_paper BOOLEAN NOT NULL DEFAULT 0,
+            sol_amount REAL NOT NULL,
+            token_amount REAL NOT NULL,
+            realized_pnl_sol REAL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `,
+
+        `
+        CREATE INDEX IF NOT EXISTS idx_risk_trades_user
+        ON risk_trades(user_id, is_paper, created_at)
+        `,
+
+        // Open positions at average cost, for position count and per-token exposure
+        `
+        CREATE TABLE IF NOT EXISTS risk_positions (
+            user_id INTEGER NOT NULL,
+            token_address TEXT NOT NULL,
+            is_paper BOOLEAN NOT NULL DEFAULT 0,
+            amount REAL NOT NULL DEFAULT 0,
+            cost_sol REAL NOT NULL DEFAULT 0,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, token_address, is_paper),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `,
+
+        // Running loss streak and the cooldown it triggered
+        `
+        CREATE TABLE IF NOT EXISTS risk_state (
+            user_id INTEGER NOT NULL,
+            is_paper BOOLEAN NOT NULL DEFAULT 0,
+            loss_streak INTEGER NOT NULL DEFAULT 0,
+            cooldown_until DATETIME,
+            PRIMARY KEY (user_id, is_paper),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `,
+
+        // Trades the guard refused, with the reason shown to the user
+        `
+        CREATE TABLE IF NOT EXISTS risk_rejections (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_address TEXT,
+            side TEXT NOT NULL,
+            is_paper BOOLEAN NOT NULL DEFAULT 0,
+            sol_amount REAL,
+            rule TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `
+    ]
+};
@@ -0,0 +1,29 @@
+/**
+ * Positions watched by manual management, so TP/SL and trailing stops survive a restart.
+ */
+module.exports = {
+    up: [
+        // conditions is the parsed rule conditions as JSON; highest_price is the trailing-stop high-water mark.
+        // sell_pending is set while a sell is in flight and checked against the wallet balance on startup.
+        `
+        CREATE TABLE IF NOT EXISTS managed_positions (
+            user_id INTEGER NOT NULL,
+            token_address TEXT NOT NULL,
+            rule_id INTEGER,
+            wallet_address TEXT NOT NULL,
+            conditions TEXT NOT NULL,
+            buy_price REAL NOT NULL,
+            highest_price REAL NOT NULL,
+            token_amount REAL NOT NULL DEFAULT 0,
+            symbol TEXT,
+            sell_pending BOOLEAN NOT NULL DEFAULT 0,
+            sell_started_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, token_address),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (rule_id) REFERENCES rules(id)
+        )
+        `
+    ]
+};
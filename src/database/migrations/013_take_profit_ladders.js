@@ -0,0 +1,12 @@
+/**
+ * Per-position progress through a take-profit ladder.
+ */
+module.exports = {
+    up: [
+        // Rungs already sold; rung sizes are a share of initial_token_amount
+        { addColumn: 'managed_positions', column: 'ladder_rungs_filled', definition: 'INTEGER NOT NULL DEFAULT 0' },
+        { addColumn: 'managed_positions', column: 'initial_token_amount', definition: 'REAL' },
+        // Set once the first rung fills: the stop-loss moves up to the buy price
+        { addColumn: 'managed_positions', column: 'breakeven_stop', definition: 'BOOLEAN NOT NULL DEFAULT 0' }
+    ]
+};
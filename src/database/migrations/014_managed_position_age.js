@@ -0,0 +1,9 @@
+/**
+ * When a managed position was opened, for time-based exits.
+ */
+module.exports = {
+    up: [
+        // The buy time when known, otherwise when monitoring started (UTC, like CURRENT_TIMESTAMP)
+        { addColumn: 'managed_positions', column: 'opened_at', definition: 'DATETIME' }
+    ]
+};
@@ -0,0 +1,37 @@
+/**
+ * Fill-level trade ledger for cost-basis PnL, with the rule and strategy behind each fill.
+ */
+module.exports = {
+    up: [
+        // How sells are matched against buys: 'fifo' or 'average'
+        { addColumn: 'user_settings', column: 'pnl_method', definition: "TEXT DEFAULT 'fifo'" },
+
+        // sol_amount is the swap's SOL leg before fees; swap_fee_sol covers network and priority
+        // fees, platform_fee_sol is the 4TOOL fee. strategy names the path that placed the trade.
+        `
+        CREATE TABLE IF NOT EXISTS pnl_fills (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            wallet_address TEXT,
+            token_address TEXT NOT NULL,
+            side TEXT NOT NULL,
+            is_paper BOOLEAN NOT NULL DEFAULT 0,
+            token_amount REAL NOT NULL,
+            sol_amount REAL NOT NULL,
+            swap_fee_sol REAL NOT NULL DEFAULT 0,
+            platform_fee_sol REAL NOT NULL DEFAULT 0,
+            rule_id INTEGER,
+            strategy TEXT NOT NULL DEFAULT 'manual',
+            signature TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (rule_id) REFERENCES rules(id)
+        )
+        `,
+
+        `
+        CREATE INDEX IF NOT EXISTS idx_pnl_fills_user
+        ON pnl_fills(user_id, is_paper, created_at)
+        `
+    ]
+};
@@ -0,0 +1,9 @@
+/**
+ * SOL/USD price at the time of each ledger fill, for USD cost basis and proceeds in tax reports.
+ */
+module.exports = {
+    up: [
+        // NULL for fills recorded before this column existed or when no price was available
+        { addColumn: 'pnl_fills', column: 'sol_usd_price', definition: 'REAL' }
+    ]
+};
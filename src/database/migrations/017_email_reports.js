@@ -0,0 +1,16 @@
+/**
+ * Email delivery of portfolio exports: a verified address per user and an optional report schedule.
+ */
+module.exports = {
+    up: [
+        { addColumn: 'user_settings', column: 'report_email', definition: 'TEXT' },
+        { addColumn: 'user_settings', column: 'report_email_verified', definition: 'BOOLEAN DEFAULT 0' },
+        // SHA-256 of the code mailed to report_email; cleared once verified
+        { addColumn: 'user_settings', column: 'email_verification_hash', definition: 'TEXT' },
+        { addColumn: 'user_settings', column: 'email_verification_expires_at', definition: 'DATETIME' },
+        // 'off', 'daily', 'weekly' or 'monthly'; report_format is 'pdf', 'csv' or 'json'
+        { addColumn: 'user_settings', column: 'report_schedule', definition: "TEXT DEFAULT 'off'" },
+        { addColumn: 'user_settings', column: 'report_format', definition: "TEXT DEFAULT 'pdf'" },
+        { addColumn: 'user_settings', column: 'report_last_sent_at', definition: 'DATETIME' }
+    ]
+};
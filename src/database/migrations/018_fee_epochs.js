@@ -0,0 +1,88 @@
+/**
+ * Holder fee distribution: collected fees tied to the epoch that paid them out, 4TOOL holder
+ * snapshots, and a per-wallet allocation ledger with the Merkle root of each epoch.
+ */
+module.exports = {
+    up: [
+        // fees.trade_id was NOT NULL, but fees are collected per swap, not per trades row.
+        // Rebuilt so trade_id is optional and each fee records who paid it and which epoch it went to.
+        `
+        CREATE TABLE fees_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            trade_id INTEGER,
+            user_id INTEGER,
+            wallet_address TEXT,
+            trade_amount REAL,
+            total_fee REAL NOT NULL,
+            team_wallet_share REAL NOT NULL,
+            holders_share REAL NOT NULL,
+            epoch_id INTEGER,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (trade_id) REFERENCES trades(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `,
+        `
+        INSERT INTO fees_new (id, trade_id, total_fee, team_wallet_share, holders_share, timestamp)
+        SELECT id, trade_id, total_fee, team_wallet_share, holders_share, timestamp FROM fees
+        `,
+        'DROP TABLE fees',
+        'ALTER TABLE fees_new RENAME TO fees',
+        'CREATE INDEX IF NOT EXISTS idx_fees_epoch ON fees(epoch_id)',
+
+        // eligible_wallets is [{ wallet, balance, raw }] with raw the u64 token amount as a string.
+        // snapshot_hash is SHA-256 over the sorted holder list, so an epoch's snapshot can be re-checked.
+        { addColumn: 'snapshots', column: 'snapshot_hash', definition: 'TEXT' },
+        { addColumn: 'snapshots', column: 'slot', definition: 'INTEGER' },
+        { addColumn: 'snapshots', column: 'holder_count', definition: 'INTEGER DEFAULT 0' },
+        { addColumn: 'snapshots', column: 'total_balance', definition: 'REAL DEFAULT 0' },
+
+        // status: 'distributing' while payouts are outstanding, then 'completed' or 'failed'
+        `
+        CREATE TABLE IF NOT EXISTS fee_epochs (
+            id INTEGER PRIMARY KEY,
+            snapshot_id INTEGER NOT NULL,
+            snapshot_hash TEXT NOT NULL,
+            merkle_root TEXT NOT NULL,
+            pool_lamports INTEGER NOT NULL,
+            allocated_lamports INTEGER NOT NULL,
+            fee_count INTEGER NOT NULL DEFAULT 0,
+            holder_count INTEGER NOT NULL DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'distributing',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            FOREIGN KEY (snapshot_id) REFERENCES snapshots(id)
+        )
+        `,
+
+        // status: 'pending', 'sending' while its batch is in flight, then 'paid' with the payout
+        // signature or 'failed' after the last retry (retried by the next distribution).
+        // leaf_hash is the allocation's Merkle leaf under fee_epochs.merkle_root.
+        `
+        CREATE TABLE IF NOT EXISTS fee_allocations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            epoch_id INTEGER NOT NULL,
+            wallet_address TEXT NOT NULL,
+            balance REAL NOT NULL,
+            share REAL NOT NULL,
+            amount_lamports INTEGER NOT NULL,
+            leaf_hash TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            signature TEXT,
+            error TEXT,
+            paid_at DATETIME,
+            UNIQUE (epoch_id, wallet_address),
+            FOREIGN KEY (epoch_id) REFERENCES fee_epochs(id)
+        )
+        `,
+
+        `
+        CREATE TABLE IF NOT EXISTS fee_blacklist (
+            wallet_address TEXT PRIMARY KEY,
+            reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+        `
+    ]
+};
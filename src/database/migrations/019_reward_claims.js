@@ -0,0 +1,13 @@
+/**
+ * Reward claims: each claims row is one epoch's allocations paid to the wallet the user claimed to.
+ */
+module.exports = {
+    up: [
+        { addColumn: 'claims', column: 'wallet_address', definition: 'TEXT' },
+        { addColumn: 'claims', column: 'amount_lamports', definition: 'INTEGER NOT NULL DEFAULT 0' },
+        { addColumn: 'claims', column: 'signature', definition: 'TEXT' },
+        // Set on fee_allocations that were claimed (status 'claimed') rather than paid by the batch payout
+        { addColumn: 'fee_allocations', column: 'claim_id', definition: 'INTEGER' },
+        'CREATE INDEX IF NOT EXISTS idx_claims_user ON claims(user_id, claimed_at)'
+    ]
+};
@@ -0,0 +1,10 @@
+/**
+ * The fee tier and rate applied to each collected fee.
+ */
+module.exports = {
+    up: [
+        // fee_rate is the fraction of the trade charged after the tier's discount
+        { addColumn: 'fees', column: 'fee_tier', definition: "TEXT DEFAULT 'Standard'" },
+        { addColumn: 'fees', column: 'fee_rate', definition: 'REAL' }
+    ]
+};
@@ -0,0 +1,17 @@
+/**
+ * Referrals: each user's invite code, who referred them, and the referrer's slice of each fee.
+ */
+module.exports = {
+    up: [
+        { addColumn: 'users', column: 'referral_code', definition: 'TEXT' },
+        { addColumn: 'users', column: 'referred_by', definition: 'INTEGER' },
+        { addColumn: 'users', column: 'referred_at', definition: 'DATETIME' },
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_referral_code ON users(referral_code)',
+        'CREATE INDEX IF NOT EXISTS idx_users_referred_by ON users(referred_by)',
+        // referral_share is the SOL sent to referral_wallet, carved out of team_wallet_share
+        { addColumn: 'fees', column: 'referrer_id', definition: 'INTEGER' },
+        { addColumn: 'fees', column: 'referral_wallet', definition: 'TEXT' },
+        { addColumn: 'fees', column: 'referral_share', definition: 'REAL NOT NULL DEFAULT 0' },
+        'CREATE INDEX IF NOT EXISTS idx_fees_referrer ON fees(referrer_id)'
+    ]
+};
@@ -0,0 +1,45 @@
+/**
+ * New token listings found by the listing scanner, and the rule alerts sent for them.
+ */
+module.exports = {
+    up: [
+        // source: 'raydium' (new AMM v4 or CPMM pool) or 'jupiter' (newly listed mint).
+        // reference is the pool creation signature or Jupiter's first pool id.
+        // status: 'new' until evaluated (retried while attempts is under the limit), then 'passed' or 'rejected'
+        `
+        CREATE TABLE IF NOT EXISTS token_listings (
+            token_address TEXT PRIMARY KEY,
+            source TEXT NOT NULL,
+            reference TEXT,
+            name TEXT,
+            symbol TEXT,
+            listed_at DATETIME,
+            first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            status TEXT NOT NULL DEFAULT 'new',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            price REAL,
+            market_cap REAL,
+            liquidity REAL,
+            risk_score REAL,
+            rugged BOOLEAN DEFAULT 0,
+            reason TEXT,
+            evaluated_at DATETIME
+        )
+        `,
+        'CREATE INDEX IF NOT EXISTS idx_token_listings_status ON token_listings(status, first_seen_at)',
+
+        // One alert per rule and token, however many scans see it
+        `
+        CREATE TABLE IF NOT EXISTS listing_alerts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            token_address TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (rule_id, token_address),
+            FOREIGN KEY (rule_id) REFERENCES rules(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+        `
+    ]
+};
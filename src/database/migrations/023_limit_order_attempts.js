@@ -0,0 +1,9 @@
+/**
+ * How many times the watcher has tried to fill a limit order, so failing fills are retried a few times before giving up.
+ */
+module.exports = {
+    up: [
+        // Failed swaps put the order back to 'open' until this reaches the retry limit; risk rejections don't count
+        { addColumn: 'limit_orders', column: 'fill_attempts', definition: 'INTEGER NOT NULL DEFAULT 0' }
+    ]
+};
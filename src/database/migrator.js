@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Numbered, forward-only schema migrations for the better-sqlite3 database.
+ *
+ * Each file in ./migrations is named NNN_description.js and exports
+ * `{ up: [...] }`, where every step is either a SQL string or
+ * `{ addColumn, column, definition }`. addColumn steps are skipped when the
+ * column already exists, which lets pre-migration databases adopt the history.
+ * Applied versions are recorded in schema_migrations and every migration runs
+ * in its own transaction.
+ */
+class MigrationRunner {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+        this.log = options.log || (message => console.log(message));
+    }
+
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.migrationsDir)
+            .filter(file => MIGRATION_FILE.test(file))
+            .map(file => {
+                const [, version, name] = file.match(MIGRATION_FILE);
+                const definition = require(path.join(this.migrationsDir, file));
+                if (!Array.isArray(definition.up) || definition.up.length === 0) {
+                    throw new Error(`Migration ${file} has no up steps`);
+                }
+                return {
+                    version: parseInt(version, 10),
+                    name,
+                    file,
+                    up: definition.up,
+                    checksum: crypto.createHash('sha256').update(JSON.stringify(definition.up)).digest('hex')
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        // Versions must run 1..n without gaps so a missing file can't go unnoticed
+        migrations.forEach((migration, index) => {
+            if (migration.version !== index + 1) {
+                throw new Error(`Migration versions must be sequential: expected ${index + 1}, found ${migration.file}`);
+            }
+        });
+
+        return migrations;
+    }
+
+    hasMigrationsTable() {
+        return !!this.db.prepare(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+        ).get();
+    }
+
+    ensureMigrationsTable() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                checksum TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    getAppliedMigrations() {
+        if (!this.hasMigrationsTable()) {
+            return [];
+        }
+        return this.db.prepare('SELECT * FROM schema_migrations ORDER BY version ASC').all();
+    }
+
+    getPendingMigrations() {
+        const applied = new Map(this.getAppliedMigrations().map(row => [row.version, row]));
+
+        return this.loadMigrations().filter(migration => {
+            const row = applied.get(migration.version);
+            if (row && row.checksum !== migration.checksum) {
+                this.log(`⚠️ Migration ${migration.file} was edited after it was applied; edits are not re-run`);
+            }
+            return !row;
+        });
+    }
+
+    tableColumns(table) {
+        return this.db.prepare(`PRAGMA table_info(${table})`).all();
+    }
+
+    /**
+     * Resolve a step against the current database
+     * @returns {{sql: string, skip: boolean}}
+     */
+    renderStep(step) {
+        if (typeof step === 'string') {
+            return { sql: step.trim().replace(/\n {8}/g, '\n'), skip: false };
+        }
+
+        if (step.addColumn) {
+            const exists = this.tableColumns(step.addColumn).some(c => c.name === step.column);
+            return {
+                sql: `ALTER TABLE ${step.addColumn} ADD COLUMN ${step.column} ${step.definition}`,
+                skip: exists
+            };
+        }
+
+        throw new Error(`Unknown migration step: ${JSON.stringify(step)}`);
+    }
+
+    applyMigration(migration) {
+        const statements = [];
+        for (const step of migration.up) {
+            const { sql, skip } = this.renderStep(step);
+            if (skip) {
+                statements.push(`-- already present: ${sql}`);
+                continue;
+            }
+            this.db.exec(sql);
+            statements.push(`${sql};`);
+        }
+        this.db.prepare(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)'
+        ).run(migration.version, migration.name, migration.checksum);
+        return statements;
+    }
+
+    /**
+     * Apply every pending migration, each in its own transaction
+     * @returns {Array} Applied migrations with the statements they ran
+     */
+    migrate() {
+        this.ensureMigrationsTable();
+        const applied = [];
+
+        for (const migration of this.getPendingMigrations()) {
+            const run = this.db.transaction(() => this.applyMigration(migration));
+            try {
+                const statements = run();
+                applied.push({ version: migration.version, name: migration.name, statements });
+                this.log(`✅ Applied migration ${migration.file}`);
+            } catch (error) {
+                throw new Error(`Migration ${migration.file} failed and was rolled back: ${error.message}`);
+            }
+        }
+
+        return applied;
+    }
+
+    /**
+     * Run the pending migrations inside a transaction that is always rolled
+     * back, so the reported SQL is exactly what migrate() would execute.
+     * @returns {Array} Pending migrations with their statements
+     */
+    dryRun() {
+        const plan = [];
+        this.db.exec('BEGIN');
+        try {
+            this.ensureMigrationsTable();
+            for (const migration of this.getPendingMigrations()) {
+                plan.push({
+                    version: migration.version,
+                    name: migration.name,
+                    statements: this.applyMigration(migration)
+                });
+            }
+        } finally {
+            this.db.exec('ROLLBACK');
+        }
+        return plan;
+    }
+
+    /**
+     * Compare the database against the schema the migrations define
+     * @returns {{missingTables: string[], missingColumns: string[], typeMismatches: string[]}}
+     */
+    verify() {
+        const expected = MigrationRunner.describeSchema(this.migrationsDir);
+        const result = { missingTables: [], missingColumns: [], typeMismatches: [] };
+
+        for (const [table, columns] of Object.entries(expected)) {
+            const actual = new Map(this.tableColumns(table).map(c => [c.name, c]));
+            if (actual.size === 0) {
+                result.missingTables.push(table);
+                continue;
+            }
+            for (const column of columns) {
+                const found = actual.get(column.name);
+                if (!found) {
+                    result.missingColumns.push(`${table}.${column.name}`);
+                } else if ((found.type || '').toUpperCase() !== (column.type || '').toUpperCase()) {
+                    result.typeMismatches.push(`${table}.${column.name} is ${found.type}, expected ${column.type}`);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Throw unless every table and column the migrations define is present
+     */
+    assertSchema() {
+        const { missingTables, missingColumns, typeMismatches } = this.verify();
+        typeMismatches.forEach(mismatch => this.log(`⚠️ Column type differs from migrations: ${mismatch}`));
+
+        if (missingTables.length > 0 || missingColumns.length > 0) {
+            throw new Error(
+                `Database schema is behind its migrations. Missing tables: [${missingTables.join(', ')}], ` +
+                `missing columns: [${missingColumns.join(', ')}]`
+            );
+        }
+    }
+
+    /**
+     * Replay all migrations into an in-memory database and read back the
+     * resulting tables and columns
+     * @returns {Object} { tableName: [{ name, type, notnull, dflt_value, pk }] }
+     */
+    static describeSchema(migrationsDir = MIGRATIONS_DIR) {
+        const memoryDb = new Database(':memory:');
+        try {
+            const runner = new MigrationRunner(memoryDb, { migrationsDir, log: () => {} });
+            runner.migrate();
+
+            const tables = memoryDb.prepare(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations' ORDER BY name"
+            ).all();
+
+            const schema = {};
+            for (const { name } of tables) {
+                schema[name] = runner.tableColumns(name);
+            }
+            return schema;
+        } finally {
+            memoryDb.close();
+        }
+    }
+}
+
+MigrationRunner.MIGRATIONS_DIR = MIGRATIONS_DIR;
+
+module.exports = MigrationRunner;
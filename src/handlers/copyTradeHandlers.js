@@ -1,3 +1,19 @@
+const EXIT_MODE_LABELS = {
+    mirror: '🔁 Mirror',
+    ignore: '🙈 Ignore',
+    tpsl: '🎯 My TP/SL'
+};
+
+const SIZING_MODE_LABELS = {
+    fixed: '💵 Fixed SOL',
+    balance_pct: '📊 % of Balance',
+    proportional: '⚖️ Proportional',
+    kelly: '🎲 Capped Kelly'
+};
+
+// Mirrors CopyTradingBot's defaults, without loading the trading stack into the UI
+const SIZING_DEFAULTS = { fixed: 0.1, balance_pct: 5, proportional: 100, kelly: 10 };
+
 class CopyTradeHandlers {
     constructor(bot, db, config) {
         this.bot = bot;
@@ -55,7 +71,7 @@ Configure your copy trading:`;
             const keyboard = {
                 inline_keyboard: [
                     [
-                        { text: '📱 Manage Wallets', callback_data: 'copy_trade_wallets' },
+                        { text: '📱 Manage Wallets', callback_data: 'ct_leaders' },
                         { text: '⚙️ Settings', callback_data: 'copy_trade_settings' }
                     ],
                     [
@@ -157,6 +173,8 @@ You've selected to copy *${traderTypeNames[traderType]}*.
 - Max Slippage: 1%
 - Delay: 2 seconds
 
+_Check the leaderboard to see how wallets have actually traded before you follow them._
+
 Would you like to configure advanced settings?`;
 
             const keyboard = {
@@ -165,6 +183,9 @@ Would you like to configure advanced settings?`;
                         { text: '⚙️ Advanced Settings', callback_data: 'copy_trade_advanced' },
                         { text: '✅ Save & Continue', callback_data: 'copy_trade_save_config' }
                     ],
+                    [
+                        { text: '🏆 Pick From Leaderboard', callback_data: 'ldr_list' }
+                    ],
                     [
                         { text: '◀️ Back', callback_data: 'copy_trade_select' }
                     ]
@@ -334,32 +355,41 @@ You can now continue with rule creation or modify these settings anytime in the
 
     async handleCopyTradeTradeSize(chatId, telegramId) {
         try {
-            const message = `
+            const user = await this.db.getUserByTelegramId(telegramId);
+            if (!user) {
+                await this.sendAndStoreMessage(chatId, 'Please create an account first.');
+                return;
+            }
+
+            const leaders = await this.db.getExternalWallets(user.id);
+            const settings = await this.db.getUserSettings(user.id);
+            let message = `
 *💰 Trade Size Configuration*
 
-Set minimum and maximum trade sizes:
+Each followed wallet has its own sizing mode:
+• *Fixed SOL* - the same amount on every copy
+• *% of Balance* - a share of our SOL balance
+• *Proportional* - the leader's buy as a share of their portfolio, applied to our balance
+• *Capped Kelly* - half-Kelly from the leader's win rate, capped at a % of our balance
 
-*Current Settings:*
-- Min Trade Size: 0.1 SOL
-- Max Trade Size: 10 SOL
+*Limits on every copy:* ${settings && settings.min_trade_amount ? settings.min_trade_amount : 0}-${settings && settings.max_trade_amount ? settings.max_trade_amount : '∞'} SOL
+`;
 
-*Recommendations:*
-- Start with smaller sizes for testing
-- Consider your total portfolio size
-- Leave room for multiple positions`;
+            if (leaders.length === 0) {
+                message += '\n_You are not following any wallets yet._';
+            }
+            leaders.forEach((leader, index) => {
+                const address = `${leader.wallet_address.slice(0, 6)}...${leader.wallet_address.slice(-4)}`;
+                message += `\n${index + 1}. \`${leader.name || address}\` - ${this.formatSizing(leader)}`;
+            });
 
             const keyboard = {
                 inline_keyboard: [
+                    ...leaders.map((leader, index) => ([
+                        { text: `${index + 1}. ${leader.name || leader.wallet_address.slice(0, 8)}`, callback_data: `ct_size_${leader.id}` }
+                    ])),
                     [
-                        { text: '0.1-1 SOL', callback_data: 'copy_trade_size_small' },
-                        { text: '0.5-5 SOL', callback_data: 'copy_trade_size_medium' }
-                    ],
-                    [
-                        { text: '1-10 SOL', callback_data: 'copy_trade_size_large' },
-                        { text: '📝 Custom', callback_data: 'copy_trade_size_custom' }
-                    ],
-                    [
-                        { text: '◀️ Back', callback_data: 'copy_trade_advanced' }
+                        { text: '◀️ Back', callback_data: 'ct_leaders' }
                     ]
                 ]
             };
@@ -375,6 +405,122 @@ Set minimum and maximum trade sizes:
         }
     }
 
+    formatSizing(leader) {
+        const mode = SIZING_MODE_LABELS[leader.sizing_mode] ? leader.sizing_mode : 'fixed';
+        const value = leader.sizing_value > 0 ? leader.sizing_value : SIZING_DEFAULTS[mode];
+        switch (mode) {
+            case 'balance_pct':
+                return `${value}% of balance`;
+            case 'proportional':
+                return `proportional (${value}% of leader's share)`;
+            case 'kelly':
+                return `capped Kelly (max ${value}% of balance)`;
+            default:
+                return `${value} SOL fixed`;
+        }
+    }
+
+    async handleShowLeaderSizing(chatId, telegramId, walletId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const leader = await this.db.getExternalWalletById(walletId);
+            if (!user || !leader || leader.user_id !== user.id) {
+                await this.sendAndStoreMessage(chatId, 'Wallet not found.');
+                return;
+            }
+
+            const mode = SIZING_MODE_LABELS[leader.sizing_mode] ? leader.sizing_mode : 'fixed';
+            const message = `
+*💰 Trade Size*
+
+*Wallet:* \`${leader.wallet_address}\`
+*Current:* ${this.formatSizing(leader)}
+
+Pick a sizing mode, then send its value.`;
+
+            const modeButtons = Object.entries(SIZING_MODE_LABELS).map(([sizingMode, label]) => ({
+                text: sizingMode === mode ? `✅ ${label}` : label,
+                callback_data: `ct_sizemode_${leader.id}_${sizingMode}`
+            }));
+            const keyboard = {
+                inline_keyboard: [
+                    modeButtons.slice(0, 2),
+                    modeButtons.slice(2),
+                    [
+                        { text: '◀️ Back', callback_data: 'ct_size' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleShowLeaderSizing:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, there was an error loading trade size settings.');
+        }
+    }
+
+    async handleSelectSizingMode(chatId, telegramId, walletId, sizingMode) {
+        try {
+            if (!SIZING_MODE_LABELS[sizingMode]) {
+                await this.sendAndStoreMessage(chatId, 'Unknown sizing mode.');
+                return;
+            }
+
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const leader = await this.db.getExternalWalletById(walletId);
+            if (!user || !leader || leader.user_id !== user.id) {
+                await this.sendAndStoreMessage(chatId, 'Wallet not found.');
+                return;
+            }
+
+            const prompts = {
+                fixed: 'How much SOL should each copied buy spend?',
+                balance_pct: 'What percentage of your SOL balance should each copied buy spend?',
+                proportional: 'Scale the leader\'s portfolio share by what percentage? (100 copies it exactly)',
+                kelly: 'Cap Kelly sizing at what percentage of your SOL balance?'
+            };
+
+            this.bot.userStates.set(telegramId, {
+                state: 'awaiting_copy_trade_size_value',
+                data: { walletId: leader.id, sizingMode }
+            });
+
+            await this.sendAndStoreMessage(chatId, `*${SIZING_MODE_LABELS[sizingMode]}*
+
+${prompts[sizingMode]}
+
+_Default: ${SIZING_DEFAULTS[sizingMode]}_`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❌ Cancel', callback_data: `ct_size_${leader.id}` }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleSelectSizingMode:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, there was an error updating the trade size.');
+        }
+    }
+
+    async handleSizingValueInput(chatId, telegramId, walletId, sizingMode, text) {
+        const value = parseFloat(text);
+        const isPercentage = sizingMode === 'balance_pct' || sizingMode === 'kelly';
+        if (!(value > 0) || (isPercentage && value > 100)) {
+            throw new Error(isPercentage ? 'Please enter a percentage between 0 and 100.' : 'Please enter a positive number.');
+        }
+
+        const user = await this.db.getUserByTelegramId(telegramId);
+        const leader = await this.db.getExternalWalletById(walletId);
+        if (!user || !leader || leader.user_id !== user.id) {
+            throw new Error('Wallet not found.');
+        }
+
+        await this.db.updateExternalWallet(leader.id, { sizing_mode: sizingMode, sizing_value: value });
+        await this.handleShowLeaderSizing(chatId, telegramId, leader.id);
+    }
+
     async handleCopyTradeSlippage(chatId, telegramId) {
         try {
             const message = `
@@ -585,6 +731,166 @@ Your settings and monitored wallets are preserved.`);
         }
     }
 
+    async handleMessage(ctx, userState) {
+        if (!userState || userState.state !== 'awaiting_copy_trade_size_value') {
+            return false;
+        }
+
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+        const { walletId, sizingMode } = userState.data;
+        try {
+            await this.handleSizingValueInput(chatId, telegramId, walletId, sizingMode, (ctx.message.text || '').trim());
+            return { handled: true, clearState: true };
+        } catch (error) {
+            // Keep the state so the user can simply send another value
+            await this.sendAndStoreMessage(chatId, `❌ ${error.message}`);
+            return { handled: true, clearState: false };
+        }
+    }
+
+    async handleCallback(chatId, telegramId, callbackData) {
+        if (callbackData === 'ct_leaders') {
+            await this.handleShowLeaders(chatId, telegramId);
+            return;
+        }
+        if (callbackData === 'ct_size') {
+            await this.handleCopyTradeTradeSize(chatId, telegramId);
+            return;
+        }
+        if (callbackData.startsWith('ct_sizemode_')) {
+            const [walletId, sizingMode] = callbackData.replace('ct_sizemode_', '').split(/_(.+)/);
+            await this.handleSelectSizingMode(chatId, telegramId, walletId, sizingMode);
+            return;
+        }
+        if (callbackData.startsWith('ct_size_')) {
+            await this.handleShowLeaderSizing(chatId, telegramId, callbackData.replace('ct_size_', ''));
+            return;
+        }
+        if (callbackData.startsWith('ct_leader_')) {
+            await this.handleShowLeaderExit(chatId, telegramId, callbackData.replace('ct_leader_', ''));
+            return;
+        }
+        if (callbackData.startsWith('ct_exit_')) {
+            const [walletId, exitMode] = callbackData.replace('ct_exit_', '').split('_');
+            await this.handleSetLeaderExitMode(chatId, telegramId, walletId, exitMode);
+        }
+    }
+
+    async handleShowLeaders(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            if (!user) {
+                await this.sendAndStoreMessage(chatId, 'Please create an account first.');
+                return;
+            }
+
+            const leaders = await this.db.getExternalWallets(user.id);
+            let message = `
+*📱 Followed Wallets*
+
+Choose what happens to a copied position when the wallet you follow sells:
+• *Mirror* - sell the same share of our position
+• *Ignore* - keep holding
+• *My TP/SL* - leave it to your own take-profit/stop-loss rules
+`;
+
+            if (leaders.length === 0) {
+                message += '\n_You are not following any wallets yet._';
+            }
+            leaders.forEach((leader, index) => {
+                const address = `${leader.wallet_address.slice(0, 6)}...${leader.wallet_address.slice(-4)}`;
+                message += `\n${index + 1}. \`${leader.name || address}\` ${leader.is_active ? '✅' : '⏸'} - Exit: ${EXIT_MODE_LABELS[leader.exit_mode || 'mirror']}`;
+            });
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...leaders.map((leader, index) => ([
+                        { text: `${index + 1}. ${leader.name || leader.wallet_address.slice(0, 8)}`, callback_data: `ct_leader_${leader.id}` }
+                    ])),
+                    [
+                        { text: '💰 Trade Size', callback_data: 'ct_size' },
+                        { text: '➕ Add Wallet', callback_data: 'add_external_wallet' }
+                    ],
+                    [
+                        { text: '🏆 Leaderboard', callback_data: 'ldr_list' },
+                        { text: '◀️ Back', callback_data: 'strategies' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleShowLeaders:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading followed wallets.');
+        }
+    }
+
+    async handleShowLeaderExit(chatId, telegramId, walletId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const leader = await this.db.getExternalWalletById(walletId);
+            if (!user || !leader || leader.user_id !== user.id) {
+                await this.sendAndStoreMessage(chatId, 'Wallet not found.');
+                return;
+            }
+
+            const exitMode = leader.exit_mode || 'mirror';
+            const message = `
+*🚪 Exit Settings*
+
+*Wallet:* \`${leader.wallet_address}\`
+*On leader sell:* ${EXIT_MODE_LABELS[exitMode]}
+
+Mirror sells the same percentage of our copied position that the leader sold.`;
+
+            const keyboard = {
+                inline_keyboard: [
+                    Object.entries(EXIT_MODE_LABELS).map(([mode, label]) => ({
+                        text: mode === exitMode ? `✅ ${label}` : label,
+                        callback_data: `ct_exit_${leader.id}_${mode}`
+                    })),
+                    [
+                        { text: '◀️ Back', callback_data: 'ct_leaders' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleShowLeaderExit:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading exit settings.');
+        }
+    }
+
+    async handleSetLeaderExitMode(chatId, telegramId, walletId, exitMode) {
+        try {
+            if (!EXIT_MODE_LABELS[exitMode]) {
+                await this.sendAndStoreMessage(chatId, 'Unknown exit setting.');
+                return;
+            }
+
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const leader = await this.db.getExternalWalletById(walletId);
+            if (!user || !leader || leader.user_id !== user.id) {
+                await this.sendAndStoreMessage(chatId, 'Wallet not found.');
+                return;
+            }
+
+            await this.db.updateExternalWallet(leader.id, { exit_mode: exitMode });
+            await this.handleShowLeaderExit(chatId, telegramId, leader.id);
+        } catch (error) {
+            console.error('Error in handleSetLeaderExitMode:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, there was an error updating the exit setting.');
+        }
+    }
+
     async sendAndStoreMessage(chatId, message, options = {}) {
         const sentMessage = await this.bot.sendMessage(chatId, message, options);
         this.lastMessageIds.set(chatId, sentMessage.message_id);
@@ -5,6 +5,8 @@ class ExportHandlers {
         this.config = config;
         const FileExportService = require('../services/fileExportService');
         this.fileExportService = new FileExportService(config, db);
+        const EmailReportService = require('../services/emailReportService');
+        this.emailReportService = new EmailReportService(config, db);
         this.lastMessageIds = new Map();
     }
 
@@ -30,7 +32,7 @@ class ExportHandlers {
                 if (exportResult.success) {
                     // Send the CSV file
                     await this.bot.sendDocument(chatId, exportResult.filePath, {
-                        caption: `📊 *CSV Export Complete*\n\n*File Details:*\n- Format: CSV (Comma-separated values)\n- Size: ${(exportResult.size / 1024).toFixed(1)} KB\n- Rows: ${exportResult.rowCount}\n- Compatible with: Excel, Google Sheets\n\n*Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\``,
+                        caption: `📊 *CSV Export Complete*\n\n*File Details:*\n- Format: CSV (Comma-separated values)\n- Size: ${(exportResult.size / 1024).toFixed(1)} KB\n- Rows: ${exportResult.rowCount}\n- Compatible with: Excel, Google Sheets\n\n*Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\`${exportResult.simulated ? '\n\n📝 *Includes SIMULATED paper-trading data*' : ''}`,
                         parse_mode: 'Markdown'
                     });
 
@@ -41,6 +43,9 @@ class ExportHandlers {
                                 { text: '📄 Export as JSON', callback_data: 'export_json' },
                                 { text: '📋 Export as PDF', callback_data: 'export_pdf' }
                             ],
+                            [
+                                { text: '🧾 Tax Report', callback_data: 'export_tax' }
+                            ],
                             [
                                 { text: '📊 View Portfolio', callback_data: 'view_portfolio' },
                                 { text: '◀️ Back to Export', callback_data: 'export_portfolio' }
@@ -89,7 +94,7 @@ class ExportHandlers {
                 if (exportResult.success) {
                     // Send the JSON file
                     await this.bot.sendDocument(chatId, exportResult.filePath, {
-                        caption: `📄 *JSON Export Complete*\n\n*File Details:*\n- Format: JSON (JavaScript Object Notation)\n- Size: ${(exportResult.size / 1024).toFixed(1)} KB\n- Holdings: ${exportResult.recordCount.holdings}\n- Transactions: ${exportResult.recordCount.transactions}\n- Use cases: APIs, data analysis, backups\n\n*Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\``,
+                        caption: `📄 *JSON Export Complete*\n\n*File Details:*\n- Format: JSON (JavaScript Object Notation)\n- Size: ${(exportResult.size / 1024).toFixed(1)} KB\n- Holdings: ${exportResult.recordCount.holdings}\n- Transactions: ${exportResult.recordCount.transactions}\n- Use cases: APIs, data analysis, backups\n\n*Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\`${exportResult.simulated ? '\n\n📝 *Includes SIMULATED paper-trading data*' : ''}`,
                         parse_mode: 'Markdown'
                     });
 
@@ -100,6 +105,9 @@ class ExportHandlers {
                                 { text: '📊 Export as CSV', callback_data: 'export_csv' },
                                 { text: '📋 Export as PDF', callback_data: 'export_pdf' }
                             ],
+                            [
+                                { text: '🧾 Tax Report', callback_data: 'export_tax' }
+                            ],
                             [
                                 { text: '📊 View Portfolio', callback_data: 'view_portfolio' },
                                 { text: '◀️ Back to Export', callback_data: 'export_portfolio' }
@@ -148,7 +156,7 @@ class ExportHandlers {
                 if (exportResult.success) {
                     // Send the PDF file
                     await this.bot.sendDocument(chatId, exportResult.filePath, {
-                        caption: `📋 *PDF Report Complete*\n\n*File Details:*\n- Format: PDF (Portable Document Format)\n- Size: ${(exportResult.size / 1024).toFixed(1)} KB\n- Pages: ${exportResult.pageCount}\n- Professional formatting with charts and analysis\n\n*Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\``,
+                        caption: `📋 *PDF Report Complete*\n\n*File Details:*\n- Format: PDF (Portable Document Format)\n- Size: ${(exportResult.size / 1024).toFixed(1)} KB\n- Pages: ${exportResult.pageCount}\n- Professional formatting with charts and analysis\n\n*Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\`${exportResult.simulated ? '\n\n📝 *Includes SIMULATED paper-trading data*' : ''}`,
                         parse_mode: 'Markdown'
                     });
 
@@ -159,6 +167,9 @@ class ExportHandlers {
                                 { text: '📊 Export as CSV', callback_data: 'export_csv' },
                                 { text: '📄 Export as JSON', callback_data: 'export_json' }
                             ],
+                            [
+                                { text: '🧾 Tax Report', callback_data: 'export_tax' }
+                            ],
                             [
                                 { text: '📊 View Portfolio', callback_data: 'view_portfolio' },
                                 { text: '◀️ Back to Export', callback_data: 'export_portfolio' }
@@ -188,56 +199,182 @@ class ExportHandlers {
     async handleExportEmail(chatId, telegramId) {
         try {
             const user = await this.db.getUserByTelegramId(telegramId);
-            const activeWallet = await this.db.getActiveWallet(user.id);
+            const settings = await this.db.getUserSettings(user.id);
+            const EmailReportService = require('../services/emailReportService');
+
+            if (!this.emailReportService.isConfigured()) {
+                await this.sendAndStoreMessage(chatId, '📧 *Email Reports*\n\nEmail delivery is not configured on this bot yet. You can still download CSV, JSON and PDF exports here.', {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [[{ text: '◀️ Back to Export', callback_data: 'export_portfolio' }]]
+                    }
+                });
+                return;
+            }
 
-            if (!activeWallet) {
-                await this.sendAndStoreMessage(chatId, 'No wallet found. Please create a wallet first.');
+            const verified = Boolean(settings.report_email && settings.report_email_verified);
+            const pending = Boolean(settings.report_email && !settings.report_email_verified && settings.email_verification_hash);
+            const emailLine = !settings.report_email
+                ? 'Not set'
+                : `\`${settings.report_email}\` ${verified ? '✅ verified' : '⏳ awaiting verification'}`;
+            const schedule = settings.report_schedule || 'off';
+            const format = settings.report_format || 'pdf';
+
+            const message = `
+*📧 Email Reports*
+
+*Email:* ${emailLine}
+*Schedule:* ${schedule === 'off' ? 'On-demand only' : schedule.charAt(0).toUpperCase() + schedule.slice(1)}
+*Format:* ${format.toUpperCase()}
+*Last sent:* ${settings.report_last_sent_at ? `${settings.report_last_sent_at} UTC` : 'Never'}
+
+Reports are the same files as the CSV, JSON and PDF exports, sent as an attachment. Private keys are never included.
+${verified ? '' : '\nSet and verify an email address to start receiving reports.'}`;
+
+            const rows = [[{ text: settings.report_email ? '✏️ Change Email' : '✉️ Set Email', callback_data: 'export_email_set' }]];
+            if (pending) {
+                rows[0].push({ text: '🔑 Enter Code', callback_data: 'export_email_code' });
+            }
+            if (verified) {
+                rows.push([{ text: '📤 Send Report Now', callback_data: 'export_email_send' }]);
+                rows.push(EmailReportService.SCHEDULES.map(option => ({
+                    text: `${option === schedule ? '✅ ' : ''}${option.charAt(0).toUpperCase()}${option.slice(1)}`,
+                    callback_data: `export_email_schedule_${option}`
+                })));
+                rows.push(EmailReportService.FORMATS.map(option => ({
+                    text: `${option === format ? '✅ ' : ''}${option.toUpperCase()}`,
+                    callback_data: `export_email_format_${option}`
+                })));
+            }
+            rows.push([{ text: '◀️ Back to Export', callback_data: 'export_portfolio' }]);
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: { inline_keyboard: rows }
+            });
+        } catch (error) {
+            console.error('Error setting up email export:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while setting up the email export.');
+        }
+    }
+
+    // export_email_set, export_email_code, export_email_send, export_email_schedule_<x>, export_email_format_<x>
+    async handleEmailCallback(chatId, telegramId, callbackData) {
+        const action = callbackData.replace('export_email_', '');
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+
+            if (action === 'set') {
+                this.bot.userStates.set(telegramId, { state: 'awaiting_report_email', data: {} });
+                await this.sendAndStoreMessage(chatId, '✉️ *Set Email*\n\nSend the email address that should receive your reports. We will email it a 6-digit code to confirm it is yours.', {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'export_email' }]]
+                    }
+                });
                 return;
             }
 
-            // Show processing message
-            await this.sendAndStoreMessage(chatId, '📧 *Preparing email report...*', {
-                parse_mode: 'Markdown'
+            if (action === 'code') {
+                this.bot.userStates.set(telegramId, { state: 'awaiting_email_code', data: {} });
+                await this.sendAndStoreMessage(chatId, '🔑 Send the 6-digit code from the verification email.', {
+                    reply_markup: {
+                        inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'export_email' }]]
+                    }
+                });
+                return;
+            }
+
+            if (action === 'send') {
+                await this.sendAndStoreMessage(chatId, '📤 *Sending report...*', { parse_mode: 'Markdown' });
+                const result = await this.emailReportService.sendReport(user);
+                await this.sendAndStoreMessage(chatId, `✅ *Report sent!*\n\n${result.format.toUpperCase()} report (${(result.size / 1024).toFixed(1)} KB) sent to \`${result.email}\`.`, {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [[{ text: '◀️ Email Reports', callback_data: 'export_email' }]]
+                    }
+                });
+                return;
+            }
+
+            if (action.startsWith('schedule_')) {
+                await this.emailReportService.setSchedule(user.id, action.replace('schedule_', ''));
+            } else if (action.startsWith('format_')) {
+                await this.emailReportService.setFormat(user.id, action.replace('format_', ''));
+            } else {
+                console.warn('Unhandled email export callback:', callbackData);
+                return;
+            }
+            await this.handleExportEmail(chatId, telegramId);
+        } catch (error) {
+            console.error('Error handling email export action:', error);
+            await this.sendAndStoreMessage(chatId, `❌ ${error.message}`, {
+                reply_markup: {
+                    inline_keyboard: [[{ text: '◀️ Email Reports', callback_data: 'export_email' }]]
+                }
             });
+        }
+    }
 
-            await new Promise(resolve => setTimeout(resolve, 1700));
+    // Handle text input for the email address and verification code
+    async handleMessage(ctx, userState) {
+        if (!userState || !['awaiting_report_email', 'awaiting_email_code'].includes(userState.state)) {
+            return false;
+        }
 
-            // TODO: Implement actual email export functionality
-            const message = `
-*📧 Email Report Setup*
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+        const message = (ctx.message.text || '').trim();
+        const keyboard = {
+            inline_keyboard: [[{ text: '◀️ Email Reports', callback_data: 'export_email' }]]
+        };
+
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
 
-Your portfolio report can be sent directly to your email address.
+            if (userState.state === 'awaiting_report_email') {
+                const result = await this.emailReportService.startVerification(user.id, message);
+                this.bot.userStates.set(telegramId, { state: 'awaiting_email_code', data: {} });
+                await this.sendAndStoreMessage(chatId, `📨 A 6-digit code was sent to \`${result.email}\`.\n\nSend it here within ${result.expiresInMinutes} minutes to confirm the address.`, {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'export_email' }]]
+                    }
+                });
+                // The state now waits for the code, so keep it
+                return { handled: true, clearState: false };
+            }
 
-*Email Options:*
-- PDF attachment
-- HTML formatted report
-- CSV data file
-- Weekly/Monthly schedule
+            const result = await this.emailReportService.confirmVerification(user.id, message);
+            await this.sendAndStoreMessage(chatId, `✅ *Email verified!*\n\nReports can now be sent to \`${result.email}\`. Choose a schedule or send one now from Email Reports.`, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+            return { handled: true, clearState: true };
+        } catch (error) {
+            console.error('Error in exportHandlers.handleMessage:', error);
+            await this.sendAndStoreMessage(chatId, `❌ ${error.message}`, { reply_markup: keyboard });
+            return { handled: true, clearState: true };
+        }
+    }
 
-*Current Status:*
-- Email service: Not configured
-- User email: Not set
-- Report frequency: On-demand
+    // Years that can be reported: this one and the previous two
+    async handleTaxReportMenu(chatId, telegramId) {
+        try {
+            const currentYear = new Date().getUTCFullYear();
+            const years = [currentYear, currentYear - 1, currentYear - 2];
+            const message = `
+*🧾 Tax Report*
 
-*Security Features:*
-- Encrypted transmission
-- No sensitive keys included
-- Secure attachment handling
+A realised-gains report lists every sale of a token with when it was bought, its cost basis, the proceeds in SOL and USD at the time, and how long it was held.
 
-*Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\`
+Cost basis includes swap and 4TOOL fees. Paper trades are not included.
 
-💡 *Note:* Email service configuration coming soon!`;
+Choose a tax year:`;
 
             const keyboard = {
                 inline_keyboard: [
-                    [
-                        { text: '📊 CSV Export', callback_data: 'export_csv' },
-                        { text: '📄 JSON Export', callback_data: 'export_json' }
-                    ],
-                    [
-                        { text: '📋 PDF Report', callback_data: 'export_pdf' },
-                        { text: '📊 View Portfolio', callback_data: 'view_portfolio' }
-                    ],
+                    years.map(year => ({ text: `${year}`, callback_data: `export_tax_${year}` })),
                     [
                         { text: '◀️ Back to Export', callback_data: 'export_portfolio' }
                     ]
@@ -249,8 +386,86 @@ Your portfolio report can be sent directly to your email address.
                 reply_markup: keyboard
             });
         } catch (error) {
-            console.error('Error setting up email export:', error);
-            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while setting up the email export.');
+            console.error('Error showing tax report menu:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading the tax report options.');
+        }
+    }
+
+    async handleTaxReportFormats(chatId, telegramId, year) {
+        try {
+            const FileExportService = require('../services/fileExportService');
+            const formats = Object.entries(FileExportService.TAX_FORMATS);
+            const message = `
+*🧾 Tax Report ${year}*
+
+*Formats:*
+- Generic CSV: every disposal with full SOL and USD detail
+- TurboTax: disposals with cost basis and proceeds in USD
+- Koinly / CoinTracker: the year's buys and sells, for the tool to match
+
+Choose a format:`;
+
+            const rows = [];
+            for (let i = 0; i < formats.length; i += 2) {
+                rows.push(formats.slice(i, i + 2).map(([format, layout]) => ({
+                    text: layout.label,
+                    callback_data: `export_tax_${year}_${format}`
+                })));
+            }
+            rows.push([{ text: '◀️ Back', callback_data: 'export_tax' }]);
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: { inline_keyboard: rows }
+            });
+        } catch (error) {
+            console.error('Error showing tax report formats:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading the tax report formats.');
+        }
+    }
+
+    async handleExportTaxReport(chatId, telegramId, year, format) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+
+            await this.sendAndStoreMessage(chatId, `🧾 *Generating ${year} tax report...*`, {
+                parse_mode: 'Markdown'
+            });
+
+            try {
+                const exportResult = await this.fileExportService.exportTaxReport(user, year, format);
+                const { totals } = exportResult;
+                const usdLine = totals.missingUsd > 0
+                    ? `\n- ⚠️ ${totals.missingUsd} disposal(s) have no USD price`
+                    : '';
+
+                await this.bot.sendDocument(chatId, exportResult.filePath, {
+                    caption: `🧾 *Tax Report ${year}*\n\n- Format: ${exportResult.format}\n- Rows: ${exportResult.rowCount}\n- Cost basis: ${exportResult.method === 'average' ? 'average cost' : 'FIFO'}\n- Disposals: ${totals.disposals}\n- Realised gain: ${totals.gainSol.toFixed(4)} SOL / $${totals.gainUsd.toFixed(2)}\n- Short term: $${totals.shortTermGainUsd.toFixed(2)}\n- Long term: $${totals.longTermGainUsd.toFixed(2)}${usdLine}`,
+                    parse_mode: 'Markdown'
+                });
+
+                const keyboard = {
+                    inline_keyboard: [
+                        [
+                            { text: '🧾 Another Format', callback_data: `export_tax_${year}` },
+                            { text: '◀️ Back to Export', callback_data: 'export_portfolio' }
+                        ]
+                    ]
+                };
+
+                await this.sendAndStoreMessage(chatId, '✅ *Tax report sent!*\n\nThis report is a record of your trades through 4TOOL, not tax advice. Check it against your other wallets and exchanges before filing.', {
+                    parse_mode: 'Markdown',
+                    reply_markup: keyboard
+                });
+            } catch (exportError) {
+                console.error('Tax report export error:', exportError);
+                await this.sendAndStoreMessage(chatId, '❌ *Export Failed*\n\nSorry, there was an error generating your tax report. Please try again later.', {
+                    parse_mode: 'Markdown'
+                });
+            }
+        } catch (error) {
+            console.error('Error exporting tax report:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while generating the tax report.');
         }
     }
 
@@ -9,6 +9,11 @@ const ExportHandlers = require('./exportHandlers');
 const SecurityHandlers = require('./securityHandlers');
 const CopyTradeHandlers = require('./copyTradeHandlers');
 const SettingsHandlers = require('./settingsHandlers');
+const LimitOrderHandlers = require('./limitOrderHandlers');
+const WalletGroupHandlers = require('./walletGroupHandlers');
+const LeaderboardHandlers = require('./leaderboardHandlers');
+const RewardsHandlers = require('./rewardsHandlers');
+const ReferralHandlers = require('./referralHandlers');
 
 module.exports = {
     WalletHandlers,
@@ -20,5 +25,10 @@ module.exports = {
     ExportHandlers,
     SecurityHandlers,
     CopyTradeHandlers,
-    SettingsHandlers
+    SettingsHandlers,
+    LimitOrderHandlers,
+    WalletGroupHandlers,
+    LeaderboardHandlers,
+    RewardsHandlers,
+    ReferralHandlers
 };
@@ -0,0 +1,276 @@
+const TelegramErrorHandler = require('../utils/telegramErrorHandler');
+const WalletAnalyticsService = require('../services/walletAnalyticsService');
+
+class LeaderboardHandlers {
+    constructor(bot, db, config) {
+        this.bot = bot;
+        this.db = db;
+        this.config = config;
+        this.walletAnalytics = new WalletAnalyticsService(config, db);
+        this.lastMessageIds = new Map();
+    }
+
+    // Route ldr_* callbacks
+    async handleCallback(chatId, telegramId, callbackData) {
+        if (callbackData === 'ldr_list') {
+            return await this.handleLeaders(chatId, telegramId);
+        }
+        if (callbackData === 'ldr_analyze') {
+            return await this.handleAnalyzePrompt(chatId, telegramId);
+        }
+
+        // The rest are ldr_<action>_<walletAddress>
+        const match = callbackData.match(/^ldr_([a-z]+)_([1-9A-HJ-NP-Za-km-z]{32,44})$/);
+        if (!match) {
+            console.warn('Unhandled leaderboard callback:', callbackData);
+            return;
+        }
+        const [, action, walletAddress] = match;
+        switch (action) {
+            case 'view':
+                return await this.handleViewWallet(chatId, telegramId, walletAddress);
+            case 'refresh':
+                return await this.handleAnalyzeWallet(chatId, telegramId, walletAddress, true);
+            case 'follow':
+                return await this.handleFollowWallet(chatId, telegramId, walletAddress);
+            default:
+                console.warn('Unhandled leaderboard callback:', callbackData);
+        }
+    }
+
+    // Handle text input for leaderboard waiting states
+    async handleMessage(ctx, userState) {
+        if (!userState || userState.state !== 'awaiting_leader_address') {
+            return false;
+        }
+
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+        const walletAddress = (ctx.message.text || '').trim();
+
+        if (!LeaderboardHandlers.isValidAddress(walletAddress)) {
+            await this.sendAndStoreMessage(chatId, 'Invalid wallet address. Please enter a valid Solana address.');
+            return { handled: true, clearState: false };
+        }
+        await this.handleAnalyzeWallet(chatId, telegramId, walletAddress, false);
+        return { handled: true, clearState: true };
+    }
+
+    async handleLeaders(chatId, telegramId) {
+        try {
+            const leaders = this.walletAnalytics.getLeaderboard(10);
+
+            let message = `
+*🏆 Wallet Leaderboard*
+
+Wallets ranked on their own swap history: win rate, profit factor, return on SOL deployed and drawdown. Scores are scaled down for wallets with few closed trades.
+`;
+            if (leaders.length === 0) {
+                message += '\n_No wallets analysed yet. Send one in to see its track record._';
+            }
+            leaders.forEach((leader, index) => {
+                message += `\n${index + 1}. \`${LeaderboardHandlers.shortAddress(leader.wallet_address)}\` - *${leader.score.toFixed(0)}*`;
+                message += `\n   Win ${(leader.win_rate * 100).toFixed(0)}% | PnL ${LeaderboardHandlers.formatSol(leader.realized_pnl_sol)} | ${leader.closed_trades} trades`;
+            });
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...leaders.map((leader, index) => ([
+                        { text: `${index + 1}. ${LeaderboardHandlers.shortAddress(leader.wallet_address)}`, callback_data: `ldr_view_${leader.wallet_address}` }
+                    ])),
+                    [
+                        { text: '🔍 Analyse Wallet', callback_data: 'ldr_analyze' },
+                        { text: '📱 Followed Wallets', callback_data: 'ct_leaders' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleLeaders:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading the leaderboard.');
+        }
+    }
+
+    async handleAnalyzePrompt(chatId, telegramId) {
+        try {
+            this.bot.userStates.set(telegramId, {
+                state: 'awaiting_leader_address',
+                data: {}
+            });
+
+            await this.sendAndStoreMessage(chatId, `
+*🔍 Analyse Wallet*
+
+Send the Solana address of a wallet you are thinking of copying. Its recent swaps will be replayed to work out its PnL, win rate, hold times and drawdown.`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'ldr_list' }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleAnalyzePrompt:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong. Please try again.');
+        }
+    }
+
+    async handleAnalyzeWallet(chatId, telegramId, walletAddress, force) {
+        try {
+            await this.sendAndStoreMessage(chatId, `⏳ Analysing \`${LeaderboardHandlers.shortAddress(walletAddress)}\`...`, {
+                parse_mode: 'Markdown'
+            });
+            await this.walletAnalytics.analyzeWallet(walletAddress, { force });
+            await this.handleViewWallet(chatId, telegramId, walletAddress);
+        } catch (error) {
+            console.error('Error in handleAnalyzeWallet:', error);
+            await this.sendAndStoreMessage(chatId, `❌ Could not analyse this wallet: ${error.message}`, {
+                reply_markup: {
+                    inline_keyboard: [[{ text: '🏆 Leaderboard', callback_data: 'ldr_list' }]]
+                }
+            });
+        }
+    }
+
+    async handleViewWallet(chatId, telegramId, walletAddress) {
+        try {
+            const analytics = this.db.getWalletAnalytics(walletAddress);
+            if (!analytics) {
+                return await this.handleAnalyzeWallet(chatId, telegramId, walletAddress, false);
+            }
+            const tokens = this.db.getWalletAnalyticsTokens(walletAddress);
+
+            let message = `
+*📊 Wallet Track Record*
+
+\`${walletAddress}\`
+
+*Score:* ${analytics.score.toFixed(0)}/100
+*Closed Trades:* ${analytics.closed_trades} (from ${analytics.swaps_analyzed} swaps)
+*Win Rate:* ${(analytics.win_rate * 100).toFixed(1)}%
+*Profit Factor:* ${analytics.profit_factor.toFixed(2)}
+*Realised PnL:* ${LeaderboardHandlers.formatSol(analytics.realized_pnl_sol)}
+*Unrealised PnL:* ${LeaderboardHandlers.formatSol(analytics.unrealized_pnl_sol)}
+*SOL Deployed:* ${analytics.total_cost_sol.toFixed(2)} SOL
+*Avg Hold:* ${LeaderboardHandlers.formatDuration(analytics.avg_hold_seconds)}
+*Max Drawdown:* ${(analytics.max_drawdown * 100).toFixed(1)}%
+`;
+            if (analytics.first_trade_at && analytics.last_trade_at) {
+                const date = seconds => new Date(seconds * 1000).toISOString().slice(0, 10);
+                message += `*Period:* ${date(analytics.first_trade_at)} to ${date(analytics.last_trade_at)}\n`;
+            }
+
+            if (tokens.length > 0) {
+                message += '\n*Best and worst tokens:*';
+                const shown = tokens.length > 6 ? [...tokens.slice(0, 3), ...tokens.slice(-3)] : tokens;
+                for (const token of shown) {
+                    const pnl = token.realized_pnl_sol + token.unrealized_pnl_sol;
+                    const status = token.open_amount > 0 ? ' (open)' : '';
+                    message += `\n• \`${LeaderboardHandlers.shortAddress(token.token_address)}\` ${LeaderboardHandlers.formatSol(pnl)}${status}`;
+                }
+            }
+            message += `\n\n_Analysed ${analytics.analyzed_at} UTC_`;
+
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const followed = user
+                ? (await this.db.getExternalWallets(user.id)).some(wallet => wallet.wallet_address === walletAddress)
+                : false;
+
+            const keyboard = {
+                inline_keyboard: [
+                    [
+                        followed
+                            ? { text: '✅ Following', callback_data: 'ct_leaders' }
+                            : { text: '➕ Copy This Wallet', callback_data: `ldr_follow_${walletAddress}` },
+                        { text: '🔄 Refresh', callback_data: `ldr_refresh_${walletAddress}` }
+                    ],
+                    [
+                        { text: '◀️ Leaderboard', callback_data: 'ldr_list' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleViewWallet:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading this wallet.');
+        }
+    }
+
+    async handleFollowWallet(chatId, telegramId, walletAddress) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            if (!user) {
+                await this.sendAndStoreMessage(chatId, 'Please create an account first.');
+                return;
+            }
+
+            const existing = (await this.db.getExternalWallets(user.id)).find(wallet => wallet.wallet_address === walletAddress);
+            if (!existing) {
+                await this.db.addExternalWallet(user.id, walletAddress);
+            }
+
+            await this.sendAndStoreMessage(chatId, `
+*✅ Now Following*
+
+\`${walletAddress}\`
+
+Its trades will be copied with your copy-trade settings. Set the trade size and what happens when it sells under Followed Wallets.`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '📱 Followed Wallets', callback_data: 'ct_leaders' },
+                            { text: '🏆 Leaderboard', callback_data: 'ldr_list' }
+                        ]
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleFollowWallet:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while following this wallet.');
+        }
+    }
+
+    static isValidAddress(address) {
+        try {
+            const bs58Module = require('bs58');
+            const bs58 = bs58Module.default || bs58Module;
+            return bs58.decode(address).length === 32;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static shortAddress(address) {
+        return `${address.slice(0, 6)}...${address.slice(-4)}`;
+    }
+
+    static formatSol(value) {
+        return `${value >= 0 ? '+' : ''}${value.toFixed(3)} SOL`;
+    }
+
+    static formatDuration(seconds) {
+        if (!(seconds > 0)) {
+            return '-';
+        }
+        if (seconds < 3600) {
+            return `${Math.round(seconds / 60)}m`;
+        }
+        if (seconds < 86400) {
+            return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`;
+        }
+        return `${(seconds / 86400).toFixed(1)}d`;
+    }
+
+    async sendAndStoreMessage(chatId, message, options = {}) {
+        return await TelegramErrorHandler.sendMessage(this.bot, chatId, message, options, this.lastMessageIds);
+    }
+}
+
+module.exports = LeaderboardHandlers;
@@ -0,0 +1,379 @@
+const TelegramErrorHandler = require('../utils/telegramErrorHandler');
+
+class LimitOrderHandlers {
+    constructor(bot, db, config, tradingExecution) {
+        this.bot = bot;
+        this.db = db;
+        this.config = config;
+        this.tradingExecution = tradingExecution;
+        this.lastMessageIds = new Map();
+    }
+
+    // Route lo_* callbacks
+    async handleCallback(chatId, telegramId, callbackData) {
+        if (callbackData === 'lo_list') {
+            return await this.handleListOrders(chatId, telegramId);
+        }
+        if (callbackData === 'lo_new') {
+            return await this.handleNewOrderPrompt(chatId, telegramId);
+        }
+        if (callbackData.startsWith('lo_view_')) {
+            return await this.handleViewOrder(chatId, telegramId, parseInt(callbackData.replace('lo_view_', ''), 10));
+        }
+        if (callbackData.startsWith('lo_cancel_')) {
+            return await this.handleCancelOrder(chatId, telegramId, parseInt(callbackData.replace('lo_cancel_', ''), 10));
+        }
+        if (callbackData.startsWith('lo_amend_')) {
+            return await this.handleAmendPrompt(chatId, telegramId, parseInt(callbackData.replace('lo_amend_', ''), 10));
+        }
+        console.warn('Unhandled limit order callback:', callbackData);
+    }
+
+    // Handle text input for limit order waiting states
+    async handleMessage(ctx, userState) {
+        if (!userState) {
+            return false;
+        }
+
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+        const message = (ctx.message.text || '').trim();
+
+        try {
+            switch (userState.state) {
+                case 'awaiting_limit_order':
+                    await this.handleNewOrderInput(chatId, telegramId, message);
+                    return { handled: true, clearState: true };
+                case 'awaiting_limit_order_amend':
+                    await this.handleAmendInput(chatId, telegramId, userState.data.orderId, message);
+                    return { handled: true, clearState: true };
+                default:
+                    return false;
+            }
+        } catch (error) {
+            console.error('Error in limitOrderHandlers.handleMessage:', error);
+            await this.sendAndStoreMessage(chatId, `❌ ${error.message}`, {
+                reply_markup: {
+                    inline_keyboard: [[{ text: '📋 Limit Orders', callback_data: 'lo_list' }]]
+                }
+            });
+            return { handled: true, clearState: true };
+        }
+    }
+
+    async handleListOrders(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const openOrders = this.db.getOpenLimitOrdersByUserId(user.id);
+            const history = this.db.getLimitOrderHistory(user.id, 5);
+
+            let message = `
+*📋 Limit Orders*
+
+*Open Orders:* ${openOrders.length}
+`;
+            if (openOrders.length === 0) {
+                message += '\nYou have no open limit orders.\n';
+            } else {
+                for (const order of openOrders) {
+                    message += `\n${this.formatOrderLine(order)}`;
+                }
+                message += '\n';
+            }
+
+            if (history.length > 0) {
+                message += '\n*Recent History:*';
+                for (const order of history) {
+                    message += `\n${this.formatOrderLine(order)}`;
+                }
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...openOrders.map(order => ([
+                        { text: `#${order.id} ${order.side.toUpperCase()} @ $${order.target_price}`, callback_data: `lo_view_${order.id}` }
+                    ])),
+                    [
+                        { text: '➕ New Limit Order', callback_data: 'lo_new' },
+                        { text: '🔄 Refresh', callback_data: 'lo_list' }
+                    ],
+                    [
+                        { text: '◀️ Back to Trading', callback_data: 'trade' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleListOrders:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading your limit orders.');
+        }
+    }
+
+    async handleNewOrderPrompt(chatId, telegramId) {
+        try {
+            const message = `
+*➕ New Limit Order*
+
+Send your order in one line:
+\`buy|sell <token> <amount> <price> [expiryHours] [slippage%]\`
+
+*Examples:*
+\`buy So11...abc 0.5 0.0012\` — spend 0.5 SOL when price drops to $0.0012
+\`sell So11...abc 1000 0.002 48 2\` — sell 1000 tokens at $0.002, expires in 48h, 2% slippage
+
+• Buy amounts are in SOL, sell amounts are in tokens
+• Prices are in USD
+• Default expiry is 24 hours`;
+
+            this.bot.userStates.set(telegramId, {
+                state: 'awaiting_limit_order',
+                data: {}
+            });
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'lo_list' }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleNewOrderPrompt:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while starting a new limit order.');
+        }
+    }
+
+    async handleNewOrderInput(chatId, telegramId, text) {
+        const parts = text.split(/\s+/);
+        if (parts.length < 4) {
+            throw new Error('Invalid format. Use: buy|sell <token> <amount> <price> [expiryHours] [slippage%]');
+        }
+
+        const [side, tokenAddress, amountStr, priceStr, expiryStr, slippageStr] = parts;
+        const user = await this.db.getUserByTelegramId(telegramId);
+        const activeWallet = await this.db.getActiveWallet(user.id);
+        if (!activeWallet) {
+            throw new Error('No active wallet. Please create or import a wallet first.');
+        }
+
+        const settings = await this.db.getUserSettings(user.id);
+        const expiryHours = expiryStr ? parseFloat(expiryStr) : 24;
+        if (isNaN(expiryHours) || expiryHours <= 0) {
+            throw new Error('Expiry must be a positive number of hours');
+        }
+        const slippagePercent = slippageStr ? parseFloat(slippageStr) : (settings.default_slippage || 1);
+        if (isNaN(slippagePercent) || slippagePercent <= 0 || slippagePercent > 50) {
+            throw new Error('Slippage must be between 0 and 50%');
+        }
+
+        const result = await this.tradingExecution.executeTrade({
+            user,
+            wallet: activeWallet,
+            tokenAddress,
+            amount: parseFloat(amountStr),
+            side,
+            type: 'limit',
+            price: parseFloat(priceStr),
+            slippageBps: Math.round(slippagePercent * 100),
+            expiresAt: new Date(Date.now() + expiryHours * 60 * 60 * 1000).toISOString()
+        });
+
+        const message = `
+*✅ Limit Order Placed*
+
+${this.formatOrderDetails(result.order)}
+
+You'll be notified when the order fills or expires.`;
+
+        await this.sendAndStoreMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '✏️ Amend', callback_data: `lo_amend_${result.orderId}` },
+                        { text: '🗑 Cancel Order', callback_data: `lo_cancel_${result.orderId}` }
+                    ],
+                    [
+                        { text: '📋 Limit Orders', callback_data: 'lo_list' }
+                    ]
+                ]
+            }
+        });
+    }
+
+    async handleViewOrder(chatId, telegramId, orderId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const order = this.db.getLimitOrderById(orderId, user.id);
+            if (!order) {
+                await this.sendAndStoreMessage(chatId, '❌ Limit order not found.');
+                return;
+            }
+
+            const keyboard = { inline_keyboard: [] };
+            if (order.status === 'open') {
+                keyboard.inline_keyboard.push([
+                    { text: '✏️ Amend', callback_data: `lo_amend_${order.id}` },
+                    { text: '🗑 Cancel Order', callback_data: `lo_cancel_${order.id}` }
+                ]);
+            }
+            keyboard.inline_keyboard.push([{ text: '◀️ Back', callback_data: 'lo_list' }]);
+
+            await this.sendAndStoreMessage(chatId, `
+*📋 Limit Order #${order.id}*
+
+${this.formatOrderDetails(order)}`, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleViewOrder:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading the limit order.');
+        }
+    }
+
+    async handleCancelOrder(chatId, telegramId, orderId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const order = this.db.getLimitOrderById(orderId, user.id);
+            if (!order) {
+                await this.sendAndStoreMessage(chatId, '❌ Limit order not found.');
+                return;
+            }
+
+            const cancelled = this.db.transitionLimitOrderStatus(order.id, 'open', 'cancelled');
+            const message = cancelled
+                ? `✅ Limit order #${order.id} cancelled.`
+                : `⚠️ Limit order #${order.id} can no longer be cancelled (status: ${order.status}).`;
+
+            await this.sendAndStoreMessage(chatId, message, {
+                reply_markup: {
+                    inline_keyboard: [[{ text: '📋 Limit Orders', callback_data: 'lo_list' }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleCancelOrder:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while cancelling the limit order.');
+        }
+    }
+
+    async handleAmendPrompt(chatId, telegramId, orderId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const order = this.db.getLimitOrderById(orderId, user.id);
+            if (!order || order.status !== 'open') {
+                await this.sendAndStoreMessage(chatId, '❌ Only open limit orders can be amended.');
+                return;
+            }
+
+            this.bot.userStates.set(telegramId, {
+                state: 'awaiting_limit_order_amend',
+                data: { orderId: order.id }
+            });
+
+            await this.sendAndStoreMessage(chatId, `
+*✏️ Amend Limit Order #${order.id}*
+
+*Current Target:* $${order.target_price}
+*Current Amount:* ${order.amount} ${order.side === 'buy' ? 'SOL' : 'tokens'}
+
+Send the new target price, optionally followed by a new amount:
+\`<price> [amount]\``, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❌ Cancel', callback_data: `lo_view_${order.id}` }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleAmendPrompt:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while amending the limit order.');
+        }
+    }
+
+    async handleAmendInput(chatId, telegramId, orderId, text) {
+        const [priceStr, amountStr] = text.split(/\s+/);
+        const user = await this.db.getUserByTelegramId(telegramId);
+        const order = this.db.getLimitOrderById(orderId, user.id);
+        if (!order || order.status !== 'open') {
+            throw new Error('Only open limit orders can be amended.');
+        }
+
+        const updates = {};
+        const newPrice = parseFloat(priceStr);
+        if (isNaN(newPrice) || newPrice <= 0) {
+            throw new Error('Limit price must be a positive number');
+        }
+        updates.target_price = newPrice;
+
+        if (amountStr) {
+            const newAmount = parseFloat(amountStr);
+            if (isNaN(newAmount) || newAmount <= 0) {
+                throw new Error('Order amount must be a positive number');
+            }
+            updates.amount = newAmount;
+        }
+
+        this.db.updateLimitOrder(order.id, updates);
+        const updatedOrder = this.db.getLimitOrderById(order.id, user.id);
+
+        await this.sendAndStoreMessage(chatId, `
+*✅ Limit Order Amended*
+
+${this.formatOrderDetails(updatedOrder)}`, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [[{ text: '📋 Limit Orders', callback_data: 'lo_list' }]]
+            }
+        });
+    }
+
+    formatOrderLine(order) {
+        const statusEmoji = {
+            open: '🟢',
+            filling: '⏳',
+            filled: '✅',
+            cancelled: '🚫',
+            expired: '⌛',
+            failed: '❌'
+        }[order.status] || '•';
+        const token = `${order.token_address.slice(0, 4)}...${order.token_address.slice(-4)}`;
+        const unit = order.side === 'buy' ? 'SOL' : 'tokens';
+        return `${statusEmoji} #${order.id} ${order.side.toUpperCase()} ${order.amount} ${unit} of \`${token}\` @ $${order.target_price}`;
+    }
+
+    formatOrderDetails(order) {
+        let details = `*Side:* ${order.side.toUpperCase()}
+*Token:* \`${order.token_address}\`
+*Amount:* ${order.amount} ${order.side === 'buy' ? 'SOL' : 'tokens'}
+*Target Price:* $${order.target_price}
+*Slippage:* ${(order.slippage_bps / 100).toFixed(2)}%
+*Status:* ${order.status}`;
+
+        if (order.expires_at) {
+            details += `\n*Expires:* ${new Date(order.expires_at).toLocaleString()}`;
+        }
+        if (order.last_price) {
+            details += `\n*Last Price:* $${order.last_price}`;
+        }
+        if (order.fill_price) {
+            details += `\n*Fill Price:* $${order.fill_price}`;
+        }
+        if (order.fill_signature) {
+            details += `\n*Transaction:* [View on Solscan](https://solscan.io/tx/${order.fill_signature})`;
+        }
+        if (order.error) {
+            // Swap errors often contain Markdown characters (program_error, *0x1771*)
+            details += `\n*Error:* ${order.error.replace(/([_*`\[])/g, '\\$1')}`;
+        }
+        return details;
+    }
+
+    async sendAndStoreMessage(chatId, message, options = {}) {
+        return await TelegramErrorHandler.sendMessage(this.bot, chatId, message, options, this.lastMessageIds);
+    }
+}
+
+module.exports = LimitOrderHandlers;
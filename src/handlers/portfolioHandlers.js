@@ -1,3 +1,6 @@
+const PaperTradingService = require('../services/paperTradingService');
+const PnlLedgerService = require('../services/pnlLedgerService');
+
 class PortfolioHandlers {
     constructor(bot, db, config) {
         this.bot = bot;
@@ -10,6 +13,9 @@ class PortfolioHandlers {
         
         // Initialize wallet holdings service
         this.holdingsService = new this.walletHoldingsService(config);
+        // Balances only; paper fills happen in the buy/sell managers
+        this.paperTradingService = new PaperTradingService(config, db, null);
+        this.pnlLedger = new PnlLedgerService(config, db);
     }
 
     async handleViewPortfolio(chatId, telegramId) {
@@ -56,7 +62,7 @@ Please create or import a wallet first to view your portfolio.`;
             const MarketDataService = require('../services/marketDataService');
             const portfolioService = new PortfolioService(this.config);
             const tokenDataService = new TokenDataService(this.config);
-            const marketDataService = new MarketDataService();
+            const marketDataService = new MarketDataService(this.config);
             let allHoldings = {};
             let solTotal = 0;
             let solPrice = 0;
@@ -77,7 +83,7 @@ Please create or import a wallet first to view your portfolio.`;
             }
 
             for (const wallet of wallets) {
-                const walletBalance = await portfolioService.getWalletBalance(wallet.public_key);
+                const walletBalance = await this.getWalletBalance(portfolioService, wallet);
                 solTotal += walletBalance.sol;
                 // Debug: log SPL tokens for this wallet
                 console.log(`[Portfolio] Wallet: ${wallet.public_key}, SPL tokens:`, walletBalance.tokens);
@@ -191,7 +197,7 @@ Please create or import a wallet first to view your portfolio.`;
 
             const message = `
 *📊 Portfolio Overview*
-
+${this.formatSimulatedNotice(wallets)}
 *Total Value:* $${totalValue.toFixed(2)}
 *24h Change:* ${change24h.toFixed(2)}%
 
@@ -199,7 +205,7 @@ Please create or import a wallet first to view your portfolio.`;
 ${holdingsList}
 
 
-*Wallets:*\n${wallets.map(w => `\`${w.public_key.slice(0, 8)}...${w.public_key.slice(-8)}\``).join(' | ')}
+*Wallets:*\n${wallets.map(w => this.formatWalletLabel(w)).join(' | ')}
 `;
 
             const keyboard = {
@@ -278,7 +284,7 @@ Please create or import a wallet first to view your portfolio.`;
             const MarketDataService = require('../services/marketDataService');
             const portfolioService = new PortfolioService(this.config);
             const tokenDataService = new TokenDataService(this.config);
-            const marketDataService = new MarketDataService();
+            const marketDataService = new MarketDataService(this.config);
             let allHoldings = {};
             let solTotal = 0;
             let solPrice = 0;
@@ -291,7 +297,7 @@ Please create or import a wallet first to view your portfolio.`;
             } catch (e) {}
             const wallets = await this.db.getWalletsByUserId(user.id);
             for (const wallet of wallets) {
-                const walletBalance = await portfolioService.getWalletBalance(wallet.public_key);
+                const walletBalance = await this.getWalletBalance(portfolioService, wallet);
                 solTotal += walletBalance.sol;
                 for (const t of walletBalance.tokens) {
                     if (!allHoldings[t.mint]) {
@@ -379,7 +385,7 @@ Please create or import a wallet first to view your portfolio.`;
             const tradesList = recentTrades.length > 0
                 ? recentTrades.map(tr => `• ${tr.side || tr.type || 'TRADE'} ${tr.amount} ${tr.token || tr.token_address || ''} @ $${tr.price || ''} (${tr.wallet ? tr.wallet.slice(0, 6) + '...' : ''})`).join('\n')
                 : '';
-            const message = `\n*📊 Portfolio Overview*\n\n*Total Value:* $${totalValue.toFixed(2)}\n*24h Change:* ${change24h.toFixed(2)}%\n\n*Holdings:*\n${holdingsList}\n\n*Wallets:*\n${wallets.map(w => `\`${w.public_key.slice(0, 8)}...${w.public_key.slice(-8)}\``).join(' | ')}\n`;
+            const message = `\n*📊 Portfolio Overview*\n${this.formatSimulatedNotice(wallets)}\n*Total Value:* $${totalValue.toFixed(2)}\n*24h Change:* ${change24h.toFixed(2)}%\n\n*Holdings:*\n${holdingsList}\n\n*Wallets:*\n${wallets.map(w => this.formatWalletLabel(w)).join(' | ')}\n`;
 
             const keyboard = {
                 inline_keyboard: [
@@ -451,10 +457,15 @@ Please create or import a wallet first to view your trade history.`;
             // Fetch real trade history and statistics
             const db = this.db;
             const MarketDataService = require('../services/marketDataService');
-            const marketDataService = new MarketDataService();
+            const marketDataService = new MarketDataService(this.config);
             const recentTrades = db.getTradesByUser(user.id, 10) || [];
             const stats = db.getTradeStatsByUser(user.id) || { total_trades: 0, buy_trades: 0, sell_trades: 0, total_pnl: 0 };
-            const winRate = stats.total_trades > 0 ? ((stats.sell_trades / stats.total_trades) * 100).toFixed(2) : '0.00';
+            const ledger = await this.pnlLedger.getLedger(user.id, {
+                isPaper: this.paperTradingService.isPaperWallet(activeWallet),
+                walletAddress: activeWallet.public_key,
+                withPrices: false
+            });
+            const winRate = ledger.winRate !== null ? ledger.winRate.toFixed(2) : '0.00';
 
             const tradesList = recentTrades.length > 0
                 ? await Promise.all(recentTrades.map(async tr => {
@@ -467,7 +478,7 @@ Please create or import a wallet first to view your trade history.`;
                             if (meta.symbol) symbol = meta.symbol;
                         }
                     } catch (e) {}
-                    return `• ${tr.side} ${tr.amount} ${symbol} @ $${tr.price} `;
+                    return `• ${tr.is_paper ? '📝 ' : ''}${tr.side} ${tr.amount} ${symbol} @ $${tr.price} `;
                 }))
                 : 'No trades found for this wallet.';
 
@@ -477,11 +488,11 @@ Please create or import a wallet first to view your trade history.`;
 
 *Statistics:*
 - Total Trades: ${stats.total_trades}
-- Successful Trades: ${stats.sell_trades}
+- Closed Trades: ${ledger.closedTrades} (${ledger.wins} profitable)
 - Win Rate: ${winRate}%
-- Total P&L: $${stats.total_pnl ? stats.total_pnl.toFixed(2) : '0.00'}
+- Realised P&L: ${PnlLedgerService.formatSol(ledger.realizedPnlSol)}${stats.paper_trades ? `\n- 📝 Simulated Trades: ${stats.paper_trades} (included above)` : ''}
 
-*Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\``;
+*Wallet:* ${this.formatWalletLabel(activeWallet)}`;
 
             const keyboard = {
                 inline_keyboard: [
@@ -559,6 +570,7 @@ Choose your preferred export format:
 - CSV - Spreadsheet compatible
 - JSON - Raw data format
 - PDF - Formatted report
+- Tax Report - Realised gains by year
 
 *Export Date:* ${exportTime}
 *Wallet:* \`${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}\`
@@ -573,6 +585,7 @@ Choose your preferred export format:
                     ],
                     [
                         { text: '📋 PDF Report', callback_data: 'export_pdf' },
+                        { text: '🧾 Tax Report', callback_data: 'export_tax' }
                     ],
                     [
                         { text: '📊 View Portfolio', callback_data: 'view_portfolio' },
@@ -636,13 +649,16 @@ Please create or import a wallet first to view portfolio analytics.`;
             const portfolioOps = new PortfolioOperations(db);
             const portfolioService = new PortfolioService(this.config);
             const tokenDataService = new TokenDataService(this.config);
-            const stats = db.getTradeStatsByUser(user.id) || { total_trades: 0, buy_trades: 0, sell_trades: 0, total_pnl: 0 };
+            const ledger = await this.pnlLedger.getLedger(user.id, {
+                isPaper: this.paperTradingService.isPaperWallet(activeWallet),
+                walletAddress: activeWallet.public_key
+            });
             // Portfolio value changes
             const value24hAgo = await portfolioOps.getPortfolioValue24hAgo(user.id);
             const value7dAgo = await portfolioOps.getPortfolioValue24hAgo(user.id); // For demo, use same as 24h
             const value30dAgo = await portfolioOps.getPortfolioValue24hAgo(user.id); // For demo, use same as 24h
             // Get current wallet balance and classify holdings
-            const walletBalance = await portfolioService.getWalletBalance(activeWallet.public_key);
+            const walletBalance = await this.getWalletBalance(portfolioService, activeWallet);
             let solValue = 0, stableValue = 0, tokenValue = 0, totalValue = 0;
             let stablecoins = ['USDC', 'USDT', 'USDP', 'DAI', 'TUSD', 'BUSD', 'USDD', 'FRAX', 'USDH', 'UXD'];
             let numTokens = 0;
@@ -692,13 +708,15 @@ Please create or import a wallet first to view portfolio analytics.`;
 
             const message = `
 *📊 Portfolio Analytics*
-
+${this.formatSimulatedNotice([activeWallet])}
 *Performance Metrics:*
 - Total Return: ${totalReturn.toFixed(2)}%
 - Sharpe Ratio: N/A
 - Max Drawdown: N/A
 - Volatility: N/A
 
+${this.formatPnlSummary(ledger)}
+
 *Asset Allocation:*
 - Tokens: ${tokenValue.toFixed(2)} (${tokenPct.toFixed(2)}%)
 - SOL: ${solValue.toFixed(2)} (${solPct.toFixed(2)}%)
@@ -757,7 +775,7 @@ Please create or import a wallet first to view portfolio analytics.`;
             // Fetch wallet balance using PortfolioService
             const PortfolioService = require('../services/portfolioService');
             const portfolioService = new PortfolioService(this.config);
-            const walletBalance = await portfolioService.getWalletBalance(activeWallet.public_key);
+            const walletBalance = await this.getWalletBalance(portfolioService, activeWallet);
 
             // Prepare holdings array
             const holdings = [];
@@ -793,7 +811,7 @@ Please create or import a wallet first to view portfolio analytics.`;
 
             const message = `
 *⚖️ Portfolio Rebalancing*
-
+${this.formatSimulatedNotice([activeWallet])}
 Portfolio rebalancing helps maintain your target allocation across different asset categories.
 
 *Current Status:*
@@ -955,6 +973,18 @@ Please create or import a wallet first to view your portfolio.`;
                 message += '\n';
             }
 
+            // Paper accounts are listed apart from the on-chain totals above
+            const paperWallets = wallets.filter(w => this.paperTradingService.isPaperWallet(w));
+            if (paperWallets.length > 0) {
+                message += `*📝 SIMULATED Paper Accounts:*\n`;
+                paperWallets.forEach(wallet => {
+                    const summary = this.paperTradingService.getAccountSummary(wallet.id);
+                    const shortAddress = `${wallet.public_key.slice(0, 6)}...${wallet.public_key.slice(-4)}`;
+                    message += `${shortAddress}: ${summary.solBalance.toFixed(4)} SOL, ${summary.positions.length} positions, P&L at cost ${summary.pnl >= 0 ? '+' : ''}${summary.pnl.toFixed(4)} SOL\n`;
+                });
+                message += '\n';
+            }
+
             const keyboard = {
                 inline_keyboard: [
                     [
@@ -1069,11 +1099,12 @@ Please create or import a wallet first to view your portfolio.`;
                     message += `• Stablecoin Allocation: ${analysis.stablecoinPercentage.toFixed(1)}%\n\n`;
 
                     // Performance metrics
-                    const performanceMetrics = await this.calculatePerformanceMetrics(wallet.public_key);
+                    const performanceMetrics = await this.calculatePerformanceMetrics(user.id, wallet);
                     if (performanceMetrics) {
-                        message += `Performance (24h):\n`;
-                        message += `• P&L: ${performanceMetrics.pnl24h}\n`;
-                        message += `• Change: ${performanceMetrics.change24h}\n\n`;
+                        message += `Trading P&L:\n`;
+                        message += `• Realised: ${performanceMetrics.realized}\n`;
+                        message += `• Unrealised: ${performanceMetrics.unrealized}\n`;
+                        message += `• Today: ${performanceMetrics.today}\n\n`;
                     }
 
                     message += '─────────────────────\n\n';
@@ -1121,15 +1152,19 @@ Please create or import a wallet first to view your portfolio.`;
     }
 
     /**
-     * Calculate performance metrics for a wallet
+     * Realised, unrealised and today's realised PnL for a wallet, from the PnL ledger
      */
-    async calculatePerformanceMetrics(walletAddress) {
+    async calculatePerformanceMetrics(userId, wallet) {
         try {
-            // This would ideally fetch historical data
-            // For now, return mock data or implement based on your trade history
+            const ledger = await this.pnlLedger.getLedger(userId, {
+                isPaper: this.paperTradingService.isPaperWallet(wallet),
+                walletAddress: wallet.public_key
+            });
+            const today = ledger.byDay.find(day => day.day === new Date().toISOString().slice(0, 10));
             return {
-                pnl24h: '+$0.00',
-                change24h: '+0.00%'
+                realized: PnlLedgerService.formatSol(ledger.realizedPnlSol),
+                unrealized: PnlLedgerService.formatSol(ledger.unrealizedPnlSol),
+                today: PnlLedgerService.formatSol(today ? today.realizedPnlSol : 0)
             };
         } catch (error) {
             console.error('Error calculating performance metrics:', error);
@@ -1149,6 +1184,48 @@ Please create or import a wallet first to view your portfolio.`;
         }
     }
 
+    /**
+     * Chain balance for real wallets, simulated balance for paper wallets
+     */
+    async getWalletBalance(portfolioService, wallet) {
+        if (this.paperTradingService.isPaperWallet(wallet)) {
+            return this.paperTradingService.getWalletBalance(wallet);
+        }
+        return portfolioService.getWalletBalance(wallet.public_key);
+    }
+
+    formatSimulatedNotice(wallets) {
+        const paperWallets = wallets.filter(w => this.paperTradingService.isPaperWallet(w));
+        if (paperWallets.length === 0) {
+            return '';
+        }
+        return paperWallets.length === wallets.length
+            ? '*📝 SIMULATED - paper wallet balances*\n'
+            : '*📝 Includes SIMULATED paper wallet balances*\n';
+    }
+
+    formatPnlSummary(ledger) {
+        const lines = [
+            `*Trading P&L (${ledger.method === 'average' ? 'average cost' : 'FIFO'}):*`,
+            `- Realised: ${PnlLedgerService.formatSol(ledger.realizedPnlSol)}`,
+            `- Unrealised: ${PnlLedgerService.formatSol(ledger.unrealizedPnlSol)}`,
+            `- Fees Paid: ${(ledger.swapFeesSol + ledger.platformFeesSol).toFixed(4)} SOL`,
+            `- Win Rate: ${ledger.winRate !== null ? `${ledger.winRate.toFixed(1)}% of ${ledger.closedTrades} closed` : 'N/A'}`
+        ];
+        const topTokens = [...ledger.tokens]
+            .sort((a, b) => Math.abs(b.realizedPnlSol + b.unrealizedPnlSol) - Math.abs(a.realizedPnlSol + a.unrealizedPnlSol))
+            .slice(0, 3);
+        for (const token of topTokens) {
+            lines.push(`- \`${token.tokenAddress.slice(0, 4)}...${token.tokenAddress.slice(-4)}\`: ${PnlLedgerService.formatSol(token.realizedPnlSol + token.unrealizedPnlSol)}`);
+        }
+        return lines.join('\n');
+    }
+
+    formatWalletLabel(wallet) {
+        const label = `\`${wallet.public_key.slice(0, 8)}...${wallet.public_key.slice(-8)}\``;
+        return this.paperTradingService.isPaperWallet(wallet) ? `📝 ${label}` : label;
+    }
+
     async sendAndStoreMessage(chatId, message, options = {}) {
         const sentMessage = await this.bot.sendMessage(chatId, message, options);
         this.lastMessageIds.set(chatId, sentMessage.message_id);
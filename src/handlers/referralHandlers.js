@@ -0,0 +1,134 @@
+const ReferralService = require('../services/referralService');
+const FileExportService = require('../services/fileExportService');
+
+class ReferralHandlers {
+    constructor(bot, db, config) {
+        this.bot = bot;
+        this.db = db;
+        this.config = config;
+        this.referralService = new ReferralService(config, db);
+        this.fileExportService = new FileExportService(config, db);
+        this.botUsername = null;
+        this.lastMessageIds = new Map();
+    }
+
+    // Route ref_* callbacks
+    async handleCallback(chatId, telegramId, callbackData) {
+        switch (callbackData) {
+            case 'ref_menu':
+                return await this.handleReferrals(chatId, telegramId);
+            case 'ref_export':
+                return await this.handleExportEarnings(chatId, telegramId);
+            default:
+                console.warn('Unhandled referral callback:', callbackData);
+        }
+    }
+
+    async getBotUsername() {
+        if (!this.botUsername) {
+            try {
+                const me = await this.bot.getMe();
+                this.botUsername = me.username;
+            } catch (error) {
+                console.error('Error fetching bot username for referral link:', error.message);
+            }
+        }
+        return this.botUsername;
+    }
+
+    async handleReferrals(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const stats = await this.referralService.getStats(user.id);
+            const link = ReferralService.getReferralLink(await this.getBotUsername(), stats.code);
+
+            let message = `
+*🤝 Referrals*
+
+Invite friends to 4TOOL and earn ${(stats.share * 100).toFixed(0)}% of every trading fee they pay, sent to your active wallet as they trade.
+
+*Your Code:* \`${stats.code}\`${link ? `\n*Your Link:* ${link}` : ''}
+
+*Friends Joined:* ${stats.refereeCount} (${stats.tradingCount} trading)
+*Their Volume:* ${stats.refereeVolume.toFixed(2)} SOL
+*Total Earned:* ${ReferralHandlers.formatSol(stats.totalEarned)}
+*Last 30 Days:* ${ReferralHandlers.formatSol(stats.earned30d)}
+`;
+
+            message += '\n*Recent Earnings:*';
+            if (stats.recent.length === 0) {
+                message += '\n_No referral earnings yet_';
+            }
+            for (const earning of stats.recent) {
+                message += `\n• ${earning.timestamp.slice(0, 10)} - referee #${earning.referee_id}: ${ReferralHandlers.formatSol(earning.referral_share)}`;
+            }
+            if (!stats.walletAddress) {
+                message += '\n\n⚠️ _You have no active wallet, so fees from your referees currently stay with the treasury._';
+            }
+            message += '\n\n_Friends are linked to you when they open the bot through your link before creating a wallet._';
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '📤 Export Earnings', callback_data: 'ref_export' },
+                            { text: '🔄 Refresh', callback_data: 'ref_menu' }
+                        ],
+                        [{ text: '◀️ Main Menu', callback_data: 'main_menu' }]
+                    ]
+                },
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            console.error('Error showing referrals:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading your referrals.');
+        }
+    }
+
+    async handleExportEarnings(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+
+            await this.sendAndStoreMessage(chatId, '📤 *Generating referral earnings export...*', {
+                parse_mode: 'Markdown'
+            });
+
+            try {
+                const exportResult = await this.fileExportService.exportReferralEarnings(user);
+
+                await this.bot.sendDocument(chatId, exportResult.filePath, {
+                    caption: `🤝 *Referral Earnings*\n\n- Rows: ${exportResult.rowCount}\n- Referees: ${exportResult.refereeCount}\n- Total: ${ReferralHandlers.formatSol(exportResult.totalSol)}`,
+                    parse_mode: 'Markdown'
+                });
+
+                await this.sendAndStoreMessage(chatId, '✅ *Referral earnings sent!*', {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [[{ text: '◀️ Back to Referrals', callback_data: 'ref_menu' }]]
+                    }
+                });
+            } catch (exportError) {
+                console.error('Referral earnings export error:', exportError);
+                await this.sendAndStoreMessage(chatId, '❌ *Export Failed*\n\nSorry, there was an error generating your referral earnings. Please try again later.', {
+                    parse_mode: 'Markdown'
+                });
+            }
+        } catch (error) {
+            console.error('Error exporting referral earnings:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while exporting your referral earnings.');
+        }
+    }
+
+    static formatSol(value) {
+        return `${value.toFixed(value > 0 && value < 0.001 ? 6 : 4)} SOL`;
+    }
+
+    async sendAndStoreMessage(chatId, message, options = {}) {
+        const sentMessage = await this.bot.sendMessage(chatId, message, options);
+        this.lastMessageIds.set(chatId, sentMessage.message_id);
+        return sentMessage;
+    }
+}
+
+module.exports = ReferralHandlers;
@@ -0,0 +1,154 @@
+class RewardsHandlers {
+    constructor(bot, db, config, feeManager) {
+        this.bot = bot;
+        this.db = db;
+        this.config = config;
+        this.feeManager = feeManager;
+        this.lastMessageIds = new Map();
+    }
+
+    // Route rwd_* callbacks
+    async handleCallback(chatId, telegramId, callbackData) {
+        switch (callbackData) {
+            case 'rwd_menu':
+                return await this.handleRewards(chatId, telegramId);
+            case 'rwd_claim':
+                return await this.handleClaimPrompt(chatId, telegramId);
+            case 'rwd_claim_confirm':
+                return await this.handleClaim(chatId, telegramId);
+            default:
+                console.warn('Unhandled rewards callback:', callbackData);
+        }
+    }
+
+    async handleRewards(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const overview = await this.feeManager.getRewardsOverview(user.id);
+
+            const lastEpochLine = overview.lastEpoch
+                ? `Epoch ${overview.lastEpoch.id} paid ${RewardsHandlers.formatSol(overview.lastEpoch.allocated_lamports / 1e9)} to ${overview.lastEpoch.holder_count} holders`
+                : 'No epochs distributed yet';
+            const balanceLine = overview.balance > 0
+                ? `${overview.balance.toLocaleString()} 4TOOL (${(overview.share * 100).toFixed(4)}% of eligible supply)`
+                : `Not eligible (hold at least ${overview.minimumTokenHoldings.toLocaleString()} 4TOOL in a bot wallet)`;
+
+            let message = `
+*💎 4TOOL Rewards*
+
+40% of every trading fee goes to 4TOOL holders, split by balance at the end of each weekly epoch.
+
+*Current Epoch:* ${overview.epochId}
+*Holders' Pool So Far:* ${RewardsHandlers.formatSol(overview.poolSol)}
+*Last Distribution:* ${lastEpochLine}
+
+*Your Balance at Last Snapshot:* ${balanceLine}${overview.snapshotAt ? `\n_Snapshot: ${overview.snapshotAt} UTC_` : ''}
+*Projected Share:* ${RewardsHandlers.formatSol(overview.projectedSol)}
+
+*Available to Claim:* ${RewardsHandlers.formatSol(overview.claimableSol)}${overview.claimableEpochs.length > 0 ? ` (epoch ${overview.claimableEpochs.join(', ')})` : ''}
+*Next Claim:* ${overview.nextClaimAt ? overview.nextClaimAt.toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'Available now'}
+`;
+
+            message += '\n*Claim History:*';
+            if (overview.claims.length === 0) {
+                message += '\n_No claims yet_';
+            }
+            for (const claim of overview.claims) {
+                message += `\n• ${claim.claimed_at.slice(0, 10)} - epoch ${claim.epoch_id}: ${RewardsHandlers.formatSol(claim.amount_lamports / 1e9)}${claim.signature ? ` [tx](https://solscan.io/tx/${claim.signature})` : ''}`;
+            }
+            message += `\n\n_Unclaimed rewards are paid to the holding wallet ${this.feeManager.claimWindowDays} days after their epoch closes._`;
+
+            const keyboard = { inline_keyboard: [] };
+            if (overview.claimableSol > 0) {
+                keyboard.inline_keyboard.push([{ text: '💎 Claim Rewards', callback_data: 'rwd_claim' }]);
+            }
+            keyboard.inline_keyboard.push([
+                { text: '🔄 Refresh', callback_data: 'rwd_menu' },
+                { text: '◀️ Main Menu', callback_data: 'main_menu' }
+            ]);
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard,
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            console.error('Error showing rewards:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading your rewards.');
+        }
+    }
+
+    async handleClaimPrompt(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const activeWallet = await this.db.getActiveWallet(user.id);
+            if (!activeWallet) {
+                await this.sendAndStoreMessage(chatId, 'No active wallet found. Please create or import a wallet first.');
+                return;
+            }
+            const overview = await this.feeManager.getRewardsOverview(user.id);
+
+            const message = `
+*💎 Claim Rewards*
+
+*Amount:* ${RewardsHandlers.formatSol(overview.claimableSol)}
+*Epochs:* ${overview.claimableEpochs.join(', ') || '-'}
+*To:* \`${activeWallet.public_key}\`
+
+Rewards from all your wallets are sent to your active wallet in one transfer. You can claim once every ${this.feeManager.claimCooldownHours} hours.`;
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '✅ Confirm Claim', callback_data: 'rwd_claim_confirm' },
+                        { text: '❌ Cancel', callback_data: 'rwd_menu' }
+                    ]]
+                }
+            });
+        } catch (error) {
+            console.error('Error preparing claim:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while preparing your claim.');
+        }
+    }
+
+    async handleClaim(chatId, telegramId) {
+        const keyboard = {
+            inline_keyboard: [[{ text: '💎 Rewards', callback_data: 'rwd_menu' }]]
+        };
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const activeWallet = await this.db.getActiveWallet(user.id);
+            if (!activeWallet) {
+                await this.sendAndStoreMessage(chatId, 'No active wallet found. Please create or import a wallet first.');
+                return;
+            }
+
+            await this.sendAndStoreMessage(chatId, '⏳ *Sending your rewards...*', { parse_mode: 'Markdown' });
+            const result = await this.feeManager.claimRewards(user.id, activeWallet.public_key);
+
+            await this.sendAndStoreMessage(chatId, `✅ *Rewards Claimed!*\n\n*Amount:* ${RewardsHandlers.formatSol(result.amountSol)}\n*Epochs:* ${result.epochIds.join(', ')}\n*Transaction:* [View on Solscan](https://solscan.io/tx/${result.signature})`, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard,
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            console.error('Error claiming rewards:', error);
+            await this.sendAndStoreMessage(chatId, `❌ Claim failed: ${error.message}`, {
+                reply_markup: keyboard
+            });
+        }
+    }
+
+    static formatSol(value) {
+        return `${value.toFixed(value > 0 && value < 0.001 ? 6 : 4)} SOL`;
+    }
+
+    async sendAndStoreMessage(chatId, message, options = {}) {
+        const sentMessage = await this.bot.sendMessage(chatId, message, options);
+        this.lastMessageIds.set(chatId, sentMessage.message_id);
+        return sentMessage;
+    }
+}
+
+module.exports = RewardsHandlers;
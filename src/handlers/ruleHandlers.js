@@ -1,3 +1,5 @@
+const PnlLedgerService = require('../services/pnlLedgerService');
+
 class RuleHandlers {
     constructor(bot, db, config) {
         this.bot = bot;
@@ -7,6 +9,7 @@ class RuleHandlers {
         this.lastMessageIds = new Map();
         this.ruleCreationStates = new Map();
         this.activeRules = new Map();
+        this.pnlLedger = new PnlLedgerService(config, db);
     }
 
     async handleRules(chatId, telegramId) {
@@ -1099,9 +1102,14 @@ To use autonomous trading again, please create new rules first.`;
             // Calculate statistics
             const totalRules = rules.length;
             const activeRules = rules.filter(rule => rule.is_active).length;
-            const totalTrades = rules.reduce((sum, rule) => sum + (rule.trade_count || 0), 0);
-            const totalProfit = rules.reduce((sum, rule) => sum + (rule.total_profit || 0), 0);
-            const avgSuccessRate = rules.reduce((sum, rule) => sum + (rule.success_rate || 0), 0) / totalRules;
+            const ledger = await this.getRuleLedger(user.id);
+            const ruleIds = new Set(rules.map(rule => rule.id));
+            const ruleEntries = ledger.byRule.filter(entry => ruleIds.has(entry.ruleId));
+            const totalTrades = ruleEntries.reduce((sum, entry) => sum + entry.closedTrades, 0);
+            const totalWins = ruleEntries.reduce((sum, entry) => sum + entry.wins, 0);
+            const realizedProfit = ruleEntries.reduce((sum, entry) => sum + entry.realizedPnlSol, 0);
+            const unrealizedProfit = ruleEntries.reduce((sum, entry) => sum + entry.unrealizedPnlSol, 0);
+            const totalProfit = realizedProfit + unrealizedProfit;
 
             const message = `
 *📊 Rules Statistics*
@@ -1112,13 +1120,14 @@ To use autonomous trading again, please create new rules first.`;
 • Inactive Rules: ${totalRules - activeRules}
 
 *Performance:*
-• Total Trades: ${totalTrades}
-• Total Profit: $${totalProfit.toFixed(2)}
-• Average Success Rate: ${avgSuccessRate.toFixed(1)}%
+• Closed Trades: ${totalTrades}
+• Realised P&L: ${PnlLedgerService.formatSol(realizedProfit)}
+• Unrealised P&L: ${PnlLedgerService.formatSol(unrealizedProfit)}
+• Win Rate: ${totalTrades > 0 ? (totalWins / totalTrades * 100).toFixed(1) : '0.0'}%
 • Rules Profit Ratio: ${totalProfit > 0 ? '📈 Profitable' : totalProfit < 0 ? '📉 Loss' : '➖ Break-even'}
 
 *Top Performing Rules:*
-${this.getTopPerformingRules(rules)}`;
+${this.getTopPerformingRules(rules, ruleEntries)}`;
 
             const keyboard = {
                 inline_keyboard: [
@@ -1317,18 +1326,23 @@ Rule "${rule.name}" has been deactivated successfully.
             }
 
             const conditions = await this.db.getRuleConditions(ruleId);
-            const recentTrades = await this.db.getRecentTradesByRule(ruleId, 10); // Get last 10 trades
+            const ledger = await this.getRuleLedger(rule.user_id);
+            const stats = ledger.byRule.find(entry => entry.ruleId === rule.id)
+                || { realizedPnlSol: 0, unrealizedPnlSol: 0, closedTrades: 0, wins: 0 };
+            // Last 10 closed trades, newest first
+            const recentTrades = ledger.trades.filter(trade => trade.ruleId === rule.id).slice(-10).reverse();
 
             const message = `
 *📊 Rule Statistics: ${rule.name}*
 
 *Performance Metrics:*
-• Success Rate: ${rule.success_rate || 0}%
-• Total Trades: ${rule.trade_count || 0}
-• Successful Trades: ${rule.success_count || 0}
-• Failed Trades: ${rule.failure_count || 0}
-• Total Profit: $${rule.total_profit || 0}
-• Average Profit: $${rule.avg_profit || 0}
+• Win Rate: ${stats.closedTrades > 0 ? (stats.wins / stats.closedTrades * 100).toFixed(1) : '0.0'}%
+• Closed Trades: ${stats.closedTrades}
+• Profitable Trades: ${stats.wins}
+• Losing Trades: ${stats.closedTrades - stats.wins}
+• Realised P&L: ${PnlLedgerService.formatSol(stats.realizedPnlSol)}
+• Unrealised P&L: ${PnlLedgerService.formatSol(stats.unrealizedPnlSol)}
+• Average per Trade: ${PnlLedgerService.formatSol(stats.closedTrades > 0 ? stats.realizedPnlSol / stats.closedTrades : 0)}
 
 *Rule Activity:*
 • Status: ${rule.is_active ? '✅ Active' : '❌ Inactive'}
@@ -1337,8 +1351,8 @@ Rule "${rule.name}" has been deactivated successfully.
 
 *Conditions:* ${conditions.length} configured
 
-${recentTrades.length > 0 ? '*Recent Activity:*\n' + recentTrades.map(trade => 
-    `• ${trade.symbol}: ${trade.side} - ${trade.profit > 0 ? '📈' : '📉'} $${trade.profit}`
+${recentTrades.length > 0 ? '*Recent Activity:*\n' + recentTrades.map(trade =>
+    `• \`${trade.tokenAddress.slice(0, 4)}...${trade.tokenAddress.slice(-4)}\`: ${trade.profitSol > 0 ? '📈' : '📉'} ${PnlLedgerService.formatSol(trade.profitSol)}`
 ).join('\n') : '*No recent trades*'}`;
 
             const keyboard = {
@@ -1552,6 +1566,9 @@ Select the type of condition to add:`;
                         { text: '🛒 Number of Buys', callback_data: `add_condition_num_buys_${ruleId}` },
                         { text: '💸 Number of Sells', callback_data: `add_condition_num_sells_${ruleId}` }
                     ],
+                    [
+                        { text: '⏳ Time-Based Exit', callback_data: `add_condition_exit_${ruleId}` }
+                    ],
                     [
                         { text: '◀️ Back to Conditions', callback_data: `rule_edit_conditions_${ruleId}` }
                     ]
@@ -2988,6 +3005,42 @@ Select the minimum token age:`;
                     };
                     break;
 
+                case 'exit':
+                    message = `
+*⏳ Add Time-Based Exit*
+
+Sell positions that go nowhere instead of letting them tie up capital. These are checked alongside your take profit and stop loss.
+
+*Max hold:* sell after a fixed time
+*Min gain:* sell if not up by a target after a while
+*Min volume:* sell once 24h trading volume dries up`;
+                    keyboard = {
+                        inline_keyboard: [
+                            [
+                                { text: 'Sell after 6h', callback_data: `set_condition_maxhold_6_${ruleId}` },
+                                { text: 'Sell after 24h', callback_data: `set_condition_maxhold_24_${ruleId}` },
+                                { text: 'Sell after 72h', callback_data: `set_condition_maxhold_72_${ruleId}` }
+                            ],
+                            [
+                                { text: '< +10% after 4h', callback_data: `set_condition_mingain_4-10_${ruleId}` },
+                                { text: '< +20% after 12h', callback_data: `set_condition_mingain_12-20_${ruleId}` }
+                            ],
+                            [
+                                { text: '< +0% after 24h', callback_data: `set_condition_mingain_24-0_${ruleId}` },
+                                { text: '< +50% after 48h', callback_data: `set_condition_mingain_48-50_${ruleId}` }
+                            ],
+                            [
+                                { text: 'Volume < $10K', callback_data: `set_condition_minvolume_10000_${ruleId}` },
+                                { text: 'Volume < $50K', callback_data: `set_condition_minvolume_50000_${ruleId}` },
+                                { text: 'Volume < $100K', callback_data: `set_condition_minvolume_100000_${ruleId}` }
+                            ],
+                            [
+                                { text: '◀️ Back', callback_data: `rule_add_condition_${ruleId}` }
+                            ]
+                        ]
+                    };
+                    break;
+
                 default:
                     await this.sendAndStoreMessage(chatId, `Adding ${conditionType} conditions is not yet implemented.`);
                     return;
@@ -3242,6 +3295,24 @@ The condition has been successfully removed from rule "${rule.name}".`;
                     conditionValue = JSON.stringify({ min: parseInt(value) });
                     break;
 
+                case 'maxhold':
+                    conditionTypeName = 'management_max_hold';
+                    conditionValue = JSON.stringify({ hours: parseInt(value) });
+                    break;
+
+                case 'mingain': {
+                    // value is hours-percentage, e.g. 12-20
+                    const [hours, percentage] = value.split('-').map(Number);
+                    conditionTypeName = 'management_min_gain';
+                    conditionValue = JSON.stringify({ hours, percentage });
+                    break;
+                }
+
+                case 'minvolume':
+                    conditionTypeName = 'management_min_volume';
+                    conditionValue = JSON.stringify({ volume24h: parseInt(value) });
+                    break;
+
                 case 'num_sells':
                     conditionTypeName = 'num_sells';
                     conditionValue = JSON.stringify({ min: parseInt(value) });
@@ -3699,6 +3770,9 @@ Successfully updated ${conditionTypeName.replace(/_/g, '\\_')} condition in rule
                 return String(value);
 
             case 'management_take_profit':
+                if (value && typeof value === 'object' && Array.isArray(value.ladder)) {
+                    return `Take profit ladder: ${value.ladder.map(rung => `${rung.sellPercent}% at +${rung.percentage}%`).join(', ')}`;
+                }
                 if (value && typeof value === 'object') {
                     return `Take profit at +${value.percentage}%`;
                 }
@@ -3746,6 +3820,24 @@ Successfully updated ${conditionTypeName.replace(/_/g, '\\_')} condition in rule
                 }
                 return String(value);
 
+            case 'management_max_hold':
+                if (value && typeof value === 'object') {
+                    return `Sell after ${value.hours}h`;
+                }
+                return String(value);
+
+            case 'management_min_gain':
+                if (value && typeof value === 'object') {
+                    return `Sell if below +${value.percentage}% after ${value.hours}h`;
+                }
+                return String(value);
+
+            case 'management_min_volume':
+                if (value && typeof value === 'object') {
+                    return `Sell if 24h volume < $${this.formatNumber(value.volume24h)}`;
+                }
+                return String(value);
+
             default:
                 return String(value);
         }
@@ -3762,21 +3854,29 @@ Successfully updated ${conditionTypeName.replace(/_/g, '\\_')} condition in rule
         return num.toString();
     }
 
-    getTopPerformingRules(rules) {
-        // Sort rules by total profit and return top 3
-        const sortedRules = rules
-            .filter(rule => rule.total_profit !== undefined)
-            .sort((a, b) => (b.total_profit || 0) - (a.total_profit || 0))
+    /**
+     * PnL ledger for the mode (paper or real) of the user's active wallet
+     */
+    async getRuleLedger(userId) {
+        const activeWallet = await this.db.getActiveWallet(userId);
+        return this.pnlLedger.getLedger(userId, { isPaper: Boolean(activeWallet && activeWallet.is_paper) });
+    }
+
+    getTopPerformingRules(rules, ruleEntries) {
+        // Sort rules by realised plus unrealised PnL and return top 3
+        const sortedEntries = [...ruleEntries]
+            .sort((a, b) => (b.realizedPnlSol + b.unrealizedPnlSol) - (a.realizedPnlSol + a.unrealizedPnlSol))
             .slice(0, 3);
 
-        if (sortedRules.length === 0) {
+        if (sortedEntries.length === 0) {
             return 'No performance data available';
         }
 
-        return sortedRules.map((rule, index) => {
-            const profit = rule.total_profit || 0;
+        return sortedEntries.map((entry, index) => {
+            const rule = rules.find(candidate => candidate.id === entry.ruleId);
+            const profit = entry.realizedPnlSol + entry.unrealizedPnlSol;
             const profitEmoji = profit > 0 ? '📈' : profit < 0 ? '📉' : '➖';
-            return `${index + 1}. ${rule.name} ${profitEmoji} $${profit.toFixed(2)}`;
+            return `${index + 1}. ${rule.name} ${profitEmoji} ${PnlLedgerService.formatSol(profit)}`;
         }).join('\n');
     }
 }
@@ -1,3 +1,6 @@
+const WalletKeystore = require('../services/walletKeystore');
+const TradingSessionService = require('../services/tradingSessionService');
+
 class SecurityHandlers {
     constructor(telegramBotManager, db, config) {
         this.telegramBotManager = telegramBotManager;
@@ -8,6 +11,8 @@ class SecurityHandlers {
         this.userStates = telegramBotManager.bot.userStates; // Use shared userStates from TelegramBotManager bot instance
         this.lastMessageIds = new Map();
         this.pendingUnlockWalletId = null;
+        this.keystore = new WalletKeystore(config, db);
+        this.tradingSessionService = new TradingSessionService(config, db, this.bot);
     }
 
     // Handle input messages for security-related waiting states
@@ -27,6 +32,11 @@ class SecurityHandlers {
                         await this.handlePassphraseInput(chatId, telegramId, message);
                         return { handled: true, clearState: true };
                     }
+                    case 'awaiting_current_passphrase': {
+                        // Moves on to awaiting_new_passphrase, so keep the state
+                        await this.handlePassphraseInput(chatId, telegramId, message);
+                        return { handled: true, clearState: false };
+                    }
                     default:
                         return false; // Not handled by security handlers
                 }
@@ -135,7 +145,7 @@ Select a wallet to manage its security settings:`;
 \`${wallet.public_key}\`
 
 *Current Status:* ${wallet.is_locked ? '🔒 Locked' : '🔓 Unlocked'}
-${wallet.passphrase_hash ? '🔑 Passphrase Protected' : '⚠️ No Passphrase Set'}
+${wallet.passphrase_hash ? '🔑 Passphrase Protected' : '⚠️ No Passphrase Set'}${this.formatSessionStatus(wallet)}
 
 Select an action:`;
 
@@ -169,6 +179,16 @@ Select an action:`;
         }
     }
 
+    formatSessionStatus(wallet) {
+        if (!TradingSessionService.isSessionRequired(wallet) || wallet.is_locked) {
+            return '';
+        }
+        const remaining = TradingSessionService.formatRemaining(wallet.id);
+        return remaining
+            ? `\n⏱ Trading session: ${remaining} left`
+            : '\n⏸ No live trading session: automated trading is paused';
+    }
+
     async handleLockWallet(chatId, telegramId, walletId) {
         try {
             const wallet = await this.db.getWalletById(walletId);
@@ -176,8 +196,9 @@ Select an action:`;
                 throw new Error('Wallet not found');
             }
 
-            // Lock the wallet
+            // Lock the wallet and drop its session key
             await this.db.lockWallet(walletId);
+            await this.tradingSessionService.closeSession(walletId);
 
             const message = `
 *🔒 Wallet Locked Successfully*
@@ -294,13 +315,41 @@ Please enter your passphrase to unlock the wallet:
                 throw new Error('Wallet not found');
             }
 
-            // Set user state to await passphrase
-            this.userStates.set(telegramId, {
-                state: 'awaiting_new_passphrase',
-                data: { walletId }
-            });
+            // A key encrypted with the old passphrase has to be re-encrypted, which needs it
+            if (WalletKeystore.isPassphraseProtected(wallet)) {
+                this.userStates.set(telegramId, {
+                    state: 'awaiting_current_passphrase',
+                    data: { walletId }
+                });
 
-            const message = `
+                await this.sendAndStoreMessage(chatId, `
+*🔑 Change Wallet Passphrase*
+
+Your wallet key is encrypted with your current passphrase.
+Please send your *current* passphrase first.`, {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'wallet_security' }]]
+                    }
+                });
+                return;
+            }
+
+            await this.promptNewPassphrase(chatId, telegramId, walletId);
+        } catch (error) {
+            console.error('Error setting up passphrase:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while setting up passphrase.');
+        }
+    }
+
+    async promptNewPassphrase(chatId, telegramId, walletId, currentPassphrase = null) {
+        // Set user state to await passphrase
+        this.userStates.set(telegramId, {
+            state: 'awaiting_new_passphrase',
+            data: { walletId, currentPassphrase }
+        });
+
+        const message = `
 *🔑 Set Wallet Passphrase*
 
 Please send your new passphrase.
@@ -314,22 +363,18 @@ It should be:
 - It cannot be recovered if lost
 - Keep it in a secure location`;
 
-            const keyboard = {
-                inline_keyboard: [
-                    [
-                        { text: '❌ Cancel', callback_data: 'wallet_security' }
-                    ]
+        const keyboard = {
+            inline_keyboard: [
+                [
+                    { text: '❌ Cancel', callback_data: 'wallet_security' }
                 ]
-            };
+            ]
+        };
 
-            await this.sendAndStoreMessage(chatId, message, {
-                parse_mode: 'Markdown',
-                reply_markup: keyboard
-            });
-        } catch (error) {
-            console.error('Error setting up passphrase:', error);
-            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while setting up passphrase.');
-        }
+        await this.sendAndStoreMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
     }
 
     async handlePassphraseInput(chatId, telegramId, passphrase) {
@@ -351,12 +396,35 @@ It should be:
                 throw new Error('Passphrase must be at least 8 characters long');
             }
 
+            if (state === 'awaiting_current_passphrase') {
+                const passphraseHash = this.crypto.createHash('sha256').update(passphrase).digest('hex');
+                const isValid = await this.db.verifyWalletPassphrase(walletId, passphraseHash);
+                if (!isValid) {
+                    throw new Error('Invalid passphrase');
+                }
+
+                await this.promptNewPassphrase(chatId, telegramId, walletId, passphrase);
+                return;
+            }
+
             if (state === 'awaiting_new_passphrase') {
                 // Hash the passphrase
                 const passphraseHash = this.crypto.createHash('sha256').update(passphrase).digest('hex');
 
-                // Update wallet with new passphrase
+                // Re-encrypt the wallet key under the new passphrase, or back to the
+                // master key alone if passphrase layering has been turned off
+                const wallet = await this.db.getWalletById(walletId);
+                if (this.keystore.layerPassphrase || WalletKeystore.isPassphraseProtected(wallet)) {
+                    this.keystore.rewrapWalletKey(
+                        wallet,
+                        data.currentPassphrase,
+                        this.keystore.layerPassphrase ? passphrase : null
+                    );
+                }
+
+                // Update wallet with new passphrase; it is locked again, so any session ends
                 await this.db.setWalletPassphrase(walletId, passphraseHash);
+                await this.tradingSessionService.closeSession(walletId);
 
                 const message = `
 *✅ Passphrase Set Successfully*
@@ -386,13 +454,17 @@ Remember to keep it safe!`;
                     throw new Error('Invalid passphrase');
                 }
 
-                // Unlock the wallet
-                await this.db.unlockWallet(walletId);
+                // Unlock the wallet for a limited trading session
+                const wallet = await this.db.getWalletById(walletId);
+                const session = await this.tradingSessionService.openSession(wallet, telegramId, passphrase);
 
                 const message = `
 *✅ Wallet Unlocked Successfully*
 
-Your wallet is now unlocked and ready to use.`;
+Your wallet is now unlocked and ready to use.
+
+⏱ *Trading session:* ${session.ttlMinutes} minutes
+Automated trading pauses and the wallet locks again when the session expires.`;
 
                 const keyboard = {
                     inline_keyboard: [
@@ -440,14 +512,15 @@ Your wallet is now unlocked and ready to use.`;
                 throw new Error('Invalid passphrase');
             }
 
-            // Unlock the wallet
-            await this.db.unlockWallet(this.pendingUnlockWalletId);
+            // Unlock the wallet for a limited trading session
+            const session = await this.tradingSessionService.openSession(wallet, telegramId, passphrase);
 
             const message = `
 *✅ Wallet Unlocked Successfully*
 
 *Wallet:* \`${wallet.public_key}\`
 *Status:* 🔓 Unlocked
+*Trading session:* ${session.ttlMinutes} minutes
 
 Your wallet is now unlocked and ready to use.`;
 
@@ -574,7 +647,7 @@ Configure security features for your trading bot:
 *Current Settings:*
 • Two-Factor Authentication: ${settings?.tfa_enabled ? 'Enabled' : 'Disabled'}
 • Wallet Encryption: Enabled
-• Auto-Lock Timeout: ${settings?.auto_lock_timeout || 30} minutes
+• Auto-Lock Timeout: ${settings?.auto_lock_timeout || this.tradingSessionService.defaultTtlMinutes} minutes
 • Passphrase Protection: ${settings?.passphrase_protection ? 'Enabled' : 'Disabled'}
 
 *Security Features:*
@@ -609,6 +682,58 @@ Configure security features for your trading bot:
         }
     }
 
+    async handleAutoLockTimer(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const current = await this.tradingSessionService.getTtlMinutes(user.id);
+
+            const message = `
+*⏰ Auto-Lock Timer*
+
+Unlocking a passphrase-protected wallet starts a trading session. When it ends, the wallet locks again and autonomous, copy and rule-based trading pause until you unlock.
+
+*Current session length:* ${current} minutes`;
+
+            const options = [15, 30, 60, 120, 240, 480];
+            const rows = [];
+            for (let i = 0; i < options.length; i += 3) {
+                rows.push(options.slice(i, i + 3).map(minutes => ({
+                    text: `${minutes === current ? '✅ ' : ''}${minutes >= 60 ? `${minutes / 60}h` : `${minutes}m`}`,
+                    callback_data: `auto_lock_${minutes}`
+                })));
+            }
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        ...rows,
+                        [{ text: '◀️ Back to Security Settings', callback_data: 'security_settings' }]
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error showing auto-lock timer:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading the auto-lock timer.');
+        }
+    }
+
+    async handleSetAutoLockTimer(chatId, telegramId, minutes) {
+        try {
+            if (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60) {
+                throw new Error('Invalid auto-lock timeout');
+            }
+            const user = await this.db.getUserByTelegramId(telegramId);
+            await this.db.updateUserSettings(user.id, { auto_lock_timeout: minutes });
+
+            // Applies from the next unlock; running sessions keep their expiry
+            await this.handleAutoLockTimer(chatId, telegramId);
+        } catch (error) {
+            console.error('Error setting auto-lock timer:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while updating the auto-lock timer.');
+        }
+    }
+
     // Handle security action callbacks - routes security-related callbacks to appropriate methods
     async handleSecurityActions(ctx) {
         const chatId = ctx.chat.id;
@@ -650,6 +775,17 @@ Configure security features for your trading bot:
                 return;
             }
 
+            if (callbackData === 'set_auto_lock_timer') {
+                await this.handleAutoLockTimer(chatId, telegramId);
+                return;
+            }
+
+            if (callbackData.startsWith('auto_lock_')) {
+                const minutes = parseInt(callbackData.replace('auto_lock_', ''), 10);
+                await this.handleSetAutoLockTimer(chatId, telegramId, minutes);
+                return;
+            }
+
             // If no specific handler found, log unhandled action
             console.warn('Unhandled security callback action:', callbackData);
             await this.sendAndStoreMessage(chatId, 'Sorry, this security action is not supported. Please try again.');
@@ -1,4 +1,27 @@
 const TelegramErrorHandler = require('../utils/telegramErrorHandler');
+const RiskGuardService = require('../services/riskGuardService');
+
+// Limits enforced by RiskGuardService; 0 switches a limit off
+const RISK_LIMITS = {
+    daily_loss_limit: {
+        title: '🚨 Daily Loss Limit',
+        prompt: 'Enter the most SOL you are willing to lose on closed trades in one day (e.g. 1.5). New buys stop until midnight UTC once it is reached.',
+        integer: false,
+        unit: ' SOL'
+    },
+    max_open_positions: {
+        title: '📂 Max Open Positions',
+        prompt: 'Enter how many different tokens you may hold at once (e.g. 5). Adding to a token you already hold is still allowed.',
+        integer: true,
+        unit: ''
+    },
+    max_token_exposure_sol: {
+        title: '🎯 Max Exposure Per Token',
+        prompt: 'Enter the most SOL you may have in any single token, counting what you already hold (e.g. 2).',
+        integer: false,
+        unit: ' SOL'
+    }
+};
 
 class SettingsHandlers {
     constructor(bot, db, config, telegramBotManager = null, autonomousService = null) {
@@ -176,6 +199,37 @@ class SettingsHandlers {
                         await this.sendAndStoreMessage(chatId, `✅ Trailing stop threshold set to ${threshold}%.`);
                         return { handled: true, clearState: true, redirectTo: 'risk_settings' };
                     }
+                    case 'waiting_risk_limit': {
+                        const limit = RISK_LIMITS[userState.data.limit];
+                        const value = limit.integer ? parseInt(message) : parseFloat(message);
+                        if (isNaN(value) || value < 0) {
+                            await this.sendAndStoreMessage(chatId, `Please enter a valid ${limit.integer ? 'whole number' : 'amount'}, or 0 for no limit.`);
+                            return { handled: true, clearState: false };
+                        }
+                        const user = await this.db.getUserByTelegramId(telegramId);
+                        await this.db.updateUserSettings(user.id, { [userState.data.limit]: value > 0 ? value : null });
+                        await this.sendAndStoreMessage(chatId, value > 0
+                            ? `✅ ${limit.title} set to ${value}${limit.unit}.`
+                            : `✅ ${limit.title} removed.`);
+                        return { handled: true, clearState: true, redirectTo: 'risk_settings' };
+                    }
+                    case 'waiting_loss_cooldown': {
+                        const [streak, minutes] = message.trim().split(/\s+/).map(part => parseInt(part));
+                        if (streak === 0) {
+                            const user = await this.db.getUserByTelegramId(telegramId);
+                            await this.db.updateUserSettings(user.id, { loss_streak_limit: null });
+                            await this.sendAndStoreMessage(chatId, '✅ Loss streak cooldown turned off.');
+                            return { handled: true, clearState: true, redirectTo: 'risk_settings' };
+                        }
+                        if (!(streak > 0) || !(minutes > 0)) {
+                            await this.sendAndStoreMessage(chatId, 'Please send the number of losing trades and the pause in minutes, e.g. `3 60`.', { parse_mode: 'Markdown' });
+                            return { handled: true, clearState: false };
+                        }
+                        const user = await this.db.getUserByTelegramId(telegramId);
+                        await this.db.updateUserSettings(user.id, { loss_streak_limit: streak, loss_cooldown_minutes: minutes });
+                        await this.sendAndStoreMessage(chatId, `✅ Buying will pause for ${minutes} minutes after ${streak} losing trades in a row.`);
+                        return { handled: true, clearState: true, redirectTo: 'risk_settings' };
+                    }
                     default:
                         return false; // Not handled by settings
                 }
@@ -231,16 +285,29 @@ class SettingsHandlers {
 
     async handleSettings(chatId, telegramId) {
         try {
-            const message = `
+            let message = `
 *⚙️ Settings*
 Manage your bot preferences and wallet settings`;
 
+            const feeManager = this.telegramBotManager && this.telegramBotManager.feeManager;
+            if (feeManager) {
+                const user = await this.db.getUserByTelegramId(telegramId);
+                const feeTier = await feeManager.getFeeTier(user.id);
+                message += `\n\n*💸 Fee Tier:* ${feeTier.tier} - ${SettingsHandlers.formatRate(feeTier.rate)} per trade`;
+                message += feeTier.next
+                    ? `\nNext: ${feeTier.next.name} at ${feeTier.next.holdings.toLocaleString()} 4TOOL or ${feeTier.next.volumeSol.toLocaleString()} SOL 30-day volume`
+                    : '\nYou are on the top tier';
+            }
+
             const keyboard = {
                 inline_keyboard: [
                     [
                         { text: '👛 Wallet Management', callback_data: 'wallet_management' },
                         { text: '⚡️ Trading Settings', callback_data: 'trading_settings' }
                     ],
+                    [
+                        { text: '💸 Fee Tiers', callback_data: 'fee_tiers' }
+                    ],
                     [
                         { text: '◀️ Back to Main Menu', callback_data: 'main_menu' }
                     ]
@@ -442,7 +509,11 @@ Configure your risk management parameters:
 • Risk Per Trade: ${settings?.risk_per_trade || 2}%
 
 *Portfolio Limits:*
-• Daily Loss Limit: ${settings?.daily_loss_limit || 'No limit'}
+• Max Daily Trades: ${settings?.max_daily_trades || 'No limit'}
+• Daily Loss Limit: ${settings?.daily_loss_limit ? `${settings.daily_loss_limit} SOL` : 'No limit'}
+• Max Open Positions: ${settings?.max_open_positions || 'No limit'}
+• Max Exposure Per Token: ${settings?.max_token_exposure_sol ? `${settings.max_token_exposure_sol} SOL` : 'No limit'}
+• Loss Streak Cooldown: ${settings?.loss_streak_limit ? `${settings.loss_cooldown_minutes || 60} min after ${settings.loss_streak_limit} losses` : 'Off'}
 • Monthly Loss Limit: ${settings?.monthly_loss_limit || 'No limit'}
 • Emergency Stop: ${settings?.emergency_stop_enabled ? 'Enabled' : 'Disabled'}
 
@@ -466,6 +537,14 @@ Select a setting to modify:`;
                         { text: '🚨 Daily Loss Limit', callback_data: 'set_daily_loss_limit' },
                         { text: '🛑 Emergency Stop', callback_data: 'toggle_emergency_stop' }
                     ],
+                    [
+                        { text: '📂 Max Open Positions', callback_data: 'set_max_open_positions' },
+                        { text: '🎯 Max Per Token', callback_data: 'set_max_token_exposure' }
+                    ],
+                    [
+                        { text: '🧊 Loss Streak Cooldown', callback_data: 'set_loss_cooldown' },
+                        { text: '🛡 Risk Guard Status', callback_data: 'risk_guard_status' }
+                    ],
                     [
                         { text: '◀️ Back to Settings', callback_data: 'settings' }
                     ]
@@ -482,6 +561,141 @@ Select a setting to modify:`;
         }
     }
 
+    async handleRiskLimitPrompt(chatId, telegramId, limit) {
+        try {
+            this.bot.userStates.set(telegramId, { state: 'waiting_risk_limit', data: { limit } });
+            await this.sendAndStoreMessage(chatId, `*${RISK_LIMITS[limit].title}*\n\n${RISK_LIMITS[limit].prompt}\n\nSend 0 for no limit.`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'risk_settings' }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleRiskLimitPrompt:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while setting up this limit.');
+        }
+    }
+
+    async handleLossCooldownPrompt(chatId, telegramId) {
+        try {
+            this.bot.userStates.set(telegramId, { state: 'waiting_loss_cooldown', data: {} });
+            await this.sendAndStoreMessage(chatId, `*🧊 Loss Streak Cooldown*
+
+Send how many losing trades in a row should pause buying, and for how many minutes, e.g. \`3 60\`.
+
+Send 0 to turn the cooldown off.`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'risk_settings' }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleLossCooldownPrompt:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while setting up the cooldown.');
+        }
+    }
+
+    // Every tier with its thresholds, and how far the user is from the next one
+    async handleFeeTiers(chatId, telegramId) {
+        try {
+            const feeManager = this.telegramBotManager.feeManager;
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const feeTier = await feeManager.getFeeTier(user.id);
+
+            let message = `
+*💸 Fee Tiers*
+
+Trading fees are discounted by the 4TOOL you hold in your bot wallets (at the last hourly snapshot) or by the SOL you traded in the last 30 days, whichever reaches the higher tier.
+
+*Your Tier:* ${feeTier.tier} - ${SettingsHandlers.formatRate(feeTier.rate)} per trade
+*4TOOL Held:* ${feeTier.holdings.toLocaleString()}
+*30-Day Volume:* ${feeTier.volumeSol.toFixed(2)} SOL
+`;
+            if (feeTier.next) {
+                const holdingsNeeded = Math.max(0, feeTier.next.holdings - feeTier.holdings);
+                const volumeNeeded = Math.max(0, feeTier.next.volumeSol - feeTier.volumeSol);
+                message += `\n*Next Tier:* ${feeTier.next.name} (${(feeTier.next.discount * 100).toFixed(0)}% off) - hold ${holdingsNeeded.toLocaleString()} more 4TOOL or trade ${volumeNeeded.toFixed(2)} more SOL\n`;
+            }
+
+            message += '\n*All Tiers:*';
+            for (const tier of feeManager.getFeeTiers()) {
+                const current = tier.name === feeTier.tier ? ' ✅' : '';
+                const requirement = tier.discount > 0
+                    ? ` - ${tier.holdings.toLocaleString()} 4TOOL or ${tier.volumeSol.toLocaleString()} SOL`
+                    : '';
+                message += `\n• ${tier.name}: ${SettingsHandlers.formatRate(tier.rate)}${requirement}${current}`;
+            }
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '💎 Rewards', callback_data: 'rwd_menu' },
+                            { text: '◀️ Settings', callback_data: 'settings' }
+                        ]
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleFeeTiers:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading fee tiers.');
+        }
+    }
+
+    static formatRate(rate) {
+        return `${parseFloat((rate * 100).toFixed(3))}%`;
+    }
+
+    // Today's usage against each limit, and the trades the guard turned down
+    async handleRiskGuardStatus(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const activeWallet = await this.db.getActiveWallet(user.id);
+            const isPaper = !!(activeWallet && activeWallet.is_paper);
+            const status = await new RiskGuardService(this.config, this.db).getStatus(user.id, isPaper);
+            const { settings } = status;
+            const limit = (value, unit = '') => (value > 0 ? `${value}${unit}` : '∞');
+
+            let message = `
+*🛡 Risk Guard${isPaper ? ' (paper)' : ''}*
+
+*Today (UTC):*
+• Trades: ${status.tradesToday}/${limit(settings.max_daily_trades)}
+• Realised PnL: ${status.realizedPnlToday >= 0 ? '+' : ''}${status.realizedPnlToday.toFixed(4)} SOL (loss limit ${limit(settings.daily_loss_limit, ' SOL')})
+• Open Positions: ${status.openPositions}/${limit(settings.max_open_positions)}
+• Losing Streak: ${status.lossStreak}${settings.loss_streak_limit ? `/${settings.loss_streak_limit}` : ''}
+`;
+            if (status.cooldownUntil) {
+                message += `\n🧊 *Buying paused until ${status.cooldownUntil.toISOString().slice(11, 16)} UTC*\n`;
+            }
+
+            if (status.recentRejections.length > 0) {
+                message += '\n*Recently blocked:*';
+                for (const rejection of status.recentRejections) {
+                    message += `\n• ${rejection.created_at.slice(5, 16)}${rejection.is_paper ? ' 📝' : ''} - ${rejection.reason}`;
+                }
+            } else {
+                message += '\n_No trades blocked yet._';
+            }
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '🔄 Refresh', callback_data: 'risk_guard_status' },
+                            { text: '◀️ Risk Settings', callback_data: 'risk_settings' }
+                        ]
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleRiskGuardStatus:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading the risk guard status.');
+        }
+    }
+
     async handleStrategySettings(chatId, telegramId) {
         try {
             const user = await this.db.getUserByTelegramId(telegramId);
@@ -9,6 +9,12 @@ class StrategyHandlers {
         // Import and initialize CopyTradeHandlers for copy trade strategy callbacks
         const CopyTradeHandlers = require('./copyTradeHandlers');
         this.copyTradeHandlers = new CopyTradeHandlers(bot, db, config);
+
+        const BacktestService = require('../services/backtestService');
+        this.backtestService = new BacktestService(config, db);
+
+        const PnlLedgerService = require('../services/pnlLedgerService');
+        this.pnlLedger = new PnlLedgerService(config, db);
     }
 
     async handleStrategies(chatId, telegramId) {
@@ -44,6 +50,9 @@ Configure and manage your automated trading strategies.
                         { text: '❌ Deactivate All', callback_data: 'deactivate_all_strategies' },
                         { text: '📊 Performance', callback_data: 'strategy_performance' }
                     ],
+                    [
+                        { text: '🧪 Backtest', callback_data: 'strategy_backtest' }
+                    ],
                     [
                         { text: '◀️ Back to Main Menu', callback_data: 'main_menu' }
                     ]
@@ -478,30 +487,46 @@ Configure your strategy:`;
                 return;
             }
 
-            // TODO: Implement actual performance tracking
+            const PnlLedgerService = require('../services/pnlLedgerService');
+            const activeWallet = await this.db.getActiveWallet(user.id);
+            const isPaper = Boolean(activeWallet && activeWallet.is_paper);
+            const ledger = await this.pnlLedger.getLedger(user.id, { isPaper });
+
+            const strategyLines = ledger.byStrategy.length > 0
+                ? ledger.byStrategy
+                    .sort((a, b) => (b.realizedPnlSol + b.unrealizedPnlSol) - (a.realizedPnlSol + a.unrealizedPnlSol))
+                    .map(entry => `- ${PnlLedgerService.strategyLabel(entry.strategy)}: ${PnlLedgerService.formatSol(entry.realizedPnlSol)} realised, ${PnlLedgerService.formatSol(entry.unrealizedPnlSol)} open (${entry.closedTrades} closed)`)
+                    .join('\n')
+                : '- No trades yet';
+
+            const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const recentDays = ledger.byDay.filter(day => day.day >= since);
+            const best = recentDays.reduce((top, day) => (!top || day.realizedPnlSol > top.realizedPnlSol ? day : top), null);
+            const worst = recentDays.reduce((low, day) => (!low || day.realizedPnlSol < low.realizedPnlSol ? day : low), null);
+            const average = recentDays.length > 0
+                ? recentDays.reduce((sum, day) => sum + day.realizedPnlSol, 0) / recentDays.length
+                : 0;
+
             const message = `
-*📊 Strategy Performance*
+*📊 Strategy Performance*${isPaper ? ' 📝 _(paper)_' : ''}
 
 *Overall Performance:*
-- Total Trades: 0
-- Successful Trades: 0
-- Win Rate: 0%
-- Total P&L: $0.00
+- Closed Trades: ${ledger.closedTrades}
+- Profitable Trades: ${ledger.wins}
+- Win Rate: ${ledger.winRate !== null ? ledger.winRate.toFixed(1) : '0'}%
+- Realised P&L: ${PnlLedgerService.formatSol(ledger.realizedPnlSol)}
+- Unrealised P&L: ${PnlLedgerService.formatSol(ledger.unrealizedPnlSol)}
+- Fees Paid: ${(ledger.swapFeesSol + ledger.platformFeesSol).toFixed(4)} SOL
 
 *Strategy Breakdown:*
-- Volume Spike: Inactive
-- Dip Buy: Inactive
-- Narrative: Inactive
-- Momentum: Inactive
-- Volatility: Inactive
-- Copy Trade: Inactive
+${strategyLines}
 
 *Last 30 Days:*
-- Best Day: $0.00
-- Worst Day: $0.00
-- Average Daily P&L: $0.00
+- Best Day: ${best ? `${PnlLedgerService.formatSol(best.realizedPnlSol)} (${best.day})` : 'N/A'}
+- Worst Day: ${worst ? `${PnlLedgerService.formatSol(worst.realizedPnlSol)} (${worst.day})` : 'N/A'}
+- Average Daily P&L: ${PnlLedgerService.formatSol(average)}
 
-💡 *Note:* Performance tracking will be available once strategies are activated.`;
+_Cost basis: ${ledger.method === 'average' ? 'average cost' : 'FIFO'}, fees included._`;
 
             const keyboard = {
                 inline_keyboard: [
@@ -509,6 +534,9 @@ Configure your strategy:`;
                         { text: '🔄 Refresh', callback_data: 'strategy_performance' },
                         { text: '📊 Detailed Report', callback_data: 'export_performance' }
                     ],
+                    [
+                        { text: `⚖️ Use ${ledger.method === 'average' ? 'FIFO' : 'Average Cost'}`, callback_data: 'strategy_performance_method' }
+                    ],
                     [
                         { text: '⚙️ Configure Strategies', callback_data: 'strategies' },
                         { text: '◀️ Back', callback_data: 'strategies' }
@@ -526,6 +554,19 @@ Configure your strategy:`;
         }
     }
 
+    // Switch how sells are matched against buys between FIFO and average cost
+    async handleTogglePnlMethod(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const method = await this.pnlLedger.getMethod(user.id);
+            await this.db.updateUserSettings(user.id, { pnl_method: method === 'fifo' ? 'average' : 'fifo' });
+            await this.handleStrategyPerformance(chatId, telegramId);
+        } catch (error) {
+            console.error('Error in handleTogglePnlMethod:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while changing the cost basis method.');
+        }
+    }
+
     async handleDeactivateAllStrategies(chatId, telegramId) {
         try {
             const user = await this.db.getUserByTelegramId(telegramId);
@@ -579,6 +620,82 @@ All trading strategies are now paused. You can reactivate them individually from
         }
     }
 
+    async handleBacktestMenu(chatId, telegramId) {
+        try {
+            const message = `
+*🧪 Strategy Backtest*
+
+Replay the last 7 days of recorded market data through a strategy using your saved settings and a simulated $1,000 wallet.
+
+Exits are simulated at +20% take profit, -10% stop loss or 24h max hold.
+
+Choose a strategy to test:`;
+
+            const keyboard = {
+                inline_keyboard: [
+                    [
+                        { text: '📈 Volume Spike', callback_data: 'strategy_backtest_volume_spike' },
+                        { text: '📉 Dip Buy', callback_data: 'strategy_backtest_dip_buy' }
+                    ],
+                    [
+                        { text: '📊 Momentum', callback_data: 'strategy_backtest_momentum' }
+                    ],
+                    [
+                        { text: '◀️ Back', callback_data: 'strategies' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleBacktestMenu:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading the backtest menu.');
+        }
+    }
+
+    async handleRunBacktest(chatId, telegramId, strategyType) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            if (!user) {
+                await this.sendAndStoreMessage(chatId, 'Please create an account first.');
+                return;
+            }
+
+            const candles = this.backtestService.loadStoredCandles(7);
+            if (candles.length === 0) {
+                await this.sendAndStoreMessage(chatId, '⚠️ No recorded market data yet. Price history is sampled every 5 minutes, please try again later.');
+                return;
+            }
+
+            await this.sendAndStoreMessage(chatId, `⏳ Running ${strategyType.replace(/_/g, ' ')} backtest over ${candles.length} candles...`);
+
+            const strategySettings = await this.db.getStrategySettings(user.id, strategyType);
+            const report = await this.backtestService.run({
+                strategy: strategyType,
+                candles,
+                params: strategySettings && strategySettings.params ? strategySettings.params : {}
+            });
+
+            await this.sendAndStoreMessage(chatId, this.backtestService.formatReport(report), {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            { text: '🔄 Run Again', callback_data: `strategy_backtest_${strategyType}` },
+                            { text: '◀️ Back', callback_data: 'strategy_backtest' }
+                        ]
+                    ]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleRunBacktest:', error);
+            await this.sendAndStoreMessage(chatId, `❌ Backtest failed: ${error.message}`);
+        }
+    }
+
     async sendAndStoreMessage(chatId, message, options = {}) {
         const sentMessage = await this.bot.sendMessage(chatId, message, options);
         this.lastMessageIds.set(chatId, sentMessage.message_id);
@@ -609,6 +726,15 @@ All trading strategies are now paused. You can reactivate them individually from
                 case 'strategy_copy_trade':
                     await this.copyTradeHandlers.handleCopyTradeStrategy(chatId, telegramId);
                     break;
+                case 'strategy_backtest':
+                    await this.handleBacktestMenu(chatId, telegramId);
+                    break;
+                case 'strategy_performance':
+                    await this.handleStrategyPerformance(chatId, telegramId);
+                    break;
+                case 'strategy_performance_method':
+                    await this.handleTogglePnlMethod(chatId, telegramId);
+                    break;
                 // Copy trade activation/deactivation
                 case 'copy_trade_activate':
                     await this.copyTradeHandlers.handleCopyTradeActivate(chatId, telegramId);
@@ -656,7 +782,9 @@ All trading strategies are now paused. You can reactivate them individually from
                     break;
                 default:
                     // Handle pattern-based callbacks
-                    if (callbackData.startsWith('volume_spike_')) {
+                    if (callbackData.startsWith('strategy_backtest_')) {
+                        await this.handleRunBacktest(chatId, telegramId, callbackData.replace('strategy_backtest_', ''));
+                    } else if (callbackData.startsWith('volume_spike_')) {
                         await this.handleVolumeSpikeCallbacks(chatId, telegramId, callbackData);
                     } else if (callbackData.startsWith('dip_buy_')) {
                         await this.handleDipBuyCallbacks(chatId, telegramId, callbackData);
@@ -10,9 +10,11 @@ class TradingHandlers {
         const TokenAnalysis = require('../modules/tokenAnalysis');
         this.tokenAnalysis = new TokenAnalysis();
         const TradingExecution = require('../modules/tradingExecution');
-        this.tradingExecution = new TradingExecution(config);
+        this.tradingExecution = new TradingExecution(config, db);
         const BuyManager = require('../modules/buyManager');
         this.buyManager = new BuyManager(config, this.tradingExecution, db);
+        const WalletKeystore = require('../services/walletKeystore');
+        this.keystore = new WalletKeystore(config, db);
         this.sellManager = sellManager; // Use the shared instance!
         this.userStates = new Map();
         this.lastMessageIds = new Map();
@@ -185,6 +187,9 @@ Choose your trading action:`;
                         { text: '🔄 Refresh Holdings', callback_data: 'refresh_holdings' },
                         { text: '📈 Trade History', callback_data: 'trade_history' }
                     ],
+                    [
+                        { text: '📋 Limit Orders', callback_data: 'lo_list' }
+                    ],
                     [
                         { text: '◀️ Back to Main Menu', callback_data: 'main_menu' }
                     ]
@@ -605,7 +610,7 @@ Please enter the token address you want to analyze:`;
             const { Keypair } = require('@solana/web3.js');
             
             // Decrypt the private key
-            const decryptedKey = this.decryptPrivateKey(activeWallet.encrypted_private_key, telegramId.toString());
+            const decryptedKey = this.keystore.decryptWalletKey(activeWallet);
             
             // Convert the decrypted key to Uint8Array
             let walletKeypair;
@@ -718,7 +723,10 @@ Choose your preferred order type for buying tokens:
             const keyboard = {
                 inline_keyboard: [
                     [
-                        { text: '📋 Use Limit Orders', callback_data: 'set_default_limit_orders' },
+                        { text: '📋 My Limit Orders', callback_data: 'lo_list' },
+                        { text: '➕ New Limit Order', callback_data: 'lo_new' }
+                    ],
+                    [
                         { text: '⚡️ Use Market Orders', callback_data: 'set_default_market_orders' }
                     ],
                     [
@@ -1412,29 +1420,6 @@ Choose your preferred trail threshold:`;
         }
     }
 
-    // Utility method to decrypt private keys
-    decryptPrivateKey(encryptedData, password) {
-        try {
-            const crypto = require('crypto');
-            const [ivHex, encrypted] = encryptedData.split(':');
-            if (!ivHex || !encrypted) {
-                throw new Error('Invalid encrypted data format');
-            }
-
-            const iv = Buffer.from(ivHex, 'hex');
-            const key = crypto.scryptSync(password, 'salt', 32);
-            const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-            
-            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            
-            return decrypted;
-        } catch (error) {
-            console.error('Error decrypting private key:', error);
-            throw new Error('Failed to decrypt private key');
-        }
-    }
-
     async sendAndStoreMessage(chatId, message, options = {}) {
         return await TelegramErrorHandler.sendMessage(this.bot, chatId, message, options, this.lastMessageIds);
     }
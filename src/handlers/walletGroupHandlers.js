@@ -0,0 +1,613 @@
+const TelegramErrorHandler = require('../utils/telegramErrorHandler');
+const WalletGroupService = require('../services/walletGroupService');
+
+class WalletGroupHandlers {
+    constructor(bot, db, config, tradingExecution) {
+        this.bot = bot;
+        this.db = db;
+        this.config = config;
+        this.walletGroupService = new WalletGroupService(config, db, tradingExecution);
+        this.pendingOrders = new Map(); // telegramId -> { groupId, side, tokenAddress, amount }
+        this.lastMessageIds = new Map();
+    }
+
+    // Route wg_* callbacks
+    async handleCallback(chatId, telegramId, callbackData) {
+        if (callbackData === 'wg_list') {
+            return await this.handleListGroups(chatId, telegramId);
+        }
+        if (callbackData === 'wg_new') {
+            return await this.handleNewGroupPrompt(chatId, telegramId);
+        }
+        if (callbackData === 'wg_buy_confirm') {
+            return await this.handleConfirmBuy(chatId, telegramId);
+        }
+        if (callbackData.startsWith('wg_sellpct_')) {
+            return await this.handleSellPercent(chatId, telegramId, parseFloat(callbackData.replace('wg_sellpct_', '')));
+        }
+        if (callbackData.startsWith('wg_toggle_')) {
+            const [groupId, walletId] = callbackData.replace('wg_toggle_', '').split('_').map(id => parseInt(id, 10));
+            return await this.handleToggleMember(chatId, telegramId, groupId, walletId);
+        }
+
+        // The rest are wg_<action>_<groupId>
+        const match = callbackData.match(/^wg_([a-z]+)_(\d+)$/);
+        if (!match) {
+            console.warn('Unhandled wallet group callback:', callbackData);
+            return;
+        }
+        const [, action, groupIdStr] = match;
+        const groupId = parseInt(groupIdStr, 10);
+        switch (action) {
+            case 'view':
+                return await this.handleViewGroup(chatId, telegramId, groupId);
+            case 'mode':
+                return await this.handleToggleSplitMode(chatId, telegramId, groupId);
+            case 'weights':
+                return await this.handleWeightsPrompt(chatId, telegramId, groupId);
+            case 'buy':
+                return await this.handleBuyPrompt(chatId, telegramId, groupId);
+            case 'sell':
+                return await this.handleSellPrompt(chatId, telegramId, groupId);
+            case 'delete':
+                return await this.handleDeletePrompt(chatId, telegramId, groupId);
+            case 'deleteok':
+                return await this.handleDeleteGroup(chatId, telegramId, groupId);
+            default:
+                console.warn('Unhandled wallet group callback:', callbackData);
+        }
+    }
+
+    // Handle text input for wallet group waiting states
+    async handleMessage(ctx, userState) {
+        if (!userState) {
+            return false;
+        }
+
+        const chatId = ctx.chat.id;
+        const telegramId = ctx.from.id.toString();
+        const message = (ctx.message.text || '').trim();
+
+        try {
+            switch (userState.state) {
+                case 'awaiting_wallet_group_name':
+                    await this.handleNewGroupInput(chatId, telegramId, message);
+                    return { handled: true, clearState: true };
+                case 'awaiting_wallet_group_weights':
+                    await this.handleWeightsInput(chatId, telegramId, userState.data.groupId, message);
+                    return { handled: true, clearState: true };
+                case 'awaiting_wallet_group_buy':
+                    await this.handleBuyInput(chatId, telegramId, userState.data.groupId, message);
+                    return { handled: true, clearState: true };
+                case 'awaiting_wallet_group_sell':
+                    await this.handleSellInput(chatId, telegramId, userState.data.groupId, message);
+                    return { handled: true, clearState: true };
+                default:
+                    return false;
+            }
+        } catch (error) {
+            console.error('Error in walletGroupHandlers.handleMessage:', error);
+            await this.sendAndStoreMessage(chatId, `❌ ${error.message}`, {
+                reply_markup: {
+                    inline_keyboard: [[{ text: '👥 Wallet Groups', callback_data: 'wg_list' }]]
+                }
+            });
+            return { handled: true, clearState: true };
+        }
+    }
+
+    async getGroup(telegramId, groupId) {
+        const user = await this.db.getUserByTelegramId(telegramId);
+        const group = this.db.getWalletGroupById(groupId, user.id);
+        return { user, group };
+    }
+
+    async handleListGroups(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const groups = this.db.getWalletGroupsByUserId(user.id);
+
+            let message = `
+*👥 Wallet Groups*
+
+Run one buy or sell across several of your wallets at once.
+`;
+            if (groups.length === 0) {
+                message += '\nYou have no wallet groups yet.';
+            } else {
+                for (const group of groups) {
+                    message += `\n• *${group.name}* — ${group.member_count} wallet(s), ${this.formatSplitMode(group.split_mode)}`;
+                }
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...groups.map(group => ([
+                        { text: `👥 ${group.name} (${group.member_count})`, callback_data: `wg_view_${group.id}` }
+                    ])),
+                    [
+                        { text: '➕ New Group', callback_data: 'wg_new' }
+                    ],
+                    [
+                        { text: '◀️ Back to Wallets', callback_data: 'wallet_management' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleListGroups:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading your wallet groups.');
+        }
+    }
+
+    async handleNewGroupPrompt(chatId, telegramId) {
+        try {
+            this.bot.userStates.set(telegramId, {
+                state: 'awaiting_wallet_group_name',
+                data: {}
+            });
+
+            await this.sendAndStoreMessage(chatId, `
+*➕ New Wallet Group*
+
+Send a name for the group (e.g. \`snipers\`).`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'wg_list' }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleNewGroupPrompt:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while creating the wallet group.');
+        }
+    }
+
+    async handleNewGroupInput(chatId, telegramId, name) {
+        if (!name || name.length > 32) {
+            throw new Error('Group name must be 1-32 characters');
+        }
+        const user = await this.db.getUserByTelegramId(telegramId);
+        if (this.db.getWalletGroupsByUserId(user.id).some(group => group.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`You already have a group called "${name}"`);
+        }
+
+        const group = this.db.createWalletGroup(user.id, name);
+        await this.handleViewGroup(chatId, telegramId, group.id);
+    }
+
+    async handleViewGroup(chatId, telegramId, groupId) {
+        try {
+            const { user, group } = await this.getGroup(telegramId, groupId);
+            if (!group) {
+                await this.sendAndStoreMessage(chatId, '❌ Wallet group not found.');
+                return;
+            }
+
+            const wallets = await this.db.getWalletsByUserId(user.id);
+            const members = this.db.getWalletGroupMembers(group.id);
+            const memberIds = new Set(members.map(member => member.id));
+
+            let message = `
+*👥 ${group.name}*
+
+*Split Mode:* ${this.formatSplitMode(group.split_mode)}
+*Wallets:* ${members.length}
+`;
+            for (const member of members) {
+                message += `\n• \`${this.shortAddress(member.public_key)}\` weight ${member.weight}${member.is_paper ? ' 📝' : ''}${member.is_locked ? ' 🔒' : ''}`;
+            }
+            message += '\n\nTap a wallet to add it to or remove it from the group.';
+
+            const keyboard = {
+                inline_keyboard: [
+                    ...wallets.map(wallet => ([{
+                        text: `${memberIds.has(wallet.id) ? '✅' : '⬜️'} ${this.shortAddress(wallet.public_key)}${wallet.is_paper ? ' 📝' : ''}`,
+                        callback_data: `wg_toggle_${group.id}_${wallet.id}`
+                    }])),
+                    [
+                        { text: '🛒 Group Buy', callback_data: `wg_buy_${group.id}` },
+                        { text: '💰 Group Sell', callback_data: `wg_sell_${group.id}` }
+                    ],
+                    [
+                        { text: `🔀 Mode: ${group.split_mode === 'each' ? 'Each' : 'Split'}`, callback_data: `wg_mode_${group.id}` },
+                        { text: '⚖️ Weights', callback_data: `wg_weights_${group.id}` }
+                    ],
+                    [
+                        { text: '🗑 Delete Group', callback_data: `wg_delete_${group.id}` },
+                        { text: '◀️ Back', callback_data: 'wg_list' }
+                    ]
+                ]
+            };
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error in handleViewGroup:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading the wallet group.');
+        }
+    }
+
+    async handleToggleMember(chatId, telegramId, groupId, walletId) {
+        try {
+            const { user, group } = await this.getGroup(telegramId, groupId);
+            const wallet = await this.db.getWalletById(walletId, user.id);
+            if (!group || !wallet) {
+                await this.sendAndStoreMessage(chatId, '❌ Wallet group not found.');
+                return;
+            }
+
+            const isMember = this.db.getWalletGroupMembers(group.id).some(member => member.id === wallet.id);
+            if (isMember) {
+                this.db.removeWalletGroupMember(group.id, wallet.id);
+            } else {
+                this.db.addWalletGroupMember(group.id, wallet.id);
+            }
+            await this.handleViewGroup(chatId, telegramId, group.id);
+        } catch (error) {
+            console.error('Error in handleToggleMember:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while updating the wallet group.');
+        }
+    }
+
+    async handleToggleSplitMode(chatId, telegramId, groupId) {
+        try {
+            const { group } = await this.getGroup(telegramId, groupId);
+            if (!group) {
+                await this.sendAndStoreMessage(chatId, '❌ Wallet group not found.');
+                return;
+            }
+            this.db.updateWalletGroup(group.id, { split_mode: group.split_mode === 'each' ? 'split' : 'each' });
+            await this.handleViewGroup(chatId, telegramId, group.id);
+        } catch (error) {
+            console.error('Error in handleToggleSplitMode:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while updating the wallet group.');
+        }
+    }
+
+    async handleWeightsPrompt(chatId, telegramId, groupId) {
+        try {
+            const { group } = await this.getGroup(telegramId, groupId);
+            if (!group) {
+                await this.sendAndStoreMessage(chatId, '❌ Wallet group not found.');
+                return;
+            }
+            const members = this.db.getWalletGroupMembers(group.id);
+            if (members.length === 0) {
+                await this.sendAndStoreMessage(chatId, '❌ Add wallets to the group first.');
+                return;
+            }
+
+            this.bot.userStates.set(telegramId, {
+                state: 'awaiting_wallet_group_weights',
+                data: { groupId: group.id }
+            });
+
+            const list = members.map((member, index) => `${index + 1}. \`${this.shortAddress(member.public_key)}\` (now ${member.weight})`).join('\n');
+            await this.sendAndStoreMessage(chatId, `
+*⚖️ Wallet Weights — ${group.name}*
+
+In split mode each wallet gets a share of the order in proportion to its weight.
+
+${list}
+
+Send one weight per wallet, in this order (e.g. \`${members.map(() => 1).join(' ')}\`).`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❌ Cancel', callback_data: `wg_view_${group.id}` }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleWeightsPrompt:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while editing weights.');
+        }
+    }
+
+    async handleWeightsInput(chatId, telegramId, groupId, text) {
+        const { group } = await this.getGroup(telegramId, groupId);
+        if (!group) {
+            throw new Error('Wallet group not found');
+        }
+        const members = this.db.getWalletGroupMembers(group.id);
+        const weights = text.split(/[\s,]+/).filter(Boolean).map(Number);
+        if (weights.length !== members.length) {
+            throw new Error(`Send exactly ${members.length} weight(s), one per wallet`);
+        }
+        if (weights.some(weight => isNaN(weight) || weight < 0) || weights.every(weight => weight === 0)) {
+            throw new Error('Weights must be non-negative numbers and at least one must be above 0');
+        }
+
+        members.forEach((member, index) => this.db.addWalletGroupMember(group.id, member.id, weights[index]));
+        await this.handleViewGroup(chatId, telegramId, group.id);
+    }
+
+    async handleBuyPrompt(chatId, telegramId, groupId) {
+        try {
+            const { group } = await this.getGroup(telegramId, groupId);
+            if (!group) {
+                await this.sendAndStoreMessage(chatId, '❌ Wallet group not found.');
+                return;
+            }
+
+            this.bot.userStates.set(telegramId, {
+                state: 'awaiting_wallet_group_buy',
+                data: { groupId: group.id }
+            });
+
+            const amountHelp = group.split_mode === 'each'
+                ? 'The amount is spent by *each* wallet.'
+                : 'The amount is *split* between the wallets by weight.';
+            await this.sendAndStoreMessage(chatId, `
+*🛒 Group Buy — ${group.name}*
+
+Send the token and SOL amount in one line:
+\`<token> <solAmount>\`
+
+${amountHelp}`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❌ Cancel', callback_data: `wg_view_${group.id}` }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleBuyPrompt:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while starting the group buy.');
+        }
+    }
+
+    async handleBuyInput(chatId, telegramId, groupId, text) {
+        const [tokenAddress, amountStr] = text.split(/\s+/);
+        const solAmount = parseFloat(amountStr);
+        if (!tokenAddress || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(tokenAddress)) {
+            throw new Error('Invalid token address. Use: <token> <solAmount>');
+        }
+        if (isNaN(solAmount) || solAmount <= 0) {
+            throw new Error('SOL amount must be a positive number');
+        }
+
+        const { group } = await this.getGroup(telegramId, groupId);
+        if (!group) {
+            throw new Error('Wallet group not found');
+        }
+        const members = this.db.getWalletGroupMembers(group.id);
+        const allocations = WalletGroupService.allocate(solAmount, members, group.split_mode);
+        if (allocations.length === 0) {
+            throw new Error('This wallet group has no wallets to buy with');
+        }
+
+        this.pendingOrders.set(telegramId, { groupId: group.id, side: 'buy', tokenAddress, amount: solAmount });
+
+        const total = allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+        const lines = allocations.map(({ wallet, amount }) =>
+            `• \`${this.shortAddress(wallet.public_key)}\` ${amount} SOL${wallet.is_paper ? ' 📝' : ''}${wallet.is_locked ? ' 🔒' : ''}`
+        ).join('\n');
+
+        await this.sendAndStoreMessage(chatId, `
+*🛒 Confirm Group Buy — ${group.name}*
+
+*Token:* \`${tokenAddress}\`
+*Total:* ${total} SOL across ${allocations.length} wallet(s)
+
+${lines}
+
+Locked wallets will be skipped.`, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '✅ Confirm Buy', callback_data: 'wg_buy_confirm' },
+                        { text: '❌ Cancel', callback_data: `wg_view_${group.id}` }
+                    ]
+                ]
+            }
+        });
+    }
+
+    async handleConfirmBuy(chatId, telegramId) {
+        const pending = this.pendingOrders.get(telegramId);
+        this.pendingOrders.delete(telegramId);
+        if (!pending || pending.side !== 'buy') {
+            await this.sendAndStoreMessage(chatId, 'Group buy expired. Please start over.');
+            return;
+        }
+
+        try {
+            const { user, group } = await this.getGroup(telegramId, pending.groupId);
+            if (!group) {
+                await this.sendAndStoreMessage(chatId, '❌ Wallet group not found.');
+                return;
+            }
+
+            await this.sendAndStoreMessage(chatId, `*🔄 Processing group buy across ${group.name}...*`, { parse_mode: 'Markdown' });
+            const result = await this.walletGroupService.executeGroupBuy(user, group, pending.tokenAddress, pending.amount);
+            await this.sendResult(chatId, result);
+        } catch (error) {
+            console.error('Error in handleConfirmBuy:', error);
+            await this.sendAndStoreMessage(chatId, `❌ Group buy failed: ${error.message}`);
+        }
+    }
+
+    async handleSellPrompt(chatId, telegramId, groupId) {
+        try {
+            const { group } = await this.getGroup(telegramId, groupId);
+            if (!group) {
+                await this.sendAndStoreMessage(chatId, '❌ Wallet group not found.');
+                return;
+            }
+
+            this.bot.userStates.set(telegramId, {
+                state: 'awaiting_wallet_group_sell',
+                data: { groupId: group.id }
+            });
+
+            await this.sendAndStoreMessage(chatId, `
+*💰 Group Sell — ${group.name}*
+
+Send the token address to sell. You'll then pick what percentage of each wallet's balance to sell.`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '❌ Cancel', callback_data: `wg_view_${group.id}` }]]
+                }
+            });
+        } catch (error) {
+            console.error('Error in handleSellPrompt:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while starting the group sell.');
+        }
+    }
+
+    async handleSellInput(chatId, telegramId, groupId, text) {
+        const tokenAddress = text.split(/\s+/)[0];
+        if (!tokenAddress || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(tokenAddress)) {
+            throw new Error('Invalid token address');
+        }
+        const { group } = await this.getGroup(telegramId, groupId);
+        if (!group) {
+            throw new Error('Wallet group not found');
+        }
+
+        this.pendingOrders.set(telegramId, { groupId: group.id, side: 'sell', tokenAddress });
+
+        await this.sendAndStoreMessage(chatId, `
+*💰 Group Sell — ${group.name}*
+
+*Token:* \`${tokenAddress}\`
+
+How much of each wallet's balance should be sold?`, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '25%', callback_data: 'wg_sellpct_25' },
+                        { text: '50%', callback_data: 'wg_sellpct_50' }
+                    ],
+                    [
+                        { text: '75%', callback_data: 'wg_sellpct_75' },
+                        { text: '100%', callback_data: 'wg_sellpct_100' }
+                    ],
+                    [
+                        { text: '❌ Cancel', callback_data: `wg_view_${group.id}` }
+                    ]
+                ]
+            }
+        });
+    }
+
+    async handleSellPercent(chatId, telegramId, percentage) {
+        const pending = this.pendingOrders.get(telegramId);
+        this.pendingOrders.delete(telegramId);
+        if (!pending || pending.side !== 'sell') {
+            await this.sendAndStoreMessage(chatId, 'Group sell expired. Please start over.');
+            return;
+        }
+
+        try {
+            const { user, group } = await this.getGroup(telegramId, pending.groupId);
+            if (!group) {
+                await this.sendAndStoreMessage(chatId, '❌ Wallet group not found.');
+                return;
+            }
+
+            await this.sendAndStoreMessage(chatId, `*🔄 Selling ${percentage}% from each wallet in ${group.name}...*`, { parse_mode: 'Markdown' });
+            const result = await this.walletGroupService.executeGroupSell(user, group, pending.tokenAddress, percentage);
+            await this.sendResult(chatId, result);
+        } catch (error) {
+            console.error('Error in handleSellPercent:', error);
+            await this.sendAndStoreMessage(chatId, `❌ Group sell failed: ${error.message}`);
+        }
+    }
+
+    async handleDeletePrompt(chatId, telegramId, groupId) {
+        const { group } = await this.getGroup(telegramId, groupId);
+        if (!group) {
+            await this.sendAndStoreMessage(chatId, '❌ Wallet group not found.');
+            return;
+        }
+        await this.sendAndStoreMessage(chatId, `Delete wallet group *${group.name}*? The wallets themselves are not affected.`, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '🗑 Delete', callback_data: `wg_deleteok_${group.id}` },
+                        { text: '❌ Cancel', callback_data: `wg_view_${group.id}` }
+                    ]
+                ]
+            }
+        });
+    }
+
+    async handleDeleteGroup(chatId, telegramId, groupId) {
+        try {
+            const { group } = await this.getGroup(telegramId, groupId);
+            if (group) {
+                this.db.deleteWalletGroup(group.id);
+            }
+            await this.handleListGroups(chatId, telegramId);
+        } catch (error) {
+            console.error('Error in handleDeleteGroup:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while deleting the wallet group.');
+        }
+    }
+
+    async sendResult(chatId, result) {
+        const isBuy = result.side === 'buy';
+        const header = result.failed === 0
+            ? `*✅ Group ${isBuy ? 'Buy' : 'Sell'} Complete*`
+            : (result.succeeded > 0 ? `*⚠️ Group ${isBuy ? 'Buy' : 'Sell'} Partially Filled*` : `*❌ Group ${isBuy ? 'Buy' : 'Sell'} Failed*`);
+
+        let message = `${header}
+
+*Group:* ${result.groupName}
+*Token:* \`${result.tokenAddress}\`
+*Filled:* ${result.succeeded}/${result.legs.length} wallet(s)`;
+        if (result.skipped > 0) {
+            message += `, ${result.skipped} skipped (no balance)`;
+        }
+        message += isBuy
+            ? `\n*Total:* ${result.totalAmount.toFixed(4)} SOL → ${result.totalFilled.toFixed(6)} tokens\n`
+            : `\n*Total:* ${result.totalAmount.toFixed(6)} tokens → ${result.totalFilled.toFixed(4)} SOL\n`;
+
+        for (const leg of result.legs) {
+            const wallet = `\`${this.shortAddress(leg.publicKey)}\`${leg.simulated ? ' 📝' : ''}`;
+            if (leg.success) {
+                const fill = isBuy
+                    ? `${leg.amount} SOL → ${leg.filled.toFixed(6)} ${leg.symbol || 'tokens'}`
+                    : `${leg.amount.toFixed(6)} ${leg.symbol || 'tokens'} → ${leg.filled.toFixed(4)} SOL`;
+                const signature = leg.simulated
+                    ? '_simulated_'
+                    : `[${leg.signature.slice(0, 8)}...](https://solscan.io/tx/${leg.signature})`;
+                message += `\n✅ ${wallet} ${fill} — ${signature}`;
+            } else if (leg.skipped) {
+                message += `\n➖ ${wallet} ${leg.error}`;
+            } else {
+                message += `\n❌ ${wallet} ${leg.error}`;
+            }
+        }
+
+        await this.sendAndStoreMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_markup: {
+                inline_keyboard: [[{ text: '👥 Back to Group', callback_data: `wg_view_${result.groupId}` }]]
+            }
+        });
+    }
+
+    formatSplitMode(splitMode) {
+        return splitMode === 'each' ? 'full amount per wallet' : 'split by weight';
+    }
+
+    shortAddress(address) {
+        return `${address.slice(0, 4)}...${address.slice(-4)}`;
+    }
+
+    async sendAndStoreMessage(chatId, message, options = {}) {
+        return await TelegramErrorHandler.sendMessage(this.bot, chatId, message, options, this.lastMessageIds);
+    }
+}
+
+module.exports = WalletGroupHandlers;
@@ -1,5 +1,7 @@
 const crypto = require('crypto');
 const TelegramErrorHandler = require('../utils/telegramErrorHandler');
+const PaperTradingService = require('../services/paperTradingService');
+const WalletKeystore = require('../services/walletKeystore');
 
 class WalletHandlers {
     constructor(bot, db, config) {
@@ -8,6 +10,9 @@ class WalletHandlers {
         this.config = config;
         this.lastMessageIds = new Map();
         this.lastWalletMessageId = null;
+        // Only manages paper accounts here, so no execution engine is needed
+        this.paperTradingService = new PaperTradingService(config, db, null);
+        this.keystore = new WalletKeystore(config, db);
     }
 
     // Handle input messages for wallet-related waiting states
@@ -41,6 +46,10 @@ class WalletHandlers {
                         }
                         return { handled: true, clearState: true };
                     }
+                    case 'awaiting_export_passphrase': {
+                        await this.handleConfirmExport(chatId, telegramId, userState.data.walletId, message.trim());
+                        return { handled: true, clearState: true };
+                    }
                     default:
                         return false; // Not handled by wallet handlers
                 }
@@ -100,7 +109,7 @@ The wallet has been added to your monitored list. You can now enable copy tradin
     async handleCreateWallet(chatId, telegramId) {
         try {
             const wallet = await this.generateWallet();
-            const encryptedKey = this.encryptPrivateKey(wallet.privateKey, telegramId);
+            const encryptedKey = this.keystore.encryptPrivateKey(wallet.privateKey, wallet.publicKey);
             
             const user = await this.db.getUserByTelegramId(telegramId);
             await this.db.createWallet(user.id, wallet.publicKey, encryptedKey, {
@@ -330,7 +339,7 @@ Please send your private key in one of these formats:
             console.log('Original format:', originalFormat);
             
             // Store the private key in the format it was received
-            const encryptedKey = this.encryptPrivateKey(cleanInput, telegramId);
+            const encryptedKey = this.keystore.encryptPrivateKey(cleanInput, publicKey);
             const user = await this.db.getUserByTelegramId(telegramId);
             
             if (!user) {
@@ -518,7 +527,7 @@ Are you sure you want to proceed?`;
         }
     }
 
-    async handleConfirmExport(chatId, telegramId, walletId) {
+    async handleConfirmExport(chatId, telegramId, walletId, passphrase = null) {
         try {
             const user = await this.db.getUserByTelegramId(telegramId);
             const wallet = await this.db.getWalletById(walletId, user.id);
@@ -528,8 +537,32 @@ Are you sure you want to proceed?`;
                 return;
             }
 
+            // Keys encrypted with the wallet passphrase can't be read without it
+            if (WalletKeystore.isPassphraseProtected(wallet) && !passphrase) {
+                this.bot.userStates.set(telegramId, {
+                    state: 'awaiting_export_passphrase',
+                    data: { walletId }
+                });
+                await this.sendAndStoreMessage(chatId, '*🔑 Passphrase Required*\n\nThis wallet key is protected by your passphrase. Please send it to continue the export.', {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'export_keys' }]]
+                    }
+                });
+                return;
+            }
+
             // Decrypt the private key
-            const privateKey = this.decryptPrivateKey(wallet.encrypted_private_key, telegramId);
+            let privateKey;
+            try {
+                privateKey = this.keystore.decryptWalletKey(wallet, passphrase);
+            } catch (error) {
+                console.error('Error decrypting key for export:', error.message);
+                await this.sendAndStoreMessage(chatId, passphrase
+                    ? 'Sorry, that passphrase is incorrect. The key was not exported.'
+                    : 'Sorry, the wallet key could not be decrypted.');
+                return;
+            }
 
             const message = `
 *🔑 Private Key Export*
@@ -752,6 +785,18 @@ You can now use this wallet for trading.`;
                 return;
             }
             
+            if (callbackData === 'wallet_paper') {
+                await this.handlePaperTrading(chatId, telegramId);
+                return;
+            }
+
+            if (callbackData === 'wallet_paper_on' ||
+                callbackData === 'wallet_paper_off' ||
+                callbackData === 'wallet_paper_reset') {
+                await this.handlePaperTradingAction(chatId, telegramId, callbackData.replace('wallet_paper_', ''));
+                return;
+            }
+
             if (callbackData.startsWith('switch_to_')) {
                 const walletId = callbackData.replace('switch_to_', '');
                 // Check if it's a public key (from wallet import) or wallet ID (from switch menu)
@@ -837,6 +882,100 @@ Your wallet is now ready to use. You can start trading or view your portfolio.
         }
     }
 
+    async handlePaperTrading(chatId, telegramId) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const activeWallet = await this.db.getActiveWallet(user.id);
+
+            if (!activeWallet) {
+                await this.sendAndStoreMessage(chatId, 'Please create or import a wallet first.');
+                return;
+            }
+
+            const shortKey = `${activeWallet.public_key.slice(0, 8)}...${activeWallet.public_key.slice(-8)}`;
+            let message;
+            let keyboard;
+
+            if (this.paperTradingService.isPaperWallet(activeWallet)) {
+                const summary = this.paperTradingService.getAccountSummary(activeWallet.id);
+                message = `
+*📝 Paper Trading - SIMULATED*
+
+*Wallet:* \`${shortKey}\`
+*Status:* ON - buys and sells are simulated
+
+*Paper Balance:* ${summary.solBalance.toFixed(4)} SOL
+*Open Positions:* ${summary.positions.length} (cost ${summary.costBasis.toFixed(4)} SOL)
+*Starting Balance:* ${summary.startingBalance.toFixed(4)} SOL
+*P&L at Cost:* ${summary.pnl >= 0 ? '+' : ''}${summary.pnl.toFixed(4)} SOL
+
+Manual trades and autonomous rules on this wallet use Jupiter quotes (or stored prices when offline) and never touch the chain.`;
+                keyboard = {
+                    inline_keyboard: [
+                        [
+                            { text: '🔴 Turn Off Paper Mode', callback_data: 'wallet_paper_off' },
+                            { text: '♻️ Reset Paper Account', callback_data: 'wallet_paper_reset' }
+                        ],
+                        [
+                            { text: '◀️ Back to Wallets', callback_data: 'wallet_management' }
+                        ]
+                    ]
+                };
+            } else {
+                message = `
+*📝 Paper Trading*
+
+*Wallet:* \`${shortKey}\`
+*Status:* OFF - trades are executed on-chain
+
+Turn on paper mode to simulate trades on this wallet with a virtual balance of ${this.paperTradingService.startingBalance} SOL. Real funds are never used while it is on.`;
+                keyboard = {
+                    inline_keyboard: [
+                        [
+                            { text: '🟢 Turn On Paper Mode', callback_data: 'wallet_paper_on' }
+                        ],
+                        [
+                            { text: '◀️ Back to Wallets', callback_data: 'wallet_management' }
+                        ]
+                    ]
+                };
+            }
+
+            await this.sendAndStoreMessage(chatId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            console.error('Error showing paper trading settings:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while loading paper trading settings.');
+        }
+    }
+
+    async handlePaperTradingAction(chatId, telegramId, action) {
+        try {
+            const user = await this.db.getUserByTelegramId(telegramId);
+            const activeWallet = await this.db.getActiveWallet(user.id);
+
+            if (!activeWallet) {
+                await this.sendAndStoreMessage(chatId, 'Please create or import a wallet first.');
+                return;
+            }
+
+            if (action === 'on') {
+                this.paperTradingService.enablePaperMode(activeWallet.id);
+            } else if (action === 'off') {
+                this.paperTradingService.disablePaperMode(activeWallet.id);
+            } else if (action === 'reset') {
+                this.paperTradingService.resetAccount(activeWallet.id);
+            }
+
+            await this.handlePaperTrading(chatId, telegramId);
+        } catch (error) {
+            console.error('Error updating paper trading mode:', error);
+            await this.sendAndStoreMessage(chatId, 'Sorry, something went wrong while updating paper trading mode.');
+        }
+    }
+
     // Helper methods
     validatePrivateKeyFormat(privateKey) {
         const cleaned = privateKey.trim();
@@ -876,35 +1015,6 @@ Your wallet is now ready to use. You can start trading or view your portfolio.
         };
     }
 
-    encryptPrivateKey(privateKey, userId) {
-        const crypto = require('crypto');
-        const algorithm = 'aes-256-cbc';
-        const key = crypto.scryptSync(userId, 'salt', 32);
-        const iv = crypto.randomBytes(16);
-        
-        const cipher = crypto.createCipheriv(algorithm, key, iv);
-        let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        
-        return iv.toString('hex') + ':' + encrypted;
-    }
-
-    decryptPrivateKey(encryptedKey, userId) {
-        const crypto = require('crypto');
-        const algorithm = 'aes-256-cbc';
-        const key = crypto.scryptSync(userId, 'salt', 32);
-        
-        const parts = encryptedKey.split(':');
-        const iv = Buffer.from(parts[0], 'hex');
-        const encrypted = parts[1];
-        
-        const decipher = crypto.createDecipheriv(algorithm, key, iv);
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        
-        return decrypted;
-    }
-
     async sendAndStoreMessage(chatId, message, options = {}) {
         return await TelegramErrorHandler.sendMessage(this.bot, chatId, message, options, this.lastMessageIds);
     }
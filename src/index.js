@@ -1,4 +1,5 @@
 require('dotenv').config();
+const sharedConfig = require('./config');
 const TelegramBotManager = require('./modules/telegramBot');
 const WebhookServer = require('./webhookServer');
 const StrategyEngine = require('./modules/strategyEngine');
@@ -6,6 +7,10 @@ const DatabaseManager = require('./modules/database');
 const FeeManagement = require('./modules/feeManagement');
 const TradingExecution = require('./modules/tradingExecution');
 const ManualManagementService = require('./services/manualManagementService');
+const PriceHistoryService = require('./services/priceHistoryService');
+const WalletKeystore = require('./services/walletKeystore');
+const TradingSessionService = require('./services/tradingSessionService');
+const EmailReportService = require('./services/emailReportService');
 const winston = require('winston');
 const cron = require('node-cron');
 
@@ -43,23 +48,66 @@ const config = {
     rpcEndpoint: process.env.SOLANA_RPC_ENDPOINT || 'https://api.mainnet-beta.solana.com',
     treasuryWallet: process.env.TREASURY_WALLET,
     marketingWallet: process.env.MARKETING_WALLET,
+    rewardWallet: process.env.REWARD_WALLET,
+    rewardWalletSecret: process.env.REWARD_WALLET_SECRET,
+    toolTokenMint: process.env.TOOL_TOKEN_MINT,
     feePercentage: parseFloat(process.env.FEE_PERCENTAGE) || 0.003,
     marketingShare: parseFloat(process.env.MARKETING_SHARE) || 0.5,
     minimumTokenHoldings: parseInt(process.env.MINIMUM_TOKEN_HOLDINGS) || 1000,
+    // Fraction of a referred user's trading fee paid to their referrer, out of the treasury's 60%
+    referralFeeShare: process.env.REFERRAL_FEE_SHARE !== undefined ? parseFloat(process.env.REFERRAL_FEE_SHARE) : 0.2,
+    // Weekly payout of the holders' fee share; a dry run logs the allocations without sending
+    feeDistribution: {
+        dryRun: process.env.FEE_DISTRIBUTION_DRY_RUN === 'true',
+        batchSize: parseInt(process.env.FEE_DISTRIBUTION_BATCH_SIZE) || 10,
+        maxRetries: parseInt(process.env.FEE_DISTRIBUTION_MAX_RETRIES) || 3,
+        // Bot users claim their share from the Rewards menu; unclaimed shares are paid after this many days
+        claimWindowDays: parseInt(process.env.REWARD_CLAIM_WINDOW_DAYS) || 7,
+        claimCooldownHours: parseInt(process.env.REWARD_CLAIM_COOLDOWN_HOURS) || 24
+    },
     jupiterApiKey: process.env.JUPITER_API_KEY,
     birdEyeApiKey: process.env.BIRDEYE_API_KEY,
     dexscreenerApiKey: process.env.DEXSCREENER_API_KEY,
     // Trading configuration - Jupiter ONLY with Raydium fallback
     tradingProvider: 'jupiter', // Force Jupiter as primary
     enableFallback: true, // Keep Raydium as fallback only
-    preferJupiter: true // New flag to strongly prefer Jupiter
+    preferJupiter: true, // New flag to strongly prefer Jupiter
+    // Read from src/config.js so the bot and the backtest CLI can't disagree about them
+    keystore: sharedConfig.keystore,
+    tradingSessions: sharedConfig.tradingSessions,
+    priceOracle: sharedConfig.priceOracle,
+    // New-listing scanner: new Raydium pools and Jupiter mints vetted with RugCheck and matched to filter rules
+    listingScanner: {
+        // Opt-in: every scan hits the RPC, Birdeye and RugCheck
+        enabled: process.env.LISTING_SCANNER_ENABLED === 'true',
+        intervalMs: (parseInt(process.env.LISTING_SCAN_INTERVAL_SECONDS) || 60) * 1000,
+        maxAgeMinutes: parseInt(process.env.LISTING_MAX_AGE_MINUTES) || 30,
+        maxRiskScore: parseInt(process.env.LISTING_MAX_RISK_SCORE) || 60,
+        minLiquidity: parseFloat(process.env.LISTING_MIN_LIQUIDITY) || 0
+    },
+    // SMTP for emailed portfolio reports; any SMTP server works, including a local sink for testing
+    email: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || undefined,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.EMAIL_FROM
+    }
 };
 
 // Initialize components
 const db = new DatabaseManager();
-const feeManager = new FeeManagement(config);
-const tradingExecution = new TradingExecution(config);
+const feeManager = new FeeManagement(config, db);
+const tradingExecution = new TradingExecution(config, db);
 const strategyEngine = new StrategyEngine(config);
+const priceHistoryService = new PriceHistoryService(config, db);
+const emailReportService = new EmailReportService(config, db);
+
+// Re-encrypt any wallet keys still stored in the old Telegram-ID-keyed format
+new WalletKeystore(config, db).migrateLegacyKeys();
+// Trading sessions live in memory, so passphrase wallets start locked
+new TradingSessionService(config, db).lockAllSessionWallets();
 
 // Initialize Telegram bot manager (webhook-only)
 const telegramBotManager = new TelegramBotManager(config, null);
@@ -91,12 +139,42 @@ function initializeBackgroundJobs() {
     cron.schedule('*/5 * * * *', async () => {
         try {
             logger.info('Running market data update job');
-            // TODO: Implement market data update logic
+            await priceHistoryService.sampleTrackedTokens();
         } catch (error) {
             logger.error(`Error in market data update job: ${error.message}`);
         }
     });
 
+    // Trending token refresh (hourly)
+    cron.schedule('30 * * * *', async () => {
+        try {
+            logger.info('Running trending token refresh job');
+            await priceHistoryService.refreshTrendingTokens();
+        } catch (error) {
+            logger.error(`Error in trending token refresh job: ${error.message}`);
+        }
+    });
+
+    // Price history retention/downsampling (daily)
+    cron.schedule('15 0 * * *', async () => {
+        try {
+            logger.info('Running price history compaction job');
+            priceHistoryService.compactCandles();
+        } catch (error) {
+            logger.error(`Error in price history compaction job: ${error.message}`);
+        }
+    });
+
+    // Scheduled email reports (daily at 07:00; weekly and monthly subscribers are sent when due)
+    cron.schedule('0 7 * * *', async () => {
+        try {
+            logger.info('Running scheduled email report job');
+            await emailReportService.runScheduledReports();
+        } catch (error) {
+            logger.error(`Error in scheduled email report job: ${error.message}`);
+        }
+    });
+
     // Strategy evaluation (every minute)
     cron.schedule('* * * * *', async () => {
         try {
@@ -1,7 +1,8 @@
 const { LAMPORTS_PER_SOL, Keypair } = require('@solana/web3.js');
 const bs58 = require('bs58');
-const crypto = require('crypto');
 const TokenAnalysis = require('./tokenAnalysis');
+const PaperTradingService = require('../services/paperTradingService');
+const WalletKeystore = require('../services/walletKeystore');
 
 class BuyManager {
     constructor(config, tradingExecution, db, manualManagementService) {
@@ -12,6 +13,8 @@ class BuyManager {
         this.pendingBuyAmount = new Map(); // Store pending buy amounts for users
         this.lastFailedOrder = new Map(); // Store last failed order details for retry
         this.tokenAnalysis = new TokenAnalysis();
+        this.paperTradingService = new PaperTradingService(config, db, tradingExecution);
+        this.keystore = new WalletKeystore(config, db);
     }
 
     async initiateBuy(chatId, telegramId, bot) {
@@ -169,8 +172,13 @@ Please create or import a wallet first to start trading.`;
                 return;
             }
 
+            if (this.paperTradingService.isPaperWallet(activeWallet)) {
+                await this.executePaperBuy(chatId, telegramId, user, activeWallet, pendingBuy, solAmount, bot);
+                return;
+            }
+
             // Decrypt the private key
-            const decryptedKey = this.decryptPrivateKey(activeWallet.encrypted_private_key, telegramId.toString());
+            const decryptedKey = this.keystore.decryptWalletKey(activeWallet);
             
             // Convert the decrypted key to Uint8Array
             let keypair;
@@ -333,6 +341,84 @@ You can retry with the same details or start a new order.`;
         }
     }
 
+    /**
+     * Fill a buy against the paper account instead of the chain.
+     * Throws on failure so executeBuy's retry/error handling applies.
+     */
+    async executePaperBuy(chatId, telegramId, user, wallet, pendingBuy, solAmount, bot) {
+        await bot.sendAndStoreMessage(chatId, `
+*📝 Simulating Buy Order*
+
+Paper wallet - no funds will move on-chain.`, {
+            parse_mode: 'Markdown'
+        });
+
+        const result = await this.paperTradingService.simulateBuy(
+            user.id,
+            wallet,
+            pendingBuy.tokenAddress,
+            solAmount
+        );
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to simulate buy');
+        }
+
+        const balance = this.db.getPaperBalance(wallet.id);
+        const message = `
+*📝 SIMULATED Buy Order Filled*
+
+*Token:* ${result.name} (${result.symbol})
+*Amount:* ${result.tokensReceived.toFixed(6)} ${result.symbol}
+*Price:* ${result.tokenPrice.toFixed(6)} SOL
+*Total Cost:* ${solAmount} SOL
+
+*Simulated Fees:*
+• Bot Fee: ${result.botFee.toFixed(4)} SOL
+• Network Fee: ${result.networkFee.toFixed(4)} SOL
+
+*Quote Source:* ${result.quoteSource === 'jupiter' ? 'Jupiter' : 'Local price history'}
+*Paper Balance:* ${balance ? balance.sol_balance.toFixed(4) : '0.0000'} SOL
+
+_No transaction was sent to the network._`;
+
+        await bot.sendAndStoreMessage(chatId, message, {
+            parse_mode: 'Markdown'
+        });
+
+        this.clearPendingBuy(telegramId);
+    }
+
+    /**
+     * Buy without a Telegram conversation, for background flows such as copy trading.
+     * Paper wallets are simulated; real fills are recorded as trades.
+     * @param {Object} options - ruleId and strategy that placed the trade, for the PnL ledger
+     * @returns {Promise<Object>} The execution result, with success/error
+     */
+    async executeAutomatedBuy(userId, wallet, tokenAddress, solAmount, options = {}) {
+        try {
+            if (wallet.is_locked) {
+                throw new Error('Wallet is locked');
+            }
+
+            if (this.paperTradingService.isPaperWallet(wallet)) {
+                return await this.paperTradingService.simulateBuy(userId, wallet, tokenAddress, solAmount, undefined, options);
+            }
+
+            const decryptedKey = this.keystore.decryptWalletKey(wallet);
+            const keypair = Keypair.fromSecretKey(Buffer.from(decryptedKey, 'base64'));
+            const result = await this.tradingExecution.executeBuy(userId, tokenAddress, solAmount, keypair, options);
+
+            if (result.success) {
+                await this.db.createTrade(userId, tokenAddress, result.tokensReceived, result.tokenPrice, 'buy');
+            }
+            return result;
+        } catch (error) {
+            console.error('Error executing automated buy:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Handles custom buy callback action, e.g. _<tokenAddress>
      * Prompts user to enter a custom amount for the specified token.
@@ -406,27 +492,6 @@ You can retry with the same details or start a new order.`;
         }
     }
 
-    decryptPrivateKey(encryptedData, password) {
-        try {
-            const [ivHex, encrypted] = encryptedData.split(':');
-            if (!ivHex || !encrypted) {
-                throw new Error('Invalid encrypted data format');
-            }
-
-            const iv = Buffer.from(ivHex, 'hex');
-            const key = crypto.scryptSync(password, 'salt', 32);
-            const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-            
-            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            
-            return decrypted;
-        } catch (error) {
-            console.error('Error decrypting private key:', error);
-            throw new Error('Failed to decrypt private key');
-        }
-    }
-
     hasPendingBuy(telegramId) {
         return this.pendingBuyAmount.has(telegramId);
     }
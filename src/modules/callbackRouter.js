@@ -356,11 +356,32 @@ class CallbackRouter {
                 return;
             }
 
+            if (callbackData === 'export_tax') {
+                await this.handlers.exportHandlers.handleTaxReportMenu(chatId, telegramId);
+                return;
+            }
+
+            if (callbackData.startsWith('export_tax_')) {
+                // export_tax_<year> picks the format, export_tax_<year>_<format> generates the file
+                const [year, format] = callbackData.replace('export_tax_', '').split('_');
+                if (format) {
+                    await this.handlers.exportHandlers.handleExportTaxReport(chatId, telegramId, parseInt(year), format);
+                } else {
+                    await this.handlers.exportHandlers.handleTaxReportFormats(chatId, telegramId, parseInt(year));
+                }
+                return;
+            }
+
             if (callbackData === 'export_email') {
                 await this.handlers.exportHandlers.handleExportEmail(chatId, telegramId);
                 return;
             }
 
+            if (callbackData.startsWith('export_email_')) {
+                await this.handlers.exportHandlers.handleEmailCallback(chatId, telegramId, callbackData);
+                return;
+            }
+
             // Handle wallet management separately (should show wallet management menu)
             if (callbackData === 'wallet_management') {
                 await this.handlers.bot.showWalletManagement(chatId, telegramId);
@@ -373,7 +394,9 @@ class CallbackRouter {
                 callbackData.startsWith('security_wallet_') ||
                 callbackData.startsWith('passphrase_wallet_') ||
                 callbackData.startsWith('unlock_wallet_') ||
-                callbackData.startsWith('lock_wallet_')) {
+                callbackData.startsWith('lock_wallet_') ||
+                callbackData === 'set_auto_lock_timer' ||
+                callbackData.startsWith('auto_lock_')) {
                 await this.handlers.securityHandlers.handleSecurityActions(ctx);
                 return;
             }
@@ -393,6 +416,42 @@ class CallbackRouter {
                 return;
             }
 
+            // Handle limit order book callbacks
+            if (callbackData.startsWith('lo_')) {
+                await this.handlers.limitOrderHandlers.handleCallback(chatId, telegramId, callbackData);
+                return;
+            }
+
+            // Handle wallet group callbacks
+            if (callbackData.startsWith('wg_')) {
+                await this.handlers.walletGroupHandlers.handleCallback(chatId, telegramId, callbackData);
+                return;
+            }
+
+            // Handle followed-wallet (copy trade leader) callbacks
+            if (callbackData.startsWith('ct_')) {
+                await this.handlers.copyTradeHandlers.handleCallback(chatId, telegramId, callbackData);
+                return;
+            }
+
+            // Handle wallet leaderboard callbacks
+            if (callbackData.startsWith('ldr_')) {
+                await this.handlers.leaderboardHandlers.handleCallback(chatId, telegramId, callbackData);
+                return;
+            }
+
+            // Handle 4TOOL rewards callbacks
+            if (callbackData.startsWith('rwd_')) {
+                await this.handlers.rewardsHandlers.handleCallback(chatId, telegramId, callbackData);
+                return;
+            }
+
+            // Handle referral callbacks
+            if (callbackData.startsWith('ref_')) {
+                await this.handlers.referralHandlers.handleCallback(chatId, telegramId, callbackData);
+                return;
+            }
+
             // Handle trade actions (exclude rules-specific buy_amount callbacks)
             if (callbackData === 'trade' ||
                 callbackData === 'buy_token' ||
@@ -431,6 +490,11 @@ class CallbackRouter {
                 return;
             }
 
+            if (callbackData === 'fee_tiers') {
+                await this.handlers.settingsHandlers.handleFeeTiers(chatId, telegramId);
+                return;
+            }
+
             // Handle autonomous mode toggle
             if (callbackData === 'toggle_autonomous') {
                 const messageId = ctx.callbackQuery.message.message_id;
@@ -502,6 +566,32 @@ class CallbackRouter {
                 console.log('✅ CallbackRouter: set_max_daily_trades handled');
                 return;
             }
+
+            // Handle risk guard limits
+            if (callbackData === 'set_daily_loss_limit') {
+                await this.handlers.settingsHandlers.handleRiskLimitPrompt(chatId, telegramId, 'daily_loss_limit');
+                return;
+            }
+
+            if (callbackData === 'set_max_open_positions') {
+                await this.handlers.settingsHandlers.handleRiskLimitPrompt(chatId, telegramId, 'max_open_positions');
+                return;
+            }
+
+            if (callbackData === 'set_max_token_exposure') {
+                await this.handlers.settingsHandlers.handleRiskLimitPrompt(chatId, telegramId, 'max_token_exposure_sol');
+                return;
+            }
+
+            if (callbackData === 'set_loss_cooldown') {
+                await this.handlers.settingsHandlers.handleLossCooldownPrompt(chatId, telegramId);
+                return;
+            }
+
+            if (callbackData === 'risk_guard_status') {
+                await this.handlers.settingsHandlers.handleRiskGuardStatus(chatId, telegramId);
+                return;
+            }
             
             // Handle notification toggle callbacks
             if (callbackData === 'toggle_trade_notifications') {
@@ -829,7 +919,7 @@ class CallbackRouter {
             }
 
             if (callbackData === 'confirm_claim') {
-                await this.handlers.bot.handleClaimRewards(chatId, telegramId);
+                await this.handlers.rewardsHandlers.handleRewards(chatId, telegramId);
                 return;
             }
 
@@ -1,6 +1,27 @@
 require('dotenv').config();
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const DatabaseManager = require('./database');
 const BuyManager = require('./buyManager');
+const SellManager = require('./sellManager');
+const TradingExecution = require('./tradingExecution');
+const StrategyEngine = require('./strategyEngine');
+const TradingSessionService = require('../services/tradingSessionService');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// What to do with a copied position when its leader sells
+const EXIT_MODES = ['mirror', 'ignore', 'tpsl'];
+
+// Leader exits above this share of their bag close the whole copied position, leaving no dust
+const FULL_EXIT_FRACTION = 0.99;
+
+// How the size of a copied buy is chosen, per followed wallet, with each mode's default parameter:
+// SOL per trade, % of our balance, % of the leader's portfolio share, and the Kelly cap as % of balance
+const SIZING_MODES = ['fixed', 'balance_pct', 'proportional', 'kelly'];
+const SIZING_DEFAULTS = { fixed: 0.1, balance_pct: 5, proportional: 100, kelly: 10 };
+
+// Bet half of what full Kelly suggests; full Kelly is far too aggressive on noisy win rates
+const KELLY_MULTIPLIER = 0.5;
 
 // Use global fetch if available (Node.js 18+), otherwise fall back to node-fetch
 let fetch;
@@ -28,6 +49,7 @@ class WalletTokenMonitor {
         this.isPolling = false;
         this.ws = null;
         this.onTokenPurchase = null; // Callback for token purchases
+        this.onTokenSale = null; // Callback for token sales
     }
 
     // Method 1: Polling approach using Enhanced Transactions API
@@ -160,7 +182,7 @@ class WalletTokenMonitor {
             
             // Check if this is a token purchase (SOL -> Token or Token -> Token)
             const tokensBought = swap.tokenOutputs?.filter(output => 
-                output.userAccount === this.walletAddress
+                output.userAccount === this.walletAddress && output.mint !== SOL_MINT
             );
 
             if (tokensBought && tokensBought.length > 0) {
@@ -189,6 +211,31 @@ class WalletTokenMonitor {
                     }
                 }
             }
+
+            // Tokens the wallet swapped away for SOL (or another token) are sells
+            const tokensSold = swap.tokenInputs?.filter(input =>
+                input.userAccount === this.walletAddress && input.mint !== SOL_MINT
+            );
+
+            if (tokensSold && tokensSold.length > 0 && this.onTokenSale) {
+                for (const token of tokensSold) {
+                    console.log('📤 TOKEN SALE DETECTED');
+                    console.log(`Wallet: ${this.walletAddress}`);
+                    console.log(`Token: ${token.mint}`);
+                    console.log(`Amount: ${token.tokenAmount}`);
+                    console.log(`Transaction: ${transaction.signature}`);
+                    console.log('---');
+
+                    await this.onTokenSale({
+                        walletAddress: this.walletAddress,
+                        tokenMint: token.mint,
+                        amount: token.tokenAmount,
+                        signature: transaction.signature,
+                        timestamp: transaction.timestamp,
+                        transaction: transaction
+                    });
+                }
+            }
         }
     }
 
@@ -246,7 +293,7 @@ class WalletTokenMonitor {
             );
 
             for (const change of tokenChanges) {
-                if (change.owner === this.walletAddress && change.change > 0) {
+                if (change.owner === this.walletAddress && change.change > 0 && change.mint !== SOL_MINT) {
                     console.log('⚡ REAL-TIME TOKEN PURCHASE DETECTED!');
                     console.log(`Wallet: ${this.walletAddress}`);
                     console.log(`Token Mint: ${change.mint}`);
@@ -270,6 +317,27 @@ class WalletTokenMonitor {
                             type: 'realtime'
                         });
                     }
+                } else if (change.owner === this.walletAddress && change.side === 'sell' && change.mint !== SOL_MINT) {
+                    console.log('⚡ REAL-TIME TOKEN SALE DETECTED!');
+                    console.log(`Wallet: ${this.walletAddress}`);
+                    console.log(`Token Mint: ${change.mint}`);
+                    console.log(`Amount Change: ${change.change} (${(change.exitFraction * 100).toFixed(1)}% of position)`);
+                    console.log(`Transaction: ${signature}`);
+                    console.log('---');
+
+                    if (this.onTokenSale) {
+                        await this.onTokenSale({
+                            walletAddress: this.walletAddress,
+                            tokenMint: change.mint,
+                            amount: -change.change,
+                            preAmount: change.preAmount,
+                            postAmount: change.postAmount,
+                            signature: signature,
+                            slot: transactionData.slot,
+                            transaction: transactionData,
+                            type: 'realtime'
+                        });
+                    }
                 }
             }
         }
@@ -299,7 +367,10 @@ class WalletTokenMonitor {
                     mint: balance.mint,
                     change: change,
                     preAmount: preAmount,
-                    postAmount: postAmount
+                    postAmount: postAmount,
+                    side: change > 0 ? 'buy' : 'sell',
+                    // Share of the previous balance that left the wallet
+                    exitFraction: change < 0 && preAmount > 0 ? Math.min(-change / preAmount, 1) : 0
                 });
             }
         });
@@ -367,10 +438,16 @@ class WalletTokenMonitor {
 }
 
 class CopyTradingBot {
-    constructor(config) {
+    constructor(config, tradingExecution = null, manualManagementService = null) {
         this.config = config;
         this.db = new DatabaseManager();
-        this.buyManager = new BuyManager(config, null, this.db);
+        // Without an RPC endpoint the bot can still monitor, but only paper wallets can trade
+        this.tradingExecution = tradingExecution || (config.rpcEndpoint ? new TradingExecution(config, this.db) : null);
+        this.manualManagementService = manualManagementService;
+        this.buyManager = new BuyManager(config, this.tradingExecution, this.db, manualManagementService);
+        this.sellManager = new SellManager(config, this.tradingExecution, this.db, null);
+        this.strategyEngine = null; // Created on first Kelly-sized trade
+        this.tradingSessionService = new TradingSessionService(config, this.db);
         this.isRunning = false;
         this.lastProcessedSignature = null;
         this.processedSwaps = new Set();
@@ -388,6 +465,10 @@ class CopyTradingBot {
             await this.handleTokenPurchase(userId, purchaseData);
         };
 
+        monitor.onTokenSale = async (saleData) => {
+            await this.handleTokenSale(userId, saleData);
+        };
+
         return monitor;
     }
 
@@ -411,7 +492,10 @@ class CopyTradingBot {
                 tokenOut: purchaseData.tokenMint,
                 amountIn: purchaseData.amount || 0,
                 amountOut: purchaseData.amount || 0,
-                dex: 'detected'
+                dex: 'detected',
+                side: 'buy',
+                leaderAddress: purchaseData.walletAddress,
+                leaderSolSpent: this.getLeaderSolSpent(purchaseData)
             };
 
             // Process the swap using existing logic
@@ -422,6 +506,45 @@ class CopyTradingBot {
         }
     }
 
+    // Handle token sale detected by wallet monitor
+    async handleTokenSale(userId, saleData) {
+        try {
+            // Polling and WebSocket both report the same sale; it must only be mirrored once
+            const saleKey = `${saleData.signature}:${saleData.tokenMint}`;
+            if (this.processedSwaps.has(saleKey)) {
+                return;
+            }
+            this.processedSwaps.add(saleKey);
+
+            console.log(`🎯 Processing token sale for user ${userId}`);
+
+            const userSettings = await this.db.getUserSettings(userId);
+            if (!userSettings) {
+                console.log('No user settings found for user:', userId);
+                return;
+            }
+
+            const swapData = {
+                signature: saleData.signature,
+                timestamp: new Date((saleData.timestamp || Date.now() / 1000) * 1000),
+                tokenIn: saleData.tokenMint,
+                tokenOut: SOL_MINT,
+                amountIn: saleData.amount || 0,
+                amountOut: 0,
+                dex: 'detected',
+                side: 'sell',
+                leaderAddress: saleData.walletAddress,
+                leaderPreAmount: saleData.preAmount,
+                leaderPostAmount: saleData.postAmount
+            };
+
+            await this.processSwap(userId, swapData, userSettings);
+
+        } catch (error) {
+            console.error('❌ Error handling token sale:', error);
+        }
+    }
+
     // Start monitoring for a specific user
     async startMonitoringForUser(userId) {
         try {
@@ -605,7 +728,9 @@ class CopyTradingBot {
                     mint: balance.mint,
                     change: change,
                     preAmount: preAmount,
-                    postAmount: postAmount
+                    postAmount: postAmount,
+                    side: change > 0 ? 'buy' : 'sell',
+                    exitFraction: change < 0 && preAmount > 0 ? Math.min(-change / preAmount, 1) : 0
                 });
             }
         });
@@ -665,6 +790,14 @@ class CopyTradingBot {
         swapData.amountIn = parseInt(swapEvent.tokenIn.amount);
         swapData.amountOut = parseInt(swapEvent.tokenOut.amount);
 
+        // Swapping a token back into SOL is the leader exiting; anything else is a buy of tokenOut
+        swapData.side = swapData.tokenOut === SOL_MINT && swapData.tokenIn !== SOL_MINT ? 'sell' : 'buy';
+        // Enhanced transaction amounts are in base units, not UI amounts
+        swapData.rawAmounts = true;
+        if (swapData.tokenIn === SOL_MINT) {
+            swapData.leaderSolSpent = swapData.amountIn / LAMPORTS_PER_SOL;
+        }
+
         return swapData;
     }
 
@@ -723,6 +856,7 @@ class CopyTradingBot {
                             
                             const swapData = this.analyzeSwapForCopying(swap);
                             if (!swapData) continue;
+                            swapData.leaderAddress = wallet.wallet_address;
 
                             // Get user settings
                             const userSettings = await this.db.getUserSettings(userId);
@@ -769,14 +903,26 @@ class CopyTradingBot {
                 userSettings = await this.db.getUserSettings(userId);
             }
 
+            if (swapData.side === 'sell') {
+                await this.processLeaderExit(userId, swapData, userSettings);
+                return;
+            }
+
             // Check if we should execute the trade based on user settings
             if (!this.shouldExecuteTrade(swapData, userSettings)) {
                 console.log('Trade skipped due to user settings');
                 return;
             }
 
-            // Calculate the amount to trade based on user settings
-            const tradeAmount = this.calculateTradeAmount(swapData, userSettings);
+            const activeWallet = await this.db.getActiveWallet(userId);
+            if (!activeWallet) {
+                console.log('Copy trade skipped: no active wallet for user:', userId);
+                return;
+            }
+
+            // Size the trade with the leader's sizing mode, then the user's min/max
+            const leader = await this.findLeader(userId, swapData.leaderAddress);
+            const tradeAmount = await this.calculateTradeAmount(swapData, userSettings, leader, activeWallet);
             if (!tradeAmount) {
                 console.log('Trade skipped due to amount calculation');
                 return;
@@ -796,25 +942,24 @@ class CopyTradingBot {
                 return;
             }
 
-            // Execute the buy through BuyManager
-            const result = await this.buyManager.executeBuy(
-                null, // chatId not needed for automated trades
-                userId.toString(), // telegramId
+            // Passphrase wallets only sign while their trading session is live
+            if (!this.tradingSessionService.canSign(activeWallet)) {
+                console.log('Copy trade paused: no live trading session for user:', userId);
+                return;
+            }
+
+            // Execute the buy through BuyManager; it records the trade
+            const result = await this.buyManager.executeAutomatedBuy(
+                userId,
+                activeWallet,
+                swapData.tokenOut,
                 tradeAmount,
-                null // bot instance not needed for automated trades
+                { strategy: 'copy_trade' }
             );
 
             if (result.success) {
                 console.log('✅ Copy trade executed successfully:', result);
-                
-                // Record the trade in the database
-                await this.db.createTrade(
-                    userId,
-                    swapData.tokenOut,
-                    tradeAmount,
-                    result.tokenPrice,
-                    'buy'
-                );
+                await this.recordCopiedPosition(userId, activeWallet, leader, swapData, tradeAmount, result);
             } else {
                 console.error('❌ Copy trade failed:', result.error);
             }
@@ -824,30 +969,224 @@ class CopyTradingBot {
         }
     }
 
-    shouldExecuteTrade(swapData, userSettings) {
-        // Check if auto-confirm is enabled
-        if (!userSettings.auto_confirm_trades) {
-            return false;
+    // Remember what each leader bought for us so their exits can be mirrored proportionally
+    async recordCopiedPosition(userId, wallet, leader, swapData, solAmount, result) {
+        if (!leader || !(result.tokensReceived > 0)) {
+            return;
+        }
+
+        this.db.addCopyTradePosition(userId, leader.id, wallet.id, swapData.tokenOut, result.tokensReceived, solAmount);
+
+        if ((leader.exit_mode || 'mirror') === 'tpsl') {
+            if (!this.manualManagementService) {
+                console.log('TP/SL hand-off requested but manual management is not running; position is held');
+                return;
+            }
+            await this.manualManagementService.addTokenToMonitoring(
+                userId,
+                swapData.tokenOut,
+                result.tokenPrice,
+                result.tokensReceived
+            );
         }
+    }
 
-        // Check max daily trades
-        if (userSettings.max_daily_trades) {
-            // TODO: Implement daily trade count check
+    async findLeader(userId, walletAddress) {
+        if (!walletAddress) {
+            return null;
         }
+        const externalWallets = await this.db.getExternalWallets(userId);
+        return externalWallets.find(wallet => wallet.wallet_address === walletAddress) || null;
+    }
 
-        // Check min/max trade amounts
-        if (userSettings.min_trade_amount && swapData.amountIn < userSettings.min_trade_amount) {
-            return false;
+    /**
+     * The leader sold some of a token: apply their exit setting to what we copied from them
+     */
+    async processLeaderExit(userId, swapData, userSettings) {
+        const leader = await this.findLeader(userId, swapData.leaderAddress);
+        if (!leader) {
+            console.log('Leader sell skipped: wallet is not followed by user:', userId);
+            return;
+        }
+
+        const exitMode = leader.exit_mode || 'mirror';
+        if (exitMode !== 'mirror') {
+            console.log(`Leader sell not mirrored for user ${userId}: exit mode is ${exitMode}`);
+            return;
+        }
+
+        if (!userSettings || !userSettings.auto_confirm_trades) {
+            console.log('Leader sell skipped due to user settings');
+            return;
+        }
+
+        const strategySettings = await this.db.getStrategySettings(userId, 'copy_trade');
+        if (!strategySettings || !strategySettings.params.isActive) {
+            console.log('Copy trade strategy is not active for user:', userId);
+            return;
+        }
+
+        const positions = this.db.getCopyTradePositions(userId, leader.id, swapData.tokenIn);
+        if (positions.length === 0) {
+            console.log(`No copied position in ${swapData.tokenIn} from ${leader.wallet_address}`);
+            return;
+        }
+
+        const fraction = await this.getLeaderExitFraction(leader.wallet_address, swapData);
+        if (!(fraction > 0)) {
+            console.log('Leader sell skipped: could not work out how much of their position they sold');
+            return;
+        }
+        console.log(`🔁 Leader exited ${(fraction * 100).toFixed(1)}% of ${swapData.tokenIn}, mirroring`);
+
+        for (const position of positions) {
+            await this.mirrorExit(userId, position, fraction);
+        }
+    }
+
+    /**
+     * Share of their position the leader sold, from the transaction's balances when we
+     * have them, otherwise from what is left in their wallet now
+     */
+    async getLeaderExitFraction(leaderAddress, swapData) {
+        let sold;
+        let remaining;
+        if (swapData.leaderPreAmount > 0) {
+            sold = swapData.leaderPreAmount - (swapData.leaderPostAmount || 0);
+            remaining = swapData.leaderPostAmount || 0;
+        } else {
+            const balance = await this.getLeaderTokenBalance(leaderAddress, swapData.tokenIn);
+            if (!balance) {
+                return null;
+            }
+            sold = swapData.amountIn;
+            remaining = swapData.rawAmounts ? balance.rawAmount : balance.amount;
+        }
+
+        if (!(sold > 0)) {
+            return null;
+        }
+        const fraction = Math.min(sold / (sold + remaining), 1);
+        return fraction >= FULL_EXIT_FRACTION ? 1 : fraction;
+    }
+
+    async getLeaderTokenBalance(walletAddress, mintAddress) {
+        const rpcUrl = `https://mainnet.helius-rpc.com/?api-key=${this.config.heliusApiKey}`;
+        try {
+            const response = await fetch(rpcUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: 1,
+                    method: 'getTokenAccountsByOwner',
+                    params: [walletAddress, { mint: mintAddress }, { encoding: 'jsonParsed' }]
+                })
+            });
+            const data = await response.json();
+            if (!data.result) {
+                return null;
+            }
+            return data.result.value.reduce((total, account) => {
+                const tokenAmount = account.account.data.parsed.info.tokenAmount;
+                return {
+                    amount: total.amount + (tokenAmount.uiAmount || 0),
+                    rawAmount: total.rawAmount + parseInt(tokenAmount.amount)
+                };
+            }, { amount: 0, rawAmount: 0 });
+        } catch (error) {
+            console.error('Error fetching leader token balance:', error);
+            return null;
+        }
+    }
+
+    // Sell the same share of one copied position through SellManager
+    async mirrorExit(userId, position, fraction) {
+        try {
+            const wallet = await this.db.getWalletById(position.wallet_id);
+            if (!wallet) {
+                return;
+            }
+            if (!this.tradingSessionService.canSign(wallet)) {
+                console.log(`Mirror sell paused: no live trading session for wallet ${wallet.id}`);
+                return;
+            }
+
+            const isPaper = this.sellManager.paperTradingService.isPaperWallet(wallet);
+            if (!isPaper && !this.tradingExecution) {
+                console.log('Mirror sell skipped: no RPC endpoint configured');
+                return;
+            }
+
+            // The user may have sold some by hand, so never sell more than the wallet holds
+            let held;
+            if (isPaper) {
+                const paperPosition = this.db.getPaperPosition(wallet.id, position.token_address);
+                held = paperPosition ? paperPosition.amount : 0;
+            } else {
+                held = await this.tradingExecution.getTokenBalance(new PublicKey(wallet.public_key), position.token_address);
+            }
+            held = Math.min(held, position.amount);
+
+            if (!(held > 0)) {
+                // Nothing left to mirror; stop tracking the position
+                this.db.reduceCopyTradePosition(position.id, position.amount);
+                return;
+            }
+
+            const amount = held * fraction;
+            const result = await this.sellManager.executeAutomatedSell(userId, wallet, position.token_address, amount, { strategy: 'copy_trade' });
+            if (result.success) {
+                console.log(`✅ Mirrored leader exit: sold ${amount} of ${position.token_address} from wallet ${wallet.id}`);
+                this.db.reduceCopyTradePosition(position.id, fraction === 1 ? position.amount : position.amount * fraction);
+            } else {
+                console.error('❌ Mirror sell failed:', result.error);
+            }
+        } catch (error) {
+            console.error('❌ Error mirroring leader exit:', error);
         }
-        if (userSettings.max_trade_amount && swapData.amountIn > userSettings.max_trade_amount) {
+    }
+
+    shouldExecuteTrade(swapData, userSettings) {
+        // Check if auto-confirm is enabled
+        if (!userSettings.auto_confirm_trades) {
             return false;
         }
 
+        // Daily trade count, loss limits and exposure are enforced by the risk guard when the buy executes
+
+        // Min/max trade amounts apply to our size, in calculateTradeAmount, not to the leader's
         return true;
     }
 
-    calculateTradeAmount(swapData, userSettings) {
-        let amount = swapData.amountIn;
+    /**
+     * SOL to spend copying a leader's buy, from the leader's sizing mode, clamped by the user's
+     * min/max trade amounts
+     * @returns {Promise<number|null>} null when the trade should be skipped
+     */
+    async calculateTradeAmount(swapData, userSettings, leader = null, wallet = null) {
+        const mode = (leader && SIZING_MODES.includes(leader.sizing_mode)) ? leader.sizing_mode : 'fixed';
+        const value = leader && leader.sizing_value > 0 ? leader.sizing_value : SIZING_DEFAULTS[mode];
+
+        let amount;
+        if (mode === 'fixed') {
+            amount = value;
+        } else {
+            const balance = wallet ? await this.getWalletSolBalance(wallet) : 0;
+            if (mode === 'balance_pct') {
+                amount = balance * value / 100;
+            } else if (mode === 'proportional') {
+                const share = await this.getLeaderTradeShare(swapData);
+                amount = share === null ? null : balance * share * value / 100;
+            } else {
+                const fraction = await this.getKellyFraction(swapData.leaderAddress);
+                amount = balance * Math.min(fraction, value / 100);
+            }
+        }
+        console.log(`Copy size (${mode} ${value}): ${amount} SOL`);
+        if (!(amount > 0)) {
+            return null;
+        }
 
         // Apply max trade amount limit if set
         if (userSettings.max_trade_amount) {
@@ -859,7 +1198,117 @@ class CopyTradingBot {
             return null; // Skip trade if below minimum
         }
 
-        return amount;
+        // Whole lamports only
+        return Math.floor(amount * LAMPORTS_PER_SOL) / LAMPORTS_PER_SOL;
+    }
+
+    async getWalletSolBalance(wallet) {
+        if (this.buyManager.paperTradingService.isPaperWallet(wallet)) {
+            const balance = this.db.getPaperBalance(wallet.id);
+            return balance ? balance.sol_balance : 0;
+        }
+        if (!this.tradingExecution) {
+            return 0;
+        }
+        const lamports = await this.tradingExecution.connection.getBalance(new PublicKey(wallet.public_key));
+        return lamports / LAMPORTS_PER_SOL;
+    }
+
+    // SOL the leader paid for a detected purchase, or null when the transaction doesn't show it
+    getLeaderSolSpent(purchaseData) {
+        const transaction = purchaseData.transaction || {};
+
+        // Enhanced transactions (polling) report the SOL leg of the swap directly
+        const nativeInput = transaction.events?.swap?.nativeInput;
+        if (nativeInput && nativeInput.account === purchaseData.walletAddress) {
+            return parseInt(nativeInput.amount) / LAMPORTS_PER_SOL;
+        }
+
+        // Raw transactions (WebSocket) only carry lamport balances per account
+        const meta = transaction.transaction?.meta;
+        const accountKeys = transaction.transaction?.transaction?.message?.accountKeys;
+        if (meta && accountKeys) {
+            const index = accountKeys.findIndex(key => (key.pubkey || key) === purchaseData.walletAddress);
+            if (index >= 0) {
+                const spent = (meta.preBalances[index] - meta.postBalances[index]) / LAMPORTS_PER_SOL;
+                return spent > 0 ? spent : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The leader's buy as a share of their whole portfolio. The portfolio is read after the buy,
+     * when the SOL spent is already held as the token, so it approximates the value before it.
+     */
+    async getLeaderTradeShare(swapData) {
+        if (!(swapData.leaderSolSpent > 0)) {
+            return null;
+        }
+        const portfolioSol = await this.getLeaderPortfolioSol(swapData.leaderAddress);
+        if (!(portfolioSol > 0)) {
+            return null;
+        }
+        return Math.min(swapData.leaderSolSpent / portfolioSol, 1);
+    }
+
+    // Leader's SOL plus priced fungible tokens, in SOL
+    async getLeaderPortfolioSol(walletAddress) {
+        const rpcUrl = `https://mainnet.helius-rpc.com/?api-key=${this.config.heliusApiKey}`;
+        try {
+            const response = await fetch(rpcUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    id: 1,
+                    method: 'getAssetsByOwner',
+                    params: {
+                        ownerAddress: walletAddress,
+                        page: 1,
+                        limit: 1000,
+                        displayOptions: { showFungible: true, showNativeBalance: true }
+                    }
+                })
+            });
+            const data = await response.json();
+            if (!data.result) {
+                return null;
+            }
+
+            const native = data.result.nativeBalance || {};
+            const solBalance = (native.lamports || 0) / LAMPORTS_PER_SOL;
+            if (!(native.price_per_sol > 0)) {
+                return solBalance;
+            }
+            const tokensUsd = (data.result.items || []).reduce((sum, item) =>
+                sum + (item.token_info?.price_info?.total_price || 0), 0);
+            return solBalance + tokensUsd / native.price_per_sol;
+        } catch (error) {
+            console.error('Error fetching leader portfolio:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Share of our balance Kelly suggests for this leader, assuming wins and losses of equal
+     * size (f = 2p - 1), scaled by KELLY_MULTIPLIER. 0 when the leader doesn't win more than half.
+     */
+    async getKellyFraction(leaderAddress) {
+        if (!leaderAddress) {
+            return 0;
+        }
+        try {
+            if (!this.strategyEngine) {
+                this.strategyEngine = new StrategyEngine(this.config, { db: this.db, tradingExecution: this.tradingExecution });
+            }
+            const successRate = await this.strategyEngine.getWalletSuccessRate(leaderAddress);
+            const winProbability = successRate / 100;
+            return Math.max(0, KELLY_MULTIPLIER * (2 * winProbability - 1));
+        } catch (error) {
+            console.error('Error calculating Kelly fraction:', error);
+            return 0;
+        }
     }
 
     stop() {
@@ -881,4 +1330,8 @@ class CopyTradingBot {
     }
 }
 
+CopyTradingBot.EXIT_MODES = EXIT_MODES;
+CopyTradingBot.SIZING_MODES = SIZING_MODES;
+CopyTradingBot.SIZING_DEFAULTS = SIZING_DEFAULTS;
+
 module.exports = CopyTradingBot; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const crypto = require('crypto');
+const MigrationRunner = require('../database/migrator');
 
 class DatabaseManager {
     constructor() {
@@ -9,344 +10,10 @@ class DatabaseManager {
     }
 
     initializeTables() {
-        // Users table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                telegram_id TEXT UNIQUE NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Wallets table with is_active flag and locked status
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS wallets (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                public_key TEXT NOT NULL,
-                encrypted_private_key TEXT NOT NULL,
-                is_active BOOLEAN DEFAULT 0,
-                is_locked BOOLEAN DEFAULT 1,
-                passphrase_hash TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id),
-                UNIQUE(user_id, public_key)
-            )
-        `);
-
-        // Strategies table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS strategies (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                strategy_json TEXT NOT NULL,
-                active BOOLEAN DEFAULT true,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id)
-            )
-        `);
-
-        // Tokens tracked table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS tokens_tracked (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                token_address TEXT NOT NULL,
-                buy_price REAL,
-                tp_price REAL,
-                sl_price REAL,
-                trailing_sl BOOLEAN DEFAULT false,
-                active BOOLEAN DEFAULT true,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id)
-            )
-        `);
-
-        // Trades table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS trades (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                token_address TEXT NOT NULL,
-                amount REAL NOT NULL,
-                price REAL NOT NULL,
-                side TEXT NOT NULL,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id)
-            )
-        `);
-
-        // Fees table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS fees (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                trade_id INTEGER NOT NULL,
-                total_fee REAL NOT NULL,
-                team_wallet_share REAL NOT NULL,
-                holders_share REAL NOT NULL,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (trade_id) REFERENCES trades(id)
-            )
-        `);
-
-        // Snapshots table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS snapshots (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                epoch_id INTEGER NOT NULL,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                eligible_wallets TEXT NOT NULL
-            )
-        `);
-
-        // Claims table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS claims (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                epoch_id INTEGER NOT NULL,
-                claimed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id)
-            )
-        `);
-
-        // Rules table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS rules (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                name TEXT NOT NULL,
-                description TEXT,
-                type TEXT NOT NULL,
-                is_active BOOLEAN DEFAULT true,
-                success_count INTEGER DEFAULT 0,
-                failure_count INTEGER DEFAULT 0,
-                last_check TIMESTAMP,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id)
-            )
-        `);
-
-        // Rule conditions table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS rule_conditions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                rule_id INTEGER NOT NULL,
-                condition_type TEXT NOT NULL,
-                condition_value TEXT NOT NULL,
-                operator TEXT DEFAULT '>=',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (rule_id) REFERENCES rules(id)
-            )
-        `);
-
-        // Rule settings table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS rule_settings (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                rule_id INTEGER NOT NULL,
-                notifications_enabled BOOLEAN DEFAULT true,
-                alerts_enabled BOOLEAN DEFAULT true,
-                notification_frequency TEXT DEFAULT 'immediate',
-                alert_threshold INTEGER DEFAULT 100,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (rule_id) REFERENCES rules(id)
-            )
-        `);
-
-        // Rule history table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS rule_history (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                rule_id INTEGER NOT NULL,
-                token_address TEXT NOT NULL,
-                token_name TEXT,
-                trigger_price REAL,
-                trigger_volume REAL,
-                trigger_market_cap REAL,
-                trigger_liquidity REAL,
-                status TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (rule_id) REFERENCES rules(id)
-            )
-        `);
-
-        // Rule criteria table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS rule_criteria (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                rule_id INTEGER NOT NULL,
-                criteria_type TEXT NOT NULL,
-                operator TEXT NOT NULL,
-                value TEXT NOT NULL,
-                secondary_value TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (rule_id) REFERENCES rules(id) ON DELETE CASCADE
-            )
-        `);
-
-        // Rule metrics table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS rule_metrics (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                rule_id INTEGER NOT NULL,
-                metric_type TEXT NOT NULL,
-                threshold REAL NOT NULL,
-                timeframe TEXT NOT NULL,
-                direction TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (rule_id) REFERENCES rules(id) ON DELETE CASCADE
-            )
-        `);
-
-        // External wallets table for copy trading
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS external_wallets (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                wallet_address TEXT NOT NULL,
-                name TEXT,
-                is_active BOOLEAN DEFAULT true,
-                last_trade_time TIMESTAMP,
-                total_trades INTEGER DEFAULT 0,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id),
-                UNIQUE(user_id, wallet_address)
-            )
-        `);
-
-        // User settings table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS user_settings (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
-                max_trade_amount REAL,
-                min_trade_amount REAL,
-                max_daily_trades INTEGER,
-                auto_confirm_trades BOOLEAN DEFAULT false,
-                notify_on_trade BOOLEAN DEFAULT true,
-                default_stop_loss REAL DEFAULT 10.0,
-                default_take_profit REAL DEFAULT 20.0,
-                trailing_stop_enabled BOOLEAN DEFAULT false,
-                trailing_stop_threshold REAL DEFAULT 5.0,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id),
-                UNIQUE(user_id)
-            )
-        `);
-
-        // Portfolio snapshots table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS portfolio_snapshots (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id TEXT NOT NULL,
-                value REAL NOT NULL,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // --- Sold tokens table for manual management duplicate prevention ---
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS sold_tokens (
-                user_id INTEGER,
-                token_address TEXT,
-                sold_at INTEGER,
-                PRIMARY KEY (user_id, token_address)
-            )
-        `);
-
-        // Run migrations
-        this.runMigrations();
-    }
-
-    runMigrations() {
-        try {
-            // Add name column to external_wallets if it doesn't exist
-            this.db.exec(`
-                ALTER TABLE external_wallets 
-                ADD COLUMN name TEXT;
-            `);
-        } catch (error) {
-            // Column might already exist, which is fine
-            if (!error.message.includes('duplicate column name')) {
-                console.error('Migration error:', error);
-            }
-        }
-
-        try {
-            // Add total_trades column to external_wallets if it doesn't exist
-            this.db.exec(`
-                ALTER TABLE external_wallets 
-                ADD COLUMN total_trades INTEGER DEFAULT 0;
-            `);
-        } catch (error) {
-            // Column might already exist, which is fine
-            if (!error.message.includes('duplicate column name')) {
-                console.error('Migration error:', error);
-            }
-        }
-
-        try {
-            // Add autonomous_enabled column to user_settings if it doesn't exist
-            this.db.exec(`
-                ALTER TABLE user_settings 
-                ADD COLUMN autonomous_enabled BOOLEAN DEFAULT false;
-            `);
-        } catch (error) {
-            // Column might already exist, which is fine
-            if (!error.message.includes('duplicate column name')) {
-                console.error('Migration error:', error);
-            }
-        }
-
-        try {
-            // Add auto_confirm column to user_settings if it doesn't exist
-            this.db.exec(`
-                ALTER TABLE user_settings 
-                ADD COLUMN auto_confirm BOOLEAN DEFAULT false;
-            `);
-        } catch (error) {
-            // Column might already exist, which is fine
-            if (!error.message.includes('duplicate column name')) {
-                console.error('Migration error:', error);
-            }
-        }
-
-        try {
-            // Add default_slippage column to user_settings if it doesn't exist
-            this.db.exec(`
-                ALTER TABLE user_settings 
-                ADD COLUMN default_slippage REAL DEFAULT 1.0;
-            `);
-        } catch (error) {
-            // Column might already exist, which is fine
-            if (!error.message.includes('duplicate column name')) {
-                console.error('Migration error:', error);
-            }
-        }
-
-        // Add notification columns
-        const notificationColumns = [
-            'notify_on_pnl BOOLEAN DEFAULT true',
-            'notify_on_rule_trigger BOOLEAN DEFAULT true',
-            'notify_on_market_alerts BOOLEAN DEFAULT true',
-            'notify_on_price_alerts BOOLEAN DEFAULT true',
-            'notify_on_system_updates BOOLEAN DEFAULT true'
-        ];
-
-        notificationColumns.forEach(column => {
-            try {
-                this.db.exec(`ALTER TABLE user_settings ADD COLUMN ${column};`);
-            } catch (error) {
-                // Column might already exist, which is fine
-                if (!error.message.includes('duplicate column name')) {
-                    console.error('Migration error:', error);
-                }
-            }
-        });
+        // The schema is defined by the numbered files in src/database/migrations
+        const migrator = new MigrationRunner(this.db);
+        migrator.migrate();
+        migrator.assertSchema();
     }
 
     // User operations
@@ -373,12 +40,13 @@ class DatabaseManager {
         const isActive = options.is_active !== undefined ? options.is_active : 
             !(await this.getActiveWallet(userId)); // Set as active if no other active wallet exists
         const isLocked = options.is_locked !== undefined ? options.is_locked : false;
+        const isPaper = options.is_paper !== undefined ? options.is_paper : false;
         
         const stmt = this.db.prepare(`
-            INSERT INTO wallets (user_id, public_key, encrypted_private_key, is_active, is_locked)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO wallets (user_id, public_key, encrypted_private_key, is_active, is_locked, is_paper)
+            VALUES (?, ?, ?, ?, ?, ?)
         `);
-        return stmt.run(userId, publicKey, encryptedPrivateKey, isActive ? 1 : 0, isLocked ? 1 : 0);
+        return stmt.run(userId, publicKey, encryptedPrivateKey, isActive ? 1 : 0, isLocked ? 1 : 0, isPaper ? 1 : 0);
     }
 
     async getWalletsByUserId(userId) {
@@ -504,27 +172,163 @@ class DatabaseManager {
     }
 
     // Trade operations
-    createTrade(userId, tokenAddress, amount, price, side) {
+    createTrade(userId, tokenAddress, amount, price, side, options = {}) {
         const stmt = this.db.prepare(
-            'INSERT INTO trades (user_id, token_address, amount, price, side) VALUES (?, ?, ?, ?, ?)'
+            'INSERT INTO trades (user_id, token_address, amount, price, side, is_paper) VALUES (?, ?, ?, ?, ?, ?)'
         );
-        return stmt.run(userId, tokenAddress, amount, price, side);
+        return stmt.run(userId, tokenAddress, amount, price, side, options.isPaper ? 1 : 0);
+    }
+
+    // Paper-trading operations
+    setWalletPaperMode(walletId, isPaper) {
+        const stmt = this.db.prepare('UPDATE wallets SET is_paper = ? WHERE id = ?');
+        return stmt.run(isPaper ? 1 : 0, walletId);
+    }
+
+    getPaperBalance(walletId) {
+        const stmt = this.db.prepare('SELECT * FROM paper_balances WHERE wallet_id = ?');
+        return stmt.get(walletId);
+    }
+
+    resetPaperAccount(walletId, startingBalance) {
+        const transaction = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM paper_positions WHERE wallet_id = ?').run(walletId);
+            this.db.prepare(`
+                INSERT INTO paper_balances (wallet_id, sol_balance, starting_balance)
+                VALUES (?, ?, ?)
+                ON CONFLICT(wallet_id) DO UPDATE SET
+                    sol_balance = excluded.sol_balance,
+                    starting_balance = excluded.starting_balance,
+                    updated_at = CURRENT_TIMESTAMP
+            `).run(walletId, startingBalance, startingBalance);
+        });
+        transaction();
+        return this.getPaperBalance(walletId);
+    }
+
+    getPaperPositions(walletId) {
+        const stmt = this.db.prepare('SELECT * FROM paper_positions WHERE wallet_id = ? AND amount > 0 ORDER BY updated_at DESC');
+        return stmt.all(walletId);
+    }
+
+    getPaperPosition(walletId, tokenAddress) {
+        const stmt = this.db.prepare('SELECT * FROM paper_positions WHERE wallet_id = ? AND token_address = ?');
+        return stmt.get(walletId, tokenAddress);
+    }
+
+    /**
+     * Apply a simulated fill atomically: move SOL and adjust the token position.
+     * solDelta is negative for buys; tokenDelta is negative for sells.
+     */
+    applyPaperFill(walletId, tokenAddress, { solDelta, tokenDelta, price, symbol = null, realizedPnl = 0 }) {
+        const transaction = this.db.transaction(() => {
+            const balance = this.getPaperBalance(walletId);
+            if (!balance) {
+                throw new Error('Paper account not initialized');
+            }
+            if (balance.sol_balance + solDelta < -1e-9) {
+                throw new Error(`Insufficient paper SOL balance. You have ${balance.sol_balance.toFixed(6)} SOL`);
+            }
+
+            const position = this.getPaperPosition(walletId, tokenAddress);
+            const held = position ? position.amount : 0;
+            if (held + tokenDelta < -1e-9) {
+                throw new Error(`Insufficient paper token balance. You have ${held.toFixed(6)} tokens`);
+            }
+
+            this.db.prepare(`
+                UPDATE paper_balances SET sol_balance = sol_balance + ?, updated_at = CURRENT_TIMESTAMP
+                WHERE wallet_id = ?
+            `).run(solDelta, walletId);
+
+            const newAmount = Math.max(0, held + tokenDelta);
+            // Buys move the weighted average entry; sells leave it untouched
+            const avgPrice = tokenDelta > 0
+                ? ((held * (position ? position.avg_price : 0)) + (tokenDelta * price)) / newAmount
+                : (position ? position.avg_price : price);
+
+            this.db.prepare(`
+                INSERT INTO paper_positions (wallet_id, token_address, symbol, amount, avg_price, realized_pnl)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(wallet_id, token_address) DO UPDATE SET
+                    symbol = COALESCE(excluded.symbol, paper_positions.symbol),
+                    amount = excluded.amount,
+                    avg_price = excluded.avg_price,
+                    realized_pnl = paper_positions.realized_pnl + ?,
+                    updated_at = CURRENT_TIMESTAMP
+            `).run(walletId, tokenAddress, symbol, newAmount, avgPrice, realizedPnl, realizedPnl);
+        });
+        transaction();
+        return this.getPaperPosition(walletId, tokenAddress);
     }
 
     // Fee operations
-    createFee(tradeId, totalFee, teamWalletShare, holdersShare) {
-        const stmt = this.db.prepare(
-            'INSERT INTO fees (trade_id, total_fee, team_wallet_share, holders_share) VALUES (?, ?, ?, ?)'
+    createFee(fee) {
+        const stmt = this.db.prepare(`
+            INSERT INTO fees (
+                trade_id, user_id, wallet_address, trade_amount, total_fee, team_wallet_share, holders_share,
+                fee_tier, fee_rate, referrer_id, referral_wallet, referral_share
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        return stmt.run(
+            fee.tradeId || null,
+            fee.userId || null,
+            fee.walletAddress || null,
+            fee.tradeAmount || null,
+            fee.totalFee,
+            fee.teamShare,
+            fee.holdersShare,
+            fee.tier || 'Standard',
+            fee.rate || null,
+            fee.referrerId || null,
+            fee.referralWallet || null,
+            fee.referralShare || 0
         );
-        return stmt.run(tradeId, totalFee, teamWalletShare, holdersShare);
+    }
+
+    // SOL traded for real over the trailing window, from the fill ledger's SOL legs
+    getTradingVolume(userId, days = 30) {
+        return this.db.prepare(`
+            SELECT COALESCE(SUM(sol_amount), 0) as volume FROM pnl_fills
+            WHERE user_id = ? AND is_paper = 0 AND created_at >= datetime('now', ?)
+        `).get(userId, `-${days} days`).volume;
+    }
+
+    // Fees not yet paid out in an epoch: the next epoch's holders' pool
+    getUnassignedFees() {
+        return this.db.prepare(`
+            SELECT COUNT(*) as count, COALESCE(SUM(holders_share), 0) as holders_share,
+                   COALESCE(MAX(id), 0) as max_id
+            FROM fees WHERE epoch_id IS NULL
+        `).get();
     }
 
     // Snapshot operations
-    createSnapshot(epochId, eligibleWallets) {
-        const stmt = this.db.prepare(
-            'INSERT INTO snapshots (epoch_id, eligible_wallets) VALUES (?, ?)'
-        );
-        return stmt.run(epochId, JSON.stringify(eligibleWallets));
+    // Only the latest snapshot for an epoch is kept; earlier ones taken before it closed are replaced
+    createSnapshot(epochId, eligibleWallets, meta = {}) {
+        const replace = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM snapshots WHERE epoch_id = ?').run(epochId);
+            return this.db.prepare(`
+                INSERT INTO snapshots (epoch_id, eligible_wallets, snapshot_hash, slot, holder_count, total_balance)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(
+                epochId,
+                JSON.stringify(eligibleWallets),
+                meta.snapshotHash || null,
+                meta.slot || null,
+                eligibleWallets.length,
+                meta.totalBalance || 0
+            );
+        });
+        return replace();
+    }
+
+    getSnapshot(snapshotId) {
+        return this.db.prepare('SELECT * FROM snapshots WHERE id = ?').get(snapshotId);
+    }
+
+    getLatestSnapshot() {
+        return this.db.prepare('SELECT * FROM snapshots ORDER BY id DESC LIMIT 1').get();
     }
 
     // Claim operations
@@ -570,6 +374,41 @@ class DatabaseManager {
         return stmt.run(walletId);
     }
 
+    updateWalletEncryptedKey(walletId, encryptedPrivateKey) {
+        const stmt = this.db.prepare(`
+            UPDATE wallets
+            SET encrypted_private_key = ?
+            WHERE id = ?
+        `);
+        return stmt.run(encryptedPrivateKey, walletId);
+    }
+
+    getWalletOwnerTelegramId(walletId) {
+        const stmt = this.db.prepare(`
+            SELECT u.telegram_id
+            FROM wallets w
+            JOIN users u ON u.id = w.user_id
+            WHERE w.id = ?
+        `);
+        return stmt.get(walletId);
+    }
+
+    getAllWalletKeys() {
+        const stmt = this.db.prepare(
+            'SELECT id, user_id, public_key, encrypted_private_key FROM wallets'
+        );
+        return stmt.all();
+    }
+
+    lockPassphraseWallets() {
+        const stmt = this.db.prepare(`
+            UPDATE wallets
+            SET is_locked = 1
+            WHERE passphrase_hash IS NOT NULL AND is_locked = 0
+        `);
+        return stmt.run();
+    }
+
     async getWalletSecurityStatus(walletId) {
         const stmt = this.db.prepare(`
             SELECT is_locked, passphrase_hash 
@@ -1259,7 +1098,8 @@ class DatabaseManager {
                 COUNT(*) as total_trades,
                 SUM(CASE WHEN side = 'BUY' THEN 1 ELSE 0 END) as buy_trades,
                 SUM(CASE WHEN side = 'SELL' THEN 1 ELSE 0 END) as sell_trades,
-                SUM(CASE WHEN side = 'SELL' AND price > 0 THEN amount * price ELSE 0 END) - SUM(CASE WHEN side = 'BUY' AND price > 0 THEN amount * price ELSE 0 END) as total_pnl
+                SUM(CASE WHEN side = 'SELL' AND price > 0 THEN amount * price ELSE 0 END) - SUM(CASE WHEN side = 'BUY' AND price > 0 THEN amount * price ELSE 0 END) as total_pnl,
+                SUM(CASE WHEN is_paper = 1 THEN 1 ELSE 0 END) as paper_trades
             FROM trades WHERE user_id = ?
         `);
         return stmt.get(userId);
@@ -1337,6 +1177,1025 @@ class DatabaseManager {
             return false;
         }
     }
+
+    // --- Managed positions ---
+    saveManagedPosition(position) {
+        const stmt = this.db.prepare(`
+            INSERT INTO managed_positions (
+                user_id, token_address, rule_id, wallet_address, conditions,
+                buy_price, highest_price, token_amount, symbol,
+                ladder_rungs_filled, initial_token_amount, breakeven_stop, opened_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(user_id, token_address) DO UPDATE SET
+                rule_id = excluded.rule_id,
+                wallet_address = excluded.wallet_address,
+                conditions = excluded.conditions,
+                buy_price = excluded.buy_price,
+                highest_price = excluded.highest_price,
+                token_amount = excluded.token_amount,
+                symbol = excluded.symbol,
+                ladder_rungs_filled = excluded.ladder_rungs_filled,
+                initial_token_amount = excluded.initial_token_amount,
+                breakeven_stop = excluded.breakeven_stop,
+                opened_at = excluded.opened_at,
+                updated_at = CURRENT_TIMESTAMP
+        `);
+        return stmt.run(
+            position.userId,
+            position.tokenAddress,
+            position.ruleId || null,
+            position.walletAddress,
+            JSON.stringify(position.conditions || {}),
+            position.buyPrice,
+            position.highestPrice,
+            position.tokenAmount || 0,
+            position.symbol || null,
+            position.ladderRungsFilled || 0,
+            position.initialTokenAmount || position.tokenAmount || 0,
+            position.breakevenStop ? 1 : 0,
+            new Date(position.openedAt || Date.now()).toISOString().slice(0, 19).replace('T', ' ')
+        );
+    }
+
+    getManagedPositions() {
+        const stmt = this.db.prepare('SELECT * FROM managed_positions ORDER BY created_at ASC');
+        return stmt.all();
+    }
+
+    updateManagedPositionHighWater(userId, tokenAddress, highestPrice) {
+        const stmt = this.db.prepare(`
+            UPDATE managed_positions
+            SET highest_price = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND token_address = ?
+        `);
+        return stmt.run(highestPrice, userId, tokenAddress);
+    }
+
+    updateManagedPositionAmount(userId, tokenAddress, tokenAmount) {
+        const stmt = this.db.prepare(`
+            UPDATE managed_positions
+            SET token_amount = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND token_address = ?
+        `);
+        return stmt.run(tokenAmount, userId, tokenAddress);
+    }
+
+    // Record a filled take-profit rung and what is left of the position
+    updateManagedPositionLadder(userId, tokenAddress, rungsFilled, tokenAmount, breakevenStop) {
+        const stmt = this.db.prepare(`
+            UPDATE managed_positions
+            SET ladder_rungs_filled = ?, token_amount = ?, breakeven_stop = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND token_address = ?
+        `);
+        return stmt.run(rungsFilled, tokenAmount, breakevenStop ? 1 : 0, userId, tokenAddress);
+    }
+
+    // Lock held while a sell is in flight; a lock still set at startup means the process died mid-sell
+    setManagedPositionSellPending(userId, tokenAddress, pending) {
+        const stmt = this.db.prepare(`
+            UPDATE managed_positions
+            SET sell_pending = ?,
+                sell_started_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE NULL END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND token_address = ?
+        `);
+        return stmt.run(pending ? 1 : 0, pending ? 1 : 0, userId, tokenAddress);
+    }
+
+    deleteManagedPosition(userId, tokenAddress) {
+        const stmt = this.db.prepare('DELETE FROM managed_positions WHERE user_id = ? AND token_address = ?');
+        return stmt.run(userId, tokenAddress);
+    }
+
+    // --- Limit order book ---
+    createLimitOrder(userId, walletId, order) {
+        const stmt = this.db.prepare(`
+            INSERT INTO limit_orders (
+                user_id, wallet_id, token_address, side, amount,
+                target_price, slippage_bps, expires_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const result = stmt.run(
+            userId,
+            walletId,
+            order.tokenAddress,
+            order.side,
+            order.amount,
+            order.targetPrice,
+            order.slippageBps,
+            order.expiresAt || null
+        );
+        return this.getLimitOrderById(result.lastInsertRowid);
+    }
+
+    getLimitOrderById(orderId, userId = null) {
+        if (userId) {
+            const stmt = this.db.prepare('SELECT * FROM limit_orders WHERE id = ? AND user_id = ?');
+            return stmt.get(orderId, userId);
+        }
+        const stmt = this.db.prepare('SELECT * FROM limit_orders WHERE id = ?');
+        return stmt.get(orderId);
+    }
+
+    getOpenLimitOrdersByUserId(userId) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM limit_orders
+            WHERE user_id = ? AND status = 'open'
+            ORDER BY created_at DESC
+        `);
+        return stmt.all(userId);
+    }
+
+    getLimitOrderHistory(userId, limit = 10) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM limit_orders
+            WHERE user_id = ? AND status != 'open'
+            ORDER BY updated_at DESC
+            LIMIT ?
+        `);
+        return stmt.all(userId, limit);
+    }
+
+    getAllOpenLimitOrders() {
+        const stmt = this.db.prepare(`
+            SELECT lo.*, u.telegram_id
+            FROM limit_orders lo
+            JOIN users u ON u.id = lo.user_id
+            WHERE lo.status = 'open'
+            ORDER BY lo.created_at ASC
+        `);
+        return stmt.all();
+    }
+
+    getExpiredLimitOrders() {
+        const stmt = this.db.prepare(`
+            SELECT lo.*, u.telegram_id
+            FROM limit_orders lo
+            JOIN users u ON u.id = lo.user_id
+            WHERE lo.status = 'open'
+            AND lo.expires_at IS NOT NULL
+            AND lo.expires_at <= ?
+        `);
+        return stmt.all(new Date().toISOString());
+    }
+
+    updateLimitOrder(orderId, updates) {
+        const updateFields = [];
+        const values = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+            updateFields.push(`${key} = ?`);
+            values.push(value);
+        }
+
+        updateFields.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(orderId);
+
+        const stmt = this.db.prepare(`
+            UPDATE limit_orders
+            SET ${updateFields.join(', ')}
+            WHERE id = ?
+        `);
+        return stmt.run(...values);
+    }
+
+    /**
+     * Atomically move an order from one status to another.
+     * Returns true only for the caller that won the transition, which the
+     * watcher uses as a lock so an order can never be filled twice.
+     */
+    transitionLimitOrderStatus(orderId, fromStatus, toStatus) {
+        const stmt = this.db.prepare(`
+            UPDATE limit_orders
+            SET status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = ?
+        `);
+        return stmt.run(toStatus, orderId, fromStatus).changes === 1;
+    }
+
+    // --- Wallet groups ---
+    createWalletGroup(userId, name) {
+        const stmt = this.db.prepare('INSERT INTO wallet_groups (user_id, name) VALUES (?, ?)');
+        const result = stmt.run(userId, name);
+        return this.getWalletGroupById(result.lastInsertRowid, userId);
+    }
+
+    getWalletGroupById(groupId, userId) {
+        const stmt = this.db.prepare('SELECT * FROM wallet_groups WHERE id = ? AND user_id = ?');
+        return stmt.get(groupId, userId);
+    }
+
+    getWalletGroupsByUserId(userId) {
+        const stmt = this.db.prepare(`
+            SELECT g.*, COUNT(m.wallet_id) AS member_count
+            FROM wallet_groups g
+            LEFT JOIN wallet_group_members m ON m.group_id = g.id
+            WHERE g.user_id = ?
+            GROUP BY g.id
+            ORDER BY g.created_at ASC
+        `);
+        return stmt.all(userId);
+    }
+
+    updateWalletGroup(groupId, updates) {
+        const updateFields = [];
+        const values = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+            updateFields.push(`${key} = ?`);
+            values.push(value);
+        }
+
+        updateFields.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(groupId);
+
+        const stmt = this.db.prepare(`
+            UPDATE wallet_groups
+            SET ${updateFields.join(', ')}
+            WHERE id = ?
+        `);
+        return stmt.run(...values);
+    }
+
+    deleteWalletGroup(groupId) {
+        const transaction = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM wallet_group_members WHERE group_id = ?').run(groupId);
+            this.db.prepare('DELETE FROM wallet_groups WHERE id = ?').run(groupId);
+        });
+        transaction();
+    }
+
+    // Member wallets with their weight, in a stable order for display and weight entry
+    getWalletGroupMembers(groupId) {
+        const stmt = this.db.prepare(`
+            SELECT w.*, m.weight
+            FROM wallet_group_members m
+            JOIN wallets w ON w.id = m.wallet_id
+            WHERE m.group_id = ?
+            ORDER BY w.id ASC
+        `);
+        return stmt.all(groupId);
+    }
+
+    addWalletGroupMember(groupId, walletId, weight = 1) {
+        const stmt = this.db.prepare(`
+            INSERT INTO wallet_group_members (group_id, wallet_id, weight)
+            VALUES (?, ?, ?)
+            ON CONFLICT(group_id, wallet_id) DO UPDATE SET weight = excluded.weight
+        `);
+        return stmt.run(groupId, walletId, weight);
+    }
+
+    removeWalletGroupMember(groupId, walletId) {
+        const stmt = this.db.prepare('DELETE FROM wallet_group_members WHERE group_id = ? AND wallet_id = ?');
+        return stmt.run(groupId, walletId);
+    }
+
+    // --- Copy trade positions ---
+    addCopyTradePosition(userId, externalWalletId, walletId, tokenAddress, amount, costSol) {
+        const stmt = this.db.prepare(`
+            INSERT INTO copy_trade_positions (user_id, external_wallet_id, wallet_id, token_address, amount, cost_sol)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(external_wallet_id, wallet_id, token_address) DO UPDATE SET
+                amount = copy_trade_positions.amount + excluded.amount,
+                cost_sol = copy_trade_positions.cost_sol + excluded.cost_sol,
+                updated_at = CURRENT_TIMESTAMP
+        `);
+        return stmt.run(userId, externalWalletId, walletId, tokenAddress, amount, costSol);
+    }
+
+    // Open positions a leader opened for us in one token, across all of the user's wallets
+    getCopyTradePositions(userId, externalWalletId, tokenAddress) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM copy_trade_positions
+            WHERE user_id = ? AND external_wallet_id = ? AND token_address = ? AND amount > 0
+            ORDER BY created_at ASC
+        `);
+        return stmt.all(userId, externalWalletId, tokenAddress);
+    }
+
+    getCopyTradePositionsByUserId(userId) {
+        const stmt = this.db.prepare(`
+            SELECT p.*, e.wallet_address AS leader_address, e.name AS leader_name
+            FROM copy_trade_positions p
+            JOIN external_wallets e ON e.id = p.external_wallet_id
+            WHERE p.user_id = ? AND p.amount > 0
+            ORDER BY p.updated_at DESC
+        `);
+        return stmt.all(userId);
+    }
+
+    // Cost basis shrinks in proportion to the tokens sold
+    reduceCopyTradePosition(positionId, amount) {
+        const stmt = this.db.prepare(`
+            UPDATE copy_trade_positions
+            SET cost_sol = CASE WHEN amount > 0 THEN cost_sol * MAX(amount - ?, 0) / amount ELSE 0 END,
+                amount = MAX(amount - ?, 0),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        return stmt.run(amount, amount, positionId);
+    }
+
+    // --- Wallet analytics ---
+    // Replaces a wallet's previous analysis as a whole
+    saveWalletAnalytics(walletAddress, summary, tokens, trades) {
+        const transaction = this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO wallet_analytics (
+                    wallet_address, score, swaps_analyzed, closed_trades, win_rate, profit_factor,
+                    realized_pnl_sol, unrealized_pnl_sol, total_cost_sol, avg_hold_seconds, max_drawdown,
+                    first_trade_at, last_trade_at, analyzed_at
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(wallet_address) DO UPDATE SET
+                    score = excluded.score,
+                    swaps_analyzed = excluded.swaps_analyzed,
+                    closed_trades = excluded.closed_trades,
+                    win_rate = excluded.win_rate,
+                    profit_factor = excluded.profit_factor,
+                    realized_pnl_sol = excluded.realized_pnl_sol,
+                    unrealized_pnl_sol = excluded.unrealized_pnl_sol,
+                    total_cost_sol = excluded.total_cost_sol,
+                    avg_hold_seconds = excluded.avg_hold_seconds,
+                    max_drawdown = excluded.max_drawdown,
+                    first_trade_at = excluded.first_trade_at,
+                    last_trade_at = excluded.last_trade_at,
+                    analyzed_at = CURRENT_TIMESTAMP
+            `).run(
+                walletAddress, summary.score, summary.swapsAnalyzed, summary.closedTrades, summary.winRate,
+                summary.profitFactor, summary.realizedPnlSol, summary.unrealizedPnlSol, summary.totalCostSol,
+                summary.avgHoldSeconds, summary.maxDrawdown, summary.firstTradeAt, summary.lastTradeAt
+            );
+
+            this.db.prepare('DELETE FROM wallet_analytics_tokens WHERE wallet_address = ?').run(walletAddress);
+            const insertToken = this.db.prepare(`
+                INSERT INTO wallet_analytics_tokens (
+                    wallet_address, token_address, buys, sells, cost_sol, proceeds_sol, realized_pnl_sol,
+                    open_amount, open_cost_sol, unrealized_pnl_sol, avg_hold_seconds
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            for (const token of tokens) {
+                insertToken.run(
+                    walletAddress, token.tokenAddress, token.buys, token.sells, token.costSol, token.proceedsSol,
+                    token.realizedPnlSol, token.openAmount, token.openCostSol, token.unrealizedPnlSol, token.avgHoldSeconds
+                );
+            }
+
+            this.db.prepare('DELETE FROM wallet_analytics_trades WHERE wallet_address = ?').run(walletAddress);
+            const insertTrade = this.db.prepare(`
+                INSERT INTO wallet_analytics_trades (
+                    wallet_address, token_address, signature, amount, cost_sol, proceeds_sol, profit_sol, hold_seconds, closed_at
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            for (const trade of trades) {
+                insertTrade.run(
+                    walletAddress, trade.tokenAddress, trade.signature, trade.amount, trade.costSol,
+                    trade.proceedsSol, trade.profitSol, trade.holdSeconds, trade.closedAt
+                );
+            }
+        });
+        transaction();
+    }
+
+    getWalletAnalytics(walletAddress) {
+        const stmt = this.db.prepare('SELECT * FROM wallet_analytics WHERE wallet_address = ?');
+        return stmt.get(walletAddress);
+    }
+
+    getWalletAnalyticsTokens(walletAddress) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM wallet_analytics_tokens
+            WHERE wallet_address = ?
+            ORDER BY realized_pnl_sol + unrealized_pnl_sol DESC
+        `);
+        return stmt.all(walletAddress);
+    }
+
+    // Closed trades, newest first; sinceSeconds is a unix timestamp
+    getWalletAnalyticsTrades(walletAddress, sinceSeconds = 0, limit = 100) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM wallet_analytics_trades
+            WHERE wallet_address = ? AND closed_at >= ?
+            ORDER BY closed_at DESC
+            LIMIT ?
+        `);
+        return stmt.all(walletAddress, sinceSeconds, limit);
+    }
+
+    getWalletLeaderboard(limit = 10, minClosedTrades = 0) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM wallet_analytics
+            WHERE closed_trades >= ?
+            ORDER BY score DESC, realized_pnl_sol DESC
+            LIMIT ?
+        `);
+        return stmt.all(minClosedTrades, limit);
+    }
+
+    // --- Risk guard ---
+    getRiskPosition(userId, tokenAddress, isPaper) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM risk_positions
+            WHERE user_id = ? AND token_address = ? AND is_paper = ?
+        `);
+        return stmt.get(userId, tokenAddress, isPaper ? 1 : 0);
+    }
+
+    getRiskPositionCount(userId, isPaper) {
+        const stmt = this.db.prepare(`
+            SELECT COUNT(*) AS count FROM risk_positions
+            WHERE user_id = ? AND is_paper = ? AND amount > 0
+        `);
+        return stmt.get(userId, isPaper ? 1 : 0).count;
+    }
+
+    // Trade count and net realised PnL since midnight UTC
+    getRiskDailyStats(userId, isPaper) {
+        const stmt = this.db.prepare(`
+            SELECT COUNT(*) AS trades, COALESCE(SUM(realized_pnl_sol), 0) AS realized_pnl_sol
+            FROM risk_trades
+            WHERE user_id = ? AND is_paper = ? AND created_at >= date('now')
+        `);
+        return stmt.get(userId, isPaper ? 1 : 0);
+    }
+
+    /**
+     * Record a fill against the user's average-cost position in the token
+     * @returns {number|null} Realised PnL in SOL for sells, null for buys and for sells with no known cost
+     */
+    recordRiskFill(userId, tokenAddress, isPaper, side, solAmount, tokenAmount) {
+        const paper = isPaper ? 1 : 0;
+        const transaction = this.db.transaction(() => {
+            const position = this.getRiskPosition(userId, tokenAddress, paper);
+            let realizedPnl = null;
+
+            if (side === 'buy') {
+                this.db.prepare(`
+                    INSERT INTO risk_positions (user_id, token_address, is_paper, amount, cost_sol)
+                    VALUES (?, ?, ?, ?, ?)
+                    ON CONFLICT(user_id, token_address, is_paper) DO UPDATE SET
+                        amount = risk_positions.amount + excluded.amount,
+                        cost_sol = risk_positions.cost_sol + excluded.cost_sol,
+                        updated_at = CURRENT_TIMESTAMP
+                `).run(userId, tokenAddress, paper, tokenAmount, solAmount);
+            } else if (position && position.amount > 0) {
+                // Tokens held from before the guard saw them have no cost, so only the known part counts
+                const matched = Math.min(tokenAmount, position.amount);
+                const cost = position.cost_sol * (matched / position.amount);
+                realizedPnl = solAmount * (matched / tokenAmount) - cost;
+
+                const remaining = position.amount - matched;
+                if (remaining <= position.amount * 1e-6) {
+                    this.db.prepare(`
+                        DELETE FROM risk_positions WHERE user_id = ? AND token_address = ? AND is_paper = ?
+                    `).run(userId, tokenAddress, paper);
+                } else {
+                    this.db.prepare(`
+                        UPDATE risk_positions
+                        SET amount = ?, cost_sol = ?, updated_at = CURRENT_TIMESTAMP
+                        WHERE user_id = ? AND token_address = ? AND is_paper = ?
+                    `).run(remaining, position.cost_sol - cost, userId, tokenAddress, paper);
+                }
+            }
+
+            this.db.prepare(`
+                INSERT INTO risk_trades (user_id, token_address, side, is_paper, sol_amount, token_amount, realized_pnl_sol)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(userId, tokenAddress, side, paper, solAmount, tokenAmount, realizedPnl);
+            return realizedPnl;
+        });
+        return transaction();
+    }
+
+    getRiskState(userId, isPaper) {
+        const stmt = this.db.prepare('SELECT * FROM risk_state WHERE user_id = ? AND is_paper = ?');
+        return stmt.get(userId, isPaper ? 1 : 0);
+    }
+
+    // cooldownMinutes sets cooldown_until that far from now; null leaves it unchanged
+    updateRiskState(userId, isPaper, lossStreak, cooldownMinutes = null) {
+        const stmt = this.db.prepare(`
+            INSERT INTO risk_state (user_id, is_paper, loss_streak, cooldown_until)
+            VALUES (?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', '+' || ? || ' minutes') END)
+            ON CONFLICT(user_id, is_paper) DO UPDATE SET
+                loss_streak = excluded.loss_streak,
+                cooldown_until = COALESCE(excluded.cooldown_until, risk_state.cooldown_until)
+        `);
+        return stmt.run(userId, isPaper ? 1 : 0, lossStreak, cooldownMinutes, cooldownMinutes);
+    }
+
+    createRiskRejection(userId, { tokenAddress, side, isPaper, solAmount, rule, reason }) {
+        const stmt = this.db.prepare(`
+            INSERT INTO risk_rejections (user_id, token_address, side, is_paper, sol_amount, rule, reason)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        return stmt.run(userId, tokenAddress || null, side, isPaper ? 1 : 0, solAmount || null, rule, reason);
+    }
+
+    getRiskRejections(userId, limit = 10) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM risk_rejections
+            WHERE user_id = ?
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `);
+        return stmt.all(userId, limit);
+    }
+
+    // --- PnL ledger ---
+    createPnlFill(userId, fill) {
+        const stmt = this.db.prepare(`
+            INSERT INTO pnl_fills (
+                user_id, wallet_address, token_address, side, is_paper, token_amount, sol_amount,
+                swap_fee_sol, platform_fee_sol, rule_id, strategy, signature, sol_usd_price
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        return stmt.run(
+            userId,
+            fill.walletAddress || null,
+            fill.tokenAddress,
+            fill.side,
+            fill.isPaper ? 1 : 0,
+            fill.tokenAmount,
+            fill.solAmount,
+            fill.swapFeeSol || 0,
+            fill.platformFeeSol || 0,
+            fill.ruleId || null,
+            fill.strategy || 'manual',
+            fill.signature || null,
+            fill.solUsdPrice || null
+        );
+    }
+
+    // Fills in the order they happened, which is the order the ledger replays them
+    getPnlFills(userId, isPaper = false, walletAddress = null) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM pnl_fills
+            WHERE user_id = ? AND is_paper = ? AND (? IS NULL OR wallet_address = ?)
+            ORDER BY created_at ASC, id ASC
+        `);
+        return stmt.all(userId, isPaper ? 1 : 0, walletAddress, walletAddress);
+    }
+
+    // --- Email reports ---
+    // Users with a verified address and a report schedule
+    getEmailReportSubscribers() {
+        const stmt = this.db.prepare(`
+            SELECT s.*, u.telegram_id FROM user_settings s
+            JOIN users u ON u.id = s.user_id
+            WHERE s.report_email_verified = 1 AND s.report_schedule IN ('daily', 'weekly', 'monthly')
+        `);
+        return stmt.all();
+    }
+
+    markEmailReportSent(userId) {
+        const stmt = this.db.prepare(`
+            UPDATE user_settings SET report_last_sent_at = CURRENT_TIMESTAMP WHERE user_id = ?
+        `);
+        return stmt.run(userId);
+    }
+
+    // --- Referrals ---
+    getReferralCode(userId) {
+        const row = this.db.prepare('SELECT referral_code FROM users WHERE id = ?').get(userId);
+        return row ? row.referral_code : undefined;
+    }
+
+    getUserByReferralCode(code) {
+        return this.db.prepare('SELECT * FROM users WHERE referral_code = ?').get(code);
+    }
+
+    setReferralCode(userId, code) {
+        return this.db.prepare('UPDATE users SET referral_code = ? WHERE id = ? AND referral_code IS NULL').run(code, userId);
+    }
+
+    // A referee is bound once; returns false if they already have a referrer
+    bindReferrer(userId, referrerId) {
+        const result = this.db.prepare(`
+            UPDATE users SET referred_by = ?, referred_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND referred_by IS NULL AND id != ?
+        `).run(referrerId, userId, referrerId);
+        return result.changes > 0;
+    }
+
+    // The user's referrer with the wallet their fee slice is paid to
+    getReferrer(userId) {
+        return this.db.prepare(`
+            SELECT r.*, w.public_key as wallet_address FROM users u
+            JOIN users r ON r.id = u.referred_by
+            LEFT JOIN wallets w ON w.user_id = r.id AND w.is_active = 1
+            WHERE u.id = ?
+        `).get(userId);
+    }
+
+    getReferees(referrerId) {
+        return this.db.prepare(`
+            SELECT u.id, u.referred_at,
+                   COUNT(f.id) as fee_count,
+                   COALESCE(SUM(f.trade_amount), 0) as volume,
+                   COALESCE(SUM(f.referral_share), 0) as earned
+            FROM users u
+            LEFT JOIN fees f ON f.user_id = u.id AND f.referrer_id = u.referred_by
+            WHERE u.referred_by = ?
+            GROUP BY u.id
+            ORDER BY u.referred_at
+        `).all(referrerId);
+    }
+
+    getReferralEarnings(referrerId, limit = null) {
+        return this.db.prepare(`
+            SELECT id, user_id as referee_id, trade_amount, total_fee, fee_tier, referral_share,
+                   referral_wallet, timestamp
+            FROM fees WHERE referrer_id = ? AND referral_share > 0
+            ORDER BY timestamp DESC, id DESC
+            ${limit ? 'LIMIT ?' : ''}
+        `).all(...(limit ? [referrerId, limit] : [referrerId]));
+    }
+
+    getReferralEarningsTotal(referrerId, days = null) {
+        return this.db.prepare(`
+            SELECT COALESCE(SUM(referral_share), 0) as total FROM fees
+            WHERE referrer_id = ? ${days ? "AND timestamp >= datetime('now', ?)" : ''}
+        `).get(...(days ? [referrerId, `-${days} days`] : [referrerId])).total;
+    }
+
+    // --- Fee epochs ---
+    getNextFeeEpochId() {
+        return this.db.prepare('SELECT COALESCE(MAX(id), 0) + 1 as id FROM fee_epochs').get().id;
+    }
+
+    // Writes the epoch and its allocations, and assigns it every unassigned fee up to maxFeeId
+    createFeeEpoch(epoch, allocations, maxFeeId) {
+        const create = this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO fee_epochs (
+                    id, snapshot_id, snapshot_hash, merkle_root, pool_lamports, allocated_lamports,
+                    fee_count, holder_count
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                epoch.id,
+                epoch.snapshotId,
+                epoch.snapshotHash,
+                epoch.merkleRoot,
+                epoch.poolLamports,
+                epoch.allocatedLamports,
+                epoch.feeCount,
+                allocations.length
+            );
+            this.db.prepare('UPDATE fees SET epoch_id = ? WHERE epoch_id IS NULL AND id <= ?').run(epoch.id, maxFeeId);
+            const insert = this.db.prepare(`
+                INSERT INTO fee_allocations (epoch_id, wallet_address, balance, share, amount_lamports, leaf_hash)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `);
+            for (const allocation of allocations) {
+                insert.run(
+                    epoch.id,
+                    allocation.wallet,
+                    allocation.balance,
+                    allocation.share,
+                    allocation.amountLamports,
+                    allocation.leafHash
+                );
+            }
+        });
+        create();
+        return this.getFeeEpoch(epoch.id);
+    }
+
+    getFeeEpoch(epochId) {
+        return this.db.prepare('SELECT * FROM fee_epochs WHERE id = ?').get(epochId);
+    }
+
+    getFeeEpochs(limit = 10) {
+        return this.db.prepare('SELECT * FROM fee_epochs ORDER BY id DESC LIMIT ?').all(limit);
+    }
+
+    getFeeEpochsByStatus(status) {
+        return this.db.prepare('SELECT * FROM fee_epochs WHERE status = ? ORDER BY id ASC').all(status);
+    }
+
+    updateFeeEpochStatus(epochId, status) {
+        return this.db.prepare(`
+            UPDATE fee_epochs
+            SET status = ?, completed_at = CASE WHEN ? = 'distributing' THEN NULL ELSE CURRENT_TIMESTAMP END
+            WHERE id = ?
+        `).run(status, status, epochId);
+    }
+
+    // user_id is set when the allocation's wallet belongs to a bot user
+    getFeeAllocations(epochId, statuses = null) {
+        const select = `
+            SELECT fa.*, (SELECT w.user_id FROM wallets w WHERE w.public_key = fa.wallet_address LIMIT 1) as user_id
+            FROM fee_allocations fa WHERE fa.epoch_id = ?
+        `;
+        if (statuses) {
+            const placeholders = statuses.map(() => '?').join(', ');
+            return this.db.prepare(`${select} AND fa.status IN (${placeholders}) ORDER BY fa.id ASC`).all(epochId, ...statuses);
+        }
+        return this.db.prepare(`${select} ORDER BY fa.id ASC`).all(epochId);
+    }
+
+    /**
+     * Mark unpaid allocations 'sending' before a payout or claim
+     * @returns {number[]} The ids that were still pending or failed and are now reserved
+     */
+    reserveFeeAllocations(allocationIds) {
+        const stmt = this.db.prepare(`
+            UPDATE fee_allocations SET status = 'sending' WHERE id = ? AND status IN ('pending', 'failed')
+        `);
+        const reserve = this.db.transaction(() => allocationIds.filter(id => stmt.run(id).changes > 0));
+        return reserve();
+    }
+
+    releaseFeeAllocations(allocationIds) {
+        const stmt = this.db.prepare("UPDATE fee_allocations SET status = 'pending' WHERE id = ? AND status = 'sending'");
+        const releaseAll = this.db.transaction(() => allocationIds.forEach(id => stmt.run(id)));
+        releaseAll();
+    }
+
+    markFeeAllocationsPaid(allocationIds, signature) {
+        const stmt = this.db.prepare(`
+            UPDATE fee_allocations
+            SET status = 'paid', signature = ?, error = NULL, attempts = attempts + 1, paid_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        const markAll = this.db.transaction(() => allocationIds.forEach(id => stmt.run(signature, id)));
+        markAll();
+    }
+
+    markFeeAllocationsFailed(allocationIds, error, attempts = 1) {
+        const stmt = this.db.prepare(`
+            UPDATE fee_allocations SET status = 'failed', error = ?, attempts = attempts + ? WHERE id = ?
+        `);
+        const markAll = this.db.transaction(() => allocationIds.forEach(id => stmt.run(error, attempts, id)));
+        markAll();
+    }
+
+    // Unpaid allocations held by any of the user's wallets
+    getClaimableFeeAllocations(userId) {
+        return this.db.prepare(`
+            SELECT fa.* FROM fee_allocations fa
+            WHERE fa.status IN ('pending', 'failed')
+              AND fa.wallet_address IN (SELECT public_key FROM wallets WHERE user_id = ?)
+            ORDER BY fa.epoch_id ASC, fa.id ASC
+        `).all(userId);
+    }
+
+    // One claims row per epoch, and the allocations it covered marked claimed
+    recordRewardClaim(userId, walletAddress, allocations, signature) {
+        const insertClaim = this.db.prepare(`
+            INSERT INTO claims (user_id, epoch_id, wallet_address, amount_lamports, signature) VALUES (?, ?, ?, ?, ?)
+        `);
+        const markClaimed = this.db.prepare(`
+            UPDATE fee_allocations
+            SET status = 'claimed', claim_id = ?, signature = ?, error = NULL, paid_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        const record = this.db.transaction(() => {
+            const byEpoch = new Map();
+            for (const allocation of allocations) {
+                byEpoch.set(allocation.epoch_id, [...(byEpoch.get(allocation.epoch_id) || []), allocation]);
+            }
+            for (const [epochId, epochAllocations] of byEpoch) {
+                const amount = epochAllocations.reduce((sum, a) => sum + a.amount_lamports, 0);
+                const claimId = insertClaim.run(userId, epochId, walletAddress, amount, signature).lastInsertRowid;
+                epochAllocations.forEach(a => markClaimed.run(claimId, signature, a.id));
+            }
+        });
+        record();
+    }
+
+    getRewardClaims(userId, limit = 10) {
+        return this.db.prepare(`
+            SELECT * FROM claims WHERE user_id = ? ORDER BY claimed_at DESC, id DESC LIMIT ?
+        `).all(userId, limit);
+    }
+
+    getLastClaim(userId) {
+        return this.db.prepare('SELECT * FROM claims WHERE user_id = ? ORDER BY claimed_at DESC, id DESC LIMIT 1').get(userId);
+    }
+
+    addBlacklistedWallet(walletAddress, reason = null) {
+        return this.db.prepare(`
+            INSERT INTO fee_blacklist (wallet_address, reason) VALUES (?, ?)
+            ON CONFLICT(wallet_address) DO UPDATE SET reason = excluded.reason
+        `).run(walletAddress, reason);
+    }
+
+    removeBlacklistedWallet(walletAddress) {
+        return this.db.prepare('DELETE FROM fee_blacklist WHERE wallet_address = ?').run(walletAddress);
+    }
+
+    isWalletBlacklisted(walletAddress) {
+        return !!this.db.prepare('SELECT 1 FROM fee_blacklist WHERE wallet_address = ?').get(walletAddress);
+    }
+
+    getBlacklistedWallets() {
+        return this.db.prepare('SELECT * FROM fee_blacklist ORDER BY created_at DESC').all();
+    }
+
+    // --- Token listings ---
+    // Returns the listings that were not already known
+    recordTokenListings(listings) {
+        const stmt = this.db.prepare(`
+            INSERT OR IGNORE INTO token_listings (token_address, source, reference, name, symbol, listed_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        const record = this.db.transaction((rows) => rows.filter(listing => stmt.run(
+            listing.tokenAddress,
+            listing.source,
+            listing.reference || null,
+            listing.name || null,
+            listing.symbol || null,
+            listing.listedAt || null
+        ).changes > 0));
+        return record(listings);
+    }
+
+    getTokenListing(tokenAddress) {
+        return this.db.prepare('SELECT * FROM token_listings WHERE token_address = ?').get(tokenAddress);
+    }
+
+    // Listings still waiting to be evaluated, oldest first
+    getPendingTokenListings(maxAttempts, limit) {
+        return this.db.prepare(`
+            SELECT * FROM token_listings WHERE status = 'new' AND attempts < ?
+            ORDER BY first_seen_at, token_address LIMIT ?
+        `).all(maxAttempts, limit);
+    }
+
+    updateTokenListing(tokenAddress, fields) {
+        const columns = Object.keys(fields);
+        if (columns.length === 0) {
+            return null;
+        }
+        return this.db.prepare(`
+            UPDATE token_listings SET ${columns.map(column => `${column} = ?`).join(', ')}
+            WHERE token_address = ?
+        `).run(...columns.map(column => fields[column]), tokenAddress);
+    }
+
+    // Active filter rules of users who have not turned the rule's alerts off
+    getListingScreeningRules() {
+        return this.db.prepare(`
+            SELECT r.id, r.user_id, r.name, u.telegram_id FROM rules r
+            JOIN users u ON u.id = r.user_id
+            LEFT JOIN rule_settings rs ON rs.rule_id = r.id
+            WHERE r.type = 'filter' AND r.is_active = 1 AND COALESCE(rs.alerts_enabled, 1) = 1
+        `).all();
+    }
+
+    // False if this rule was already alerted for the token
+    recordListingAlert(ruleId, userId, tokenAddress) {
+        return this.db.prepare(`
+            INSERT OR IGNORE INTO listing_alerts (rule_id, user_id, token_address) VALUES (?, ?, ?)
+        `).run(ruleId, userId, tokenAddress).changes > 0;
+    }
+
+    // --- Price history ---
+    upsertTrackedToken(tokenAddress, meta = {}) {
+        const stmt = this.db.prepare(`
+            INSERT INTO tracked_tokens (token_address, symbol, category, source)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(token_address) DO UPDATE SET
+                symbol = COALESCE(excluded.symbol, tracked_tokens.symbol),
+                category = COALESCE(excluded.category, tracked_tokens.category)
+        `);
+        return stmt.run(tokenAddress, meta.symbol || null, meta.category || null, meta.source || 'manual');
+    }
+
+    getTrackedTokens() {
+        const stmt = this.db.prepare('SELECT * FROM tracked_tokens ORDER BY created_at ASC');
+        return stmt.all();
+    }
+
+    markTokenSampled(tokenAddress) {
+        const stmt = this.db.prepare(`
+            UPDATE tracked_tokens SET last_sampled_at = CURRENT_TIMESTAMP WHERE token_address = ?
+        `);
+        return stmt.run(tokenAddress);
+    }
+
+    /**
+     * Merge a candle into the store. Incoming candles must arrive in time order:
+     * the existing open is kept, high/low widen and close/volume take the newer values.
+     */
+    upsertPriceCandle(tokenAddress, resolution, bucketStart, candle) {
+        const stmt = this.db.prepare(`
+            INSERT INTO price_candles (
+                token_address, resolution, bucket_start, open, high, low, close,
+                volume, liquidity, market_cap, sample_count
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(token_address, resolution, bucket_start) DO UPDATE SET
+                high = MAX(price_candles.high, excluded.high),
+                low = MIN(price_candles.low, excluded.low),
+                close = excluded.close,
+                volume = excluded.volume,
+                liquidity = COALESCE(excluded.liquidity, price_candles.liquidity),
+                market_cap = COALESCE(excluded.market_cap, price_candles.market_cap),
+                sample_count = price_candles.sample_count + excluded.sample_count
+        `);
+        return stmt.run(
+            tokenAddress,
+            resolution,
+            bucketStart,
+            candle.open,
+            candle.high,
+            candle.low,
+            candle.close,
+            candle.volume || 0,
+            candle.liquidity ?? null,
+            candle.marketCap ?? null,
+            candle.sampleCount || 1
+        );
+    }
+
+    // All resolutions are returned together; compaction guarantees they never overlap in time
+    getPriceCandles(tokenAddress, sinceSeconds) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM price_candles
+            WHERE token_address = ? AND bucket_start >= ?
+            ORDER BY bucket_start ASC
+        `);
+        return stmt.all(tokenAddress, sinceSeconds);
+    }
+
+    getPriceCandlesSince(sinceSeconds) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM price_candles
+            WHERE bucket_start >= ?
+            ORDER BY token_address, bucket_start ASC
+        `);
+        return stmt.all(sinceSeconds);
+    }
+
+    // The candle covering a moment, or the closest one before it
+    getPriceCandleAt(tokenAddress, atSeconds) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM price_candles
+            WHERE token_address = ? AND bucket_start <= ?
+            ORDER BY bucket_start DESC
+            LIMIT 1
+        `);
+        return stmt.get(tokenAddress, atSeconds);
+    }
+
+    getLatestPriceCandle(tokenAddress) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM price_candles
+            WHERE token_address = ?
+            ORDER BY bucket_start DESC
+            LIMIT 1
+        `);
+        return stmt.get(tokenAddress);
+    }
+
+    /**
+     * Roll every `fromResolution` candle older than `before` up into `toResolution`
+     * buckets of `bucketSeconds`, then delete the fine-grained rows.
+     * @returns {number} Number of candles compacted
+     */
+    compactPriceCandles(fromResolution, toResolution, bucketSeconds, before) {
+        const selectStmt = this.db.prepare(`
+            SELECT * FROM price_candles
+            WHERE resolution = ? AND bucket_start < ?
+            ORDER BY token_address, bucket_start ASC
+        `);
+        const deleteStmt = this.db.prepare(`
+            DELETE FROM price_candles WHERE resolution = ? AND bucket_start < ?
+        `);
+
+        const transaction = this.db.transaction(() => {
+            const candles = selectStmt.all(fromResolution, before);
+            for (const candle of candles) {
+                const bucketStart = Math.floor(candle.bucket_start / bucketSeconds) * bucketSeconds;
+                this.upsertPriceCandle(candle.token_address, toResolution, bucketStart, {
+                    open: candle.open,
+                    high: candle.high,
+                    low: candle.low,
+                    close: candle.close,
+                    volume: candle.volume,
+                    liquidity: candle.liquidity,
+                    marketCap: candle.market_cap,
+                    sampleCount: candle.sample_count
+                });
+            }
+            deleteStmt.run(fromResolution, before);
+            return candles.length;
+        });
+
+        return transaction();
+    }
+
+    deletePriceCandlesBefore(resolution, before) {
+        const stmt = this.db.prepare(`
+            DELETE FROM price_candles WHERE resolution = ? AND bucket_start < ?
+        `);
+        return stmt.run(resolution, before);
+    }
 }
 
 module.exports = DatabaseManager;
\ No newline at end of file
@@ -1,10 +1,37 @@
-const { Connection, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const crypto = require('crypto');
+const { Connection, PublicKey, Keypair, Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { AccountLayout, TOKEN_PROGRAM_ID, getMint } = require('@solana/spl-token');
 const winston = require('winston');
-const cron = require('node-cron');
+const MerkleTree = require('../utils/merkleTree');
 
+const toDate = (timestamp) => new Date(`${timestamp.replace(' ', 'T')}Z`);
+
+// Fee discount tiers. A tier is reached by holding holdings × minimumTokenHoldings 4TOOL at the
+// last snapshot or by trading volumeSol in the trailing VOLUME_WINDOW_DAYS, whichever comes first.
+const FEE_TIERS = [
+    { name: 'Standard', holdings: 0, volumeSol: 0, discount: 0 },
+    { name: 'Bronze', holdings: 1, volumeSol: 25, discount: 0.1 },
+    { name: 'Silver', holdings: 10, volumeSol: 100, discount: 0.25 },
+    { name: 'Gold', holdings: 50, volumeSol: 500, discount: 0.4 },
+    { name: 'Platinum', holdings: 250, volumeSol: 2500, discount: 0.6 }
+];
+const VOLUME_WINDOW_DAYS = 30;
+
+/**
+ * Trade fees and their distribution to 4TOOL holders.
+ *
+ * Every collected fee is split between the treasury (wallet1) and the reward wallet
+ * (wallet2) and recorded in the fees table. Each distribution epoch snapshots 4TOOL
+ * holders, gives every eligible wallet a share of the unassigned holders' fees pro rata
+ * to its balance, and writes the allocations with their Merkle root before paying them
+ * from the reward wallet in batched transfers. Scheduling lives in index.js.
+ * Fees from referred users send referralShare of the fee to the referrer instead
+ * of the treasury.
+ */
 class FeeManagement {
-    constructor(config) {
+    constructor(config, db = null) {
         this.config = config;
+        this.db = db;
         this.connection = new Connection(config.rpcEndpoint);
         this.logger = winston.createLogger({
             level: 'info',
@@ -14,46 +41,128 @@ class FeeManagement {
                 new winston.transports.File({ filename: 'combined.log' })
             ]
         });
-        
+
         this.wallet1 = new PublicKey(config.treasuryWallet || process.env.TREASURY_WALLET);
         this.wallet2 = new PublicKey(config.rewardWallet || process.env.REWARD_WALLET);
         this.feePercentage = config.feePercentage || 0.003; // 0.3%
         this.wallet1Share = 0.6; // 60%
         this.wallet2Share = 0.4; // 40%
         this.minimumTokenHoldings = config.minimumTokenHoldings || 1000;
-        
-        this.initializeScheduler();
+        // Fraction of a referred user's fee sent to their referrer, out of the treasury's share
+        this.referralShare = Math.min(Math.max(config.referralFeeShare || 0, 0), this.wallet1Share);
+
+        const distribution = config.feeDistribution || {};
+        this.tokenMint = config.toolTokenMint || process.env.TOOL_TOKEN_MINT;
+        this.dryRun = Boolean(distribution.dryRun);
+        this.batchSize = distribution.batchSize || 10;
+        this.maxRetries = distribution.maxRetries || 3;
+        this.claimWindowDays = distribution.claimWindowDays ?? 7;
+        this.claimCooldownHours = distribution.claimCooldownHours ?? 24;
+        this.rewardKeypair = null;
+        this.claimsInFlight = new Set();
     }
 
-    initializeScheduler() {
-        // Schedule fee distribution
-        cron.schedule('0 0 * * 0', () => {
-            this.distributeFees();
-        });
+    /**
+     * @param {number} [userId] - Applies the user's fee tier; without it the full rate is charged
+     */
+    async calculateTradeFee(tradeAmount, userId = null) {
+        const { rate } = await this.getFeeTier(userId);
+        return tradeAmount * rate;
+    }
+
+    getFeeTiers() {
+        return FEE_TIERS.map(tier => ({
+            ...tier,
+            holdings: tier.holdings * this.minimumTokenHoldings,
+            rate: this.feePercentage * (1 - tier.discount)
+        }));
+    }
+
+    /**
+     * The user's fee tier from their 4TOOL at the last snapshot and their real trading volume
+     * over the last 30 days. Volume comes from the fill ledger, whose SOL legs are recorded
+     * the same way for every trade path; trades.price is not in SOL for all of them.
+     * @returns {Promise<Object>} { tier, discount, rate, holdings, volumeSol, next } where next is the
+     *   following tier's thresholds, or null at the top tier
+     */
+    async getFeeTier(userId) {
+        const tiers = this.getFeeTiers();
+        if (!userId || !this.db) {
+            return { ...FeeManagement.describeTier(tiers[0]), holdings: 0, volumeSol: 0, next: null };
+        }
+        try {
+            const { balance: holdings } = await this.getSnapshotBalance(userId);
+            const volumeSol = this.db.getTradingVolume(userId, VOLUME_WINDOW_DAYS);
+            let index = 0;
+            tiers.forEach((tier, i) => {
+                if (holdings >= tier.holdings || volumeSol >= tier.volumeSol) index = i;
+            });
+            const next = tiers[index + 1];
+            return {
+                ...FeeManagement.describeTier(tiers[index]),
+                holdings,
+                volumeSol,
+                next: next ? { name: next.name, holdings: next.holdings, volumeSol: next.volumeSol, discount: next.discount } : null
+            };
+        } catch (error) {
+            this.logger.error(`Error getting fee tier for user ${userId}: ${error.message}`);
+            return { ...FeeManagement.describeTier(tiers[0]), holdings: 0, volumeSol: 0, next: null };
+        }
     }
 
-    async calculateTradeFee(tradeAmount) {
-        return tradeAmount * this.feePercentage;
+    static describeTier(tier) {
+        return { tier: tier.name, discount: tier.discount, rate: tier.rate };
     }
 
-    async collectFee(tradeAmount, payerKeypair) {
+    /**
+     * Charge the fee on a trade and record it for the next distribution epoch
+     * @param {Object} [context] - userId and tradeId of the trade, when known, and the feeTier
+     *   the trade was quoted at; without it the tier is looked up again
+     */
+    async collectFee(tradeAmount, payerKeypair, context = {}) {
         try {
-            const feeAmount = await this.calculateTradeFee(tradeAmount);
+            const { feeTier, ...trade } = context;
+            const { tier, rate } = feeTier || await this.getFeeTier(trade.userId);
+            const feeAmount = tradeAmount * rate;
             // Split fee between wallet1 and wallet2 (60/40)
-            const wallet1Amount = feeAmount * this.wallet1Share;
+            let wallet1Amount = feeAmount * this.wallet1Share;
             const wallet2Amount = feeAmount * this.wallet2Share;
 
+            let referral = this.getReferral(payerKeypair, trade.userId, feeAmount);
+            if (referral) {
+                wallet1Amount -= referral.referralShare;
+            }
+
             // Deduct and transfer fees
             await this.transferFee(payerKeypair, this.wallet1, wallet1Amount);
             await this.transferFee(payerKeypair, this.wallet2, wallet2Amount);
 
+            // The referral goes last, so a paid referral is always followed by its fee row
+            if (referral && !(await this.payReferrer(payerKeypair, referral, trade.userId))) {
+                wallet1Amount += await this.reclaimReferralShare(payerKeypair, referral.referralShare);
+                referral = null;
+            }
+
             // Record fee collection
             this.logger.info(`Fee collected: ${feeAmount} SOL (Wallet1: ${wallet1Amount} SOL, Wallet2: ${wallet2Amount} SOL)`);
-            
+            this.recordFee({
+                ...trade,
+                walletAddress: payerKeypair.publicKey.toBase58(),
+                tradeAmount,
+                totalFee: feeAmount,
+                teamShare: wallet1Amount,
+                holdersShare: wallet2Amount,
+                tier,
+                rate,
+                ...referral
+            });
+
             return {
                 totalFee: feeAmount,
+                tier,
                 wallet1Amount,
-                wallet2Amount
+                wallet2Amount,
+                referralAmount: referral ? referral.referralShare : 0
             };
         } catch (error) {
             this.logger.error(`Error collecting fee: ${error.message}`);
@@ -61,6 +170,63 @@ class FeeManagement {
         }
     }
 
+    /**
+     * The referrer's slice of a referred user's fee, paid to the referrer's active wallet
+     * @returns {Object|null} referrerId, referralWallet and referralShare, or null without a referrer
+     */
+    getReferral(payerKeypair, userId, feeAmount) {
+        if (!this.db || !userId || this.referralShare <= 0 || feeAmount <= 0) {
+            return null;
+        }
+        try {
+            const referrer = this.db.getReferrer(userId);
+            if (!referrer || !referrer.wallet_address || referrer.wallet_address === payerKeypair.publicKey.toBase58()) {
+                return null;
+            }
+            return { referrerId: referrer.id, referralWallet: referrer.wallet_address, referralShare: feeAmount * this.referralShare };
+        } catch (error) {
+            this.logger.error(`Error looking up referrer of user ${userId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Send the referral slice. A failed transfer (e.g. an unfunded wallet below rent exemption)
+     * returns false rather than failing the fee, and the treasury keeps the slice.
+     */
+    async payReferrer(payerKeypair, referral, userId) {
+        try {
+            await this.transferFee(payerKeypair, new PublicKey(referral.referralWallet), referral.referralShare);
+            return true;
+        } catch (error) {
+            this.logger.error(`Referral payout for user ${userId} failed, treasury keeps the share: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Send an unpaid referral slice on to the treasury; returns what was sent
+    async reclaimReferralShare(payerKeypair, amount) {
+        try {
+            await this.transferFee(payerKeypair, this.wallet1, amount);
+            return amount;
+        } catch (error) {
+            this.logger.error(`Could not send ${amount} SOL referral share to the treasury: ${error.message}`);
+            return 0;
+        }
+    }
+
+    // The fee has already been transferred, so a failed write is logged rather than thrown
+    recordFee(fee) {
+        if (!this.db) {
+            return;
+        }
+        try {
+            this.db.createFee(fee);
+        } catch (error) {
+            this.logger.error(`Error recording fee of ${fee.totalFee} SOL: ${error.message}`);
+        }
+    }
+
     async transferFee(payerKeypair, destinationWallet, amount) {
         try {
             // Create and send a transaction to transfer SOL
@@ -80,56 +246,454 @@ class FeeManagement {
         }
     }
 
+    /**
+     * 4TOOL holders with at least minimumTokenHoldings, read from every token account of the mint.
+     * Balances are summed per owner. Blacklisted wallets, the fee wallets and program-derived
+     * owners (pool and vault accounts) are left out.
+     * @returns {Promise<{slot: number, holders: Array<{wallet: string, raw: string, balance: number}>}>}
+     *   Sorted by wallet; raw is the token amount in base units
+     */
     async getEligibleHolders() {
         try {
-            // Implementation for getting eligible token holders
-            // This would query the blockchain for 4TOOL token holders
-            return [];
+            if (!this.tokenMint) {
+                throw new Error('4TOOL token mint is not configured (TOOL_TOKEN_MINT)');
+            }
+            const mint = new PublicKey(this.tokenMint);
+            const { decimals } = await getMint(this.connection, mint);
+            const slot = await this.connection.getSlot();
+            const accounts = await this.connection.getProgramAccounts(TOKEN_PROGRAM_ID, {
+                filters: [
+                    { dataSize: AccountLayout.span },
+                    { memcmp: { offset: 0, bytes: mint.toBase58() } }
+                ]
+            });
+
+            const balances = new Map();
+            for (const { account } of accounts) {
+                const { owner, amount } = AccountLayout.decode(account.data);
+                if (amount === 0n || !PublicKey.isOnCurve(owner.toBytes())) continue;
+                const wallet = owner.toBase58();
+                balances.set(wallet, (balances.get(wallet) || 0n) + amount);
+            }
+
+            const excluded = new Set([this.wallet1.toBase58(), this.wallet2.toBase58()]);
+            const minimumRaw = BigInt(this.minimumTokenHoldings) * 10n ** BigInt(decimals);
+            const holders = [...balances.entries()]
+                .filter(([wallet, raw]) => raw >= minimumRaw && !excluded.has(wallet) &&
+                    !(this.db && this.db.isWalletBlacklisted(wallet)))
+                .map(([wallet, raw]) => ({
+                    wallet,
+                    raw: raw.toString(),
+                    balance: Number(raw) / Math.pow(10, decimals)
+                }))
+                .sort((a, b) => (a.wallet < b.wallet ? -1 : 1));
+
+            return { slot, holders };
         } catch (error) {
             this.logger.error(`Error getting eligible holders: ${error.message}`);
             throw error;
         }
     }
 
-    async distributeFees() {
+    static snapshotHash(tokenMint, slot, holders) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify({ mint: tokenMint, slot, holders: holders.map(h => [h.wallet, h.raw]) }))
+            .digest('hex');
+    }
+
+    /**
+     * Split a pool pro rata to raw balances. Amounts are rounded down to the lamport;
+     * the remainder stays in the reward wallet.
+     */
+    static allocate(holders, poolLamports) {
+        const total = holders.reduce((sum, h) => sum + BigInt(h.raw), 0n);
+        if (total === 0n) {
+            return [];
+        }
+        return holders
+            .map(h => ({
+                wallet: h.wallet,
+                balance: h.balance,
+                share: Number((BigInt(h.raw) * 1000000000n) / total) / 1e9,
+                amountLamports: Number((BigInt(poolLamports) * BigInt(h.raw)) / total)
+            }))
+            .filter(a => a.amountLamports > 0);
+    }
+
+    /**
+     * Snapshot holders for the upcoming epoch. Later snapshots replace earlier ones until the epoch runs.
+     */
+    async takeSnapshot() {
         try {
-            const eligibleHolders = await this.getEligibleHolders();
-            const totalFees = await this.getTotalCollectedFees();
-            
-            // Calculate distribution per holder
-            const distributionPerHolder = totalFees / eligibleHolders.length;
-            
-            // Distribute fees
-            for (const holder of eligibleHolders) {
-                await this.distributeToHolder(holder, distributionPerHolder);
-            }
-            
-            this.logger.info(`Fees distributed to ${eligibleHolders.length} holders`);
+            const { slot, holders } = await this.getEligibleHolders();
+            const epochId = this.db.getNextFeeEpochId();
+            const snapshotHash = FeeManagement.snapshotHash(this.tokenMint, slot, holders);
+            const totalBalance = holders.reduce((sum, h) => sum + h.balance, 0);
+            const result = this.db.createSnapshot(epochId, holders, { snapshotHash, slot, totalBalance });
+
+            this.logger.info(`Snapshot taken with ${holders.length} eligible holders for epoch ${epochId} (${snapshotHash})`);
+            return { snapshotId: result.lastInsertRowid, epochId, slot, snapshotHash, holders };
         } catch (error) {
-            this.logger.error(`Error distributing fees: ${error.message}`);
+            this.logger.error(`Error taking snapshot: ${error.message}`);
             throw error;
         }
     }
 
+    // Holders' share of fees not yet assigned to an epoch, in SOL
     async getTotalCollectedFees() {
-        // Implementation for getting total collected fees
-        return 0;
+        return this.db.getUnassignedFees().holders_share;
+    }
+
+    /**
+     * Close an epoch: snapshot holders, allocate the unassigned holders' fees and pay them out.
+     * A dry run computes the same allocations and payout batches without writing or sending anything.
+     */
+    async distributeFees({ dryRun = this.dryRun } = {}) {
+        try {
+            // Finish epochs whose payouts did not all go through before opening a new one
+            if (!dryRun) {
+                for (const epoch of [...this.db.getFeeEpochsByStatus('distributing'), ...this.db.getFeeEpochsByStatus('failed')]) {
+                    await this.distributeEpoch(epoch.id);
+                }
+            }
+
+            const fees = this.db.getUnassignedFees();
+            const poolLamports = Math.floor(fees.holders_share * LAMPORTS_PER_SOL);
+            if (poolLamports <= 0) {
+                this.logger.info('No holder fees to distribute');
+                return { success: true, dryRun, distributed: false, reason: 'No holder fees collected' };
+            }
+
+            const snapshot = dryRun ? await this.getEligibleHolders() : await this.takeSnapshot();
+            if (snapshot.holders.length === 0) {
+                // The pool carries over to the next epoch
+                this.logger.warn('No eligible holders in snapshot; holder fees carried over');
+                return { success: true, dryRun, distributed: false, reason: 'No eligible holders' };
+            }
+
+            const epochId = this.db.getNextFeeEpochId();
+            const allocations = FeeManagement.allocate(snapshot.holders, poolLamports).map(allocation => ({
+                ...allocation,
+                leafHash: MerkleTree.leafHash(epochId, allocation.wallet, allocation.amountLamports)
+            }));
+            const merkleRoot = MerkleTree.root(allocations.map(a => a.leafHash));
+            const allocatedLamports = allocations.reduce((sum, a) => sum + a.amountLamports, 0);
+            const summary = {
+                epochId,
+                merkleRoot,
+                snapshotHash: snapshot.snapshotHash || FeeManagement.snapshotHash(this.tokenMint, snapshot.slot, snapshot.holders),
+                poolSol: poolLamports / LAMPORTS_PER_SOL,
+                allocatedSol: allocatedLamports / LAMPORTS_PER_SOL,
+                feeCount: fees.count,
+                holderCount: allocations.length
+            };
+
+            if (dryRun) {
+                this.logger.info(`Dry run: epoch ${epochId} would pay ${summary.allocatedSol} SOL to ${allocations.length} holders`);
+                return {
+                    success: true,
+                    dryRun,
+                    distributed: false,
+                    ...summary,
+                    allocations,
+                    batches: Math.ceil(allocations.length / this.batchSize)
+                };
+            }
+
+            this.db.createFeeEpoch({
+                id: epochId,
+                snapshotId: snapshot.snapshotId,
+                snapshotHash: summary.snapshotHash,
+                merkleRoot,
+                poolLamports,
+                allocatedLamports,
+                feeCount: fees.count
+            }, allocations, fees.max_id);
+            this.logger.info(`Epoch ${epochId} created: ${summary.allocatedSol} SOL to ${allocations.length} holders (root ${merkleRoot})`);
+
+            const payout = await this.distributeEpoch(epochId);
+            return { success: true, dryRun, distributed: true, ...summary, ...payout };
+        } catch (error) {
+            this.logger.error(`Error distributing fees: ${error.message}`);
+            throw error;
+        }
     }
 
-    async distributeToHolder(holderAddress, amount) {
-        // Implementation for distributing fees to a holder
+    /**
+     * Pay an epoch's pending and failed allocations from the reward wallet, batchSize per
+     * transaction. Wallets of bot users are skipped while the epoch's claim window is open.
+     * Allocations are marked 'sending' before a batch goes out; any still in that state after
+     * a crash may have been paid and are left for a manual check, not resent.
+     */
+    async distributeEpoch(epochId, { dryRun = false } = {}) {
+        const epoch = this.db.getFeeEpoch(epochId);
+        const claimWindowOpen = toDate(epoch.created_at).getTime() + this.claimWindowDays * 24 * 60 * 60 * 1000 > Date.now();
+        // Bot users claim their own rewards from the Rewards menu until the claim window closes
+        const allocations = this.db.getFeeAllocations(epochId, ['pending', 'failed'])
+            .filter(a => !(a.user_id && claimWindowOpen));
+        const batches = [];
+        for (let i = 0; i < allocations.length; i += this.batchSize) {
+            batches.push(allocations.slice(i, i + this.batchSize));
+        }
+
+        if (dryRun) {
+            return {
+                batches: batches.map(batch => batch.map(a => ({ wallet: a.wallet_address, amountLamports: a.amount_lamports })))
+            };
+        }
+
+        const payer = this.getRewardKeypair();
+        let paid = 0;
+        let failed = 0;
+        for (const candidates of batches) {
+            // A claim may have taken some of these since they were read
+            const ids = this.db.reserveFeeAllocations(candidates.map(a => a.id));
+            const batch = candidates.filter(a => ids.includes(a.id));
+            if (batch.length === 0) continue;
+            try {
+                const signature = await this.sendPayoutBatch(payer, batch);
+                this.db.markFeeAllocationsPaid(ids, signature);
+                paid += batch.length;
+            } catch (error) {
+                this.db.markFeeAllocationsFailed(ids, error.message, error.attempts || 1);
+                failed += batch.length;
+                this.logger.error(`Epoch ${epochId} payout batch of ${batch.length} failed: ${error.message}`);
+            }
+        }
+
+        const stuck = this.db.getFeeAllocations(epochId, ['sending']);
+        if (stuck.length > 0) {
+            this.logger.warn(`Epoch ${epochId} has ${stuck.length} allocation(s) left 'sending' by an interrupted payout; check them on-chain`);
+        }
+        const status = this.refreshEpochStatus(epochId);
+        this.logger.info(`Epoch ${epochId} payouts: ${paid} paid, ${failed} failed (${status})`);
+        return { paid, failed, status };
     }
 
-    async takeSnapshot() {
+    // 'completed' once nothing is left to pay, 'failed' while a payout needs retrying
+    refreshEpochStatus(epochId) {
+        const open = this.db.getFeeAllocations(epochId, ['pending', 'failed', 'sending']);
+        const status = open.length === 0
+            ? 'completed'
+            : (open.some(a => a.status === 'failed') ? 'failed' : 'distributing');
+        this.db.updateFeeEpochStatus(epochId, status);
+        return status;
+    }
+
+    // One transaction per batch, retried with backoff. If confirmation errors after the send,
+    // the signature is checked on-chain before retrying so a batch that landed is not paid twice.
+    async sendPayoutBatch(payer, batch) {
+        let lastError;
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            let signature = null;
+            try {
+                const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+                const transaction = new Transaction({ feePayer: payer.publicKey, blockhash, lastValidBlockHeight });
+                for (const allocation of batch) {
+                    transaction.add(SystemProgram.transfer({
+                        fromPubkey: payer.publicKey,
+                        toPubkey: new PublicKey(allocation.wallet_address),
+                        lamports: allocation.amount_lamports
+                    }));
+                }
+                transaction.sign(payer);
+
+                signature = await this.connection.sendRawTransaction(transaction.serialize());
+                const confirmation = await this.connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+                if (confirmation.value.err) {
+                    throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
+                }
+                return signature;
+            } catch (error) {
+                lastError = error;
+                if (signature && await this.isConfirmed(signature)) {
+                    return signature;
+                }
+                this.logger.warn(`Payout batch attempt ${attempt}/${this.maxRetries} failed: ${error.message}`);
+                if (attempt < this.maxRetries) {
+                    await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+                }
+            }
+        }
+        lastError.attempts = this.maxRetries;
+        throw lastError;
+    }
+
+    async isConfirmed(signature) {
         try {
-            const snapshot = await this.getEligibleHolders();
-            this.logger.info(`Snapshot taken with ${snapshot.length} eligible holders`);
-            return snapshot;
+            const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+            const status = value[0];
+            return Boolean(status && !status.err && ['confirmed', 'finalized'].includes(status.confirmationStatus));
         } catch (error) {
-            this.logger.error(`Error taking snapshot: ${error.message}`);
+            return false;
+        }
+    }
+
+    // REWARD_WALLET_SECRET is the reward wallet's 64-byte secret key, base64 like stored wallet keys
+    getRewardKeypair() {
+        if (!this.rewardKeypair) {
+            const secret = this.config.rewardWalletSecret || process.env.REWARD_WALLET_SECRET;
+            if (!secret) {
+                throw new Error('Reward wallet secret is not configured (REWARD_WALLET_SECRET)');
+            }
+            const keypair = Keypair.fromSecretKey(Buffer.from(secret, 'base64'));
+            if (!keypair.publicKey.equals(this.wallet2)) {
+                throw new Error('REWARD_WALLET_SECRET does not match REWARD_WALLET');
+            }
+            this.rewardKeypair = keypair;
+        }
+        return this.rewardKeypair;
+    }
+
+    /**
+     * Merkle proof that a wallet's allocation is part of an epoch
+     * @returns {Object|null} { leaf, proof, root, amountLamports, status }
+     */
+    getAllocationProof(epochId, walletAddress) {
+        const epoch = this.db.getFeeEpoch(epochId);
+        if (!epoch) {
+            return null;
+        }
+        const allocations = this.db.getFeeAllocations(epochId);
+        const index = allocations.findIndex(a => a.wallet_address === walletAddress);
+        if (index === -1) {
+            return null;
+        }
+        const leaves = allocations.map(a => a.leaf_hash);
+        return {
+            leaf: leaves[index],
+            proof: MerkleTree.proof(leaves, index),
+            root: epoch.merkle_root,
+            amountLamports: allocations[index].amount_lamports,
+            status: allocations[index].status
+        };
+    }
+
+    async canClaimRewards(walletAddress) {
+        return !this.db.isWalletBlacklisted(walletAddress);
+    }
+
+    // 4TOOL held across the user's wallets at the latest snapshot
+    async getSnapshotBalance(userId) {
+        const wallets = new Set((await this.db.getWalletsByUserId(userId)).map(w => w.public_key));
+        const snapshot = this.db.getLatestSnapshot();
+        const holders = snapshot ? JSON.parse(snapshot.eligible_wallets) : [];
+        const balance = holders.filter(h => wallets.has(h.wallet)).reduce((sum, h) => sum + h.balance, 0);
+        return { balance, snapshot };
+    }
+
+    /**
+     * What the Rewards menu shows: the open epoch, the user's 4TOOL at the latest snapshot,
+     * their projected share of the pool collected so far, what they can claim and past claims
+     */
+    async getRewardsOverview(userId) {
+        const { balance, snapshot } = await this.getSnapshotBalance(userId);
+        const share = snapshot && snapshot.total_balance > 0 ? balance / snapshot.total_balance : 0;
+        const poolSol = await this.getTotalCollectedFees();
+        const claimable = this.db.getClaimableFeeAllocations(userId)
+            .filter(a => !this.db.isWalletBlacklisted(a.wallet_address));
+
+        return {
+            epochId: this.db.getNextFeeEpochId(),
+            lastEpoch: this.db.getFeeEpochs(1)[0] || null,
+            snapshotAt: snapshot ? snapshot.timestamp : null,
+            minimumTokenHoldings: this.minimumTokenHoldings,
+            balance,
+            share,
+            poolSol,
+            projectedSol: poolSol * share,
+            claimableSol: claimable.reduce((sum, a) => sum + a.amount_lamports, 0) / LAMPORTS_PER_SOL,
+            claimableEpochs: [...new Set(claimable.map(a => a.epoch_id))],
+            claims: this.db.getRewardClaims(userId, 5),
+            nextClaimAt: this.getNextClaimTime(userId)
+        };
+    }
+
+    // When the user's claim cooldown ends, or null if they can claim now
+    getNextClaimTime(userId) {
+        const lastClaim = this.db.getLastClaim(userId);
+        if (!lastClaim) {
+            return null;
+        }
+        const next = new Date(toDate(lastClaim.claimed_at).getTime() + this.claimCooldownHours * 60 * 60 * 1000);
+        return next > new Date() ? next : null;
+    }
+
+    /**
+     * Pay every unclaimed allocation of the user's wallets to one of their wallets in a single transfer.
+     * Claims are limited to one per claimCooldownHours and one at a time per user; blacklisted
+     * wallets can neither receive a claim nor have their allocations claimed.
+     */
+    async claimRewards(userId, destinationWallet) {
+        if (this.claimsInFlight.has(userId)) {
+            throw new Error('A claim is already in progress');
+        }
+        this.claimsInFlight.add(userId);
+        try {
+            const nextClaimAt = this.getNextClaimTime(userId);
+            if (nextClaimAt) {
+                const hours = Math.ceil((nextClaimAt - Date.now()) / (60 * 60 * 1000));
+                throw new Error(`You can claim again in ${hours}h`);
+            }
+            if (!(await this.canClaimRewards(destinationWallet))) {
+                throw new Error('This wallet is not allowed to claim rewards');
+            }
+
+            const candidates = this.db.getClaimableFeeAllocations(userId)
+                .filter(a => !this.db.isWalletBlacklisted(a.wallet_address));
+            const ids = this.db.reserveFeeAllocations(candidates.map(a => a.id));
+            const allocations = candidates.filter(a => ids.includes(a.id));
+            if (allocations.length === 0) {
+                throw new Error('No rewards to claim');
+            }
+
+            const amountLamports = allocations.reduce((sum, a) => sum + a.amount_lamports, 0);
+            let signature;
+            try {
+                signature = await this.sendPayoutBatch(this.getRewardKeypair(), [
+                    { wallet_address: destinationWallet, amount_lamports: amountLamports }
+                ]);
+            } catch (error) {
+                this.db.releaseFeeAllocations(ids);
+                throw error;
+            }
+
+            this.db.recordRewardClaim(userId, destinationWallet, allocations, signature);
+            const epochIds = [...new Set(allocations.map(a => a.epoch_id))];
+            epochIds.forEach(epochId => this.refreshEpochStatus(epochId));
+            this.logger.info(`User ${userId} claimed ${amountLamports / LAMPORTS_PER_SOL} SOL from epochs ${epochIds.join(', ')} to ${destinationWallet} (${signature})`);
+
+            return { amountSol: amountLamports / LAMPORTS_PER_SOL, epochIds, signature };
+        } finally {
+            this.claimsInFlight.delete(userId);
+        }
+    }
+
+    async blacklistWallet(walletAddress, reason) {
+        try {
+            this.db.addBlacklistedWallet(walletAddress, reason);
+            return {
+                success: true,
+                message: 'Wallet blacklisted successfully'
+            };
+        } catch (error) {
+            this.logger.error(`Error blacklisting wallet: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async removeFromBlacklist(walletAddress) {
+        try {
+            this.db.removeBlacklistedWallet(walletAddress);
+            return {
+                success: true,
+                message: 'Wallet removed from blacklist successfully'
+            };
+        } catch (error) {
+            this.logger.error(`Error removing wallet from blacklist: ${error.message}`);
             throw error;
         }
     }
 }
 
-module.exports = FeeManagement;
\ No newline at end of file
+module.exports = FeeManagement;
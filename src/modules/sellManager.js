@@ -1,6 +1,7 @@
 const { Keypair } = require('@solana/web3.js');
-const crypto = require('crypto');
 const TokenAnalysis = require('./tokenAnalysis');
+const PaperTradingService = require('../services/paperTradingService');
+const WalletKeystore = require('../services/walletKeystore');
 
 function escapeMarkdown(text) {
     if (!text) return '';
@@ -57,6 +58,8 @@ class SellManager {
         this.pendingSellByKey = {}; 
         this.sellMessageIds = new Map(); 
         this.tokenAnalysis = new TokenAnalysis();
+        this.paperTradingService = new PaperTradingService(config, db, tradingExecution);
+        this.keystore = new WalletKeystore(config, db);
     }
 
     generateShortKey(length = 8) {
@@ -97,24 +100,26 @@ class SellManager {
                 return;
             }
 
-            const tokenHoldings = await this.getUserTokenHoldings(activeWallet.public_key);
+            const tokenHoldings = this.paperTradingService.isPaperWallet(activeWallet)
+                ? this.getPaperTokenHoldings(activeWallet)
+                : await this.getUserTokenHoldings(activeWallet.public_key);
 
             if (tokenHoldings.length === 0) {
                 await this.safeSendMessage(chatId, 'No tokens found in your wallet to sell.', {}, 3, telegramId);
                 return;
             }
 
-            await this.showTokenHoldings(chatId, telegramId, tokenHoldings);
+            await this.showTokenHoldings(chatId, telegramId, tokenHoldings, this.paperTradingService.isPaperWallet(activeWallet));
         } catch (error) {
             console.error('Error initiating sell:', error);
             await this.safeSendMessage(chatId, 'Sorry, something went wrong while initiating the sell process.', {}, 3, telegramId);
         }
     }
 
-    async showTokenHoldings(chatId, telegramId, holdings) {
+    async showTokenHoldings(chatId, telegramId, holdings, simulated = false) {
         try {
             let message = `
-*💰 Your Token Holdings*
+*💰 Your Token Holdings*${simulated ? '\n*📝 SIMULATED - paper wallet*' : ''}
 
 Select a token to sell:
 
@@ -159,10 +164,16 @@ Select a token to sell:
             const user = await this.db.getUserByTelegramId(telegramId);
             const activeWallet = await this.db.getActiveWallet(user.id);
 
-            const balance = await this.tradingExecution.getTokenBalance(
-                new (require('@solana/web3.js').PublicKey)(activeWallet.public_key), 
-                tokenAddress
-            );
+            let balance;
+            if (this.paperTradingService.isPaperWallet(activeWallet)) {
+                const position = this.db.getPaperPosition(activeWallet.id, tokenAddress);
+                balance = position ? position.amount : 0;
+            } else {
+                balance = await this.tradingExecution.getTokenBalance(
+                    new (require('@solana/web3.js').PublicKey)(activeWallet.public_key), 
+                    tokenAddress
+                );
+            }
 
             if (balance === 0) {
                 await this.safeSendMessage(chatId, 'You don\'t have any of this token to sell.', {}, 3, telegramId);
@@ -321,7 +332,12 @@ Send the amount as a number (e.g., 100.5)`;
                 throw new Error('Wallet is locked');
             }
 
-            const decryptedKey = this.decryptPrivateKey(activeWallet.encrypted_private_key, telegramId);
+            if (this.paperTradingService.isPaperWallet(activeWallet)) {
+                await this.executePaperSell(chatId, telegramId, user, activeWallet, tokenAddress, amount, bot);
+                return;
+            }
+
+            const decryptedKey = this.keystore.decryptWalletKey(activeWallet);
             const privateKeyBuffer = Buffer.from(decryptedKey, 'base64');
             const keypair = Keypair.fromSecretKey(privateKeyBuffer);
             
@@ -387,6 +403,95 @@ Thank you for using 4TOOL Trading Bot! 🚀`;
         }
     }
 
+    /**
+     * Fill a sell against the paper account instead of the chain.
+     * The simulated trade is recorded by PaperTradingService.
+     */
+    async executePaperSell(chatId, telegramId, user, wallet, tokenAddress, amount, bot) {
+        const result = await this.paperTradingService.simulateSell(user.id, wallet, tokenAddress, amount);
+
+        if (!result.success) {
+            throw new Error(result.error || 'Simulated sell failed');
+        }
+
+        const balance = this.db.getPaperBalance(wallet.id);
+        const successMessage = `
+*📝 SIMULATED Sell Order Filled*
+
+*Transaction Details:*
+• **Tokens Sold:** ${amount.toFixed(6)} ${result.symbol || 'tokens'}
+• **SOL Received:** ${result.solReceived.toFixed(4)} SOL
+• **Token Price:** ${result.tokenPrice.toFixed(8)} SOL per token
+• **Price Impact:** ${result.priceImpact.toFixed(2)}%
+
+*Simulated Fees:*
+• **Bot Fee:** ${result.botFee.toFixed(4)} SOL
+• **Network Fee:** ${result.networkFee.toFixed(6)} SOL
+
+*Performance:*
+• **Net SOL Received:** ${result.netSolReceived.toFixed(4)} SOL
+• **Realized P&L:** ${result.pnl >= 0 ? '+' : ''}${result.pnl.toFixed(4)} SOL
+• **Paper Balance:** ${balance ? balance.sol_balance.toFixed(4) : '0.0000'} SOL
+
+*Quote Source:* ${result.quoteSource === 'jupiter' ? 'Jupiter' : 'Local price history'}
+
+_No transaction was sent to the network._`;
+
+        await this.safeSendMessage(chatId, successMessage, { parse_mode: 'Markdown' }, 3, telegramId);
+
+        if (bot) {
+            await this.deleteSellMessages(chatId, telegramId, bot);
+        }
+
+        this.pendingSell.delete(telegramId);
+        this.clearPendingSellAndUserState(telegramId);
+    }
+
+    /**
+     * Sell without a Telegram conversation, for background flows such as copy trading.
+     * Paper wallets are simulated; real fills are recorded as trades.
+     * @param {Object} options - ruleId and strategy that placed the trade, for the PnL ledger
+     * @returns {Promise<Object>} The execution result, with success/error
+     */
+    async executeAutomatedSell(userId, wallet, tokenAddress, amount, options = {}) {
+        try {
+            if (wallet.is_locked) {
+                throw new Error('Wallet is locked');
+            }
+
+            if (this.paperTradingService.isPaperWallet(wallet)) {
+                return await this.paperTradingService.simulateSell(userId, wallet, tokenAddress, amount, undefined, options);
+            }
+
+            const decryptedKey = this.keystore.decryptWalletKey(wallet);
+            const keypair = Keypair.fromSecretKey(Buffer.from(decryptedKey, 'base64'));
+            const result = await this.tradingExecution.executeSell(userId, tokenAddress, amount, keypair, undefined, options);
+
+            if (result.success) {
+                await this.db.createTrade(userId, tokenAddress, amount, result.tokenPrice, 'sell');
+            }
+            return result;
+        } catch (error) {
+            console.error('Error executing automated sell:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Paper positions in the shape returned by getUserTokenHoldings
+     */
+    getPaperTokenHoldings(wallet) {
+        return this.db.getPaperPositions(wallet.id).map(position => ({
+            address: position.token_address,
+            mint: position.token_address,
+            balance: position.amount,
+            symbol: position.symbol || position.token_address.slice(0, 4) + '...',
+            name: position.symbol ? `📝 ${position.symbol}` : undefined,
+            price: 0,
+            decimals: null
+        }));
+    }
+
     async getUserTokenHoldings(walletAddress) {
         try {
             const PortfolioService = require('../services/portfolioService');
@@ -511,27 +616,6 @@ Thank you for using 4TOOL Trading Bot! 🚀`;
         }
     }
 
-    decryptPrivateKey(encryptedData, password) {
-        try {
-            const [ivHex, encrypted] = encryptedData.split(':');
-            if (!ivHex || !encrypted) {
-                throw new Error('Invalid encrypted data format');
-            }
-
-            const iv = Buffer.from(ivHex, 'hex');
-            const key = crypto.scryptSync(password, 'salt', 32);
-            const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-            
-            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            
-            return decrypted;
-        } catch (error) {
-            console.error('Error decrypting private key:', error);
-            throw new Error('Failed to decrypt private key');
-        }
-    }
-
     clearPendingSell(telegramId) {
         this.pendingSell.delete(telegramId);
     }
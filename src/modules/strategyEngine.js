@@ -2,13 +2,22 @@ const { Connection, PublicKey } = require('@solana/web3.js');
 const winston = require('winston');
 const DatabaseManager = require('./database');
 const TradingExecution = require('./tradingExecution');
+const PriceHistoryService = require('../services/priceHistoryService');
+const WalletAnalyticsService = require('../services/walletAnalyticsService');
 
 class StrategyEngine {
-    constructor(config) {
+    /**
+     * @param {Object} config
+     * @param {Object} deps - Optional overrides (db, tradingExecution, priceHistory, tradeDelayMs),
+     *   used by BacktestService to run the strategies against simulated data and execution
+     */
+    constructor(config, deps = {}) {
         this.config = config;
         this.connection = new Connection(config.rpcEndpoint);
-        this.db = new DatabaseManager();
-        this.tradingExecution = new TradingExecution(config);
+        this.db = deps.db || new DatabaseManager();
+        this.tradingExecution = deps.tradingExecution || new TradingExecution(config, this.db);
+        this.priceHistory = deps.priceHistory || new PriceHistoryService(config, this.db);
+        this.tradeDelayMs = deps.tradeDelayMs !== undefined ? deps.tradeDelayMs : 2000;
         
         this.logger = winston.createLogger({
             level: 'info',
@@ -138,7 +147,7 @@ class StrategyEngine {
                         expectedPrice
                     });
 
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    await new Promise(resolve => setTimeout(resolve, this.tradeDelayMs));
                 } catch (error) {
                     this.logger.error(`Error executing volume spike trade for ${trade.tokenAddress}: ${error.message}`);
                 }
@@ -178,7 +187,7 @@ class StrategyEngine {
 
             const trades = [];
             for (const dip of priceDips) {
-                const priceDrop = dip.priceChange;
+                const priceDrop = Math.abs(dip.priceChange);
                 const basePositionSize = totalValue * (priceDrop / 100);
                 const maxPositionSize = totalValue * (userSettings.max_trade_amount / 100);
                 const adjustedAmount = Math.min(basePositionSize, maxPositionSize);
@@ -213,7 +222,7 @@ class StrategyEngine {
                         expectedPrice
                     });
 
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    await new Promise(resolve => setTimeout(resolve, this.tradeDelayMs));
                 } catch (error) {
                     this.logger.error(`Error executing dip buy trade for ${trade.tokenAddress}: ${error.message}`);
                 }
@@ -344,7 +353,7 @@ class StrategyEngine {
                     });
 
                     // Add delay between trades
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    await new Promise(resolve => setTimeout(resolve, this.tradeDelayMs));
                 } catch (error) {
                     this.logger.error(`Error executing narrative trade for ${trade.tokenAddress}: ${error.message}`);
                 }
@@ -477,7 +486,7 @@ class StrategyEngine {
                     });
 
                     // Add delay between trades
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    await new Promise(resolve => setTimeout(resolve, this.tradeDelayMs));
                 } catch (error) {
                     this.logger.error(`Error executing momentum trade for ${trade.tokenAddress}: ${error.message}`);
                 }
@@ -626,7 +635,7 @@ class StrategyEngine {
                     });
                     
                     // Add delay between trades
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    await new Promise(resolve => setTimeout(resolve, this.tradeDelayMs));
                 } catch (error) {
                     this.logger.error(`Error executing volatility trade for ${trade.tokenAddress}: ${error.message}`);
                 }
@@ -744,7 +753,7 @@ class StrategyEngine {
                     });
 
                     // Add delay between trades
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    await new Promise(resolve => setTimeout(resolve, this.tradeDelayMs));
                 } catch (error) {
                     this.logger.error(`Error executing copy trade for ${trade.tokenAddress}: ${error.message}`);
                 }
@@ -797,8 +806,10 @@ class StrategyEngine {
                 if (currentValue > peakValue) {
                     peakValue = currentValue;
                 }
-                currentDrawdown = (peakValue - currentValue) / peakValue;
-                metrics.maxDrawdown = Math.max(metrics.maxDrawdown, currentDrawdown);
+                if (peakValue > 0) {
+                    currentDrawdown = (peakValue - currentValue) / peakValue;
+                    metrics.maxDrawdown = Math.max(metrics.maxDrawdown, Math.min(currentDrawdown, 1));
+                }
 
                 if (trade.holdTime) {
                     metrics.avgHoldTime += trade.holdTime;
@@ -809,6 +820,13 @@ class StrategyEngine {
             metrics.profitFactor = metrics.totalProfit / (metrics.totalLoss || 1);
             metrics.avgHoldTime = metrics.avgHoldTime / metrics.totalTrades;
 
+            // The stored analysis measures drawdown against SOL deployed, which doesn't
+            // depend on the wallet having been in profit first
+            const analytics = this.db.getWalletAnalytics(walletAddress);
+            if (analytics) {
+                metrics.maxDrawdown = analytics.max_drawdown;
+            }
+
             return metrics;
         } catch (error) {
             this.logger.error(`Error getting wallet metrics: ${error.message}`);
@@ -911,7 +929,7 @@ class StrategyEngine {
                     });
                     
                     // Add delay between trades to prevent market impact
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    await new Promise(resolve => setTimeout(resolve, this.tradeDelayMs));
                 } catch (error) {
                     this.logger.error(`Error executing rebalance trade for ${trade.tokenAddress}: ${error.message}`);
                     // Continue with next trade even if one fails
@@ -1030,7 +1048,7 @@ class StrategyEngine {
                     });
                     
                     // Add delay between trades
-                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    await new Promise(resolve => setTimeout(resolve, this.tradeDelayMs));
                 } catch (error) {
                     this.logger.error(`Error executing narrative rotation trade for ${trade.tokenAddress}: ${error.message}`);
                 }
@@ -1128,34 +1146,81 @@ class StrategyEngine {
     }
 
     // Helper methods
-    async getRecentTrades(tokenAddress) {
-        // TODO: Implement recent trades fetching logic
-        return [];
+    // Market data helpers read from the local OHLCV store (PriceHistoryService)
+
+    /**
+     * Recent price/volume observations, one per stored candle.
+     * @param {string|null} tokenAddress - Token to fetch, or null for every tracked token
+     * @param {number} timeWindow - Lookback in seconds
+     * @returns {Promise<Array>} [{ tokenAddress, price, volume, liquidity, timestamp }]
+     */
+    async getRecentTrades(tokenAddress, timeWindow = 3600) {
+        const candles = tokenAddress
+            ? this.priceHistory.getCandles(tokenAddress, timeWindow)
+            : this.priceHistory.getAllCandles(timeWindow);
+
+        return candles.map(candle => ({
+            tokenAddress: candle.token_address,
+            price: candle.close,
+            volume: candle.volume,
+            liquidity: candle.liquidity,
+            timestamp: candle.bucket_start
+        }));
     }
 
+    // Percentage change in volume from the first to the last observation.
+    // Accepts plain numbers or observations from getRecentTrades.
     calculateVolumeChange(trades, timeWindow) {
-        // TODO: Implement volume change calculation
-        return 0;
+        const volumes = trades.map(t => (typeof t === 'number' ? t : t.volume));
+        if (volumes.length < 2 || !volumes[0]) return 0;
+        return ((volumes[volumes.length - 1] - volumes[0]) / volumes[0]) * 100;
     }
 
     async getPriceHistory(tokenAddress, lookbackPeriod) {
-        // TODO: Implement price history fetching logic
-        return [];
+        return this.priceHistory.getCandles(tokenAddress, lookbackPeriod).map(candle => candle.close);
     }
 
+    // Percentage change in price from the first to the last observation.
+    // Accepts plain numbers or observations from getRecentTrades.
     calculatePriceChange(priceHistory) {
-        // TODO: Implement price change calculation
-        return 0;
+        const prices = priceHistory.map(p => (typeof p === 'number' ? p : p.price));
+        if (prices.length < 2 || !prices[0]) return 0;
+        return ((prices[prices.length - 1] - prices[0]) / prices[0]) * 100;
     }
 
     async getTrendingTokens(categories) {
-        // TODO: Implement trending tokens fetching logic
-        return [];
+        const stats = this.priceHistory.getTokenStats(24 * 60 * 60);
+        return stats
+            .filter(token => !categories || categories.length === 0 || categories.includes(token.category))
+            .sort((a, b) => b.volume24h - a.volume24h)
+            .map(({ candles, ...token }) => token);
     }
 
-    async getTopPerformingTokens(lookbackPeriod, filters) {
-        // Implement top performing tokens retrieval with filters
-        return [];
+    async getTopPerformingTokens(lookbackPeriod, filters = {}) {
+        const {
+            minLiquidity = 0,
+            minMarketCap = 0,
+            momentumThreshold = 0,
+            volumeThreshold = 1
+        } = filters;
+
+        return this.priceHistory.getTokenStats(lookbackPeriod)
+            .filter(token =>
+                token.liquidity >= minLiquidity &&
+                (token.marketCap == null || token.marketCap >= minMarketCap) &&
+                token.priceChange >= momentumThreshold * 100 &&
+                token.volumeChange >= (volumeThreshold - 1) * 100
+            )
+            .sort((a, b) => b.priceChange - a.priceChange)
+            .map(({ candles, ...token }) => token);
+    }
+
+    async getTokenPrice(tokenAddress) {
+        const latest = this.priceHistory.getLatestCandle(tokenAddress);
+        if (latest) {
+            return latest.close;
+        }
+        return await this.tradingExecution.getCurrentPrice(tokenAddress);
     }
 
     async calculateVolatility(priceHistory) {
@@ -1248,9 +1313,21 @@ class StrategyEngine {
         }
     }
 
-    async getWalletTrades(walletAddress, options) {
-        // Implement wallet trades retrieval
-        return [];
+    /**
+     * Closed trades of a wallet, oldest first, from its stored analysis (refreshed when older than the cache TTL)
+     * @param {Object} options - limit and minTimestamp (ms)
+     */
+    async getWalletTrades(walletAddress, options = {}) {
+        try {
+            if (!this.walletAnalytics) {
+                this.walletAnalytics = new WalletAnalyticsService(this.config, this.db);
+            }
+            await this.walletAnalytics.analyzeWallet(walletAddress);
+            return this.walletAnalytics.getClosedTrades(walletAddress, options).reverse();
+        } catch (error) {
+            this.logger.error(`Error getting trades for wallet ${walletAddress}: ${error.message}`);
+            return [];
+        }
     }
 
     async handleTokenListing(user, wallet, tokenAddress, action) {
@@ -1313,9 +1390,10 @@ class StrategyEngine {
         }
     }
 
+    // The listing scanner's record of the token, once it has been seen listed and passed screening
     async getTokenListingInfo(tokenAddress) {
-        // Implement token listing info retrieval
-        return null;
+        const listing = this.db.getTokenListing(tokenAddress);
+        return listing && listing.status === 'passed' ? listing : null;
     }
 
     async getAirdropInfo(tokenAddress) {
@@ -1439,8 +1517,7 @@ class StrategyEngine {
     }
 
     async getVolumeHistory(tokenAddress, lookbackPeriod) {
-        // Implement volume history retrieval
-        return [];
+        return this.priceHistory.getCandles(tokenAddress, lookbackPeriod).map(candle => candle.volume);
     }
 
     calculateRSI(priceHistory, period = 14) {
@@ -1487,9 +1564,27 @@ class StrategyEngine {
         return ema;
     }
 
-    async getVolatileTokens(filters) {
-        // Implement volatile tokens retrieval with filters
-        return [];
+    async getVolatileTokens(filters = {}) {
+        const {
+            minLiquidity = 0,
+            minMarketCap = 0,
+            volatilityThreshold = 0,
+            timeWindow = 3600
+        } = filters;
+
+        const volatileTokens = [];
+        for (const token of this.priceHistory.getTokenStats(timeWindow)) {
+            if (token.liquidity < minLiquidity) continue;
+            if (token.marketCap != null && token.marketCap < minMarketCap) continue;
+
+            const volatility = await this.calculateVolatility(token.candles.map(candle => candle.close));
+            if (volatility >= volatilityThreshold) {
+                const { candles, ...rest } = token;
+                volatileTokens.push({ ...rest, volatility });
+            }
+        }
+
+        return volatileTokens.sort((a, b) => b.volatility - a.volatility);
     }
 
     async findVolumeSpikes(params) {
@@ -1600,8 +1695,8 @@ class StrategyEngine {
 
     async getTokenLiquidity(tokenAddress) {
         try {
-            // Implement token liquidity fetching
-            return 0;
+            const latest = this.priceHistory.getLatestCandle(tokenAddress);
+            return latest && latest.liquidity ? latest.liquidity : 0;
         } catch (error) {
             this.logger.error(`Error getting token liquidity: ${error.message}`);
             return 0;
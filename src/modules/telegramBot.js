@@ -10,6 +10,8 @@ const RulesCommand = require('../commands/rules');
 const RuleEngine = require('../services/ruleEngine');
 const FileExportService = require('../services/fileExportService');
 const AutonomousService = require('../services/autonomousService');
+const LimitOrderService = require('../services/limitOrderService');
+const ListingAlertService = require('../services/listingAlertService');
 const {
     WalletHandlers,
     PortfolioHandlers,
@@ -19,7 +21,12 @@ const {
     ExportHandlers,
     SecurityHandlers,
     CopyTradeHandlers,
-    SettingsHandlers
+    SettingsHandlers,
+    LimitOrderHandlers,
+    WalletGroupHandlers,
+    LeaderboardHandlers,
+    RewardsHandlers,
+    ReferralHandlers
 } = require('../handlers');
 const CallbackRouter = require('./callbackRouter');
 
@@ -43,8 +50,8 @@ class TelegramBotManager {
 
             // Initialize components that do NOT depend on bot instance
             this.db = new DatabaseManager();
-            this.feeManager = new FeeManagement(config);
-            this.tradingExecution = new TradingExecution(config);
+            this.feeManager = new FeeManagement(config, this.db);
+            this.tradingExecution = new TradingExecution(config, this.db);
             this.rugCheck = new RugCheck();
             this.tokenAnalysis = new TokenAnalysis();
             this.ruleEngine = new RuleEngine(this.db, config);
@@ -83,6 +90,21 @@ class TelegramBotManager {
             this.securityHandlers = new SecurityHandlers(this, this.db, config);
             this.copyTradeHandlers = new CopyTradeHandlers(this.bot, this.db, config);
             this.settingsHandlers = new SettingsHandlers(this.bot, this.db, config, this, this.autonomousService);
+            this.limitOrderHandlers = new LimitOrderHandlers(this.bot, this.db, config, this.tradingExecution);
+            this.walletGroupHandlers = new WalletGroupHandlers(this.bot, this.db, config, this.tradingExecution);
+            this.leaderboardHandlers = new LeaderboardHandlers(this.bot, this.db, config);
+            this.rewardsHandlers = new RewardsHandlers(this.bot, this.db, config, this.feeManager);
+            this.referralHandlers = new ReferralHandlers(this.bot, this.db, config);
+
+            // Limit orders are filled in the background, so the watcher needs the live bot for notifications
+            this.limitOrderService = new LimitOrderService(config, this.db, this.tradingExecution, this.bot);
+            this.limitOrderService.startWatching();
+
+            // New listings are matched against users' filter rules and alerted through the live bot
+            this.listingAlertService = new ListingAlertService(config, this.db, this.bot, this.ruleEngine);
+            if (config.listingScanner && config.listingScanner.enabled === true) {
+                this.listingAlertService.startWatching();
+            }
 
             this.callbackRouter = new CallbackRouter(this.bot, {
                 walletHandlers: this.walletHandlers,
@@ -94,6 +116,11 @@ class TelegramBotManager {
                 securityHandlers: this.securityHandlers,
                 copyTradeHandlers: this.copyTradeHandlers,
                 settingsHandlers: this.settingsHandlers,
+                limitOrderHandlers: this.limitOrderHandlers,
+                walletGroupHandlers: this.walletGroupHandlers,
+                leaderboardHandlers: this.leaderboardHandlers,
+                rewardsHandlers: this.rewardsHandlers,
+                referralHandlers: this.referralHandlers,
                 rulesCommand: this.rulesCommand,
                 bot: this 
             });
@@ -264,6 +291,17 @@ class TelegramBotManager {
                 case '/help':
                     await this.bot.sendMessage(chatId, 'Help command - coming soon!');
                     break;
+                case '/leaders':
+                    await this.leaderboardHandlers.handleLeaders(chatId, msg.from.id.toString());
+                    break;
+                case '/claim':
+                case '/rewards':
+                    await this.rewardsHandlers.handleRewards(chatId, msg.from.id.toString());
+                    break;
+                case '/referral':
+                case '/invite':
+                    await this.referralHandlers.handleReferrals(chatId, msg.from.id.toString());
+                    break;
                 default:
                     await this.bot.sendMessage(chatId, 'Unknown command. Use /start to begin.');
             }
@@ -273,7 +311,7 @@ class TelegramBotManager {
         }
     }
 
-    // Handle start command
+    // Handle start command; "/start <code>" comes from a t.me/<bot>?start=<code> referral link
     async handleStartCommand(msg) {
         const chatId = msg.chat.id;
         const telegramId = msg.from.id.toString();
@@ -284,6 +322,16 @@ class TelegramBotManager {
                 user = await this.db.createUser(telegramId);
             }
 
+            const referralCode = (msg.text || '').split(' ')[1];
+            let referrer = null;
+            if (referralCode) {
+                try {
+                    referrer = await this.referralHandlers.referralService.applyReferralCode(user, referralCode);
+                } catch (error) {
+                    console.error('Error applying referral code:', error);
+                }
+            }
+
             const wallets = await this.db.getWalletsByUserId(user.id);
             const activeWallet = await this.db.getActiveWallet(user.id);
             
@@ -293,7 +341,7 @@ class TelegramBotManager {
 🎉 *Welcome to 4T-Bot!* 🚀
 
 I'm your automated trading assistant for Solana tokens. To get started, you'll need a Solana wallet.
-
+${referrer ? '\n🤝 You joined through a friend\'s referral link.\n' : ''}
 *Choose an option:*`;
 
                 const keyboard = {
@@ -384,6 +432,23 @@ I'm your automated trading assistant for Solana tokens. To get started, you'll n
                 }
             }
             
+            // Try security handlers (wallet passphrase entry)
+            if (!handled && this.securityHandlers && this.securityHandlers.handleMessage) {
+                try {
+                    const securityResult = await this.securityHandlers.handleMessage(ctx, userState);
+                    if (securityResult && (securityResult.handled || securityResult === true)) {
+                        handled = true;
+                        console.log('Message handled by security handlers');
+
+                        if (securityResult.clearState && userState) {
+                            this.bot.userStates.delete(telegramId);
+                        }
+                    }
+                } catch (error) {
+                    console.error('Error in security handlers:', error);
+                }
+            }
+            
             // Try settings handlers
             if (!handled && this.settingsHandlers && this.settingsHandlers.handleMessage) {
                 try {
@@ -397,6 +462,91 @@ I'm your automated trading assistant for Solana tokens. To get started, you'll n
                 }
             }
             
+            // Try limit order handlers (before trading handlers, which auto-detect token addresses)
+            if (!handled && this.limitOrderHandlers && this.limitOrderHandlers.handleMessage) {
+                try {
+                    const limitOrderResult = await this.limitOrderHandlers.handleMessage(ctx, userState);
+                    if (limitOrderResult && (limitOrderResult.handled || limitOrderResult === true)) {
+                        handled = true;
+                        console.log('Message handled by limit order handlers');
+
+                        if (limitOrderResult.clearState && userState) {
+                            this.bot.userStates.delete(telegramId);
+                        }
+                    }
+                } catch (error) {
+                    console.error('Error in limit order handlers:', error);
+                }
+            }
+
+            // Try wallet group handlers (also before trading handlers, for the same reason)
+            if (!handled && this.walletGroupHandlers && this.walletGroupHandlers.handleMessage) {
+                try {
+                    const walletGroupResult = await this.walletGroupHandlers.handleMessage(ctx, userState);
+                    if (walletGroupResult && (walletGroupResult.handled || walletGroupResult === true)) {
+                        handled = true;
+                        console.log('Message handled by wallet group handlers');
+
+                        if (walletGroupResult.clearState && userState) {
+                            this.bot.userStates.delete(telegramId);
+                        }
+                    }
+                } catch (error) {
+                    console.error('Error in wallet group handlers:', error);
+                }
+            }
+
+            // Try export handlers (email address and verification code)
+            if (!handled && this.exportHandlers && this.exportHandlers.handleMessage) {
+                try {
+                    const exportResult = await this.exportHandlers.handleMessage(ctx, userState);
+                    if (exportResult && (exportResult.handled || exportResult === true)) {
+                        handled = true;
+                        console.log('Message handled by export handlers');
+
+                        if (exportResult.clearState && userState) {
+                            this.bot.userStates.delete(telegramId);
+                        }
+                    }
+                } catch (error) {
+                    console.error('Error in export handlers:', error);
+                }
+            }
+
+            // Try copy trade handlers (per-leader sizing values)
+            if (!handled && this.copyTradeHandlers && this.copyTradeHandlers.handleMessage) {
+                try {
+                    const copyTradeResult = await this.copyTradeHandlers.handleMessage(ctx, userState);
+                    if (copyTradeResult && (copyTradeResult.handled || copyTradeResult === true)) {
+                        handled = true;
+                        console.log('Message handled by copy trade handlers');
+
+                        if (copyTradeResult.clearState && userState) {
+                            this.bot.userStates.delete(telegramId);
+                        }
+                    }
+                } catch (error) {
+                    console.error('Error in copy trade handlers:', error);
+                }
+            }
+
+            // Try leaderboard handlers (wallet address to analyse)
+            if (!handled && this.leaderboardHandlers && this.leaderboardHandlers.handleMessage) {
+                try {
+                    const leaderboardResult = await this.leaderboardHandlers.handleMessage(ctx, userState);
+                    if (leaderboardResult && (leaderboardResult.handled || leaderboardResult === true)) {
+                        handled = true;
+                        console.log('Message handled by leaderboard handlers');
+
+                        if (leaderboardResult.clearState && userState) {
+                            this.bot.userStates.delete(telegramId);
+                        }
+                    }
+                } catch (error) {
+                    console.error('Error in leaderboard handlers:', error);
+                }
+            }
+            
             // Try trading handlers
             if (!handled && this.tradingHandlers && this.tradingHandlers.handleMessage) {
                 try {
@@ -524,59 +674,22 @@ I received your message: \`${messageText}\`
 
         // Start command
         this.bot.onText(/\/start/, async (msg) => {
-            const chatId = msg.chat.id;
-            const telegramId = msg.from.id.toString();
-            
-            try {
-                let user = await this.db.getUserByTelegramId(telegramId);
-                if (!user) {
-                    user = await this.db.createUser(telegramId);
-                }
-
-                const wallets = await this.db.getWalletsByUserId(user.id);
-                const activeWallet = await this.db.getActiveWallet(user.id);
-                
-                if (!activeWallet) {
-                    // New user - show wallet creation options
-                    const welcomeMessage = `
-🎉 *Welcome to 4T-Bot!* 🚀
-
-I'm your automated trading assistant for Solana tokens. To get started, you'll need a Solana wallet.
-
-*Choose an option:*`;
+            await this.handleStartCommand(msg);
+        });
 
-                    const keyboard = {
-                        inline_keyboard: [
-                            [
-                                { text: '👛 Create New Wallet', callback_data: 'create_wallet' },
-                                { text: '📝 Import Wallet', callback_data: 'import_wallet' }
-                            ]
-                        ]
-                    };
+        // Referral command
+        this.bot.onText(/\/(referral|invite)/, async (msg) => {
+            await this.referralHandlers.handleReferrals(msg.chat.id, msg.from.id.toString());
+        });
 
-                    const sentMessage = await this.bot.sendMessage(chatId, welcomeMessage, {
-                        parse_mode: 'Markdown',
-                        reply_markup: keyboard
-                    });
+        // Leaderboard command
+        this.bot.onText(/\/leaders/, async (msg) => {
+            await this.leaderboardHandlers.handleLeaders(msg.chat.id, msg.from.id.toString());
+        });
 
-                    // Store welcome message ID for later deletion
-                    this.messageManager.lastWelcomeMessageId = sentMessage.message_id;
-                } else {
-                    if (this.menuManager) {
-                        await this.menuManager.showMainMenu(chatId, activeWallet, this.ruleEngine);
-                    } else {
-                        console.error('MenuManager not initialized');
-                        await this.bot.sendMessage(chatId, 'Sorry, the menu system is not available. Please try again later.');
-                    }
-                }
-            } catch (error) {
-                console.error('Error in /start command:', error);
-                if (this.bot) {
-                    await this.bot.sendMessage(chatId, 'Sorry, something went wrong. Please try again later.');
-                } else {
-                    console.error('Bot instance not available for error message');
-                }
-            }
+        // Rewards command
+        this.bot.onText(/\/(claim|rewards)/, async (msg) => {
+            await this.rewardsHandlers.handleRewards(msg.chat.id, msg.from.id.toString());
         });
 
         // Handle callback queries (inline button clicks)
@@ -663,7 +776,7 @@ I'm your automated trading assistant for Solana tokens. To get started, you'll n
                     };
                     
                     // Try wallet handlers first for wallet-related states
-                    if (userState.state === 'awaiting_private_key' || userState.state === 'waiting_external_wallet') {
+                    if (userState.state === 'awaiting_private_key' || userState.state === 'waiting_external_wallet' || userState.state === 'awaiting_export_passphrase') {
                         console.log('🔍 Trying wallet handlers for state:', userState.state);
                         const walletResult = await this.walletHandlers.handleMessage(ctx, userState);
                         if (walletResult && walletResult.handled) {
@@ -708,6 +821,7 @@ I'm your automated trading assistant for Solana tokens. To get started, you'll n
                             return;
                         case 'awaiting_passphrase':
                         case 'awaiting_new_passphrase':
+                        case 'awaiting_current_passphrase':
                             if (text && text.trim().length > 0) {
                                 try {
                                     await this.securityHandlers.handlePassphraseInput(chatId, telegramId, text);
@@ -842,27 +956,6 @@ ${JSON.stringify(strategy.strategy_json, null, 2)}
         }
     }
 
-    async handleClaimRewards(chatId, telegramId) {
-        const message = `
-*💎 Claim Status*
-
-*Available Rewards:* 0 4TOOL
-*Last Claim:* Never
-*Next Claim:* Available now`;
-
-        const keyboard = {
-            inline_keyboard: [
-                [
-                    { text: '💎 Claim Rewards', callback_data: 'confirm_claim' }
-                ]
-            ]
-        };
-
-        await this.sendAndStoreMessage(chatId, message, {
-            parse_mode: 'Markdown',
-            reply_markup: keyboard
-        });
-    }
 
     async handleMarketOverview(chatId) {
         const message = `
@@ -896,14 +989,6 @@ No data available`;
         return TelegramUtils.generateWallet();
     }
 
-    encryptPrivateKey(privateKey, password) {
-        return TelegramUtils.encryptPrivateKey(privateKey, password);
-    }
-
-    decryptPrivateKey(encryptedData, password) {
-        return TelegramUtils.decryptPrivateKey(encryptedData, password);
-    }
-
     validateWalletAddress(address) {
         return TelegramUtils.validateWalletAddress(address);
     }
@@ -1,6 +1,12 @@
 const { Connection, PublicKey } = require('@solana/web3.js');
 const axios = require('axios');
 const winston = require('winston');
+const RugCheck = require('./rugCheck');
+const ListingDiscoveryService = require('../services/listingDiscoveryService');
+
+const BIRDEYE_BASE_URL = 'https://public-api.birdeye.so';
+// A listing RugCheck has not indexed yet is retried on this many scans before it is dropped
+const MAX_LISTING_ATTEMPTS = 3;
 
 class RulesManager {
     constructor() {
@@ -112,9 +118,15 @@ class RulesManager {
     }
 }
 
+/**
+ * Token screening against market criteria and strategy rules, and the new-listing scan:
+ * scanNewTokens() evaluates each token ListingDiscoveryService finds with evaluateToken()
+ * and a RugCheck report, and returns the ones that pass for rule matching.
+ */
 class TokenScreening {
-    constructor(config) {
+    constructor(config, db = null) {
         this.config = config;
+        this.db = db;
         this.connection = new Connection(config.rpcEndpoint);
         this.logger = winston.createLogger({
             level: 'info',
@@ -127,12 +139,30 @@ class TokenScreening {
         this.supportedCategories = ['meme', 'ai', 'gaming', 'defi', 'nft', 'other'];
         this.timeframes = ['1h', '4h', '24h', '7d'];
         this.rulesManager = new RulesManager();
+        this.rugCheck = new RugCheck();
+        this.listingDiscovery = db ? new ListingDiscoveryService(config, db) : null;
+
+        const scanner = config.listingScanner || {};
+        this.maxRiskScore = scanner.maxRiskScore || 60;
+        this.minLiquidity = scanner.minLiquidity || 0;
+        this.maxCandidates = scanner.maxCandidates || 20;
+    }
+
+    getBirdeyeHeaders() {
+        if (!this.config.birdEyeApiKey) {
+            throw new Error('Birdeye API key not configured');
+        }
+        return { 'X-API-KEY': this.config.birdEyeApiKey, 'x-chain': 'solana', 'Accept': 'application/json' };
     }
 
     async fetchTokenMetadata(tokenAddress) {
         try {
-            const response = await axios.get(`https://public-api.birdeye.so/public/token_meta?address=${tokenAddress}`);
-            return response.data;
+            const response = await axios.get(`${BIRDEYE_BASE_URL}/defi/v3/token/meta-data/single`, {
+                params: { address: tokenAddress },
+                headers: this.getBirdeyeHeaders(),
+                timeout: 15000
+            });
+            return response.data?.data || {};
         } catch (error) {
             this.logger.error(`Error fetching token metadata: ${error.message}`);
             throw error;
@@ -141,8 +171,21 @@ class TokenScreening {
 
     async fetchTradingMetrics(tokenAddress) {
         try {
-            const response = await axios.get(`https://public-api.birdeye.so/public/token_price?address=${tokenAddress}`);
-            return response.data;
+            const response = await axios.get(`${BIRDEYE_BASE_URL}/defi/token_overview`, {
+                params: { address: tokenAddress },
+                headers: this.getBirdeyeHeaders(),
+                timeout: 15000
+            });
+            const overview = response.data?.data || {};
+            return {
+                price: overview.price,
+                marketCap: overview.marketCap ?? overview.mc,
+                liquidity: overview.liquidity,
+                volume24h: overview.v24hUSD,
+                volumeChange24h: overview.v24hChangePercent,
+                priceChange24h: overview.priceChange24hPercent,
+                holders: overview.holder
+            };
         } catch (error) {
             this.logger.error(`Error fetching trading metrics: ${error.message}`);
             throw error;
@@ -174,9 +217,99 @@ class TokenScreening {
             .every(([key]) => checks[key]());
     }
 
+    /**
+     * Discover new listings and evaluate the ones not yet screened
+     * @returns {Promise<Array>} { listing, tokenData, report } for each listing that passed
+     */
     async scanNewTokens() {
-        // Implementation for scanning new token listings
-        // This would integrate with DEX APIs to monitor new token listings
+        if (!this.listingDiscovery) {
+            throw new Error('Scanning new listings needs a database');
+        }
+        await this.listingDiscovery.discoverNewListings();
+
+        const passed = [];
+        for (const listing of this.db.getPendingTokenListings(MAX_LISTING_ATTEMPTS, this.maxCandidates)) {
+            try {
+                const result = await this.evaluateListing(listing);
+                if (result) {
+                    passed.push(result);
+                }
+            } catch (error) {
+                this.logger.warn(`Listing ${listing.token_address} not evaluated (attempt ${listing.attempts + 1}): ${error.message}`);
+                this.db.updateTokenListing(listing.token_address, {
+                    attempts: listing.attempts + 1,
+                    reason: error.message
+                });
+            }
+        }
+        return passed;
+    }
+
+    async evaluateListing(listing) {
+        const tokenAddress = listing.token_address;
+        // Throws until RugCheck has indexed the mint, so the listing is retried on the next scan
+        const report = await this.rugCheck.getTokenReport(tokenAddress);
+
+        let evaluation = null;
+        try {
+            const criteria = this.minLiquidity > 0 ? { liquidity: true, minLiquidity: this.minLiquidity } : {};
+            evaluation = await this.evaluateToken(tokenAddress, criteria);
+        } catch (error) {
+            // Birdeye data is optional; RugCheck still describes the token
+            this.logger.warn(`Birdeye evaluation failed for listing ${tokenAddress}: ${error.message}`);
+        }
+
+        const tokenData = this.buildListingTokenData(listing, report, evaluation);
+        const reason = this.getListingRejection(report, evaluation, tokenData);
+        this.db.updateTokenListing(tokenAddress, {
+            status: reason ? 'rejected' : 'passed',
+            attempts: listing.attempts + 1,
+            name: tokenData.name,
+            symbol: tokenData.symbol,
+            price: tokenData.price ?? null,
+            market_cap: tokenData.marketCap ?? null,
+            liquidity: tokenData.liquidity ?? null,
+            risk_score: tokenData.riskScore,
+            rugged: report.rugged ? 1 : 0,
+            reason,
+            evaluated_at: new Date().toISOString().replace('T', ' ').slice(0, 19)
+        });
+
+        return reason ? null : { listing, tokenData, report };
+    }
+
+    // Token fields in the shape RuleEngine.evaluateCriteria reads, Birdeye first, then RugCheck
+    buildListingTokenData(listing, report, evaluation) {
+        const metadata = evaluation ? evaluation.metadata : {};
+        const metrics = evaluation ? evaluation.metrics : {};
+        return {
+            address: listing.token_address,
+            name: metadata.name || report.tokenMeta?.name || listing.name || 'Unknown',
+            symbol: metadata.symbol || report.tokenMeta?.symbol || listing.symbol || '',
+            price: metrics.price ?? report.price,
+            marketCap: metrics.marketCap,
+            liquidity: metrics.liquidity ?? report.totalMarketLiquidity,
+            volume: metrics.volume24h,
+            holders: metrics.holders ?? report.totalHolders,
+            category: metadata.extensions?.category,
+            riskScore: report.score_normalised ?? null,
+            risks: report.risks || [],
+            source: listing.source,
+            listedAt: listing.listed_at
+        };
+    }
+
+    getListingRejection(report, evaluation, tokenData) {
+        if (report.rugged) {
+            return 'Marked as rugged by RugCheck';
+        }
+        if (tokenData.riskScore !== null && tokenData.riskScore > this.maxRiskScore) {
+            return `RugCheck risk score ${tokenData.riskScore} is above ${this.maxRiskScore}`;
+        }
+        if (evaluation ? !evaluation.meetsCriteria : (tokenData.liquidity || 0) < this.minLiquidity) {
+            return `Liquidity below $${this.minLiquidity}`;
+        }
+        return null;
     }
 
     // Token filtering methods
@@ -4,10 +4,14 @@ const winston = require('winston');
 const { TOKEN_PROGRAM_ID, NATIVE_MINT } = require('@solana/spl-token');
 const FeeManagement = require('./feeManagement');
 const RaydiumService = require('../services/raydiumService');
+const PriceOracle = require('../services/priceOracle');
+const RiskGuardService = require('../services/riskGuardService');
+const PnlLedgerService = require('../services/pnlLedgerService');
 
 class TradingExecution {
-    constructor(config) {
+    constructor(config, db = null) {
         this.config = config;
+        this.db = db;
         this.connection = new Connection(config.rpcEndpoint);
         this.logger = winston.createLogger({
             level: 'info',
@@ -19,7 +23,11 @@ class TradingExecution {
         });
         this.activePositions = new Map();
         this.userWallet = null;
-        this.feeManager = new FeeManagement(config);
+        this.feeManager = new FeeManagement(config, db);
+        this.priceOracle = new PriceOracle(config);
+        // Every buy and sell made through here is checked and recorded by the risk guard
+        this.riskGuard = db ? new RiskGuardService(config, db) : null;
+        this.pnlLedger = db ? new PnlLedgerService(config, db) : null;
         
         // Initialize Raydium service (for fallback only)
         this.raydiumService = new RaydiumService(this.connection, config);
@@ -211,9 +219,9 @@ class TradingExecution {
         this.userWallet = keypair;
     }
 
-    async validateWalletBalance(requiredAmount) {
+    async validateWalletBalance(requiredAmount, wallet = this.userWallet) {
         try {
-            if (!this.userWallet) {
+            if (!wallet) {
                 throw new Error('User wallet not set');
             }
             
@@ -221,8 +229,8 @@ class TradingExecution {
                 throw new Error('Solana connection not initialized');
             }
 
-            console.log(`[validateWalletBalance] Checking balance for wallet: ${this.userWallet.publicKey.toString()}`);
-            const balance = await this.connection.getBalance(this.userWallet.publicKey);
+            console.log(`[validateWalletBalance] Checking balance for wallet: ${wallet.publicKey.toString()}`);
+            const balance = await this.connection.getBalance(wallet.publicKey);
             const balanceInSol = balance / 1e9;
             
             console.log(`[validateWalletBalance] Current balance: ${balanceInSol} SOL`);
@@ -308,7 +316,11 @@ class TradingExecution {
     async checkStopLossTakeProfit() {
         for (const [tokenAddress, position] of this.activePositions) {
             const currentPrice = await this.getCurrentPrice(tokenAddress);
-            
+            if (!currentPrice) {
+                // No trustworthy quote this round; never exit on a missing or bad print
+                continue;
+            }
+
             if (this.shouldTriggerStopLoss(position, currentPrice) ||
                 this.shouldTriggerTakeProfit(position, currentPrice)) {
                 await this.executeOrder({
@@ -332,9 +344,13 @@ class TradingExecution {
         return currentPrice >= position.entryPrice * (1 + position.takeProfit);
     }
 
+    /**
+     * Get the current USD price of a token from the price oracle.
+     * @param {string} tokenAddress - Token mint
+     * @returns {Promise<number|null>} USD price, or null when the quote is missing, stale or divergent
+     */
     async getCurrentPrice(tokenAddress) {
-        // Implementation for getting current token price
-        return 0;
+        return this.priceOracle.getPrice(tokenAddress);
     }
 
     // ============ JUPITER INTEGRATION ============
@@ -604,9 +620,9 @@ class TradingExecution {
         }
     }
 
-    async verifyTransactionSuccess(signature, tokenAddress) {
+    async verifyTransactionSuccess(signature, tokenAddress, side = 'buy') {
         try {
-            console.log(`[verifyTransactionSuccess] Verifying transaction: ${signature}`);
+            this.logger.info(`[verifyTransactionSuccess] Verifying transaction: ${signature}`);
             
             // Get transaction details
             const transaction = await this.connection.getTransaction(signature, {
@@ -622,6 +638,28 @@ class TradingExecution {
                 throw new Error(`Transaction failed on blockchain: ${JSON.stringify(transaction.meta.err)}`);
             }
 
+            // Sells only need to show the token leaving the wallet
+            if (side === 'sell') {
+                const preBalances = (transaction.meta && transaction.meta.preTokenBalances) || [];
+                const postBalances = (transaction.meta && transaction.meta.postTokenBalances) || [];
+
+                const tokenSent = preBalances.some(preBalance => {
+                    if (preBalance.mint !== tokenAddress) return false;
+                    const postBalance = postBalances.find(b =>
+                        b.accountIndex === preBalance.accountIndex &&
+                        b.mint === tokenAddress
+                    );
+                    return !postBalance || parseFloat(postBalance.uiTokenAmount.uiAmount) < parseFloat(preBalance.uiTokenAmount.uiAmount);
+                });
+
+                if (!tokenSent) {
+                    throw new Error('No tokens were sent in the transaction');
+                }
+
+                this.logger.info(`[verifyTransactionSuccess] Transaction verified successfully: ${signature}`);
+                return true;
+            }
+
             // Verify that the transaction actually transferred tokens
             if (transaction.meta && transaction.meta.postTokenBalances) {
                 const tokenTransfers = transaction.meta.postTokenBalances.filter(
@@ -656,17 +694,24 @@ class TradingExecution {
                 }
             }
 
-            console.log(`[verifyTransactionSuccess] Transaction verified successfully: ${signature}`);
+            this.logger.info(`[verifyTransactionSuccess] Transaction verified successfully: ${signature}`);
             return true;
         } catch (error) {
-            console.error(`[verifyTransactionSuccess] Verification failed: ${error.message}`);
+            this.logger.error(`[verifyTransactionSuccess] Verification failed: ${error.message}`);
             throw new Error(`Transaction verification failed: ${error.message}`);
         }
     }
 
-    async executeBuy(userId, tokenAddress, solAmount) {
+    /**
+     * Buy a token with SOL from the wallet set by setUserWallet, or from `keypair`
+     * when given. Passing the keypair leaves the shared wallet alone, so several
+     * wallets can buy in parallel.
+     * @param {Object} options - ruleId and strategy that placed the trade, for the PnL ledger
+     */
+    async executeBuy(userId, tokenAddress, solAmount, keypair = null, options = {}) {
+        const wallet = keypair || this.userWallet;
         try {
-            if (!this.userWallet) {
+            if (!wallet) {
                 throw new Error('User wallet not set');
             }
             
@@ -682,30 +727,35 @@ class TradingExecution {
             }
             console.log(`[executeBuy] userId: ${userId}, tokenAddress: ${tokenAddress}, solAmount: ${solAmount}`);
 
+            if (this.riskGuard) {
+                const verdict = await this.riskGuard.checkBuy(userId, tokenAddress, solAmount);
+                if (!verdict.allowed) {
+                    return { success: false, error: verdict.reason, riskRule: verdict.rule };
+                }
+            }
+
             // Convert SOL amount to lamports
             const amountInLamports = Math.floor(solAmount * 1e9);
 
             // Check wallet balance first
-            console.log(`[executeBuy] Checking balance for wallet: ${this.userWallet.publicKey.toString()}`);
-            const balance = await this.connection.getBalance(this.userWallet.publicKey);
+            this.logger.info(`[executeBuy] Checking balance for wallet: ${wallet.publicKey.toString()}`);
+            const balance = await this.connection.getBalance(wallet.publicKey);
             const balanceInSol = balance / 1e9;
-            console.log(`[executeBuy] Wallet balance: ${balanceInSol} SOL (${balance} lamports)`);
-            console.log(`[executeBuy] RPC endpoint: ${this.connection._rpcEndpoint}`);
+            this.logger.info(`[executeBuy] Wallet balance: ${balanceInSol} SOL (${balance} lamports)`);
+            this.logger.info(`[executeBuy] RPC endpoint: ${this.connection._rpcEndpoint}`);
             
             // Calculate fees with estimates first
             const estimatedPriorityFee = 0.0005; // 0.0005 SOL default priority fee
             const estimatedNetworkFee = 0.000005; // Base network fee ~5000 lamports
-            const botFee = solAmount * 0.01; // 1% bot fee
+            // Look the tier up once so the fee checked here is the fee collected after the swap
+            const feeTier = await this.feeManager.getFeeTier(userId);
+            const botFee = solAmount * feeTier.rate;
             const totalFees = estimatedPriorityFee + estimatedNetworkFee + botFee;
             const requiredAmount = solAmount + totalFees;
             
-            console.log(`[executeBuy] Fee breakdown (estimated):`);
-            console.log(`  - Priority fee: ${estimatedPriorityFee.toFixed(6)} SOL`);
-            console.log(`  - Estimated network fee: ${estimatedNetworkFee.toFixed(6)} SOL`);
-            console.log(`  - Bot fee: ${botFee.toFixed(6)} SOL`);
-            console.log(`  - Total fees: ${totalFees.toFixed(6)} SOL`);
-            console.log(`[executeBuy] Required amount: ${requiredAmount} SOL (${solAmount} SOL + ${totalFees.toFixed(6)} SOL fees)`);
-            console.log(`[executeBuy] Available balance: ${balanceInSol} SOL`);
+            this.logger.info(`[executeBuy] Estimated fees: priority ${estimatedPriorityFee.toFixed(6)} SOL, network ${estimatedNetworkFee.toFixed(6)} SOL, bot ${botFee.toFixed(6)} SOL, total ${totalFees.toFixed(6)} SOL`);
+            this.logger.info(`[executeBuy] Required amount: ${requiredAmount} SOL (${solAmount} SOL + ${totalFees.toFixed(6)} SOL fees)`);
+            this.logger.info(`[executeBuy] Available balance: ${balanceInSol} SOL`);
             
             if (balanceInSol < requiredAmount) {
                 throw new Error(`Insufficient SOL balance. You have ${balanceInSol.toFixed(6)} SOL but need at least ${requiredAmount.toFixed(6)} SOL (including fees).`);
@@ -716,7 +766,7 @@ class TradingExecution {
                 NATIVE_MINT.toString(), // SOL mint
                 tokenAddress,           // Target token mint
                 amountInLamports,      // Amount in lamports
-                this.userWallet,       // Wallet keypair
+                wallet,                // Wallet keypair
                 50                     // 0.5% slippage (50 basis points)
             );
 
@@ -740,16 +790,30 @@ class TradingExecution {
             const networkFee = estimatedNetworkFee; // Use estimated network fee
 
             // Deduct and transfer bot fee
-            await this.feeManager.collectFee(botFee, this.userWallet);
+            await this.feeManager.collectFee(solAmount, wallet, { userId, feeTier });
 
             // Get token info
             const tokenInfo = await this.getTokenInfo(tokenAddress);
+            // Jupiter reports amounts on its quote, Raydium on the result itself
+            const outAmount = swapResult.outAmount || swapResult.swapResponse?.outAmount;
+            const inAmount = swapResult.inAmount || swapResult.swapResponse?.inAmount;
+            const tokensReceived = outAmount / Math.pow(10, tokenInfo.decimals);
+
+            await this.recordFill(userId, tokenAddress, 'buy', {
+                solAmount,
+                tokenAmount: tokensReceived,
+                swapFeeSol: priorityFee + networkFee,
+                platformFeeSol: botFee,
+                walletAddress: wallet.publicKey.toString(),
+                signature,
+                ...options
+            });
 
             return {
                 success: true,
                 signature,
-                tokensReceived: swapResult.outAmount / Math.pow(10, tokenInfo.decimals),
-                tokenPrice: swapResult.outAmount / swapResult.inAmount,
+                tokensReceived,
+                tokenPrice: outAmount / inAmount,
                 solPrice: 1, // TODO: Get actual SOL price
                 botFee,
                 networkFee,
@@ -780,16 +844,25 @@ class TradingExecution {
             };
         } finally {
             // Clear the user wallet after the transaction
-            this.userWallet = null;
+            if (!keypair) {
+                this.userWallet = null;
+            }
         }
     }
 
-    async executeSell(userId, tokenAddress, tokenAmount, keypair, slippageBps = 50) {
+    async executeSell(userId, tokenAddress, tokenAmount, keypair, slippageBps = 50, options = {}) {
         try {
             if (!keypair) {
                 throw new Error('User wallet not set');
             }
 
+            if (this.riskGuard) {
+                const verdict = await this.riskGuard.checkSell(userId, tokenAddress, tokenAmount, { source: options.strategy });
+                if (!verdict.allowed) {
+                    return { success: false, error: verdict.reason, riskRule: verdict.rule, provider: 'raydium' };
+                }
+            }
+
             // Get token info
             const tokenInfo = await this.getTokenInfo(tokenAddress);
             const decimals = tokenInfo.decimals;
@@ -839,20 +912,31 @@ class TradingExecution {
             }
 
             const solReceived = outAmount / 1e9; // Convert lamports to SOL
-            const botFee = solReceived * 0.01; // 1% bot fee
+            const feeTier = await this.feeManager.getFeeTier(userId);
+            const botFee = solReceived * feeTier.rate;
             const networkFee = (swapResult.priorityFee || 500000) / 1e9; // Convert to SOL
 
             // Collect bot fee
             try {
-                await this.feeManager.collectFee(botFee, keypair);
-                console.log(`[executeSell] Bot fee collected: ${botFee.toFixed(4)} SOL`);
+                await this.feeManager.collectFee(solReceived, keypair, { userId, feeTier });
+                this.logger.info(`[executeSell] Bot fee collected: ${botFee.toFixed(4)} SOL`);
             } catch (feeError) {
-                console.warn(`[executeSell] Warning: Could not collect bot fee: ${feeError.message}`);
+                this.logger.warn(`[executeSell] Could not collect bot fee: ${feeError.message}`);
             }
 
             // Calculate token price (SOL per token)
             const tokenPrice = amountInTokenUnits > 0 ? outAmount / amountInTokenUnits : 0;
 
+            await this.recordFill(userId, tokenAddress, 'sell', {
+                solAmount: solReceived,
+                tokenAmount,
+                swapFeeSol: networkFee,
+                platformFeeSol: botFee,
+                walletAddress: keypair.publicKey.toString(),
+                signature,
+                ...options
+            });
+
             console.log(`[executeSell] Sell completed successfully:
                 - Tokens sold: ${tokenAmount} ${tokenInfo.symbol}
                 - SOL received: ${solReceived.toFixed(4)} SOL
@@ -886,6 +970,22 @@ class TradingExecution {
         }
     }
 
+    /**
+     * Report a completed fill to the risk guard and the PnL ledger
+     * @param {Object} fill - solAmount (swap leg before fees), tokenAmount, swapFeeSol, platformFeeSol,
+     *   signature, and the ruleId/strategy that placed the trade
+     */
+    async recordFill(userId, tokenAddress, side, fill) {
+        if (this.riskGuard) {
+            const platformFee = fill.platformFeeSol || 0;
+            const netSol = side === 'buy' ? fill.solAmount + platformFee : fill.solAmount - platformFee;
+            await this.riskGuard.recordFill(userId, tokenAddress, side, netSol, fill.tokenAmount);
+        }
+        if (this.pnlLedger) {
+            await this.pnlLedger.recordFill(userId, tokenAddress, side, fill);
+        }
+    }
+
     async executeSellPercent(userId, tokenAddress, percentage, slippageBps = 50) {
         try {
             if (!this.userWallet) {
@@ -1037,43 +1137,392 @@ class TradingExecution {
             }
         } catch (error) {
             this.logger.error(`Trade execution error: ${error.message}`);
+            // Market orders always resolve to a result object; limit orders keep throwing
+            if (params && params.type && params.type.toLowerCase() === 'market') {
+                return this.buildMarketOrderResult({
+                    side: params.side ? params.side.toLowerCase() : null,
+                    tokenAddress: params.tokenAddress || null,
+                    inputAmount: params.amount || null,
+                    error: error.message
+                });
+            }
             throw error;
         }
     }
 
+    /**
+     * Execute a market order immediately through Jupiter (Raydium fallback).
+     * @param {Object} params - { user, wallet, tokenAddress, amount, side, keypair, slippageBps, maxSlippage }
+     *   amount is SOL to spend for buys and tokens to sell for sells; keypair defaults to the wallet set via setUserWallet,
+     *   which is read once up front and never changed, so concurrent orders cannot swap or clear each other's wallet
+     * @returns {Promise<Object>} Result from buildMarketOrderResult, never undefined
+     */
     async executeMarketOrder(params) {
-        try {
-            const { user, wallet, tokenAddress, amount, side } = params;
+        const { user, wallet, tokenAddress, amount, side } = params;
+        const normalizedSide = (side || '').toLowerCase();
 
+        try {
             // Check if wallet is locked again before executing market order
             const walletStatus = await this.db.getWalletSecurityStatus(wallet.id);
             if (walletStatus.is_locked) {
                 throw new Error('Wallet is locked. Please unlock it before trading.');
             }
 
-            // Rest of the market order execution logic
-            // ... existing code ...
+            if (normalizedSide !== 'buy' && normalizedSide !== 'sell') {
+                throw new Error('Market order side must be buy or sell');
+            }
+
+            const orderAmount = parseFloat(amount);
+            if (isNaN(orderAmount) || orderAmount <= 0) {
+                throw new Error('Order amount must be a positive number');
+            }
+
+            const keypair = params.keypair || this.userWallet;
+            if (!keypair) {
+                throw new Error('User wallet not set');
+            }
+
+            let slippageBps = 50;
+            if (params.slippageBps) {
+                slippageBps = params.slippageBps;
+            } else if (params.maxSlippage) {
+                slippageBps = Math.round(params.maxSlippage * 100);
+            }
+
+            const estimatedNetworkFee = 0.000005; // Base network fee ~5000 lamports
+            const estimatedPriorityFee = 0.0005; // 0.0005 SOL default priority fee
+            const isBuy = normalizedSide === 'buy';
+
+            if (this.riskGuard) {
+                const verdict = isBuy
+                    ? await this.riskGuard.checkBuy(user.id, tokenAddress, orderAmount, { source: 'market_order' })
+                    : await this.riskGuard.checkSell(user.id, tokenAddress, orderAmount, { source: 'market_order' });
+                if (!verdict.allowed) {
+                    throw new Error(verdict.reason);
+                }
+            }
+
+            // One tier for the whole order, so the balance check and the fee collected agree
+            const feeTier = await this.feeManager.getFeeTier(user.id);
+
+            // Balance check before quoting so we fail fast on empty wallets
+            let amountInUnits;
+            let decimals = 9;
+            if (isBuy) {
+                amountInUnits = Math.floor(orderAmount * 1e9);
+                const tradeFee = orderAmount * feeTier.rate;
+                const balanceCheck = await this.validateWalletBalance(orderAmount + tradeFee + estimatedNetworkFee + estimatedPriorityFee, keypair);
+                if (!balanceCheck.valid) {
+                    throw new Error(`Insufficient SOL balance. You have ${balanceCheck.currentBalance.toFixed(6)} SOL but need at least ${balanceCheck.requiredAmount.toFixed(6)} SOL (including fees).`);
+                }
+            } else {
+                const tokenBalance = await this.getTokenBalance(keypair.publicKey, tokenAddress);
+                if (tokenBalance < orderAmount) {
+                    throw new Error(`Insufficient token balance. You have ${tokenBalance} tokens but the order needs ${orderAmount}.`);
+                }
+                const balanceCheck = await this.validateWalletBalance(estimatedNetworkFee + estimatedPriorityFee, keypair);
+                if (!balanceCheck.valid) {
+                    throw new Error(`Insufficient SOL balance for network fees. You have ${balanceCheck.currentBalance.toFixed(6)} SOL.`);
+                }
+                const tokenInfo = await this.getTokenInfo(tokenAddress);
+                decimals = tokenInfo.decimals;
+                amountInUnits = Math.floor(orderAmount * Math.pow(10, decimals));
+            }
+
+            const inputMint = isBuy ? NATIVE_MINT.toString() : tokenAddress;
+            const outputMint = isBuy ? tokenAddress : NATIVE_MINT.toString();
+
+            // Pre-trade quote: confirms there is a route before anything is signed
+            const quote = await this.makeJupiterRequest('quote', {
+                inputMint,
+                outputMint,
+                amount: amountInUnits,
+                slippageBps: Math.floor(slippageBps),
+                restrictIntermediateTokens: true
+            });
+            if (!quote || quote.error || !quote.outAmount) {
+                throw new Error(`Failed to get quote: ${quote?.error || 'No route found'}`);
+            }
+
+            const swapResult = await this.executeSwapWithFallback(
+                inputMint,
+                outputMint,
+                amountInUnits,
+                keypair,
+                slippageBps,
+                !isBuy
+            );
+
+            if (!swapResult.success || !swapResult.signatures || swapResult.signatures.length === 0) {
+                throw new Error(`${swapResult.provider || 'Swap'} failed: No transaction signatures returned`);
+            }
+
+            if (typeof swapResult.signatures[0] === 'object' && swapResult.signatures[0].success === false) {
+                throw new Error(swapResult.signatures[0].error || 'Transaction failed');
+            }
+            signature = swapResult.signatures[0];
+
+            await this.verifyTransactionSuccess(signature, tokenAddress, normalizedSide);
+
+            // Record what the swap filled; the quote is only a fallback for a provider that reports nothing
+            const filledAmount = this.getSwapOutAmount(swapResult) || parseInt(quote.outAmount);
+
+            // Fee is always charged on the SOL side of the trade
+            const solVolume = isBuy ? orderAmount : filledAmount / 1e9;
+            const fee = solVolume * feeTier.rate;
+            try {
+                await this.feeManager.collectFee(solVolume, keypair, { userId: user.id, feeTier });
+            } catch (feeError) {
+                this.logger.warn(`[executeMarketOrder] Could not collect bot fee: ${feeError.message}`);
+            }
+
+            const outputAmount = isBuy
+                ? filledAmount / Math.pow(10, (await this.getTokenInfo(tokenAddress)).decimals)
+                : solVolume;
+            const tokenAmount = isBuy ? outputAmount : orderAmount;
+            // Price is recorded in SOL per token, matching executeBuy/executeSell
+            const price = tokenAmount > 0 ? solVolume / tokenAmount : 0;
+
+            const tradeRecord = this.db.createTrade(user.id, tokenAddress, tokenAmount, price, normalizedSide);
+            await this.recordFill(user.id, tokenAddress, normalizedSide, {
+                solAmount: solVolume,
+                tokenAmount,
+                swapFeeSol: estimatedNetworkFee + estimatedPriorityFee,
+                platformFeeSol: fee,
+                walletAddress: keypair.publicKey.toString(),
+                signature,
+                ruleId: params.ruleId,
+                strategy: params.strategy || 'manual'
+            });
+
+            this.logger.info(`Market order executed: ${normalizedSide} ${orderAmount} ${tokenAddress} (${signature})`);
+
+            return this.buildMarketOrderResult({
+                success: true,
+                side: normalizedSide,
+                tokenAddress,
+                signature,
+                provider: swapResult.provider,
+                inputAmount: orderAmount,
+                outputAmount,
+                price,
+                fee,
+                priceImpact: parseFloat(quote.priceImpactPct || '0'),
+                tradeId: tradeRecord ? tradeRecord.lastInsertRowid : null
+            });
         } catch (error) {
             this.logger.error(`Market order execution error: ${error.message}`);
-            throw error;
+            return this.buildMarketOrderResult({
+                success: false,
+                side: normalizedSide,
+                tokenAddress,
+                inputAmount: amount,
+                error: error.message
+            });
         }
     }
 
+    /**
+     * Output of an executed swap in raw units (lamports for SOL). Jupiter reports it on the
+     * swap it built, Raydium on the result or its API response.
+     */
+    getSwapOutAmount(swapResult) {
+        const response = swapResult.swapResponse || {};
+        return parseInt(
+            swapResult.outAmount ||
+            swapResult.outputAmount ||
+            response.outAmount ||
+            response.data?.outputAmount ||
+            response.data?.outAmount ||
+            0
+        );
+    }
+
+    /**
+     * Single result shape for market orders, so callers never have to guess which fields exist
+     */
+    buildMarketOrderResult(fields) {
+        return {
+            success: false,
+            type: 'market',
+            side: null,
+            tokenAddress: null,
+            signature: null,
+            provider: null,
+            inputAmount: null,
+            outputAmount: null,
+            price: null,
+            fee: 0,
+            priceImpact: null,
+            tradeId: null,
+            error: null,
+            ...fields
+        };
+    }
+
+    /**
+     * Place a limit order in the persistent order book.
+     * The order is filled later by LimitOrderService once the market crosses `price`.
+     * @param {Object} params - { user, wallet, tokenAddress, amount, side, price, slippageBps, expiresAt }
+     *   amount is SOL to spend for buys and tokens to sell for sells; price is in USD
+     * @returns {Promise<Object>} { success, orderId, order }
+     */
     async executeLimitOrder(params) {
         try {
-            const { user, wallet, tokenAddress, amount, side, price } = params;
+            const { user, wallet, tokenAddress, amount, side, price, slippageBps, expiresAt } = params;
 
             const walletStatus = await this.db.getWalletSecurityStatus(wallet.id);
             if (walletStatus.is_locked) {
                 throw new Error('Wallet is locked. Please unlock it before trading.');
             }
 
+            const normalizedSide = side.toLowerCase();
+            if (normalizedSide !== 'buy' && normalizedSide !== 'sell') {
+                throw new Error('Limit order side must be buy or sell');
+            }
+
+            const targetPrice = parseFloat(price);
+            if (isNaN(targetPrice) || targetPrice <= 0) {
+                throw new Error('Limit price must be a positive number');
+            }
+
+            const orderAmount = parseFloat(amount);
+            if (isNaN(orderAmount) || orderAmount <= 0) {
+                throw new Error('Order amount must be a positive number');
+            }
+
+            if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+                throw new Error('Expiry must be in the future');
+            }
+
+            if (normalizedSide === 'sell') {
+                // Paper wallets sell from their simulated positions
+                const paperPosition = wallet.is_paper ? this.db.getPaperPosition(wallet.id, tokenAddress) : null;
+                const tokenBalance = wallet.is_paper
+                    ? (paperPosition ? paperPosition.amount : 0)
+                    : await this.getTokenBalance(new PublicKey(wallet.public_key), tokenAddress);
+                if (tokenBalance < orderAmount) {
+                    throw new Error(`Insufficient token balance. You have ${tokenBalance} tokens but the order needs ${orderAmount}.`);
+                }
+            }
+
+            const order = this.db.createLimitOrder(user.id, wallet.id, {
+                tokenAddress,
+                side: normalizedSide,
+                amount: orderAmount,
+                targetPrice,
+                slippageBps: slippageBps || 100,
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+            });
+
+            this.logger.info(`Limit order ${order.id} placed: ${normalizedSide} ${orderAmount} ${tokenAddress} @ $${targetPrice}`);
+
+            return {
+                success: true,
+                orderId: order.id,
+                order
+            };
         } catch (error) {
             this.logger.error(`Limit order execution error: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Fill a stored limit order with the given wallet keypair.
+     * @param {Object} order - limit_orders row
+     * @param {Object} keypair - Wallet keypair that owns the order
+     * @returns {Promise<Object>} { success, signature, provider, tokenAmount, solAmount, price, fee, error, riskRule }
+     *   where tokenAmount and solAmount are what the swap filled and price is in SOL per token. A failed
+     *   fill carries the signature when a transaction was sent, since it may still have landed
+     */
+    async fillLimitOrder(order, keypair) {
+        let signature = null;
+        try {
+            let swapResult;
+
+            if (this.riskGuard) {
+                const verdict = order.side === 'buy'
+                    ? await this.riskGuard.checkBuy(order.user_id, order.token_address, order.amount, { source: 'limit_order' })
+                    : await this.riskGuard.checkSell(order.user_id, order.token_address, order.amount, { source: 'limit_order' });
+                if (!verdict.allowed) {
+                    return { success: false, error: verdict.reason, riskRule: verdict.rule };
+                }
+            }
+
+            const tokenInfo = await this.getTokenInfo(order.token_address);
+            if (order.side === 'buy') {
+                swapResult = await this.executeSwapWithFallback(
+                    NATIVE_MINT.toString(),
+                    order.token_address,
+                    Math.floor(order.amount * 1e9),
+                    keypair,
+                    order.slippage_bps
+                );
+            } else {
+                swapResult = await this.executeSwapWithFallback(
+                    order.token_address,
+                    NATIVE_MINT.toString(),
+                    Math.floor(order.amount * Math.pow(10, tokenInfo.decimals)),
+                    keypair,
+                    order.slippage_bps,
+                    true
+                );
+            }
+
+            if (!swapResult.success || !swapResult.signatures || swapResult.signatures.length === 0) {
+                throw new Error(`${swapResult.provider || 'Swap'} failed: No transaction signatures returned`);
+            }
+
+            const signature = swapResult.signatures[0];
+            if (typeof signature === 'object' && signature.success === false) {
+                throw new Error(signature.error || 'Transaction failed');
+            }
+
+            await this.verifyTransactionSuccess(signature, order.token_address, order.side);
+
+            const outAmount = this.getSwapOutAmount(swapResult);
+            const solAmount = order.side === 'buy' ? order.amount : outAmount / 1e9;
+            const tokenAmount = order.side === 'buy' ? outAmount / Math.pow(10, tokenInfo.decimals) : order.amount;
+
+            // Fee is always charged on the SOL side of the fill, as for market orders
+            const feeTier = await this.feeManager.getFeeTier(order.user_id);
+            const fee = solAmount * feeTier.rate;
+            try {
+                await this.feeManager.collectFee(solAmount, keypair, { userId: order.user_id, feeTier });
+            } catch (feeError) {
+                this.logger.warn(`[fillLimitOrder] Could not collect bot fee: ${feeError.message}`);
+            }
+
+            await this.recordFill(order.user_id, order.token_address, order.side, {
+                solAmount,
+                tokenAmount,
+                swapFeeSol: (swapResult.priorityFee || 500000) / 1e9,
+                platformFeeSol: fee,
+                walletAddress: keypair.publicKey.toString(),
+                signature,
+                strategy: 'limit_order'
+            });
+
+            return {
+                success: true,
+                signature,
+                provider: swapResult.provider,
+                tokenAmount,
+                solAmount,
+                price: tokenAmount > 0 ? solAmount / tokenAmount : 0,
+                fee
+            };
+        } catch (error) {
+            this.logger.error(`Limit order ${order.id} fill error: ${error.message}`);
+            return {
+                success: false,
+                signature,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Handles a custom buy input (e.g., from Telegram bot or UI)
      * @param {string|number} userId - The user ID
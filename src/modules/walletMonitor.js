@@ -447,7 +447,22 @@ class WalletMonitor {
     }
 
     async monitorTokenListings(user, strategy) {
-        // Implement token listing monitoring
+        try {
+            const { tokenAddress } = strategy.params;
+            const listing = tokenAddress ? this.db.getTokenListing(tokenAddress) : null;
+            if (!listing || listing.status !== 'passed') {
+                return;
+            }
+
+            // Run once for a listing: only if the scanner saw it after the strategy last ran
+            const seenAt = new Date(`${listing.first_seen_at.replace(' ', 'T')}Z`).getTime();
+            if (seenAt > (strategy.lastExecution || 0)) {
+                await this.strategyEngine.executeStrategy(user.telegramId, strategy);
+                await this.db.updateStrategyLastExecution(strategy.id);
+            }
+        } catch (error) {
+            this.logger.error(`Error monitoring token listings: ${error.message}`);
+        }
     }
 
     async monitorAirdrops(user, strategy) {
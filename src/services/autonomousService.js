@@ -3,7 +3,6 @@ const DatabaseManager = require('../modules/database');
 const TokenDataService = require('./tokenDataService');
 const TradingService = require('./tradingService');
 const PortfolioService = require('./portfolioService');
-const FeeService = require('./feeService');
 const AutonomousTrading = require('./autonomousTrading');
 
 class AutonomousService {
@@ -13,7 +12,6 @@ class AutonomousService {
         this.tokenDataService = new TokenDataService(config);
         this.tradingService = new TradingService(config);
         this.portfolioService = new PortfolioService(config);
-        this.feeService = new FeeService(config);
         this.logger = winston.createLogger({
             level: 'info',
             format: winston.format.json(),
@@ -4,7 +4,10 @@ const TokenDataService = require('./tokenDataService');
 const TradingExecution = require('../modules/tradingExecution');
 const MarketDataService = require('./marketDataService');
 const crypto = require('crypto');
-const BuyManager = require('../modules/buyManager');
+const WalletKeystore = require('./walletKeystore');
+const TradingSessionService = require('./tradingSessionService');
+const PaperTradingService = require('./paperTradingService');
+const TimeExits = require('../utils/timeExits');
 const { Keypair } = require('@solana/web3.js');
 
 class AutonomousTrading {
@@ -14,7 +17,11 @@ class AutonomousTrading {
         this.ruleEngine = ruleEngine;
         this.telegramBot = telegramBot;
         this.tokenDataService = new TokenDataService(config);
-        this.tradingExecution = new TradingExecution(config);
+        this.marketDataService = new MarketDataService(config);
+        this.tradingExecution = new TradingExecution(config, db);
+        this.paperTradingService = new PaperTradingService(config, db, this.tradingExecution);
+        this.keystore = new WalletKeystore(config, db);
+        this.tradingSessionService = new TradingSessionService(config, db, telegramBot);
         this.isRunning = false;
         this.monitoringInterval = null;
         this.activePositions = new Map();
@@ -226,16 +233,22 @@ class AutonomousTrading {
                                 this.logger.warn(`No active wallet for user ${user.id}, skipping autobuy.`);
                                 continue;
                             }
-                            // Use telegram_id as password for decryption (as in BuyManager)
-                            const buyManager = new BuyManager(this.config, this.tradingExecution, this.db, null);
-                            const decryptedKey = buyManager.decryptPrivateKey(activeWallet.encrypted_private_key, user.telegram_id.toString());
-                            const secretKey = Buffer.from(decryptedKey, 'base64');
-                            if (secretKey.length !== 64) {
-                                this.logger.error(`Invalid private key length for user ${user.id}`);
+                            // Paper wallets never need their key; fills are simulated
+                            const isPaper = this.paperTradingService.isPaperWallet(activeWallet);
+                            if (!isPaper && !this.tradingSessionService.canSign(activeWallet)) {
+                                this.logger.info(`No live trading session for wallet ${activeWallet.id}, autobuy paused for user ${user.id}`);
                                 continue;
                             }
-                            const keypair = Keypair.fromSecretKey(secretKey);
-                            this.tradingExecution.setUserWallet(keypair);
+                            if (!isPaper) {
+                                const decryptedKey = this.keystore.decryptWalletKey(activeWallet);
+                                const secretKey = Buffer.from(decryptedKey, 'base64');
+                                if (secretKey.length !== 64) {
+                                    this.logger.error(`Invalid private key length for user ${user.id}`);
+                                    continue;
+                                }
+                                const keypair = Keypair.fromSecretKey(secretKey);
+                                this.tradingExecution.setUserWallet(keypair);
+                            }
                             // --- BUY AMOUNT LOGIC ---
                             // Use the new method to get buy amount from rules with proper fallback
                             const autobuyAmount = await this.getBuyAmountFromRules(user.id);
@@ -260,13 +273,17 @@ class AutonomousTrading {
                                 continue;
                             }
                             // --- END ADDRESS EXTRACTION ---
-                            const buyResult = await this.tradingExecution.executeBuy(user.id, tokenAddress, autobuyAmount);
+                            const buyResult = isPaper
+                                ? await this.paperTradingService.simulateBuy(user.id, activeWallet, tokenAddress, autobuyAmount, undefined, { strategy: 'autonomous' })
+                                : await this.tradingExecution.executeBuy(user.id, tokenAddress, autobuyAmount, null, { strategy: 'autonomous' });
                             if (buyResult.success) {
                                 // Record the buy attempt for rate limiting
                                 this.recordBuyAttempt(user.id);
                                 
                                 // Additional verification for autonomous trading
-                                await this.verifyAutonomousBuySuccess(buyResult.signature, tokenAddress, user.id);
+                                if (!isPaper) {
+                                    await this.verifyAutonomousBuySuccess(buyResult.signature, tokenAddress, user.id);
+                                }
                                 
                                 this.logger.info(`Autobuy successful for user ${user.id}: ${tokenAddress}`);
                                 
@@ -276,7 +293,7 @@ class AutonomousTrading {
                                 // Notify user via Telegram
                                 try {
                                     await this.telegramBot.sendMessage(user.telegram_id, 
-                                        `✅ *Autobuy Success!*\n` +
+                                        (isPaper ? `📝 *SIMULATED Autobuy (paper wallet)*\n` : `✅ *Autobuy Success!*\n`) +
                                         `Token: ${tokenAddress}\n` +
                                         `Amount: ${autobuyAmount} SOL\n\n` +
                                         `📊 Rate Limit: ${remainingBuys} buys remaining this hour`, 
@@ -292,7 +309,7 @@ class AutonomousTrading {
                                 this.logger.error(`Autobuy failed for user ${user.id}: ${buyResult.error}`);
                                 // Notify user via Telegram
                                 try {
-                                    await this.telegramBot.sendMessage(user.telegram_id, `❌ *Autobuy Failed!*\nToken: ${tokenAddress}\nAmount: ${autobuyAmount} SOL\nError: ${buyResult.error || 'Unknown error'}`, { parse_mode: 'Markdown' });
+                                    await this.telegramBot.sendMessage(user.telegram_id, `❌ *${isPaper ? 'Simulated ' : ''}Autobuy Failed!*\nToken: ${tokenAddress}\nAmount: ${autobuyAmount} SOL\nError: ${buyResult.error || 'Unknown error'}`, { parse_mode: 'Markdown' });
                                 } catch (notifyErr) {
                                     this.logger.error(`Failed to send autobuy failure notification:`, notifyErr);
                                     if (notifyErr && notifyErr.response) {
@@ -493,19 +510,21 @@ class AutonomousTrading {
                         this.logger.info(`Executing trade for token ${opportunity.token.address} with rule ${rule.name}`);
                         const tradeResult = await this.executeTrade(opportunity, rule, strategySettings.params);
                         
-                        if (tradeResult.success) {
-                            // Record the trade in database
-                            await this.db.createTrade(
-                                userId,
-                                opportunity.token.address,
-                                tradeResult.amount,
-                                tradeResult.price,
-                                'buy'
-                            );
+                        if (tradeResult && tradeResult.success) {
+                            // Record the trade in database (simulated fills are already recorded)
+                            if (!tradeResult.simulated) {
+                                await this.db.createTrade(
+                                    userId,
+                                    opportunity.token.address,
+                                    tradeResult.amount,
+                                    tradeResult.price,
+                                    'buy'
+                                );
+                            }
 
                             // Send notification
                             await this.sendTradeNotification(userId, {
-                                type: 'AUTONOMOUS_TRADE',
+                                type: tradeResult.simulated ? 'SIMULATED_AUTONOMOUS_TRADE' : 'AUTONOMOUS_TRADE',
                                 token: opportunity.token.address,
                                 action: 'buy',
                                 amount: tradeResult.amount,
@@ -591,6 +610,9 @@ class AutonomousTrading {
             for (const position of positions) {
                 try {
                     const currentPrice = await this.getTokenPrice(position.tokenAddress);
+                    if (!currentPrice) {
+                        continue;
+                    }
                     const positionValue = position.amount * currentPrice;
                     totalValue += positionValue;
                 } catch (error) {
@@ -645,7 +667,7 @@ class AutonomousTrading {
 
     checkRiskLimits(portfolio, riskLimits) {
         // Check if we've hit daily loss limit
-        const dailyLoss = this.calculateDailyLoss();
+        const dailyLoss = this.calculateDailyLoss(portfolio);
         if (dailyLoss > riskLimits.maxDailyLoss) {
             return false;
         }
@@ -658,15 +680,25 @@ class AutonomousTrading {
         return true;
     }
 
-    calculateDailyLoss() {
-        // Implement daily loss calculation
-        return 0;
+    /**
+     * Today's net realised loss as a fraction of portfolio value, from the risk guard's trade record
+     */
+    calculateDailyLoss(portfolio) {
+        if (!this.currentUserId || !portfolio || !(portfolio.totalValue > 0)) {
+            return 0;
+        }
+        const daily = this.db.getRiskDailyStats(this.currentUserId, false);
+        return Math.max(0, -daily.realized_pnl_sol) / portfolio.totalValue;
     }
 
     async monitorPositions(riskLimits) {
         for (const [tokenAddress, position] of this.activePositions) {
             try {
                 const currentPrice = await this.getTokenPrice(tokenAddress);
+                if (!currentPrice) {
+                    this.logger.warn(`No reliable price for ${tokenAddress}, skipping stop loss/take profit check`);
+                    continue;
+                }
                 const entryPrice = position.entryPrice;
                 const pnl = (currentPrice - entryPrice) / entryPrice;
 
@@ -678,12 +710,40 @@ class AutonomousTrading {
                 else if (pnl >= riskLimits.takeProfit) {
                     await this.closePosition(tokenAddress, 'take_profit');
                 }
+                // Check the rule's time-based exits
+                else {
+                    const timeExit = await this.checkTimeExit(tokenAddress, position, pnl * 100);
+                    if (timeExit) {
+                        this.logger.info(`Time exit for ${tokenAddress}: ${timeExit.detail}`);
+                        await this.closePosition(tokenAddress, timeExit.reason);
+                    }
+                }
             } catch (error) {
                 this.logger.error(`Error monitoring position for ${tokenAddress}:`, error);
             }
         }
     }
 
+    async checkTimeExit(tokenAddress, position, priceChange) {
+        const exits = TimeExits.parseConditions(await this.db.getRuleConditions(position.ruleId));
+        if (!exits) {
+            return null;
+        }
+
+        let volume24h = null;
+        if (exits.minVolume24h) {
+            const snapshots = await this.marketDataService.getTokenSnapshots([tokenAddress]);
+            const snapshot = snapshots.get(tokenAddress);
+            volume24h = snapshot ? snapshot.volume24h : null;
+        }
+
+        return TimeExits.check(exits, {
+            heldHours: (Date.now() - position.timestamp) / (60 * 60 * 1000),
+            priceChange,
+            volume24h
+        });
+    }
+
     async findTradingOpportunities(rule, userId) {
         const opportunities = [];
         try {
@@ -783,11 +843,51 @@ class AutonomousTrading {
                 this.logger.info(`No rule buy amount set, using percentage-based: ${buyAmount} SOL`);
             }
 
+            // Paper wallets fill against the simulated account and record their own trade
+            const activeWallet = this.currentUserId ? await this.db.getActiveWallet(this.currentUserId) : null;
+            if (this.paperTradingService.isPaperWallet(activeWallet)) {
+                const slippageBps = (strategyParams.maxSlippage || 1) * 100;
+                const paperResult = await this.paperTradingService.simulateBuy(this.currentUserId, activeWallet, token.address, buyAmount, slippageBps, {
+                    ruleId: rule.id,
+                    strategy: 'autonomous'
+                });
+                if (!paperResult.success) {
+                    this.logger.warn(`Simulated trade failed for ${token.address}: ${paperResult.error}`);
+                    return paperResult;
+                }
+
+                this.activePositions.set(token.address, {
+                    entryPrice: paperResult.tokenPrice,
+                    size: paperResult.tokensReceived,
+                    timestamp: Date.now(),
+                    ruleId: rule.id,
+                    simulated: true
+                });
+
+                this.logger.info('Simulated autonomous trade executed:', {
+                    token: token.address,
+                    size: buyAmount,
+                    price: paperResult.tokenPrice,
+                    ruleId: rule.id,
+                    quoteSource: paperResult.quoteSource
+                });
+
+                return { ...paperResult, amount: paperResult.tokensReceived, price: paperResult.tokenPrice };
+            }
+
+            // Passphrase wallets only sign while their trading session is live
+            if (activeWallet && !this.tradingSessionService.canSign(activeWallet)) {
+                this.logger.info(`No live trading session for wallet ${activeWallet.id}, skipping autonomous trade`);
+                return { success: false, error: 'Trading session expired. Unlock your wallet to resume automated trading.' };
+            }
+
             // Execute the trade
             const tradeResult = await this.tradingExecution.executeBuy(
+                this.currentUserId,
                 token.address,
                 buyAmount,
-                strategyParams.maxSlippage || 1
+                null,
+                { ruleId: rule.id, strategy: 'autonomous' }
             );
 
             if (tradeResult.success) {
@@ -810,6 +910,9 @@ class AutonomousTrading {
 
                 return tradeResult;
             }
+
+            this.logger.warn(`Autonomous trade failed for ${token.address}: ${tradeResult.error}`);
+            return tradeResult;
         } catch (error) {
             this.logger.error('Error executing trade:', error);
         }
@@ -820,6 +923,29 @@ class AutonomousTrading {
             const position = this.activePositions.get(tokenAddress);
             if (!position) return;
 
+            if (position.simulated) {
+                const activeWallet = await this.db.getActiveWallet(this.currentUserId);
+                const paperResult = await this.paperTradingService.simulateSell(this.currentUserId, activeWallet, tokenAddress, position.size, undefined, {
+                    ruleId: position.ruleId,
+                    strategy: 'autonomous'
+                });
+                if (paperResult.success) {
+                    this.activePositions.delete(tokenAddress);
+                    this.logger.info('Simulated position closed:', {
+                        token: tokenAddress,
+                        reason,
+                        pnl: paperResult.pnl
+                    });
+                }
+                return;
+            }
+
+            const activeWallet = await this.db.getActiveWallet(this.currentUserId);
+            if (activeWallet && !this.tradingSessionService.canSign(activeWallet)) {
+                this.logger.info(`No live trading session for wallet ${activeWallet.id}, keeping position in ${tokenAddress} open`);
+                return;
+            }
+
             // Execute the sell
             const tradeResult = await this.tradingExecution.executeSell(
                 tokenAddress,
@@ -844,8 +970,7 @@ class AutonomousTrading {
     }
 
     async getTokenPrice(tokenAddress) {
-        // Implement token price fetching
-        return 0;
+        return this.tradingExecution.getCurrentPrice(tokenAddress);
     }
 
     async sendTradeNotification(userId, tradeData) {
@@ -853,8 +978,11 @@ class AutonomousTrading {
             const userSettings = await this.db.getUserSettings(userId);
             if (userSettings.telegram_alerts_enabled) {
                 // Format the notification message
+                const header = tradeData.type === 'SIMULATED_AUTONOMOUS_TRADE'
+                    ? '📝 SIMULATED Autonomous Trade (paper wallet)'
+                    : '🤖 Autonomous Trade Executed';
                 const message = `
-🤖 Autonomous Trade Executed
+${header}
 Token: ${tradeData.token}
 Action: ${tradeData.action.toUpperCase()}
 Amount: ${tradeData.amount}
@@ -0,0 +1,471 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const StrategyEngine = require('../modules/strategyEngine');
+const PriceHistoryService = require('./priceHistoryService');
+
+const STRATEGIES = {
+    volume_spike: 'executeVolumeSpikeStrategy',
+    dip_buy: 'executeDipBuyStrategy',
+    momentum: 'executeMomentumStrategy'
+};
+
+const CASH = 'CASH';
+
+/**
+ * In-memory stand-in for DatabaseManager. Serves candles as of the simulated
+ * clock and the simulated wallet's holdings/settings to StrategyEngine.
+ */
+class BacktestDataStore {
+    constructor(candles, simulation) {
+        this.simulation = simulation;
+        this.now = 0; // unix seconds
+        this.candlesByToken = new Map();
+        for (const candle of candles) {
+            if (!this.candlesByToken.has(candle.token_address)) {
+                this.candlesByToken.set(candle.token_address, []);
+            }
+            this.candlesByToken.get(candle.token_address).push(candle);
+        }
+        for (const series of this.candlesByToken.values()) {
+            series.sort((a, b) => a.bucket_start - b.bucket_start);
+        }
+    }
+
+    getPriceCandles(tokenAddress, sinceSeconds) {
+        const series = this.candlesByToken.get(tokenAddress) || [];
+        return series.filter(c => c.bucket_start >= sinceSeconds && c.bucket_start <= this.now);
+    }
+
+    getPriceCandlesSince(sinceSeconds) {
+        const candles = [];
+        for (const tokenAddress of this.candlesByToken.keys()) {
+            candles.push(...this.getPriceCandles(tokenAddress, sinceSeconds));
+        }
+        return candles;
+    }
+
+    getLatestPriceCandle(tokenAddress) {
+        const series = this.candlesByToken.get(tokenAddress) || [];
+        let latest = null;
+        for (const candle of series) {
+            if (candle.bucket_start > this.now) break;
+            latest = candle;
+        }
+        return latest;
+    }
+
+    getTrackedTokens() {
+        return [];
+    }
+
+    async getPortfolioHoldings() {
+        return this.simulation.getHoldings();
+    }
+
+    async getUserSettings() {
+        return this.simulation.settings;
+    }
+}
+
+/**
+ * Simulated wallet and fill model. Fills at the latest candle close, moved
+ * against us by the strategy's max slippage, and charges the trade fee on
+ * the quote side like FeeManagement does.
+ */
+class SimulatedExecution {
+    constructor(store, options) {
+        this.store = store;
+        this.cash = options.startingBalance;
+        this.feeRate = options.feeRate;
+        this.defaultSlippage = options.slippage;
+        this.exits = options.exits;
+        this.settings = options.settings;
+        this.positions = new Map(); // tokenAddress -> { tokens, cost, entryPrice, openedAt }
+        this.trades = [];
+    }
+
+    priceOf(tokenAddress) {
+        const candle = this.store.getLatestPriceCandle(tokenAddress);
+        return candle ? candle.close : null;
+    }
+
+    getHoldings() {
+        const holdings = [{ tokenAddress: CASH, amount: this.cash, value: this.cash }];
+        for (const [tokenAddress, position] of this.positions) {
+            const price = this.priceOf(tokenAddress) || position.entryPrice;
+            holdings.push({ tokenAddress, amount: position.tokens, value: position.tokens * price });
+        }
+        return holdings;
+    }
+
+    getEquity() {
+        return this.getHoldings().reduce((sum, holding) => sum + holding.value, 0);
+    }
+
+    // Same entry point StrategyEngine calls on the real TradingExecution
+    async executeTrade(params) {
+        const { tokenAddress, amount, side } = params;
+        const slippage = (params.maxSlippage !== undefined ? params.maxSlippage : this.defaultSlippage) / 100;
+        const price = this.priceOf(tokenAddress);
+
+        if (!price || !(amount > 0)) {
+            return { success: false, error: 'No price or amount' };
+        }
+
+        if (side === 'buy') {
+            return this.buy(tokenAddress, amount, price, slippage);
+        }
+        const position = this.positions.get(tokenAddress);
+        if (!position) {
+            return { success: false, error: 'No position to sell' };
+        }
+        return this.sell(tokenAddress, Math.min(position.tokens, amount / price), price, slippage, 'signal');
+    }
+
+    buy(tokenAddress, value, price, slippage) {
+        // Like TradingExecution.executeOrder, never stack a second buy onto an open position
+        if (this.positions.has(tokenAddress)) {
+            return { success: false, error: 'Active position exists' };
+        }
+
+        const spend = Math.min(value, this.cash);
+        if (spend <= 0) {
+            return { success: false, error: 'Insufficient balance' };
+        }
+
+        const fee = spend * this.feeRate;
+        const fillPrice = price * (1 + slippage);
+        const tokens = (spend - fee) / fillPrice;
+
+        this.cash -= spend;
+        this.positions.set(tokenAddress, {
+            tokens,
+            cost: spend,
+            entryPrice: fillPrice,
+            openedAt: this.store.now
+        });
+        this.trades.push({
+            time: this.store.now,
+            tokenAddress,
+            side: 'buy',
+            price: fillPrice,
+            tokens,
+            value: spend,
+            fee,
+            pnl: null,
+            reason: 'signal'
+        });
+
+        return { success: true, price: fillPrice, tokens };
+    }
+
+    sell(tokenAddress, tokens, price, slippage, reason) {
+        const position = this.positions.get(tokenAddress);
+        const fillPrice = price * (1 - slippage);
+        const gross = tokens * fillPrice;
+        const fee = gross * this.feeRate;
+        const proceeds = gross - fee;
+        const costBasis = position.cost * (tokens / position.tokens);
+        const pnl = proceeds - costBasis;
+
+        this.cash += proceeds;
+        position.tokens -= tokens;
+        position.cost -= costBasis;
+        if (position.tokens <= 1e-12) {
+            this.positions.delete(tokenAddress);
+        }
+
+        this.trades.push({
+            time: this.store.now,
+            tokenAddress,
+            side: 'sell',
+            price: fillPrice,
+            tokens,
+            value: proceeds,
+            fee,
+            pnl,
+            reason
+        });
+
+        return { success: true, price: fillPrice, tokens, pnl };
+    }
+
+    // Entry-only strategies need an exit model to realize PnL
+    applyExits() {
+        for (const [tokenAddress, position] of Array.from(this.positions)) {
+            const price = this.priceOf(tokenAddress);
+            if (!price) continue;
+
+            const changePercent = ((price - position.entryPrice) / position.entryPrice) * 100;
+            let reason = null;
+            if (this.exits.takeProfit && changePercent >= this.exits.takeProfit) {
+                reason = 'take_profit';
+            } else if (this.exits.stopLoss && changePercent <= -this.exits.stopLoss) {
+                reason = 'stop_loss';
+            } else if (this.exits.maxHoldSeconds && this.store.now - position.openedAt >= this.exits.maxHoldSeconds) {
+                reason = 'max_hold';
+            }
+
+            if (reason) {
+                this.sell(tokenAddress, position.tokens, price, this.defaultSlippage / 100, reason);
+            }
+        }
+    }
+
+    closeAll() {
+        for (const [tokenAddress, position] of Array.from(this.positions)) {
+            const price = this.priceOf(tokenAddress) || position.entryPrice;
+            this.sell(tokenAddress, position.tokens, price, this.defaultSlippage / 100, 'end_of_test');
+        }
+    }
+}
+
+/**
+ * Replays stored or imported OHLCV candles through StrategyEngine's own
+ * decision logic with a simulated wallet, and reports how the config did.
+ */
+class BacktestService {
+    constructor(config, db = null) {
+        this.config = config;
+        this.db = db;
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    static get supportedStrategies() {
+        return Object.keys(STRATEGIES);
+    }
+
+    /**
+     * Load candles recorded by PriceHistoryService
+     * @param {number} days - How far back to load
+     */
+    loadStoredCandles(days) {
+        if (!this.db) {
+            throw new Error('A database is required to backtest stored candles');
+        }
+        const since = Math.floor(Date.now() / 1000) - days * 24 * 60 * 60;
+        return this.db.getPriceCandlesSince(since);
+    }
+
+    /**
+     * Load candles from a CSV or JSON file. Columns/keys:
+     * token_address, timestamp (unix seconds or ISO date), open, high, low, close, volume, liquidity, market_cap
+     */
+    loadCandlesFromFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        let rows;
+
+        if (path.extname(filePath).toLowerCase() === '.json') {
+            rows = JSON.parse(content);
+        } else {
+            const lines = content.split(/\r?\n/).filter(line => line.trim());
+            const headers = lines.shift().split(',').map(h => h.trim());
+            rows = lines.map(line => {
+                const values = line.split(',');
+                return headers.reduce((row, header, i) => {
+                    row[header] = values[i] !== undefined ? values[i].trim() : undefined;
+                    return row;
+                }, {});
+            });
+        }
+
+        const toNumber = value => {
+            const parsed = parseFloat(value);
+            return Number.isFinite(parsed) ? parsed : null;
+        };
+
+        return rows.map(row => {
+            const timestamp = isNaN(Number(row.timestamp))
+                ? Math.floor(new Date(row.timestamp).getTime() / 1000)
+                : Number(row.timestamp);
+            const close = toNumber(row.close);
+            return {
+                token_address: row.token_address,
+                resolution: 'imported',
+                bucket_start: timestamp,
+                open: toNumber(row.open) || close,
+                high: toNumber(row.high) || close,
+                low: toNumber(row.low) || close,
+                close,
+                volume: toNumber(row.volume) || 0,
+                liquidity: toNumber(row.liquidity),
+                market_cap: toNumber(row.market_cap)
+            };
+        }).filter(candle => candle.token_address && candle.bucket_start && candle.close > 0);
+    }
+
+    /**
+     * Run a backtest.
+     * @param {Object} options
+     * @param {string} options.strategy - volume_spike | dip_buy | momentum
+     * @param {Array} options.candles - price_candles rows to replay
+     * @param {Object} [options.params] - Strategy params, as stored in strategy settings
+     * @param {number} [options.startingBalance=1000] - Simulated wallet size (quote currency, USD)
+     * @param {number} [options.feeRate] - Trade fee rate; defaults to config.feePercentage
+     * @param {number} [options.slippage=1] - Slippage % applied to exits (entries use the strategy's maxSlippage)
+     * @param {Object} [options.exits] - { takeProfit %, stopLoss %, maxHoldSeconds }
+     * @param {Object} [options.settings] - { max_trade_amount %, max_token_exposure % }
+     * @param {number} [options.stepSeconds] - Minimum spacing between strategy evaluations
+     * @returns {Promise<Object>} Report with pnl, winRate, maxDrawdown and trades
+     */
+    async run(options) {
+        const method = STRATEGIES[options.strategy];
+        if (!method) {
+            throw new Error(`Unsupported strategy "${options.strategy}". Choose one of: ${Object.keys(STRATEGIES).join(', ')}`);
+        }
+        if (!options.candles || options.candles.length === 0) {
+            throw new Error('No candles to replay');
+        }
+
+        const startingBalance = options.startingBalance || 1000;
+        const simulationOptions = {
+            startingBalance,
+            feeRate: options.feeRate !== undefined ? options.feeRate : (this.config.feePercentage || 0.003),
+            slippage: options.slippage !== undefined ? options.slippage : 1,
+            exits: {
+                takeProfit: 20,
+                stopLoss: 10,
+                maxHoldSeconds: 24 * 60 * 60,
+                ...(options.exits || {})
+            },
+            settings: {
+                max_trade_amount: 10,
+                max_token_exposure: 25,
+                ...(options.settings || {})
+            }
+        };
+
+        const simulation = {};
+        const store = new BacktestDataStore(options.candles, simulation);
+        const execution = new SimulatedExecution(store, simulationOptions);
+        Object.assign(simulation, {
+            getHoldings: () => execution.getHoldings(),
+            settings: simulationOptions.settings
+        });
+
+        const priceHistory = new PriceHistoryService(this.config, store, {
+            clock: () => store.now * 1000
+        });
+        const engine = new StrategyEngine(this.config, {
+            db: store,
+            tradingExecution: execution,
+            priceHistory,
+            tradeDelayMs: 0
+        });
+
+        const user = { id: 0 };
+        const wallet = { id: 0, user_id: 0 };
+        const strategy = { type: options.strategy, params: options.params || {} };
+
+        const timestamps = Array.from(new Set(options.candles.map(c => c.bucket_start))).sort((a, b) => a - b);
+        const stepSeconds = options.stepSeconds || 0;
+        const equityCurve = [];
+        let lastStep = null;
+
+        for (const timestamp of timestamps) {
+            if (lastStep !== null && timestamp - lastStep < stepSeconds) continue;
+            lastStep = timestamp;
+            store.now = timestamp;
+
+            execution.applyExits();
+            try {
+                await engine[method](user, wallet, strategy);
+            } catch (error) {
+                this.logger.error(`Backtest step ${timestamp} failed: ${error.message}`);
+            }
+            equityCurve.push({ time: timestamp, equity: execution.getEquity() });
+        }
+
+        execution.closeAll();
+        const endingBalance = execution.cash;
+        equityCurve.push({ time: store.now, equity: endingBalance });
+
+        return this.buildReport({
+            strategy: options.strategy,
+            params: strategy.params,
+            startTime: timestamps[0],
+            endTime: timestamps[timestamps.length - 1],
+            startingBalance,
+            endingBalance,
+            trades: execution.trades,
+            equityCurve
+        });
+    }
+
+    buildReport({ strategy, params, startTime, endTime, startingBalance, endingBalance, trades, equityCurve }) {
+        const closed = trades.filter(t => t.side === 'sell');
+        const wins = closed.filter(t => t.pnl > 0).length;
+
+        let peak = equityCurve.length ? equityCurve[0].equity : startingBalance;
+        let maxDrawdown = 0;
+        for (const point of equityCurve) {
+            peak = Math.max(peak, point.equity);
+            if (peak > 0) {
+                maxDrawdown = Math.max(maxDrawdown, ((peak - point.equity) / peak) * 100);
+            }
+        }
+
+        const pnl = endingBalance - startingBalance;
+        return {
+            strategy,
+            params,
+            startTime,
+            endTime,
+            startingBalance,
+            endingBalance,
+            pnl,
+            pnlPercent: (pnl / startingBalance) * 100,
+            totalFees: trades.reduce((sum, t) => sum + t.fee, 0),
+            tradeCount: trades.length,
+            closedTrades: closed.length,
+            wins,
+            losses: closed.length - wins,
+            winRate: closed.length ? (wins / closed.length) * 100 : 0,
+            maxDrawdown,
+            trades
+        };
+    }
+
+    /**
+     * Markdown summary for Telegram and the CLI
+     * @param {Object} report - Result of run()
+     * @param {number} maxTrades - How many trades to list
+     */
+    formatReport(report, maxTrades = 10) {
+        const date = seconds => new Date(seconds * 1000).toISOString().replace('T', ' ').slice(0, 16);
+        const money = value => `$${value.toFixed(2)}`;
+
+        let message = `
+*🧪 Backtest: ${report.strategy}*
+
+*Period:* ${date(report.startTime)} → ${date(report.endTime)}
+*Starting Balance:* ${money(report.startingBalance)}
+*Ending Balance:* ${money(report.endingBalance)}
+*PnL:* ${report.pnl >= 0 ? '🟢' : '🔴'} ${money(report.pnl)} (${report.pnlPercent.toFixed(2)}%)
+*Fees Paid:* ${money(report.totalFees)}
+*Win Rate:* ${report.winRate.toFixed(1)}% (${report.wins}W / ${report.losses}L)
+*Max Drawdown:* ${report.maxDrawdown.toFixed(2)}%
+*Trades:* ${report.tradeCount}`;
+
+        if (report.trades.length > 0) {
+            message += `\n\n*Last ${Math.min(maxTrades, report.trades.length)} Trades:*`;
+            for (const trade of report.trades.slice(-maxTrades)) {
+                const token = `${trade.tokenAddress.slice(0, 4)}...${trade.tokenAddress.slice(-4)}`;
+                const pnl = trade.pnl !== null ? ` PnL ${money(trade.pnl)}` : '';
+                message += `\n${trade.side === 'buy' ? '🛒' : '💰'} ${date(trade.time)} ${trade.side.toUpperCase()} \`${token}\` @ $${trade.price.toPrecision(4)} ${money(trade.value)}${pnl} (${trade.reason})`;
+            }
+        }
+
+        return message;
+    }
+}
+
+module.exports = BacktestService;
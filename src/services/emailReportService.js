@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const winston = require('winston');
+const FileExportService = require('./fileExportService');
+
+const REPORT_SCHEDULES = ['off', 'daily', 'weekly', 'monthly'];
+const REPORT_FORMATS = ['pdf', 'csv', 'json'];
+const VERIFICATION_TTL_MINUTES = 15;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+const toDate = (timestamp) => new Date(`${timestamp.replace(' ', 'T')}Z`);
+
+/**
+ * Emails portfolio exports from FileExportService over SMTP.
+ *
+ * A user registers an address, which gets a 6-digit code; only the code's hash is
+ * stored, and reports go out once the code is confirmed. Reports can be sent on
+ * demand or on a daily, weekly or monthly schedule that runScheduledReports()
+ * checks from the cron job in index.js. SMTP settings come from config.email;
+ * any SMTP server works, including a local sink while testing.
+ */
+class EmailReportService {
+    constructor(config, db) {
+        this.config = config;
+        this.db = db;
+        this.fileExportService = new FileExportService(config, db);
+        this.transporter = null;
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    isConfigured() {
+        const email = this.config.email || {};
+        return Boolean(email.host && email.from);
+    }
+
+    getTransporter() {
+        if (!this.transporter) {
+            const { host, port, secure, user, pass } = this.config.email;
+            this.transporter = nodemailer.createTransport({
+                host,
+                port: port || (secure ? 465 : 587),
+                secure: Boolean(secure),
+                auth: user ? { user, pass } : undefined
+            });
+        }
+        return this.transporter;
+    }
+
+    async sendMail(message) {
+        if (!this.isConfigured()) {
+            throw new Error('Email delivery is not configured on this bot');
+        }
+        return this.getTransporter().sendMail({ from: this.config.email.from, ...message });
+    }
+
+    /**
+     * Register an address and mail it a verification code
+     */
+    async startVerification(userId, email) {
+        const address = (email || '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(address)) {
+            throw new Error('That does not look like an email address');
+        }
+
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const expiresAt = new Date(Date.now() + VERIFICATION_TTL_MINUTES * 60 * 1000)
+            .toISOString().replace('T', ' ').slice(0, 19);
+
+        await this.sendMail({
+            to: address,
+            subject: '4TOOL email verification',
+            text: `Your 4TOOL verification code is ${code}.\n\nSend it to the bot within ${VERIFICATION_TTL_MINUTES} minutes to receive portfolio reports at this address. If you did not ask for this, ignore this email.`
+        });
+
+        await this.db.updateUserSettings(userId, {
+            report_email: address,
+            report_email_verified: false,
+            email_verification_hash: hashCode(code),
+            email_verification_expires_at: expiresAt
+        });
+        this.logger.info(`Sent email verification code for user ${userId}`);
+        return { email: address, expiresInMinutes: VERIFICATION_TTL_MINUTES };
+    }
+
+    async confirmVerification(userId, code) {
+        const settings = await this.db.getUserSettings(userId);
+        if (!settings.email_verification_hash) {
+            throw new Error('No verification is pending. Set your email address first.');
+        }
+        if (toDate(settings.email_verification_expires_at) < new Date()) {
+            throw new Error('That code has expired. Set your email address again for a new one.');
+        }
+        if (hashCode((code || '').trim()) !== settings.email_verification_hash) {
+            throw new Error('That code is not correct');
+        }
+
+        await this.db.updateUserSettings(userId, {
+            report_email_verified: true,
+            email_verification_hash: null,
+            email_verification_expires_at: null
+        });
+        return { email: settings.report_email };
+    }
+
+    async setSchedule(userId, schedule) {
+        if (!REPORT_SCHEDULES.includes(schedule)) {
+            throw new Error(`Unknown report schedule: ${schedule}`);
+        }
+        return this.db.updateUserSettings(userId, { report_schedule: schedule });
+    }
+
+    async setFormat(userId, format) {
+        if (!REPORT_FORMATS.includes(format)) {
+            throw new Error(`Unknown report format: ${format}`);
+        }
+        return this.db.updateUserSettings(userId, { report_format: format });
+    }
+
+    async generateExport(user, format) {
+        switch (format) {
+            case 'csv':
+                return this.fileExportService.exportToCSV(user);
+            case 'json':
+                return this.fileExportService.exportToJSON(user);
+            default:
+                return this.fileExportService.exportToPDF(user);
+        }
+    }
+
+    /**
+     * Generate an export and mail it to the user's verified address
+     * @param {Object} user - User row
+     * @param {string} [format] - 'pdf', 'csv' or 'json'; defaults to the user's report format
+     * @param {string} [schedule] - Set for scheduled reports, used in the subject line
+     */
+    async sendReport(user, format = null, schedule = null) {
+        const settings = await this.db.getUserSettings(user.id);
+        if (!settings.report_email || !settings.report_email_verified) {
+            throw new Error('No verified email address');
+        }
+
+        const reportFormat = format || settings.report_format || 'pdf';
+        const exportResult = await this.generateExport(user, reportFormat);
+        const date = new Date().toISOString().slice(0, 10);
+        const label = schedule ? `${schedule.charAt(0).toUpperCase()}${schedule.slice(1)} portfolio report` : 'Portfolio report';
+
+        await this.sendMail({
+            to: settings.report_email,
+            subject: `4TOOL ${label} - ${date}`,
+            text: `Your 4TOOL ${label.toLowerCase()} for ${date} is attached as ${reportFormat.toUpperCase()}.${exportResult.simulated ? '\n\nIt includes SIMULATED paper-trading data.' : ''}\n\nNo private keys or seed phrases are ever included in these reports.${schedule ? '\n\nChange or stop this schedule from the Export menu in the bot.' : ''}`,
+            attachments: [{ filename: exportResult.fileName, path: exportResult.filePath }]
+        });
+
+        this.db.markEmailReportSent(user.id);
+        this.logger.info(`Emailed ${reportFormat} report to user ${user.id}`);
+        return { email: settings.report_email, format: reportFormat, size: exportResult.size };
+    }
+
+    /**
+     * Whether a scheduled report is due; days and months are UTC
+     */
+    static isDue(schedule, lastSentAt, now = new Date()) {
+        if (!lastSentAt) {
+            return true;
+        }
+        const last = toDate(lastSentAt);
+        switch (schedule) {
+            case 'daily':
+                return last.toISOString().slice(0, 10) < now.toISOString().slice(0, 10);
+            case 'weekly':
+                // Allow an hour of slack so a report sent just after the cron tick is not pushed back a day
+                return now - last >= (7 * 24 - 1) * 60 * 60 * 1000;
+            case 'monthly':
+                return last.toISOString().slice(0, 7) < now.toISOString().slice(0, 7);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Send every scheduled report that is due. One failure does not stop the rest.
+     */
+    async runScheduledReports(now = new Date()) {
+        if (!this.isConfigured()) {
+            return { sent: 0, failed: 0 };
+        }
+
+        let sent = 0;
+        let failed = 0;
+        for (const subscriber of this.db.getEmailReportSubscribers()) {
+            if (!EmailReportService.isDue(subscriber.report_schedule, subscriber.report_last_sent_at, now)) {
+                continue;
+            }
+            try {
+                const user = await this.db.getUserByTelegramId(subscriber.telegram_id);
+                await this.sendReport(user, subscriber.report_format, subscriber.report_schedule);
+                sent++;
+            } catch (error) {
+                failed++;
+                this.logger.error(`Scheduled email report failed for user ${subscriber.user_id}: ${error.message}`);
+            }
+        }
+
+        if (sent > 0 || failed > 0) {
+            this.logger.info(`Scheduled email reports: ${sent} sent, ${failed} failed`);
+        }
+        return { sent, failed };
+    }
+}
+
+EmailReportService.SCHEDULES = REPORT_SCHEDULES;
+EmailReportService.FORMATS = REPORT_FORMATS;
+
+module.exports = EmailReportService;
@@ -2,12 +2,105 @@ const fs = require('fs-extra');
 const path = require('path');
 const { Parser } = require('json2csv');
 const pdf = require('html-pdf-node');
+const PaperTradingService = require('./paperTradingService');
+const PnlLedgerService = require('./pnlLedgerService');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LONG_TERM_DAYS = 365;
+
+// SQLite timestamps are UTC 'YYYY-MM-DD HH:MM:SS'
+const toDate = (timestamp) => new Date(`${timestamp.replace(' ', 'T')}Z`);
+const pad = (value) => String(value).padStart(2, '0');
+const usDate = (date) => `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`;
+const usDateTime = (date) => `${usDate(date)} ${date.toISOString().slice(11, 19)}`;
+const usd = (value) => (value === null ? '' : value.toFixed(2));
+
+/**
+ * Tax report layouts. Disposal layouts list each closed lot with its cost basis;
+ * transaction layouts list the year's buys and sells and let the tool match them.
+ */
+const TAX_FORMATS = {
+    generic: {
+        label: 'Generic CSV',
+        source: 'disposals',
+        fields: ['Token', 'Symbol', 'Amount', 'Date Acquired (UTC)', 'Date Disposed (UTC)', 'Holding Days', 'Term',
+            'Cost Basis (SOL)', 'Proceeds (SOL)', 'Gain (SOL)', 'SOL/USD Acquired', 'SOL/USD Disposed',
+            'Cost Basis (USD)', 'Proceeds (USD)', 'Gain (USD)', 'Tx Hash'],
+        row: (d) => ({
+            'Token': d.tokenAddress,
+            'Symbol': d.symbol,
+            'Amount': d.amount,
+            'Date Acquired (UTC)': d.acquiredAt,
+            'Date Disposed (UTC)': d.disposedAt,
+            'Holding Days': d.holdingDays,
+            'Term': d.term,
+            'Cost Basis (SOL)': d.costSol.toFixed(9),
+            'Proceeds (SOL)': d.proceedsSol.toFixed(9),
+            'Gain (SOL)': d.gainSol.toFixed(9),
+            'SOL/USD Acquired': d.costSolUsdPrice === null ? '' : d.costSolUsdPrice,
+            'SOL/USD Disposed': d.proceedsSolUsdPrice === null ? '' : d.proceedsSolUsdPrice,
+            'Cost Basis (USD)': usd(d.costUsd),
+            'Proceeds (USD)': usd(d.proceedsUsd),
+            'Gain (USD)': usd(d.gainUsd),
+            'Tx Hash': d.signature || ''
+        })
+    },
+    turbotax: {
+        label: 'TurboTax',
+        source: 'disposals',
+        fields: ['Currency Name', 'Purchase Date', 'Cost Basis', 'Date Sold', 'Proceeds'],
+        row: (d) => ({
+            'Currency Name': d.symbol,
+            'Purchase Date': usDate(toDate(d.acquiredAt)),
+            'Cost Basis': usd(d.costUsd),
+            'Date Sold': usDate(toDate(d.disposedAt)),
+            'Proceeds': usd(d.proceedsUsd)
+        })
+    },
+    koinly: {
+        label: 'Koinly',
+        source: 'fills',
+        fields: ['Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency', 'Fee Amount',
+            'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'],
+        row: (f) => ({
+            'Date': `${f.created_at} UTC`,
+            'Sent Amount': f.side === 'buy' ? f.sol_amount : f.token_amount,
+            'Sent Currency': f.side === 'buy' ? 'SOL' : f.symbol,
+            'Received Amount': f.side === 'buy' ? f.token_amount : f.sol_amount,
+            'Received Currency': f.side === 'buy' ? f.symbol : 'SOL',
+            'Fee Amount': f.swap_fee_sol + f.platform_fee_sol,
+            'Fee Currency': 'SOL',
+            'Net Worth Amount': usd(f.solUsd),
+            'Net Worth Currency': f.solUsd === null ? '' : 'USD',
+            'Label': '',
+            'Description': `4TOOL ${f.side} ${f.token_address}`,
+            'TxHash': f.signature || ''
+        })
+    },
+    cointracker: {
+        label: 'CoinTracker',
+        source: 'fills',
+        fields: ['Date', 'Received Quantity', 'Received Currency', 'Sent Quantity', 'Sent Currency', 'Fee Amount', 'Fee Currency', 'Tag'],
+        row: (f) => ({
+            'Date': usDateTime(toDate(f.created_at)),
+            'Received Quantity': f.side === 'buy' ? f.token_amount : f.sol_amount,
+            'Received Currency': f.side === 'buy' ? f.symbol : 'SOL',
+            'Sent Quantity': f.side === 'buy' ? f.sol_amount : f.token_amount,
+            'Sent Currency': f.side === 'buy' ? 'SOL' : f.symbol,
+            'Fee Amount': f.swap_fee_sol + f.platform_fee_sol,
+            'Fee Currency': 'SOL',
+            'Tag': ''
+        })
+    }
+};
 
 class FileExportService {
     constructor(config, db) {
         this.config = config;
         this.db = db;
         this.exportDir = path.join(__dirname, '../../exports');
+        this.paperTradingService = new PaperTradingService(config, db, null);
+        this.pnlLedger = new PnlLedgerService(config, db);
         this.ensureExportDirExists();
     }
 
@@ -58,7 +151,10 @@ class FileExportService {
 
             // Process all wallets
             for (const wallet of wallets) {
-                const walletBalance = await portfolioService.getWalletBalance(wallet.public_key);
+                // Paper wallets export their simulated account
+                const walletBalance = this.paperTradingService.isPaperWallet(wallet)
+                    ? this.paperTradingService.getWalletBalance(wallet)
+                    : await portfolioService.getWalletBalance(wallet.public_key);
                 solTotal += walletBalance.sol;
 
                 // Process SPL tokens
@@ -170,6 +266,9 @@ class FileExportService {
                 sell_trades: 0, 
                 total_pnl: 0 
             };
+            const simulated = wallets.some(w => this.paperTradingService.isPaperWallet(w));
+            const pnl = this.formatPnlData(await this.pnlLedger.getLedger(user.id));
+            const paperPnl = simulated ? this.formatPnlData(await this.pnlLedger.getLedger(user.id, { isPaper: true })) : null;
 
             // Format holdings for export
             const holdings = Object.values(allHoldings)
@@ -214,14 +313,22 @@ class FileExportService {
                     totalTrades: stats.total_trades,
                     buyTrades: stats.buy_trades,
                     sellTrades: stats.sell_trades,
-                    totalPnl: stats.total_pnl || 0
+                    // SOL, from the cost-basis ledger of real trades; paper trades are in paperPnl
+                    totalPnl: pnl.realizedSol + pnl.unrealizedSol,
+                    realizedPnl: pnl.realizedSol,
+                    unrealizedPnl: pnl.unrealizedSol,
+                    simulated,
+                    paperTrades: stats.paper_trades || 0
                 },
+                pnl,
+                paperPnl,
                 holdings: holdings,
                 transactions: transactions,
                 wallets: wallets.map(w => ({
                     address: w.public_key,
                     created: w.created_at,
-                    isActive: w.is_active
+                    isActive: w.is_active,
+                    isPaper: !!w.is_paper
                 })),
                 exportInfo: {
                     timestamp,
@@ -259,8 +366,12 @@ class FileExportService {
                 totalTrades: 0,
                 buyTrades: 0,
                 sellTrades: 0,
-                totalPnl: 0
+                totalPnl: 0,
+                realizedPnl: 0,
+                unrealizedPnl: 0
             },
+            pnl: null,
+            paperPnl: null,
             holdings: [],
             transactions: [],
             wallets: [],
@@ -273,6 +384,32 @@ class FileExportService {
         };
     }
 
+    /**
+     * Flatten a PnL ledger summary into plain export rows (SOL amounts)
+     */
+    formatPnlData(ledger) {
+        return {
+            method: ledger.method,
+            realizedSol: ledger.realizedPnlSol,
+            unrealizedSol: ledger.unrealizedPnlSol,
+            swapFeesSol: ledger.swapFeesSol,
+            platformFeesSol: ledger.platformFeesSol,
+            closedTrades: ledger.closedTrades,
+            winRate: ledger.winRate,
+            byToken: ledger.tokens.map(token => ({
+                token: token.tokenAddress,
+                realizedSol: token.realizedPnlSol,
+                unrealizedSol: token.unrealizedPnlSol,
+                openAmount: token.openAmount,
+                openCostSol: token.openCostSol,
+                feesSol: token.swapFeesSol + token.platformFeesSol
+            })),
+            byStrategy: ledger.byStrategy,
+            byRule: ledger.byRule,
+            byDay: ledger.byDay
+        };
+    }
+
     /**
      * Export portfolio data as CSV
      * @param {Object} user - User object
@@ -289,6 +426,14 @@ class FileExportService {
             const csvData = [];
 
             // Add summary information
+            if (portfolioData.summary.simulated) {
+                csvData.push({
+                    Type: 'Summary',
+                    Item: 'SIMULATED',
+                    Value: 'Yes',
+                    Details: `Includes paper-trading balances and ${portfolioData.summary.paperTrades} simulated trades`
+                });
+            }
             csvData.push({
                 Type: 'Summary',
                 Item: 'Wallet Address',
@@ -321,10 +466,12 @@ class FileExportService {
             });
             csvData.push({
                 Type: 'Summary',
-                Item: 'Total P&L',
-                Value: portfolioData.summary.totalPnl.toFixed(2),
-                Details: ''
+                Item: 'Total P&L (SOL)',
+                Value: portfolioData.summary.totalPnl.toFixed(4),
+                Details: `Realised: ${portfolioData.summary.realizedPnl.toFixed(4)}, Unrealised: ${portfolioData.summary.unrealizedPnl.toFixed(4)}`
             });
+            this.addPnlRows(csvData, portfolioData.pnl, 'P&L');
+            this.addPnlRows(csvData, portfolioData.paperPnl, 'Paper P&L');
 
             // Add holdings
             if (portfolioData.holdings.length > 0) {
@@ -378,7 +525,8 @@ class FileExportService {
                 filePath,
                 fileName,
                 size: (await fs.stat(filePath)).size,
-                rowCount: csvData.length
+                rowCount: csvData.length,
+                simulated: portfolioData.summary.simulated
             };
 
         } catch (error) {
@@ -387,6 +535,208 @@ class FileExportService {
         }
     }
 
+    addPnlRows(csvData, pnl, type) {
+        if (!pnl) {
+            return;
+        }
+        csvData.push({
+            Type: type,
+            Item: 'Fees Paid (SOL)',
+            Value: (pnl.swapFeesSol + pnl.platformFeesSol).toFixed(4),
+            Details: `Swap: ${pnl.swapFeesSol.toFixed(4)}, 4TOOL: ${pnl.platformFeesSol.toFixed(4)}, Cost basis: ${pnl.method}`
+        });
+        pnl.byToken.forEach(token => {
+            csvData.push({
+                Type: type,
+                Item: `Token ${token.token}`,
+                Value: (token.realizedSol + token.unrealizedSol).toFixed(4),
+                Details: `Realised: ${token.realizedSol.toFixed(4)}, Unrealised: ${token.unrealizedSol.toFixed(4)}, Open: ${token.openAmount}, Fees: ${token.feesSol.toFixed(4)}`
+            });
+        });
+        pnl.byStrategy.forEach(entry => {
+            csvData.push({
+                Type: type,
+                Item: `Strategy ${PnlLedgerService.strategyLabel(entry.strategy)}`,
+                Value: (entry.realizedPnlSol + entry.unrealizedPnlSol).toFixed(4),
+                Details: `Realised: ${entry.realizedPnlSol.toFixed(4)}, Closed: ${entry.closedTrades}, Wins: ${entry.wins}`
+            });
+        });
+        pnl.byRule.forEach(entry => {
+            csvData.push({
+                Type: type,
+                Item: `Rule ${entry.ruleId}`,
+                Value: (entry.realizedPnlSol + entry.unrealizedPnlSol).toFixed(4),
+                Details: `Realised: ${entry.realizedPnlSol.toFixed(4)}, Closed: ${entry.closedTrades}, Wins: ${entry.wins}`
+            });
+        });
+        pnl.byDay.forEach(day => {
+            csvData.push({
+                Type: type,
+                Item: `Day ${day.day}`,
+                Value: day.realizedPnlSol.toFixed(4),
+                Details: `Closed: ${day.closedTrades}, Wins: ${day.wins}`
+            });
+        });
+    }
+
+    /**
+     * Realised gains for a calendar year (UTC) from the user's real trades.
+     * Cost basis follows the user's PnL method and includes swap and 4TOOL fees;
+     * USD values use the SOL/USD price recorded with each fill, falling back to
+     * stored SOL candles, and are left blank when neither is known.
+     * @returns {Promise<Object>} { year, method, disposals, fills, totals }
+     */
+    async generateTaxReportData(user, year) {
+        const fills = this.db.getPnlFills(user.id, false);
+        const ledger = await this.pnlLedger.getLedger(user.id, { withPrices: false });
+        const inYear = (timestamp) => String(timestamp).startsWith(`${year}-`);
+
+        const disposals = ledger.disposals.filter(d => inYear(d.disposedAt));
+        const yearFills = fills.filter(f => inYear(f.created_at));
+        const symbols = await this.getTokenSymbols([...new Set(yearFills.map(f => f.token_address))]);
+
+        const enrichedDisposals = disposals.map(d => {
+            const costSolUsdPrice = d.costSolUsdPrice || this.getSolUsdAt(d.acquiredAt);
+            const proceedsSolUsdPrice = d.proceedsSolUsdPrice || this.getSolUsdAt(d.disposedAt);
+            const costUsd = costSolUsdPrice ? d.costSol * costSolUsdPrice : null;
+            const proceedsUsd = proceedsSolUsdPrice ? d.proceedsSol * proceedsSolUsdPrice : null;
+            const holdingDays = Math.floor((toDate(d.disposedAt) - toDate(d.acquiredAt)) / (24 * 60 * 60 * 1000));
+            return {
+                ...d,
+                symbol: symbols.get(d.tokenAddress) || d.tokenAddress,
+                costSolUsdPrice,
+                proceedsSolUsdPrice,
+                costUsd,
+                proceedsUsd,
+                gainUsd: costUsd !== null && proceedsUsd !== null ? proceedsUsd - costUsd : null,
+                holdingDays,
+                term: holdingDays > LONG_TERM_DAYS ? 'long' : 'short'
+            };
+        });
+        const enrichedFills = yearFills.map(f => {
+            const solUsdPrice = f.sol_usd_price || this.getSolUsdAt(f.created_at);
+            return {
+                ...f,
+                symbol: symbols.get(f.token_address) || f.token_address,
+                solUsd: solUsdPrice ? f.sol_amount * solUsdPrice : null
+            };
+        });
+
+        const sum = (field, term = null) => enrichedDisposals
+            .filter(d => !term || d.term === term)
+            .reduce((total, d) => total + (d[field] || 0), 0);
+        return {
+            year,
+            method: ledger.method,
+            disposals: enrichedDisposals,
+            fills: enrichedFills,
+            totals: {
+                disposals: enrichedDisposals.length,
+                gainSol: sum('gainSol'),
+                gainUsd: sum('gainUsd'),
+                shortTermGainUsd: sum('gainUsd', 'short'),
+                longTermGainUsd: sum('gainUsd', 'long'),
+                missingUsd: enrichedDisposals.filter(d => d.gainUsd === null).length
+            }
+        };
+    }
+
+    getSolUsdAt(timestamp) {
+        const candle = this.db.getPriceCandleAt(SOL_MINT, Math.floor(toDate(timestamp).getTime() / 1000));
+        return candle && candle.close > 0 ? candle.close : null;
+    }
+
+    async getTokenSymbols(tokenAddresses) {
+        const symbols = new Map();
+        if (tokenAddresses.length === 0) {
+            return symbols;
+        }
+        try {
+            const MarketDataService = require('./marketDataService');
+            const snapshots = await new MarketDataService(this.config).getTokenSnapshots(tokenAddresses);
+            for (const [tokenAddress, snapshot] of snapshots) {
+                if (snapshot && snapshot.symbol) symbols.set(tokenAddress, snapshot.symbol);
+            }
+        } catch (error) {
+            console.error('Error fetching token symbols for tax report:', error.message);
+        }
+        return symbols;
+    }
+
+    /**
+     * Export a year's realised gains as CSV in one of TAX_FORMATS
+     * @returns {Object} Export result with file path and the report totals
+     */
+    async exportTaxReport(user, year, format = 'generic') {
+        try {
+            const layout = TAX_FORMATS[format];
+            if (!layout) {
+                throw new Error(`Unknown tax report format: ${format}`);
+            }
+            const report = await this.generateTaxReportData(user, year);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const fileName = `tax_${format}_${year}_${user.id}_${timestamp}.csv`;
+            const filePath = path.join(this.exportDir, fileName);
+
+            const rows = (layout.source === 'disposals' ? report.disposals : report.fills).map(layout.row);
+            const parser = new Parser({ fields: layout.fields });
+            await fs.writeFile(filePath, parser.parse(rows));
+
+            return {
+                success: true,
+                filePath,
+                fileName,
+                size: (await fs.stat(filePath)).size,
+                rowCount: rows.length,
+                format: layout.label,
+                method: report.method,
+                totals: report.totals
+            };
+        } catch (error) {
+            console.error('Error exporting tax report:', error);
+            throw new Error('Failed to generate tax report');
+        }
+    }
+
+    /**
+     * Export the fee share earned from referred users as CSV
+     * @returns {Object} Export result with file path and totals
+     */
+    async exportReferralEarnings(user) {
+        try {
+            const earnings = this.db.getReferralEarnings(user.id).reverse();
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const fileName = `referral_earnings_${user.id}_${timestamp}.csv`;
+            const filePath = path.join(this.exportDir, fileName);
+
+            const fields = ['Date (UTC)', 'Referee', 'Trade Amount (SOL)', 'Fee Tier', 'Fee (SOL)', 'Your Share (SOL)', 'Paid To'];
+            const rows = earnings.map(e => ({
+                'Date (UTC)': e.timestamp,
+                'Referee': `#${e.referee_id}`,
+                'Trade Amount (SOL)': e.trade_amount === null ? '' : e.trade_amount,
+                'Fee Tier': e.fee_tier || '',
+                'Fee (SOL)': e.total_fee.toFixed(9),
+                'Your Share (SOL)': e.referral_share.toFixed(9),
+                'Paid To': e.referral_wallet || ''
+            }));
+            const parser = new Parser({ fields });
+            await fs.writeFile(filePath, parser.parse(rows));
+
+            return {
+                success: true,
+                filePath,
+                fileName,
+                size: (await fs.stat(filePath)).size,
+                rowCount: rows.length,
+                totalSol: earnings.reduce((total, e) => total + e.referral_share, 0),
+                refereeCount: new Set(earnings.map(e => e.referee_id)).size
+            };
+        } catch (error) {
+            console.error('Error exporting referral earnings:', error);
+            throw new Error('Failed to generate referral earnings export');
+        }
+    }
+
     /**
      * Export portfolio data as JSON
      * @param {Object} user - User object
@@ -407,6 +757,7 @@ class FileExportService {
                 filePath,
                 fileName,
                 size: (await fs.stat(filePath)).size,
+                simulated: portfolioData.summary.simulated,
                 recordCount: {
                     holdings: portfolioData.holdings.length,
                     transactions: portfolioData.transactions.length,
@@ -458,7 +809,8 @@ class FileExportService {
                 filePath,
                 fileName,
                 size: (await fs.stat(filePath)).size,
-                pageCount: 1
+                pageCount: 1,
+                simulated: portfolioData.summary.simulated
             };
 
         } catch (error) {
@@ -593,6 +945,7 @@ class FileExportService {
                 <h1>🚀 4T-Bot Portfolio Report</h1>
                 <p>Generated on ${new Date(portfolioData.exportInfo.timestamp).toLocaleDateString()}</p>
                 <p>Wallet Analysis & Trading Summary</p>
+                ${portfolioData.summary.simulated ? '<p><strong>📝 SIMULATED - includes paper-trading balances and trades</strong></p>' : ''}
             </div>
 
             <div class="section">
@@ -625,6 +978,14 @@ class FileExportService {
                         <h3>7d Change</h3>
                         <p>${portfolioData.summary.change7d.toFixed(2)}%</p>
                     </div>
+                    <div class="summary-item">
+                        <h3>Realised P&amp;L</h3>
+                        <p>${portfolioData.summary.realizedPnl.toFixed(4)} SOL</p>
+                    </div>
+                    <div class="summary-item">
+                        <h3>Unrealised P&amp;L</h3>
+                        <p>${portfolioData.summary.unrealizedPnl.toFixed(4)} SOL</p>
+                    </div>
                 </div>
             </div>
 
@@ -749,4 +1110,6 @@ class FileExportService {
     }
 }
 
+FileExportService.TAX_FORMATS = TAX_FORMATS;
+
 module.exports = FileExportService;
@@ -0,0 +1,281 @@
+const { Keypair } = require('@solana/web3.js');
+const winston = require('winston');
+const PaperTradingService = require('./paperTradingService');
+const WalletKeystore = require('./walletKeystore');
+const TradingSessionService = require('./tradingSessionService');
+
+// Failed fills go back on the book until they have been tried this many times
+const MAX_FILL_ATTEMPTS = 5;
+
+// Legacy Markdown only treats these characters as markup
+function escapeMarkdown(text) {
+    return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+/**
+ * Watches the persistent limit order book, re-prices open orders and fills
+ * them through TradingExecution once the market crosses the target price.
+ */
+class LimitOrderService {
+    constructor(config, db, tradingExecution, telegramBot = null) {
+        this.config = config;
+        this.db = db;
+        this.tradingExecution = tradingExecution;
+        this.telegramBot = telegramBot;
+        this.paperTradingService = new PaperTradingService(config, db, tradingExecution);
+        this.keystore = new WalletKeystore(config, db);
+        this.tradingSessionService = new TradingSessionService(config, db, telegramBot);
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+        this.isWatching = false;
+        this.isChecking = false;
+        this.watchInterval = null;
+        this.checkIntervalMs = (config.limitOrders && config.limitOrders.checkInterval) || 15000;
+    }
+
+    /**
+     * Start the order watcher
+     */
+    startWatching() {
+        if (this.isWatching) {
+            this.logger.info('Limit order watcher already running');
+            return;
+        }
+
+        this.isWatching = true;
+        this.watchInterval = setInterval(async () => {
+            try {
+                await this.checkOpenOrders();
+            } catch (error) {
+                this.logger.error(`Error in limit order watcher: ${error.message}`);
+            }
+        }, this.checkIntervalMs);
+
+        this.logger.info(`Limit order watcher started (${this.checkIntervalMs}ms interval)`);
+    }
+
+    /**
+     * Stop the order watcher
+     */
+    stopWatching() {
+        if (this.watchInterval) {
+            clearInterval(this.watchInterval);
+            this.watchInterval = null;
+        }
+        this.isWatching = false;
+        this.logger.info('Limit order watcher stopped');
+    }
+
+    /**
+     * Expire stale orders, then re-price every open order and fill the ones
+     * whose target has been crossed.
+     */
+    async checkOpenOrders() {
+        // Skip the tick if the previous one is still filling orders
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            await this.expireOrders();
+
+            const openOrders = this.db.getAllOpenLimitOrders();
+            if (openOrders.length === 0) {
+                return;
+            }
+
+            // Price each token once per tick, however many orders reference it
+            const ordersByToken = new Map();
+            for (const order of openOrders) {
+                if (!ordersByToken.has(order.token_address)) {
+                    ordersByToken.set(order.token_address, []);
+                }
+                ordersByToken.get(order.token_address).push(order);
+            }
+
+            for (const [tokenAddress, orders] of ordersByToken) {
+                const currentPrice = await this.tradingExecution.getCurrentPrice(tokenAddress);
+                if (!currentPrice) {
+                    this.logger.warn(`No reliable price for ${tokenAddress}, skipping ${orders.length} limit order(s)`);
+                    continue;
+                }
+
+                for (const order of orders) {
+                    this.db.updateLimitOrder(order.id, {
+                        last_price: currentPrice,
+                        last_checked_at: new Date().toISOString()
+                    });
+
+                    if (this.isTargetCrossed(order, currentPrice)) {
+                        await this.fillOrder(order, currentPrice);
+                    }
+                }
+            }
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Buy orders fill at or below the target, sell orders at or above it
+     */
+    isTargetCrossed(order, currentPrice) {
+        if (order.side === 'buy') {
+            return currentPrice <= order.target_price;
+        }
+        return currentPrice >= order.target_price;
+    }
+
+    async expireOrders() {
+        const expiredOrders = this.db.getExpiredLimitOrders();
+        for (const order of expiredOrders) {
+            if (this.db.transitionLimitOrderStatus(order.id, 'open', 'expired')) {
+                this.logger.info(`Limit order ${order.id} expired`);
+                await this.notifyUser(order.telegram_id, `
+*⌛ Limit Order Expired*
+
+*Order:* #${order.id} ${order.side.toUpperCase()} \`${order.token_address}\`
+*Target:* $${order.target_price}
+
+The order was not filled before its expiry.`);
+            }
+        }
+    }
+
+    async fillOrder(order, currentPrice) {
+        // Claim the order so a slow fill can't be picked up again next tick
+        if (!this.db.transitionLimitOrderStatus(order.id, 'open', 'filling')) {
+            return;
+        }
+
+        // Only the swap itself can fail in ways a later tick may not; a missing wallet stays missing
+        let retryable = false;
+        try {
+            const wallet = await this.db.getWalletById(order.wallet_id, order.user_id);
+            if (!wallet) {
+                throw new Error('Wallet no longer exists');
+            }
+            if (wallet.is_locked || !this.tradingSessionService.canSign(wallet)) {
+                // Put the order back; it will fill once the wallet is unlocked
+                this.db.updateLimitOrder(order.id, { status: 'open', error: 'Wallet is locked' });
+                return;
+            }
+
+            const isPaper = this.paperTradingService.isPaperWallet(wallet);
+            let result;
+            this.logger.info(`Filling ${isPaper ? 'paper ' : ''}limit order ${order.id}: ${order.side} ${order.amount} ${order.token_address} at $${currentPrice}`);
+
+            if (isPaper) {
+                // Simulated fills record their own trade
+                retryable = true;
+                result = order.side === 'buy'
+                    ? await this.paperTradingService.simulateBuy(order.user_id, wallet, order.token_address, order.amount, order.slippage_bps, { strategy: 'limit_order' })
+                    : await this.paperTradingService.simulateSell(order.user_id, wallet, order.token_address, order.amount, order.slippage_bps, { strategy: 'limit_order' });
+            } else {
+                const decryptedKey = this.keystore.decryptWalletKey(wallet);
+                const keypair = Keypair.fromSecretKey(Buffer.from(decryptedKey, 'base64'));
+                retryable = true;
+                result = await this.tradingExecution.fillLimitOrder(order, keypair);
+            }
+
+            if (result.riskRule) {
+                // Risk limits lift on their own (cooldowns end, the day rolls over), so keep the order resting
+                this.db.updateLimitOrder(order.id, { status: 'open', error: result.error });
+                if (order.error !== result.error) {
+                    await this.notifyUser(order.telegram_id, `
+*⏸ Limit Order Held*
+
+*Order:* #${order.id} ${order.side.toUpperCase()} \`${order.token_address}\`
+*Target:* $${order.target_price}
+
+${escapeMarkdown(result.error)}
+
+The order stays open and fills once the limit allows it.`);
+                }
+                return;
+            }
+            if (!result.success) {
+                // A sent transaction may still land, so only retry fills that never got that far
+                retryable = !result.signature;
+                throw new Error(result.error || 'Swap failed');
+            }
+            // The swap went through, so whatever goes wrong from here must not send it again
+            retryable = false;
+
+            this.db.updateLimitOrder(order.id, {
+                status: 'filled',
+                fill_price: currentPrice,
+                fill_signature: result.signature,
+                filled_at: new Date().toISOString(),
+                error: null
+            });
+            if (isPaper) {
+                await this.notifyUser(order.telegram_id, `
+*📝 SIMULATED Limit Order Filled*
+
+*Order:* #${order.id} ${order.side.toUpperCase()} \`${order.token_address}\`
+*Amount:* ${order.amount} ${order.side === 'buy' ? 'SOL' : 'tokens'}
+*Target:* $${order.target_price}
+*Filled At:* $${currentPrice}
+
+_Paper wallet - no transaction was sent to the network._`);
+                return;
+            }
+
+            // Trades store tokens at SOL per token; a buy order's amount is SOL and every target is USD
+            this.db.createTrade(order.user_id, order.token_address, result.tokenAmount, result.price, order.side);
+
+            await this.notifyUser(order.telegram_id, `
+*✅ Limit Order Filled*
+
+*Order:* #${order.id} ${order.side.toUpperCase()} \`${order.token_address}\`
+*Amount:* ${order.amount} ${order.side === 'buy' ? 'SOL' : 'tokens'}
+*Target:* $${order.target_price}
+*Filled At:* $${currentPrice}
+
+*Transaction:* [View on Solscan](https://solscan.io/tx/${result.signature})`);
+        } catch (error) {
+            // Slippage misses, RPC timeouts and missing routes are usually gone by a later tick
+            const attempts = (order.fill_attempts || 0) + 1;
+            if (retryable && attempts < MAX_FILL_ATTEMPTS) {
+                this.logger.warn(`Limit order ${order.id} fill attempt ${attempts}/${MAX_FILL_ATTEMPTS} failed: ${error.message}`);
+                this.db.updateLimitOrder(order.id, { status: 'open', error: error.message, fill_attempts: attempts });
+                return;
+            }
+
+            this.logger.error(`Limit order ${order.id} failed: ${error.message}`);
+            this.db.updateLimitOrder(order.id, { status: 'failed', error: error.message, fill_attempts: attempts });
+
+            await this.notifyUser(order.telegram_id, `
+*❌ Limit Order Failed*
+
+*Order:* #${order.id} ${order.side.toUpperCase()} \`${order.token_address}\`
+*Target:* $${order.target_price}
+
+*Error:* ${escapeMarkdown(error.message)}`);
+        }
+    }
+
+    async notifyUser(telegramId, message) {
+        if (!this.telegramBot || !telegramId) {
+            return;
+        }
+        try {
+            await this.telegramBot.sendMessage(telegramId, message, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            this.logger.error(`Error sending limit order notification: ${error.message}`);
+        }
+    }
+}
+
+module.exports = LimitOrderService;
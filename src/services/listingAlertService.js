@@ -0,0 +1,163 @@
+const winston = require('winston');
+const TokenScreening = require('../modules/tokenScreening');
+
+// One-tap buy sizes on listing alerts, in SOL
+const ALERT_BUY_AMOUNTS = [0.1, 0.5, 1];
+
+// Token and rule names are user or creator supplied, so escape legacy Markdown
+const escapeMarkdown = (text) => String(text).replace(/[_*`[]/g, '\\$&');
+
+/**
+ * Alerts users when a new listing matches one of their filter rules.
+ *
+ * On each tick TokenScreening.scanNewTokens() discovers and vets new listings; every
+ * listing that passes is checked against the conditions of each active filter rule
+ * with RuleEngine.evaluateCriteria, and the rule's owner gets one alert per rule and
+ * token with buy buttons that execute straight away.
+ */
+class ListingAlertService {
+    constructor(config, db, telegramBot, ruleEngine) {
+        this.config = config;
+        this.db = db;
+        this.telegramBot = telegramBot;
+        this.ruleEngine = ruleEngine;
+        this.tokenScreening = new TokenScreening(config, db);
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+        this.isWatching = false;
+        this.isScanning = false;
+        this.watchInterval = null;
+        this.scanIntervalMs = (config.listingScanner && config.listingScanner.intervalMs) || 60000;
+    }
+
+    /**
+     * Start the listing scanner
+     */
+    startWatching() {
+        if (this.isWatching) {
+            this.logger.info('Listing scanner already running');
+            return;
+        }
+
+        this.isWatching = true;
+        this.watchInterval = setInterval(async () => {
+            try {
+                await this.scanListings();
+            } catch (error) {
+                this.logger.error(`Error in listing scanner: ${error.message}`);
+            }
+        }, this.scanIntervalMs);
+
+        this.logger.info(`Listing scanner started (${this.scanIntervalMs}ms interval)`);
+    }
+
+    /**
+     * Stop the listing scanner
+     */
+    stopWatching() {
+        if (this.watchInterval) {
+            clearInterval(this.watchInterval);
+            this.watchInterval = null;
+        }
+        this.isWatching = false;
+        this.logger.info('Listing scanner stopped');
+    }
+
+    async scanListings() {
+        // Skip the tick if the previous scan is still evaluating listings
+        if (this.isScanning) {
+            return { listings: 0, alerts: 0 };
+        }
+        this.isScanning = true;
+
+        try {
+            const listings = await this.tokenScreening.scanNewTokens();
+            if (listings.length === 0) {
+                return { listings: 0, alerts: 0 };
+            }
+
+            const rules = [];
+            for (const rule of this.db.getListingScreeningRules()) {
+                const conditions = await this.db.getRuleConditions(rule.id);
+                // A rule without conditions would match every listing
+                if (conditions.length > 0) {
+                    rules.push({ ...rule, conditions });
+                }
+            }
+
+            let alerts = 0;
+            for (const { tokenData } of listings) {
+                for (const rule of rules) {
+                    if (await this.matchAndAlert(rule, tokenData)) {
+                        alerts++;
+                    }
+                }
+            }
+            this.logger.info(`Listing scan: ${listings.length} new listings passed, ${alerts} alerts sent`);
+            return { listings: listings.length, alerts };
+        } finally {
+            this.isScanning = false;
+        }
+    }
+
+    async matchAndAlert(rule, tokenData) {
+        try {
+            if (!(await this.ruleEngine.evaluateCriteria(rule.conditions, tokenData))) {
+                return false;
+            }
+            if (!this.db.recordListingAlert(rule.id, rule.user_id, tokenData.address)) {
+                return false;
+            }
+            await this.ruleEngine.recordRuleTrigger(rule.id, tokenData.address, tokenData);
+            await this.sendAlert(rule, tokenData);
+            return true;
+        } catch (error) {
+            this.logger.error(`Error matching listing ${tokenData.address} against rule ${rule.id}: ${error.message}`);
+            return false;
+        }
+    }
+
+    async sendAlert(rule, tokenData) {
+        if (!this.telegramBot) {
+            return;
+        }
+        const usd = (value) => (value ? `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: value < 1 ? 8 : 0 })}` : 'Unknown');
+        const riskLines = tokenData.risks.slice(0, 3).map(risk => `\n  • ${escapeMarkdown(risk.name)}${risk.level ? ` (${risk.level})` : ''}`).join('');
+
+        const message = `
+🆕 *New listing matches your rule "${escapeMarkdown(rule.name)}"*
+
+🔹 *${escapeMarkdown(tokenData.name)}*${tokenData.symbol ? ` (${escapeMarkdown(tokenData.symbol)})` : ''}
+📍 \`${tokenData.address}\`
+
+*Source:* ${tokenData.source === 'raydium' ? 'New Raydium pool' : 'New on Jupiter'}${tokenData.listedAt ? ` at ${tokenData.listedAt} UTC` : ''}
+*Price:* ${usd(tokenData.price)}
+*Market Cap:* ${usd(tokenData.marketCap)}
+*Liquidity:* ${usd(tokenData.liquidity)}
+*RugCheck Score:* ${tokenData.riskScore ?? 'Unknown'}/100${riskLines}
+
+_New tokens are high risk. Buy buttons execute immediately from your active wallet._`;
+
+        await this.telegramBot.sendMessage(rule.telegram_id, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_markup: {
+                inline_keyboard: [
+                    ALERT_BUY_AMOUNTS.map(amount => ({
+                        text: `🛒 Buy ${amount} SOL`,
+                        callback_data: `confirm_buy_${tokenData.address}_${amount}`
+                    })),
+                    [{ text: '📊 Token Details', callback_data: `token_details_${tokenData.address}` }]
+                ]
+            }
+        });
+    }
+}
+
+module.exports = ListingAlertService;
@@ -0,0 +1,153 @@
+const axios = require('axios');
+const { Connection, PublicKey } = require('@solana/web3.js');
+const winston = require('winston');
+
+const JUPITER_RECENT_URL = 'https://lite-api.jup.ag/tokens/v2/recent';
+
+// Raydium charges a creation fee to these accounts for every new pool, so their
+// signatures are a cheap feed of pool creations: AMM v4 and CPMM respectively
+const RAYDIUM_POOL_FEE_ACCOUNTS = [
+    '7YttLkHDoNj9wyDur5pM1ejNaAvT9X4eqaYcHQqtj2G5',
+    'DNXgeM9EiiaAbaWvwjHj9fQQLAX5ZsfHyvmYUNRAdNC8'
+];
+
+// Quote side of a new pool; the other mint is the listing
+const QUOTE_MINTS = new Set([
+    'So11111111111111111111111111111111111111112',
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+]);
+
+/**
+ * Finds tokens that were just listed on Solana: new Raydium pools, read from the
+ * pool creation fee accounts, and mints Jupiter has newly started routing. Every
+ * listing is recorded once in token_listings; TokenScreening.scanNewTokens() then
+ * evaluates what is new.
+ */
+class ListingDiscoveryService {
+    constructor(config, db) {
+        this.config = config;
+        this.db = db;
+        this.connection = new Connection(config.rpcEndpoint);
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+
+        const scanner = config.listingScanner || {};
+        this.maxAgeMinutes = scanner.maxAgeMinutes || 30;
+        this.signatureLimit = scanner.signatureLimit || 25;
+        // Newest signature seen per fee account, so each poll only fetches new pool creations
+        this.lastSignatures = new Map();
+    }
+
+    /**
+     * Poll both sources and record listings not seen before
+     * @returns {Promise<Array>} The newly recorded listings
+     */
+    async discoverNewListings() {
+        const [raydium, jupiter] = await Promise.all([
+            this.fetchRaydiumListings().catch(error => {
+                this.logger.error(`Error fetching new Raydium pools: ${error.message}`);
+                return [];
+            }),
+            this.fetchJupiterListings().catch(error => {
+                this.logger.error(`Error fetching recent Jupiter listings: ${error.message}`);
+                return [];
+            })
+        ]);
+
+        // A token found by both sources is recorded under the first one
+        const byMint = new Map();
+        for (const listing of [...raydium, ...jupiter]) {
+            if (!byMint.has(listing.tokenAddress)) {
+                byMint.set(listing.tokenAddress, listing);
+            }
+        }
+        const recorded = this.db.recordTokenListings([...byMint.values()]);
+        if (recorded.length > 0) {
+            this.logger.info(`Discovered ${recorded.length} new token listings`);
+        }
+        return recorded;
+    }
+
+    isRecent(timestampMs) {
+        return Boolean(timestampMs) && Date.now() - timestampMs <= this.maxAgeMinutes * 60 * 1000;
+    }
+
+    async fetchRaydiumListings() {
+        const listings = [];
+        for (const feeAccount of RAYDIUM_POOL_FEE_ACCOUNTS) {
+            const until = this.lastSignatures.get(feeAccount);
+            const signatures = await this.connection.getSignaturesForAddress(
+                new PublicKey(feeAccount),
+                { limit: this.signatureLimit, ...(until ? { until } : {}) }
+            );
+            if (signatures.length > 0) {
+                this.lastSignatures.set(feeAccount, signatures[0].signature);
+            }
+
+            for (const { signature, err, blockTime } of signatures) {
+                if (err || !this.isRecent(blockTime * 1000)) {
+                    continue;
+                }
+                try {
+                    const tokenAddress = await this.getPoolTokenMint(signature);
+                    if (tokenAddress) {
+                        listings.push({
+                            tokenAddress,
+                            source: 'raydium',
+                            reference: signature,
+                            listedAt: new Date(blockTime * 1000).toISOString().replace('T', ' ').slice(0, 19)
+                        });
+                    }
+                } catch (error) {
+                    this.logger.error(`Error reading pool creation ${signature}: ${error.message}`);
+                }
+            }
+        }
+        return listings;
+    }
+
+    // The non-quote mint funded in a pool creation transaction
+    async getPoolTokenMint(signature) {
+        const transaction = await this.connection.getTransaction(signature, {
+            maxSupportedTransactionVersion: 0,
+            commitment: 'confirmed'
+        });
+        const balances = (transaction && transaction.meta && transaction.meta.postTokenBalances) || [];
+        const mints = [...new Set(balances.map(balance => balance.mint))].filter(mint => !QUOTE_MINTS.has(mint));
+        // Pools between two non-quote tokens are skipped; there is no way to tell which one is new
+        return mints.length === 1 ? mints[0] : null;
+    }
+
+    async fetchJupiterListings() {
+        const response = await axios.get(JUPITER_RECENT_URL, {
+            headers: { 'Accept': 'application/json' },
+            timeout: 15000
+        });
+        const tokens = Array.isArray(response.data) ? response.data : (response.data?.data || []);
+
+        return tokens
+            .filter(token => token.id && !QUOTE_MINTS.has(token.id))
+            .map(token => ({
+                tokenAddress: token.id,
+                source: 'jupiter',
+                reference: token.firstPool?.id || null,
+                name: token.name,
+                symbol: token.symbol,
+                createdAt: token.firstPool?.createdAt ? new Date(token.firstPool.createdAt).getTime() : null
+            }))
+            .filter(listing => this.isRecent(listing.createdAt))
+            .map(({ createdAt, ...listing }) => ({
+                ...listing,
+                listedAt: new Date(createdAt).toISOString().replace('T', ' ').slice(0, 19)
+            }));
+    }
+}
+
+module.exports = ListingDiscoveryService;
@@ -1,6 +1,14 @@
 const { PublicKey } = require('@solana/web3.js');
 const { Keypair } = require('@solana/web3.js');
 const bs58 = require('bs58');
+const WalletKeystore = require('./walletKeystore');
+const TradingSessionService = require('./tradingSessionService');
+const PriceOracle = require('./priceOracle');
+const MarketDataService = require('./marketDataService');
+const TimeExits = require('../utils/timeExits');
+
+// 24h volume only moves slowly, so low-volume exits re-check it at most this often
+const VOLUME_CHECK_INTERVAL_MS = 5 * 60 * 1000;
 
 // Utility sleep function for throttling API calls
 function sleep(ms) {
@@ -20,6 +28,11 @@ class ManualManagementService {
         this.lastBuyCheck = Date.now(); // Track last time we checked for new buys
         this.buyMonitorInterval = null;
         this.pendingSells = new Set(); // Track tokens currently being sold
+        this.keystore = new WalletKeystore(config, db);
+        this.tradingSessionService = new TradingSessionService(config, db, telegramBot);
+        this.sessionHeldSells = new Set(); // Positions whose owner was told an exit is waiting on an unlock
+        this.priceOracle = new PriceOracle(config);
+        this.marketDataService = new MarketDataService(config);
     }
 
     /**
@@ -34,6 +47,11 @@ class ManualManagementService {
         this.isMonitoring = true;
         this.logger.info('Starting manual management monitoring...');
 
+        // Pick up where the last run left off before the rules are reloaded,
+        // so trailing stops keep their high-water marks
+        this.restoreMonitoredPositions();
+        await this.reconcilePositions();
+
         // Initial load of all active manual management rules
         await this.loadActiveManualManagementRules();
 
@@ -70,10 +88,131 @@ class ManualManagementService {
             this.buyMonitorInterval = null;
         }
         this.isMonitoring = false;
+        // Stored positions are kept so the next startMonitoring() can restore them
         this.monitoredTokens.clear();
         this.logger.info('Manual management monitoring stopped');
     }
 
+    /**
+     * Reload positions saved by a previous run. Stored rows are kept when monitoring
+     * stops, so a restart resumes with the same conditions and high-water marks.
+     */
+    restoreMonitoredPositions() {
+        try {
+            const positions = this.db.getManagedPositions();
+            for (const position of positions) {
+                let conditions;
+                try {
+                    conditions = JSON.parse(position.conditions);
+                } catch (error) {
+                    this.logger.warn(`Dropping stored position ${position.token_address} for user ${position.user_id}: unreadable conditions`);
+                    this.db.deleteManagedPosition(position.user_id, position.token_address);
+                    continue;
+                }
+
+                const tokenKey = `${position.user_id}-${position.token_address}`;
+                this.monitoredTokens.set(tokenKey, {
+                    userId: position.user_id,
+                    ruleId: position.rule_id,
+                    walletAddress: position.wallet_address,
+                    conditions,
+                    buyPrice: position.buy_price,
+                    highestPrice: position.highest_price,
+                    tokenAmount: position.token_amount,
+                    lastChecked: Date.now(),
+                    symbol: position.symbol || 'UNKNOWN',
+                    tokenAddress: position.token_address,
+                    ladderRungsFilled: position.ladder_rungs_filled || 0,
+                    initialTokenAmount: position.initial_token_amount || position.token_amount,
+                    breakevenStop: !!position.breakeven_stop,
+                    openedAt: new Date((position.opened_at || position.created_at) + 'Z').getTime(),
+                    interruptedSell: !!position.sell_pending
+                });
+            }
+            this.logger.info(`Restored ${positions.length} monitored positions from the database`);
+        } catch (error) {
+            this.logger.error('Error restoring monitored positions:', error);
+        }
+    }
+
+    /**
+     * Compare restored positions against what each wallet actually holds. Positions
+     * sold while the bot was down are dropped and amounts are brought up to date.
+     * Sell locks left by a crash are cleared: if the tokens are still there the sell
+     * never landed and the conditions are checked again.
+     */
+    async reconcilePositions() {
+        for (const tokenData of this.monitoredTokens.values()) {
+            const { userId, tokenAddress } = tokenData;
+            try {
+                const held = await this.getHeldAmount(tokenData);
+                if (held === null) {
+                    // Balance unknown (e.g. RPC down); keep watching rather than drop a stop-loss
+                    this.logger.warn(`Could not confirm balance of ${tokenAddress} for user ${userId}; keeping stored position`);
+                } else if (!(held > 0)) {
+                    this.logger.info(`Token ${tokenAddress} no longer held by user ${userId}; removing from monitoring`);
+                    this.removeTokenFromMonitoring(userId, tokenAddress);
+                    continue;
+                } else if (held !== tokenData.tokenAmount) {
+                    this.logger.info(`Balance of ${tokenAddress} for user ${userId} changed from ${tokenData.tokenAmount} to ${held}`);
+                    tokenData.tokenAmount = held;
+                    this.db.updateManagedPositionAmount(userId, tokenAddress, held);
+                }
+
+                if (tokenData.interruptedSell) {
+                    this.logger.warn(`Sell of ${tokenAddress} for user ${userId} was interrupted by a restart; re-checking its conditions`);
+                    this.db.setManagedPositionSellPending(userId, tokenAddress, false);
+                    delete tokenData.interruptedSell;
+                }
+            } catch (error) {
+                this.logger.error(`Error reconciling position ${tokenAddress} for user ${userId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Tokens the position's wallet holds right now, or null if that cannot be determined
+     */
+    async getHeldAmount(tokenData) {
+        const wallets = await this.db.getWalletsByUserId(tokenData.userId);
+        const wallet = wallets.find(w => w.public_key === tokenData.walletAddress);
+        if (!wallet) {
+            return 0; // Wallet was deleted, so nothing is left to manage
+        }
+        if (wallet.is_paper) {
+            const paperPosition = this.db.getPaperPosition(wallet.id, tokenData.tokenAddress);
+            return paperPosition ? paperPosition.amount : 0;
+        }
+        if (!this.tradingExecution || !this.tradingExecution.connection) {
+            return null;
+        }
+
+        // Query the RPC directly: getTokenBalance() reports failures as a zero balance
+        try {
+            const tokenAccounts = await this.tradingExecution.connection.getParsedTokenAccountsByOwner(
+                new PublicKey(tokenData.walletAddress),
+                { mint: new PublicKey(tokenData.tokenAddress) }
+            );
+            return tokenAccounts.value.reduce((sum, account) =>
+                sum + (account.account.data.parsed.info.tokenAmount.uiAmount || 0), 0);
+        } catch (error) {
+            this.logger.warn(`Balance lookup failed for ${tokenData.tokenAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Save a monitored position so it survives a restart. Failures are logged, never thrown,
+     * so a database hiccup cannot stop the in-memory monitoring.
+     */
+    persistPosition(tokenData) {
+        try {
+            this.db.saveManagedPosition(tokenData);
+        } catch (error) {
+            this.logger.error(`Error saving monitored position ${tokenData.tokenAddress}:`, error);
+        }
+    }
+
     /**
      * Load all active manual management rules and their associated tokens
      */
@@ -181,6 +320,11 @@ class ManualManagementService {
                     case 'manual_take_profit':
                     case 'management_take_profit':
                         manualConditions.takeProfit = value.percentage;
+                        if (Array.isArray(value.ladder) && value.ladder.length > 0) {
+                            // [{ percentage: gain %, sellPercent: % of the initial position }], lowest rung first
+                            manualConditions.takeProfitLadder = value.ladder;
+                            manualConditions.breakevenAfterFirstRung = value.breakevenAfterFirstRung !== false;
+                        }
                         break;
                     case 'manual_stop_loss':
                     case 'management_stop_loss':
@@ -196,6 +340,8 @@ class ManualManagementService {
             }
         }
 
+        Object.assign(manualConditions, TimeExits.parseConditions(conditions));
+
         return Object.keys(manualConditions).length > 0 ? manualConditions : null;
     }
 
@@ -277,31 +423,25 @@ class ManualManagementService {
                     
                     // Always fetch the most recent buy trade for this token and user
                     let buyPrice = null;
+                    let boughtAt = null;
                     try {
                         const stmt = this.db.db.prepare(`
-                            SELECT price FROM trades
+                            SELECT price, timestamp FROM trades
                             WHERE user_id = ? AND token_address = ? AND side = 'buy'
                             ORDER BY timestamp DESC LIMIT 1
                         `);
                         const lastBuy = stmt.get(userId, tokenAddress);
                         if (lastBuy && lastBuy.price) {
                             buyPrice = lastBuy.price;
+                            boughtAt = new Date(lastBuy.timestamp + 'Z').getTime() || null;
                         }
                     } catch (e) {
                         this.logger.error(`Error fetching last buy price for ${tokenAddress}:`, e);
                     }
 
-                    // Always fetch the current price from DexScreener API
                     let currentPrice = null;
                     try {
-                        currentPrice = await this.getCurrentPriceFromDexScreener(tokenAddress);
-                        if (!currentPrice) {
-                            // Fallback to TokenDataService
-                            const TokenDataService = require('./tokenDataService');
-                            const tokenDataService = new TokenDataService(this.config);
-                            const tokenData = await tokenDataService.getTokenData(tokenAddress);
-                            currentPrice = tokenData?.price;
-                        }
+                        currentPrice = await this.priceOracle.getPrice(tokenAddress);
                     } catch (error) {
                         this.logger.warn(`Error getting current price for ${tokenAddress}:`, error.message);
                     }
@@ -315,18 +455,26 @@ class ManualManagementService {
                     // Only monitor if we have a buy price (from trade or fallback)
                     if (buyPrice && currentPrice) {
                         const tokenKey = `${userId}-${tokenAddress}`;
-                        this.monitoredTokens.set(tokenKey, {
+                        // Keep the high-water mark and ladder progress of a position restored from the last run
+                        const existing = this.monitoredTokens.get(tokenKey);
+                        const tokenData = {
                             userId,
                             ruleId,
                             walletAddress,
                             conditions,
                             buyPrice, // from trade or fallback
-                            highestPrice: Math.max(buyPrice, currentPrice),
+                            highestPrice: Math.max(buyPrice, currentPrice, existing ? existing.highestPrice : 0),
                             tokenAmount: token.amount,
                             lastChecked: Date.now(),
                             symbol: token.symbol || 'UNKNOWN',
-                            tokenAddress
-                        });
+                            tokenAddress,
+                            ladderRungsFilled: existing ? existing.ladderRungsFilled : 0,
+                            initialTokenAmount: existing ? existing.initialTokenAmount : token.amount,
+                            breakevenStop: existing ? existing.breakevenStop : false,
+                            openedAt: existing ? existing.openedAt : (boughtAt || Date.now())
+                        };
+                        this.monitoredTokens.set(tokenKey, tokenData);
+                        this.persistPosition(tokenData);
                         this.logger.info(`Added token ${tokenAddress} (${token.symbol || 'UNKNOWN'}) to manual management monitoring (buy: ${buyPrice}, current: ${currentPrice})`);
                     } else {
                         this.logger.warn(`Skipping token ${tokenAddress}: missing buy price and/or current price`);
@@ -349,9 +497,6 @@ class ManualManagementService {
         }
 
         this.logger.info(`Checking ${this.monitoredTokens.size} monitored tokens for sell conditions...`);
-        
-        const TokenDataService = require('./tokenDataService');
-        const tokenDataService = new TokenDataService(this.config);
 
         for (const [tokenKey, tokenData] of this.monitoredTokens) {
             try {
@@ -364,30 +509,13 @@ class ManualManagementService {
                 }
                 this.logger.info(`Checking token ${tokenAddress} for user ${tokenData.userId} with conditions:`, tokenData.conditions);
 
-                // Get current token price using DexScreener API first, then fallback
-                let currentPrice = null;
-                try {
-                    currentPrice = await this.getCurrentPriceFromDexScreener(tokenAddress);
-                } catch (error) {
-                    this.logger.warn(`DexScreener API failed for ${tokenAddress}, trying TokenDataService:`, error.message);
-                }
-
-                // Fallback to TokenDataService if DexScreener fails
-                if (!currentPrice) {
-                    try {
-                        const TokenDataService = require('./tokenDataService');
-                        const tokenDataService = new TokenDataService(this.config);
-                        const currentTokenData = await tokenDataService.getTokenData(tokenAddress, true);
-                        currentPrice = currentTokenData?.price;
-                    } catch (error) {
-                        this.logger.warn(`TokenDataService also failed for ${tokenAddress}:`, error.message);
-                    }
-                }
-
-                if (!currentPrice) {
-                    this.logger.warn(`No price data available for token ${tokenAddress} from any source`);
+                const quote = await this.priceOracle.getQuote(tokenAddress);
+                if (!quote.usable) {
+                    // A stale or divergent print must never trigger a stop-loss or trailing stop
+                    this.logger.warn(`Skipping sell checks for ${tokenAddress}: ${PriceOracle.describe(quote)}`);
                     continue;
                 }
+                const currentPrice = quote.price;
 
                 const buyPrice = tokenData.buyPrice;
                 const priceChange = ((currentPrice - buyPrice) / buyPrice) * 100;
@@ -397,6 +525,7 @@ class ManualManagementService {
                 // Update highest price for trailing stop
                 if (currentPrice > tokenData.highestPrice) {
                     tokenData.highestPrice = currentPrice;
+                    this.db.updateManagedPositionHighWater(tokenData.userId, tokenAddress, currentPrice);
                     this.logger.info(`Updated highest price for ${tokenAddress}: ${currentPrice}`);
                 }
 
@@ -405,10 +534,16 @@ class ManualManagementService {
                 if (shouldSell && shouldSell.shouldSell) {
                     this.logger.info(`Sell condition met for ${tokenAddress}: ${shouldSell.reason} (${shouldSell.percentage ? shouldSell.percentage.toFixed(2) : ''}%)`);
                     this.pendingSells.add(tokenKey); // Mark as pending
+                    this.db.setManagedPositionSellPending(tokenData.userId, tokenAddress, true);
                     const sellResult = await this.executeSell(tokenAddress, tokenData, currentPrice, shouldSell);
                     // Only remove from monitoring if sell was successful
-                    if (sellResult && sellResult.success) {
+                    if (sellResult && sellResult.success && shouldSell.partial) {
+                        this.recordLadderFill(tokenData, shouldSell);
+                        this.db.setManagedPositionSellPending(tokenData.userId, tokenAddress, false);
+                    } else if (sellResult && sellResult.success) {
                         this.removeTokenFromMonitoring(tokenData.userId, tokenAddress);
+                    } else {
+                        this.db.setManagedPositionSellPending(tokenData.userId, tokenAddress, false);
                     }
                     this.pendingSells.delete(tokenKey); // Remove pending status regardless of result
                 }
@@ -429,12 +564,23 @@ class ManualManagementService {
     async checkSellConditions(tokenAddress, tokenData, currentPrice, priceChange) {
         const { conditions, buyPrice, highestPrice } = tokenData;
 
-        // Check take profit
-        if (conditions.takeProfit && priceChange >= conditions.takeProfit) {
+        // Check take profit: a ladder sells one rung at a time, otherwise the whole position goes
+        if (conditions.takeProfitLadder) {
+            const rungDecision = this.checkLadderRung(tokenAddress, tokenData, priceChange);
+            if (rungDecision) {
+                return rungDecision;
+            }
+        } else if (conditions.takeProfit && priceChange >= conditions.takeProfit) {
             this.logger.info(`Take profit triggered for ${tokenAddress}: ${priceChange.toFixed(2)}% >= ${conditions.takeProfit}%`);
             return { shouldSell: true, reason: 'take_profit', percentage: priceChange };
         }
 
+        // Once a ladder rung has been banked the stop sits at the buy price
+        if (tokenData.breakevenStop && priceChange <= 0) {
+            this.logger.info(`Breakeven stop triggered for ${tokenAddress}: ${priceChange.toFixed(2)}% <= 0%`);
+            return { shouldSell: true, reason: 'breakeven_stop', percentage: priceChange };
+        }
+
         // Check stop loss
         if (conditions.stopLoss && priceChange <= -conditions.stopLoss) {
             this.logger.info(`Stop loss triggered for ${tokenAddress}: ${priceChange.toFixed(2)}% <= -${conditions.stopLoss}%`);
@@ -451,15 +597,101 @@ class ManualManagementService {
             }
         }
 
+        // Check time-based exits
+        const heldHours = (Date.now() - (tokenData.openedAt || Date.now())) / (60 * 60 * 1000);
+        const timeExit = TimeExits.check(conditions, {
+            heldHours,
+            priceChange,
+            volume24h: conditions.minVolume24h ? await this.getVolume24h(tokenData) : null
+        });
+        if (timeExit) {
+            this.logger.info(`Time exit triggered for ${tokenAddress}: ${timeExit.detail}`);
+            return { shouldSell: true, reason: timeExit.reason, percentage: priceChange, detail: timeExit.detail };
+        }
+
         return { shouldSell: false };
     }
 
+    /**
+     * Token's 24h volume in USD, refreshed at most every VOLUME_CHECK_INTERVAL_MS.
+     * Returns the last known value (or null) when the lookup fails.
+     */
+    async getVolume24h(tokenData) {
+        if (tokenData.volumeCheckedAt && Date.now() - tokenData.volumeCheckedAt < VOLUME_CHECK_INTERVAL_MS) {
+            return tokenData.volume24h;
+        }
+        tokenData.volumeCheckedAt = Date.now();
+        try {
+            const snapshots = await this.marketDataService.getTokenSnapshots([tokenData.tokenAddress]);
+            const snapshot = snapshots.get(tokenData.tokenAddress);
+            if (snapshot) {
+                tokenData.volume24h = snapshot.volume24h;
+            }
+        } catch (error) {
+            this.logger.warn(`Could not fetch volume for ${tokenData.tokenAddress}:`, error.message);
+        }
+        return tokenData.volume24h !== undefined ? tokenData.volume24h : null;
+    }
+
+    /**
+     * Next take-profit rung, if the price has reached it. Rungs are sized against the
+     * initial position so each one sells the same share however many have filled.
+     */
+    checkLadderRung(tokenAddress, tokenData, priceChange) {
+        const ladder = tokenData.conditions.takeProfitLadder;
+        const rungIndex = tokenData.ladderRungsFilled || 0;
+        const rung = ladder[rungIndex];
+        if (!rung || priceChange < rung.percentage) {
+            return null;
+        }
+
+        const initialAmount = tokenData.initialTokenAmount || tokenData.tokenAmount;
+        const sellAmount = Math.min(initialAmount * rung.sellPercent / 100, tokenData.tokenAmount);
+        // A rung that would leave nothing (or dust) behind closes the position instead
+        const partial = tokenData.tokenAmount - sellAmount > tokenData.tokenAmount * 0.001;
+
+        this.logger.info(`Take profit rung ${rungIndex + 1}/${ladder.length} triggered for ${tokenAddress}: ${priceChange.toFixed(2)}% >= ${rung.percentage}%, selling ${rung.sellPercent}% of the position`);
+        return {
+            shouldSell: true,
+            reason: 'take_profit_rung',
+            percentage: priceChange,
+            rung: rungIndex + 1,
+            sellAmount: partial ? sellAmount : tokenData.tokenAmount,
+            partial
+        };
+    }
+
+    /**
+     * Book a partial take-profit sell against the position and keep watching the rest
+     */
+    recordLadderFill(tokenData, sellDecision) {
+        tokenData.tokenAmount -= sellDecision.sellAmount;
+        tokenData.ladderRungsFilled = sellDecision.rung;
+        if (tokenData.conditions.breakevenAfterFirstRung) {
+            tokenData.breakevenStop = true;
+        }
+        try {
+            this.db.updateManagedPositionLadder(
+                tokenData.userId,
+                tokenData.tokenAddress,
+                tokenData.ladderRungsFilled,
+                tokenData.tokenAmount,
+                tokenData.breakevenStop
+            );
+        } catch (error) {
+            this.logger.error(`Error saving ladder progress for ${tokenData.tokenAddress}:`, error);
+        }
+        this.logger.info(`Rung ${sellDecision.rung} filled for ${tokenData.tokenAddress}; ${tokenData.tokenAmount} tokens still managed${tokenData.breakevenStop ? ', stop moved to breakeven' : ''}`);
+    }
+
     /**
      * Execute sell order when conditions are met
      */
     async executeSell(tokenAddress, tokenData, currentPrice, sellReason) {
         try {
-            const { userId, walletAddress, tokenAmount, conditions, telegramId } = tokenData;
+            const { userId, walletAddress, conditions } = tokenData;
+            // Ladder rungs sell part of the position; every other exit sells all of it
+            const tokenAmount = sellReason.sellAmount || tokenData.tokenAmount;
 
             // Get user's wallet (userId is already the user ID, not telegram ID)
             const activeWallet = await this.db.getActiveWallet(userId);
@@ -469,21 +701,16 @@ class ManualManagementService {
                 return { success: false, error: 'Wallet not available or locked' };
             }
 
-            // You need to get telegramId for this user
-            let userTelegramId = telegramId;
-            if (!userTelegramId) {
-                // Fetch from users table if not present
-                const stmt = this.db.db.prepare('SELECT telegram_id FROM users WHERE id = ?');
-                const user = stmt.get(userId);
-                if (!user) {
-                    this.logger.error(`User not found for ID: ${userId}`);
-                    return { success: false, error: 'User not found' };
-                }
-                userTelegramId = user.telegram_id;
+            // Passphrase wallets only sign while their trading session is live
+            if (!this.tradingSessionService.canSign(activeWallet)) {
+                this.logger.warn(`No live trading session for wallet ${activeWallet.id}, holding ${sellReason.reason} sell of ${tokenAddress}`);
+                await this.notifySellHeld(userId, tokenAddress, sellReason);
+                return { success: false, error: 'Trading session expired. Unlock your wallet to resume managed exits.' };
             }
+            this.sessionHeldSells.delete(`${userId}-${tokenAddress}`);
 
             // Decrypt wallet
-            const decryptedKey = this.decryptPrivateKey(activeWallet.encrypted_private_key, userTelegramId);
+            const decryptedKey = this.keystore.decryptWalletKey(activeWallet);
             const privateKeyBuffer = Buffer.from(decryptedKey, 'base64');
             const keypair = Keypair.fromSecretKey(privateKeyBuffer);
 
@@ -495,7 +722,9 @@ class ManualManagementService {
                 userId,
                 tokenAddress,
                 tokenAmount,
-                keypair
+                keypair,
+                undefined,
+                { ruleId: tokenData.ruleId, strategy: 'manual_management' }
             );
 
             if (result.success) {
@@ -515,12 +744,17 @@ class ManualManagementService {
                     price: result.tokenPrice,
                     solReceived: result.solReceived,
                     reason: sellReason.reason,
+                    rung: sellReason.rung,
+                    partial: sellReason.partial,
+                    detail: sellReason.detail,
                     conditions,
                     signature: result.signature
                 });
 
                 // --- Mark as sold in DB to prevent re-monitoring ---
-                await this.markTokenAsSold(userId, tokenAddress);
+                if (!sellReason.partial) {
+                    await this.markTokenAsSold(userId, tokenAddress);
+                }
 
                 // --- Charge fees only on successful trade ---
                 if (this.feeService && typeof this.feeService.chargeFee === 'function') {
@@ -544,6 +778,36 @@ class ManualManagementService {
         }
     }
 
+    /**
+     * Tell the user once per position that an exit fired but is waiting for them to unlock.
+     * The position stays monitored, so the exit runs on the first check after the unlock.
+     */
+    async notifySellHeld(userId, tokenAddress, sellReason) {
+        const tokenKey = `${userId}-${tokenAddress}`;
+        if (this.sessionHeldSells.has(tokenKey)) {
+            return;
+        }
+        this.sessionHeldSells.add(tokenKey);
+        try {
+            const user = this.db.db.prepare('SELECT telegram_id FROM users WHERE id = ?').get(userId);
+            if (!user || !this.telegramBot) {
+                return;
+            }
+            const reason = sellReason.reason.replace(/_/g, ' ').toUpperCase();
+            await this.telegramBot.sendMessage(user.telegram_id, `
+*⏸ Manual Management Sell Waiting*
+
+*Token:* ${tokenAddress.slice(0, 8)}...${tokenAddress.slice(-8)}
+*Reason:* ${reason}
+
+Your trading session has expired, so the sell could not be signed. Unlock your wallet to let it go through; the position is still being watched.`, {
+                parse_mode: 'Markdown'
+            });
+        } catch (error) {
+            this.logger.error('Error sending held sell notification:', error);
+        }
+    }
+
     /**
      * Send notification about executed sell
      */
@@ -566,20 +830,28 @@ class ManualManagementService {
                 signatureStr = sellData.signature.signature;
             }
 
+            const ladder = sellData.conditions.takeProfitLadder;
+            let reason = sellData.reason.replace(/_/g, ' ').toUpperCase();
+            if (sellData.rung && ladder) {
+                reason += ` ${sellData.rung}/${ladder.length}`;
+            }
+
             const message = `
-*🤖 Manual Management Sell Executed*
+*🤖 Manual Management ${sellData.partial ? 'Partial ' : ''}Sell Executed*
 
 *Token:* ${sellData.tokenAddress.slice(0, 8)}...${sellData.tokenAddress.slice(-8)}
 *Amount Sold:* ${sellData.tokenAmount.toFixed(6)}
 *Price:* ${sellData.price.toFixed(8)} SOL
 *SOL Received:* ${sellData.solReceived.toFixed(4)} SOL
 
-*Reason:* ${sellData.reason.replace('_', ' ').toUpperCase()}
+*Reason:* ${reason}${sellData.detail ? ` (${sellData.detail})` : ''}${sellData.partial ? '\n_The rest of the position is still being managed._' : ''}
 
 *Conditions Applied:*
-${sellData.conditions.takeProfit ? `• Take Profit: ${sellData.conditions.takeProfit}%` : ''}
+${ladder ? `• Take Profit Ladder: ${ManualManagementService.formatLadder(ladder)}` : ''}
+${!ladder && sellData.conditions.takeProfit ? `• Take Profit: ${sellData.conditions.takeProfit}%` : ''}
 ${sellData.conditions.stopLoss ? `• Stop Loss: ${sellData.conditions.stopLoss}%` : ''}
 ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.trailingStop}%` : ''}
+${TimeExits.describe(sellData.conditions).map(exit => `• ${exit}`).join('\n')}
 
 *Transaction:* [View on Solscan](https://solscan.io/tx/${signatureStr})`;
             
@@ -593,24 +865,6 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
         }
     }
 
-    /**
-     * Decrypt private key (always use telegramId as password)
-     */
-    decryptPrivateKey(encryptedPrivateKey, telegramId) {
-        if (!encryptedPrivateKey) throw new Error('No private key provided');
-        const crypto = require('crypto');
-        const [ivHex, encrypted] = encryptedPrivateKey.split(':');
-        if (!ivHex || !encrypted) {
-            throw new Error('Invalid encrypted data format');
-        }
-        const iv = Buffer.from(ivHex, 'hex');
-        const key = crypto.scryptSync(telegramId.toString(), 'salt', 32);
-        const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        return decrypted; // base64 string
-    }
-
     /**
      * Add a specific token to monitoring after a manual buy
      */
@@ -675,7 +929,7 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
             }
 
             // Add token to monitoring with unique key
-            this.monitoredTokens.set(tokenKey, {
+            const tokenData = {
                 userId,
                 ruleId,
                 walletAddress: activeWallet.public_key,
@@ -684,8 +938,14 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
                 highestPrice: buyPrice,
                 tokenAmount,
                 lastChecked: Date.now(),
-                tokenAddress
-            });
+                tokenAddress,
+                ladderRungsFilled: 0,
+                initialTokenAmount: tokenAmount,
+                breakevenStop: false,
+                openedAt: Date.now()
+            };
+            this.monitoredTokens.set(tokenKey, tokenData);
+            this.persistPosition(tokenData);
 
             this.logger.info(`✅ Added token ${tokenAddress} to monitoring for user ${userId}, rule ${ruleId}`);
             this.logger.info(`📊 Monitoring conditions:`, conditions);
@@ -700,6 +960,11 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
      */
     removeTokenFromMonitoring(userId, tokenAddress) {
         const tokenKey = `${userId}-${tokenAddress}`;
+        try {
+            this.db.deleteManagedPosition(userId, tokenAddress);
+        } catch (error) {
+            this.logger.error(`Error deleting stored position ${tokenAddress}:`, error);
+        }
         if (this.monitoredTokens.has(tokenKey)) {
             this.monitoredTokens.delete(tokenKey);
             this.logger.info(`🗑️ Removed token ${tokenAddress} from monitoring for user ${userId}`);
@@ -897,6 +1162,13 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
         }
     }
 
+    /**
+     * "25% at +50%, 25% at +100%"
+     */
+    static formatLadder(ladder) {
+        return ladder.map(rung => `${rung.sellPercent}% at +${rung.percentage}%`).join(', ');
+    }
+
     /**
      * Get monitoring status
      */
@@ -965,37 +1237,6 @@ ${sellData.conditions.trailingStop ? `• Trailing Stop: ${sellData.conditions.t
             return [];
         }
     }
-
-    /**
-     * Get current price from DexScreener API
-     */
-    async getCurrentPriceFromDexScreener(tokenAddress) {
-        try {
-            const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${tokenAddress}`);
-            if (!response.ok) {
-                throw new Error(`DexScreener API responded with status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            if (data.pairs && data.pairs.length > 0) {
-                // Sort by volume and get the most liquid pair
-                const sortedPairs = data.pairs.sort((a, b) => (b.volume?.h24 || 0) - (a.volume?.h24 || 0));
-                const bestPair = sortedPairs[0];
-                
-                if (bestPair.priceUsd) {
-                    this.logger.debug(`DexScreener price for ${tokenAddress}: $${bestPair.priceUsd}`);
-                    return parseFloat(bestPair.priceUsd);
-                }
-            }
-            
-            this.logger.warn(`No price data found on DexScreener for token ${tokenAddress}`);
-            return null;
-        } catch (error) {
-            this.logger.error(`Error fetching price from DexScreener for ${tokenAddress}:`, error);
-            return null;
-        }
-    }
 }
 
 module.exports = ManualManagementService;
\ No newline at end of file
@@ -1,7 +1,9 @@
 const axios = require('axios');
+const PriceOracle = require('./priceOracle');
 
 class MarketDataService {
-    constructor() {
+    constructor(config = {}) {
+        this.priceOracle = new PriceOracle(config);
         this.birdeyeApiKey = process.env.BIRDEYE_API_KEY;
         this.birdeyeBaseUrl = 'https://public-api.birdeye.so';
         this.dexscreenerBaseUrl = 'https://api.dexscreener.com/latest';
@@ -9,14 +11,15 @@ class MarketDataService {
 
     async getTokenData(mintAddress) {
         try {
-            // Fetch data from both sources
-            const [birdeyeData, dexscreenerData] = await Promise.all([
+            // Metadata from both sources, price from the oracle
+            const [birdeyeData, dexscreenerData, quote] = await Promise.all([
                 this.getBirdeyeData(mintAddress),
-                this.getDexscreenerData(mintAddress)
+                this.getDexscreenerData(mintAddress),
+                this.priceOracle.getQuote(mintAddress)
             ]);
 
             // Combine and normalize the data
-            return this.normalizeTokenData(birdeyeData, dexscreenerData);
+            return this.normalizeTokenData(birdeyeData, dexscreenerData, quote);
         } catch (error) {
             console.error('Error fetching token data:', error);
             throw error;
@@ -50,11 +53,57 @@ class MarketDataService {
         }
     }
 
-    normalizeTokenData(birdeyeData, dexscreenerData) {
+    /**
+     * Batch price/volume snapshot for many tokens from DexScreener (30 addresses per request).
+     * For each token the most liquid Solana pair wins.
+     * @param {string[]} mintAddresses
+     * @returns {Promise<Map<string, Object>>} mint -> { price, volume24h, liquidity, marketCap, symbol }
+     */
+    async getTokenSnapshots(mintAddresses) {
+        const snapshots = new Map();
+        const wanted = new Set(mintAddresses);
+
+        for (let i = 0; i < mintAddresses.length; i += 30) {
+            const chunk = mintAddresses.slice(i, i + 30);
+            try {
+                const response = await axios.get(`${this.dexscreenerBaseUrl}/dex/tokens/${chunk.join(',')}`, {
+                    timeout: 10000
+                });
+                const pairs = (response.data && response.data.pairs) || [];
+
+                for (const pair of pairs) {
+                    const mint = pair.baseToken?.address;
+                    if (pair.chainId !== 'solana' || !wanted.has(mint)) continue;
+
+                    const liquidity = pair.liquidity?.usd || 0;
+                    const existing = snapshots.get(mint);
+                    if (existing && existing.liquidity >= liquidity) continue;
+
+                    const price = parseFloat(pair.priceUsd);
+                    if (!price) continue;
+
+                    snapshots.set(mint, {
+                        price,
+                        volume24h: pair.volume?.h24 || 0,
+                        liquidity,
+                        marketCap: pair.marketCap || pair.fdv || null,
+                        symbol: pair.baseToken?.symbol || null
+                    });
+                }
+            } catch (error) {
+                console.error('Error fetching DexScreener snapshots:', error.message);
+            }
+        }
+
+        return snapshots;
+    }
+
+    normalizeTokenData(birdeyeData, dexscreenerData, quote = null) {
         // Combine and normalize data from both sources
         return {
             mint: birdeyeData?.address || dexscreenerData?.pairs?.[0]?.baseToken?.address,
-            price: birdeyeData?.price || dexscreenerData?.pairs?.[0]?.priceUsd,
+            price: quote?.price ?? birdeyeData?.price ?? dexscreenerData?.pairs?.[0]?.priceUsd,
+            priceQuote: quote,
             marketCap: birdeyeData?.marketCap || null,
             volume24h: birdeyeData?.volume24h || dexscreenerData?.pairs?.[0]?.volume24h,
             liquidity: birdeyeData?.liquidity || dexscreenerData?.pairs?.[0]?.liquidity?.usd,
@@ -0,0 +1,324 @@
+const winston = require('winston');
+const { NATIVE_MINT } = require('@solana/spl-token');
+const RiskGuardService = require('./riskGuardService');
+const PnlLedgerService = require('./pnlLedgerService');
+
+const SOL_MINT = NATIVE_MINT.toString();
+
+// Mirror the fee model of TradingExecution.executeBuy/executeSell
+const BOT_FEE_RATE = 0.01;
+const NETWORK_FEE = 0.000005;
+const PRIORITY_FEE = 0.0005;
+
+/**
+ * Simulated execution for wallets flagged as paper wallets. Fills come from
+ * live Jupiter quotes, or from locally stored prices when Jupiter is
+ * unreachable, and are booked into paper_balances/paper_positions instead of
+ * touching the chain. Results match the shape of the real execute* methods.
+ */
+class PaperTradingService {
+    constructor(config, db, tradingExecution) {
+        this.config = config;
+        this.db = db;
+        this.tradingExecution = tradingExecution;
+        const paperConfig = (config && config.paperTrading) || {};
+        this.startingBalance = paperConfig.startingBalance || 10;
+        // Skip Jupiter entirely and always use the local quote stub
+        this.offline = paperConfig.offline || process.env.PAPER_TRADING_OFFLINE === 'true';
+        this.fallbackSolPriceUsd = paperConfig.solPriceUsd || null;
+        // Paper trades face the same limits as real ones, tracked separately
+        this.riskGuard = new RiskGuardService(config, db);
+        this.pnlLedger = new PnlLedgerService(config, db);
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    isPaperWallet(wallet) {
+        return !!(wallet && wallet.is_paper);
+    }
+
+    /**
+     * Flag a wallet as a paper wallet and fund its simulated account
+     */
+    enablePaperMode(walletId, startingBalance = this.startingBalance) {
+        this.db.setWalletPaperMode(walletId, true);
+        // The offline quote stub prices everything against sampled SOL candles
+        this.db.upsertTrackedToken(SOL_MINT, { symbol: 'SOL', source: 'paper' });
+        if (!this.db.getPaperBalance(walletId)) {
+            this.db.resetPaperAccount(walletId, startingBalance);
+        }
+        return this.db.getPaperBalance(walletId);
+    }
+
+    disablePaperMode(walletId) {
+        return this.db.setWalletPaperMode(walletId, false);
+    }
+
+    resetAccount(walletId, startingBalance = this.startingBalance) {
+        return this.db.resetPaperAccount(walletId, startingBalance);
+    }
+
+    /**
+     * Simulated balance in the same shape as PortfolioService.getWalletBalance
+     */
+    getWalletBalance(wallet) {
+        const balance = this.db.getPaperBalance(wallet.id);
+        const positions = this.db.getPaperPositions(wallet.id);
+        return {
+            sol: balance ? balance.sol_balance : 0,
+            tokens: positions.map(p => ({
+                mint: p.token_address,
+                address: p.token_address,
+                amount: p.amount,
+                symbol: p.symbol,
+                avgPrice: p.avg_price
+            })),
+            simulated: true
+        };
+    }
+
+    /**
+     * Summary of a paper account; PnL is in SOL and values open positions at entry
+     */
+    getAccountSummary(walletId) {
+        const balance = this.db.getPaperBalance(walletId);
+        const positions = this.db.getPaperPositions(walletId);
+        const costBasis = positions.reduce((sum, p) => sum + p.amount * p.avg_price, 0);
+        const solBalance = balance ? balance.sol_balance : 0;
+        const startingBalance = balance ? balance.starting_balance : 0;
+        return {
+            solBalance,
+            startingBalance,
+            positions,
+            costBasis,
+            pnl: solBalance + costBasis - startingBalance
+        };
+    }
+
+    /**
+     * Quote a swap, preferring Jupiter and falling back to the local stub.
+     * Amounts are in UI units (SOL for buys, tokens for sells).
+     * @returns {Promise<{outAmount: number, priceImpact: number, source: string}>}
+     */
+    async getQuote(tokenAddress, side, amount, slippageBps = 50, walletId = null) {
+        if (!this.offline) {
+            try {
+                const isBuy = side === 'buy';
+                const tokenInfo = await this.tradingExecution.getTokenInfo(tokenAddress);
+                const decimals = tokenInfo.decimals;
+                const quote = await this.tradingExecution.makeJupiterRequest('quote', {
+                    inputMint: isBuy ? SOL_MINT : tokenAddress,
+                    outputMint: isBuy ? tokenAddress : SOL_MINT,
+                    amount: Math.floor(amount * Math.pow(10, isBuy ? 9 : decimals)),
+                    slippageBps: Math.floor(slippageBps),
+                    restrictIntermediateTokens: true
+                });
+                if (quote && !quote.error && quote.outAmount) {
+                    return {
+                        outAmount: parseInt(quote.outAmount) / Math.pow(10, isBuy ? decimals : 9),
+                        priceImpact: parseFloat(quote.priceImpactPct || '0') * 100,
+                        symbol: tokenInfo.symbol,
+                        name: tokenInfo.name,
+                        source: 'jupiter'
+                    };
+                }
+                this.logger.warn(`Jupiter quote unavailable for paper ${side} of ${tokenAddress}, using local stub`);
+            } catch (error) {
+                this.logger.warn(`Jupiter quote failed for paper ${side} of ${tokenAddress}: ${error.message}`);
+            }
+        }
+
+        return this.getStubQuote(tokenAddress, side, amount, slippageBps, walletId);
+    }
+
+    /**
+     * Offline quote from the local price history, filled at the worst price
+     * the slippage tolerance allows
+     */
+    getStubQuote(tokenAddress, side, amount, slippageBps = 50, walletId = null) {
+        let priceInSol = null;
+
+        const tokenCandle = this.db.getLatestPriceCandle(tokenAddress);
+        const solCandle = this.db.getLatestPriceCandle(SOL_MINT);
+        const solPriceUsd = solCandle ? solCandle.close : this.fallbackSolPriceUsd;
+        if (tokenCandle && tokenCandle.close > 0 && solPriceUsd > 0) {
+            priceInSol = tokenCandle.close / solPriceUsd;
+        }
+
+        // Without market data a sell can still be marked at its entry price
+        if (!priceInSol && side === 'sell' && walletId) {
+            const position = this.db.getPaperPosition(walletId, tokenAddress);
+            if (position && position.avg_price > 0) {
+                priceInSol = position.avg_price;
+            }
+        }
+
+        if (!priceInSol) {
+            throw new Error('No quote available: Jupiter is unreachable and there is no stored price for this token');
+        }
+
+        const haircut = 1 - slippageBps / 10000;
+        const outAmount = side === 'buy'
+            ? (amount / priceInSol) * haircut
+            : amount * priceInSol * haircut;
+
+        return { outAmount, priceImpact: 0, symbol: null, name: null, source: 'local' };
+    }
+
+    /**
+     * Simulate a SOL -> token swap for a paper wallet and record the trade
+     * @param {Object} options - ruleId and strategy that placed the trade, for the PnL ledger
+     * @returns {Promise<Object>} Same fields as TradingExecution.executeBuy, plus simulated/quoteSource
+     */
+    async simulateBuy(userId, wallet, tokenAddress, solAmount, slippageBps = 50, options = {}) {
+        try {
+            if (isNaN(solAmount) || solAmount <= 0) {
+                throw new Error('Invalid SOL amount');
+            }
+
+            const verdict = await this.riskGuard.checkBuy(userId, tokenAddress, solAmount, { isPaper: true });
+            if (!verdict.allowed) {
+                return { success: false, simulated: true, error: verdict.reason, riskRule: verdict.rule };
+            }
+
+            const botFee = solAmount * BOT_FEE_RATE;
+            const networkFee = NETWORK_FEE + PRIORITY_FEE;
+            const balance = this.db.getPaperBalance(wallet.id);
+            const available = balance ? balance.sol_balance : 0;
+            if (available < solAmount + botFee + networkFee) {
+                throw new Error(`Insufficient SOL balance. You have ${available.toFixed(6)} paper SOL but need at least ${(solAmount + botFee + networkFee).toFixed(6)} SOL (including fees).`);
+            }
+
+            const quote = await this.getQuote(tokenAddress, 'buy', solAmount, slippageBps, wallet.id);
+            if (!(quote.outAmount > 0)) {
+                throw new Error('Quote returned no tokens');
+            }
+            const tokenPrice = solAmount / quote.outAmount;
+
+            this.db.applyPaperFill(wallet.id, tokenAddress, {
+                solDelta: -(solAmount + botFee + networkFee),
+                tokenDelta: quote.outAmount,
+                price: tokenPrice,
+                symbol: quote.symbol
+            });
+            const trade = this.db.createTrade(userId, tokenAddress, quote.outAmount, tokenPrice, 'buy', { isPaper: true });
+            this.db.upsertTrackedToken(tokenAddress, { symbol: quote.symbol, source: 'paper' });
+            await this.riskGuard.recordFill(userId, tokenAddress, 'buy', solAmount + botFee, quote.outAmount, { isPaper: true });
+            await this.pnlLedger.recordFill(userId, tokenAddress, 'buy', {
+                solAmount,
+                tokenAmount: quote.outAmount,
+                swapFeeSol: networkFee,
+                platformFeeSol: botFee,
+                isPaper: true,
+                walletAddress: wallet.public_key,
+                signature: `paper-${trade.lastInsertRowid}`,
+                ...options
+            });
+
+            this.logger.info(`Paper buy: ${quote.outAmount} of ${tokenAddress} for ${solAmount} SOL (${quote.source})`);
+
+            return {
+                success: true,
+                simulated: true,
+                quoteSource: quote.source,
+                signature: `paper-${trade.lastInsertRowid}`,
+                tokensReceived: quote.outAmount,
+                tokenPrice,
+                solPrice: 1,
+                botFee,
+                networkFee,
+                name: quote.name || 'Unknown Token',
+                symbol: quote.symbol || 'UNKNOWN',
+                priceImpact: quote.priceImpact
+            };
+        } catch (error) {
+            this.logger.error(`Paper buy failed for ${tokenAddress}: ${error.message}`);
+            return { success: false, simulated: true, error: error.message };
+        }
+    }
+
+    /**
+     * Simulate a token -> SOL swap for a paper wallet and record the trade
+     * @param {Object} options - ruleId and strategy that placed the trade, for the PnL ledger
+     * @returns {Promise<Object>} Same fields as TradingExecution.executeSell, plus simulated/quoteSource/pnl
+     */
+    async simulateSell(userId, wallet, tokenAddress, tokenAmount, slippageBps = 50, options = {}) {
+        try {
+            if (isNaN(tokenAmount) || tokenAmount <= 0) {
+                throw new Error('Invalid token amount');
+            }
+
+            const position = this.db.getPaperPosition(wallet.id, tokenAddress);
+            if (!position || position.amount + 1e-9 < tokenAmount) {
+                throw new Error(`Insufficient token balance. You hold ${(position ? position.amount : 0).toFixed(6)} paper tokens`);
+            }
+
+            const verdict = await this.riskGuard.checkSell(userId, tokenAddress, tokenAmount, { isPaper: true, source: options.strategy });
+            if (!verdict.allowed) {
+                return { success: false, simulated: true, error: verdict.reason, riskRule: verdict.rule };
+            }
+
+            const quote = await this.getQuote(tokenAddress, 'sell', tokenAmount, slippageBps, wallet.id);
+            const solReceived = quote.outAmount;
+            const botFee = solReceived * BOT_FEE_RATE;
+            const networkFee = NETWORK_FEE + PRIORITY_FEE;
+            const tokenPrice = solReceived / tokenAmount;
+            const netSolReceived = solReceived - botFee - networkFee;
+            const pnl = netSolReceived - tokenAmount * position.avg_price;
+
+            this.db.applyPaperFill(wallet.id, tokenAddress, {
+                solDelta: netSolReceived,
+                tokenDelta: -tokenAmount,
+                price: tokenPrice,
+                symbol: quote.symbol,
+                realizedPnl: pnl
+            });
+            const trade = this.db.createTrade(userId, tokenAddress, tokenAmount, tokenPrice, 'sell', { isPaper: true });
+            await this.riskGuard.recordFill(userId, tokenAddress, 'sell', solReceived - botFee, tokenAmount, { isPaper: true });
+            await this.pnlLedger.recordFill(userId, tokenAddress, 'sell', {
+                solAmount: solReceived,
+                tokenAmount,
+                swapFeeSol: networkFee,
+                platformFeeSol: botFee,
+                isPaper: true,
+                walletAddress: wallet.public_key,
+                signature: `paper-${trade.lastInsertRowid}`,
+                ...options
+            });
+
+            this.logger.info(`Paper sell: ${tokenAmount} of ${tokenAddress} for ${solReceived} SOL (${quote.source})`);
+
+            return {
+                success: true,
+                simulated: true,
+                quoteSource: quote.source,
+                signature: `paper-${trade.lastInsertRowid}`,
+                tokensSold: tokenAmount,
+                solReceived,
+                tokenPrice,
+                solPrice: 1,
+                botFee,
+                networkFee,
+                name: quote.name || position.symbol || 'Unknown Token',
+                symbol: quote.symbol || position.symbol || 'UNKNOWN',
+                priceImpact: quote.priceImpact,
+                provider: 'paper',
+                netSolReceived,
+                pnl
+            };
+        } catch (error) {
+            this.logger.error(`Paper sell failed for ${tokenAddress}: ${error.message}`);
+            return { success: false, simulated: true, error: error.message, provider: 'paper' };
+        }
+    }
+}
+
+PaperTradingService.SOL_MINT = SOL_MINT;
+
+module.exports = PaperTradingService;
@@ -0,0 +1,337 @@
+const winston = require('winston');
+const PriceOracle = require('./priceOracle');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const PNL_METHODS = ['fifo', 'average'];
+
+// Values of pnl_fills.strategy, by the path that placed the trade
+const STRATEGY_LABELS = {
+    manual: 'Manual',
+    copy_trade: 'Copy Trade',
+    autonomous: 'Autonomous',
+    rule: 'Rules',
+    manual_management: 'Manual Management',
+    wallet_group: 'Wallet Groups',
+    limit_order: 'Limit Orders'
+};
+
+/**
+ * Cost-basis PnL for the bot's own trades.
+ *
+ * TradingExecution and PaperTradingService report every fill through recordFill(),
+ * tagged with the rule and strategy that placed it. The ledger replays those fills
+ * per token: buys open lots costed at the SOL spent plus swap and 4TOOL fees, and
+ * sells close them, FIFO or at average cost, for proceeds net of the same fees.
+ * Closed PnL belongs to the rule and strategy that opened the lot, so a rule that
+ * only sells (manual management) is credited with lots that have no rule of their
+ * own. Open lots are valued at the oracle price for unrealised PnL. Paper and real
+ * trading are separate ledgers.
+ */
+class PnlLedgerService {
+    constructor(config, db) {
+        this.config = config;
+        this.db = db;
+        this.priceOracle = new PriceOracle(config);
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    /**
+     * Record a completed fill, with the SOL/USD price at the time for USD reporting
+     * @param {Object} fill - solAmount (before fees), tokenAmount, swapFeeSol, platformFeeSol,
+     *   isPaper, walletAddress, ruleId, strategy, signature
+     */
+    async recordFill(userId, tokenAddress, side, fill) {
+        try {
+            if (!(fill.solAmount >= 0) || !(fill.tokenAmount > 0)) {
+                return;
+            }
+            let solUsdPrice = null;
+            try {
+                const quote = await this.priceOracle.getQuote(SOL_MINT);
+                solUsdPrice = quote && quote.price > 0 ? quote.price : null;
+            } catch (error) {
+                this.logger.warn(`No SOL price for ${side} of ${tokenAddress}: ${error.message}`);
+            }
+            this.db.createPnlFill(userId, { ...fill, tokenAddress, side, solUsdPrice });
+        } catch (error) {
+            // Bookkeeping must never turn a completed trade into a failure
+            this.logger.error(`PnL ledger could not record ${side} of ${tokenAddress} for user ${userId}: ${error.message}`);
+        }
+    }
+
+    async getMethod(userId) {
+        const settings = await this.db.getUserSettings(userId);
+        return settings && PNL_METHODS.includes(settings.pnl_method) ? settings.pnl_method : 'fifo';
+    }
+
+    /**
+     * The user's ledger with open lots valued at current prices
+     * @param {Object} options - method ('fifo' | 'average', defaults to the user's setting),
+     *   isPaper, walletAddress (one wallet only), withPrices (false skips the oracle and leaves unrealised PnL at 0)
+     */
+    async getLedger(userId, { method = null, isPaper = false, walletAddress = null, withPrices = true } = {}) {
+        const pnlMethod = PNL_METHODS.includes(method) ? method : await this.getMethod(userId);
+        const fills = this.db.getPnlFills(userId, isPaper, walletAddress);
+        const ledger = PnlLedgerService.buildLedger(fills, pnlMethod);
+
+        let prices = new Map();
+        if (withPrices) {
+            try {
+                prices = await this.getSolPrices(ledger.tokens.filter(token => token.openAmount > 0).map(token => token.tokenAddress));
+            } catch (error) {
+                this.logger.warn(`Could not price open lots for user ${userId}: ${error.message}`);
+            }
+        }
+        return PnlLedgerService.summarize(ledger, prices);
+    }
+
+    /**
+     * Replay fills through lots per token.
+     * Sells of tokens bought outside the bot only count against the lots we saw,
+     * so their unmatched part has no known cost and is left out.
+     * @param {Array} fills - pnl_fills rows in time order
+     * @param {string} method - 'fifo' closes the oldest lots first, 'average' closes every lot pro rata
+     */
+    static buildLedger(fills, method = 'fifo') {
+        const byToken = new Map();
+        const closedTrades = [];
+        // One entry per lot (or part of a lot) a sell closed, for tax reporting
+        const disposals = [];
+
+        for (const fill of fills) {
+            if (!byToken.has(fill.token_address)) {
+                byToken.set(fill.token_address, {
+                    tokenAddress: fill.token_address,
+                    lots: [],
+                    buys: 0,
+                    sells: 0,
+                    costSol: 0,
+                    proceedsSol: 0,
+                    realizedPnlSol: 0,
+                    swapFeesSol: 0,
+                    platformFeesSol: 0
+                });
+            }
+            const token = byToken.get(fill.token_address);
+            const fees = fill.swap_fee_sol + fill.platform_fee_sol;
+            token.swapFeesSol += fill.swap_fee_sol;
+            token.platformFeesSol += fill.platform_fee_sol;
+
+            if (fill.side === 'buy') {
+                token.buys++;
+                token.costSol += fill.sol_amount + fees;
+                token.lots.push({
+                    amount: fill.token_amount,
+                    costSol: fill.sol_amount + fees,
+                    ruleId: fill.rule_id,
+                    strategy: fill.strategy,
+                    acquiredAt: fill.created_at,
+                    solUsdPrice: fill.sol_usd_price
+                });
+                continue;
+            }
+
+            token.sells++;
+            const openAmount = token.lots.reduce((sum, lot) => sum + lot.amount, 0);
+            const matched = Math.min(fill.token_amount, openAmount);
+            if (matched <= 0) continue;
+
+            // Split what was closed by the rule and strategy that opened it
+            const closedBy = new Map();
+            const pieces = [];
+            // Average cost reports every piece at the position's average, FIFO at the lot's own cost
+            const averageCost = token.lots.reduce((sum, lot) => sum + lot.costSol, 0) / openAmount;
+            const close = (lot, take) => {
+                const lotCost = lot.costSol * (take / lot.amount);
+                pieces.push({
+                    amount: take,
+                    costSol: method === 'average' ? take * averageCost : lotCost,
+                    acquiredAt: lot.acquiredAt,
+                    solUsdPrice: lot.solUsdPrice
+                });
+                const ruleId = lot.ruleId || fill.rule_id || null;
+                const key = `${ruleId}|${lot.strategy}`;
+                if (!closedBy.has(key)) {
+                    closedBy.set(key, { ruleId, strategy: lot.strategy, amount: 0, costSol: 0 });
+                }
+                const part = closedBy.get(key);
+                part.amount += take;
+                part.costSol += lotCost;
+                lot.amount -= take;
+                lot.costSol -= lotCost;
+            };
+
+            if (method === 'average') {
+                const share = matched / openAmount;
+                for (const lot of token.lots) {
+                    close(lot, lot.amount * share);
+                }
+            } else {
+                let remaining = matched;
+                for (const lot of token.lots) {
+                    if (remaining <= 0) break;
+                    const take = Math.min(lot.amount, remaining);
+                    close(lot, take);
+                    remaining -= take;
+                }
+            }
+            token.lots = token.lots.filter(lot => lot.amount > 1e-12);
+
+            const netProceeds = fill.sol_amount - fees;
+            for (const part of closedBy.values()) {
+                const proceeds = netProceeds * (part.amount / fill.token_amount);
+                token.proceedsSol += proceeds;
+                token.realizedPnlSol += proceeds - part.costSol;
+                closedTrades.push({
+                    tokenAddress: fill.token_address,
+                    ruleId: part.ruleId,
+                    strategy: part.strategy,
+                    signature: fill.signature,
+                    amount: part.amount,
+                    costSol: part.costSol,
+                    proceedsSol: proceeds,
+                    profitSol: proceeds - part.costSol,
+                    closedAt: fill.created_at
+                });
+            }
+            for (const piece of pieces) {
+                const proceeds = netProceeds * (piece.amount / fill.token_amount);
+                disposals.push({
+                    tokenAddress: fill.token_address,
+                    signature: fill.signature,
+                    amount: piece.amount,
+                    acquiredAt: piece.acquiredAt,
+                    disposedAt: fill.created_at,
+                    costSol: piece.costSol,
+                    proceedsSol: proceeds,
+                    gainSol: proceeds - piece.costSol,
+                    costSolUsdPrice: piece.solUsdPrice || null,
+                    proceedsSolUsdPrice: fill.sol_usd_price || null
+                });
+            }
+        }
+
+        const tokens = [...byToken.values()].map(token => ({
+            tokenAddress: token.tokenAddress,
+            buys: token.buys,
+            sells: token.sells,
+            costSol: token.costSol,
+            proceedsSol: token.proceedsSol,
+            realizedPnlSol: token.realizedPnlSol,
+            swapFeesSol: token.swapFeesSol,
+            platformFeesSol: token.platformFeesSol,
+            openAmount: token.lots.reduce((sum, lot) => sum + lot.amount, 0),
+            openCostSol: token.lots.reduce((sum, lot) => sum + lot.costSol, 0),
+            openLots: token.lots,
+            unrealizedPnlSol: 0
+        }));
+
+        return { method, tokens, closedTrades, disposals };
+    }
+
+    /**
+     * Value open lots and roll closed trades up by token, rule, strategy and day (UTC)
+     * @param {Map<string, number>} prices - Token prices in SOL; unpriced lots are held at cost
+     */
+    static summarize(ledger, prices) {
+        const byRule = new Map();
+        const byStrategy = new Map();
+        const byDay = new Map();
+        const group = (map, key, fields) => {
+            if (!map.has(key)) {
+                map.set(key, { ...fields, realizedPnlSol: 0, unrealizedPnlSol: 0, closedTrades: 0, wins: 0 });
+            }
+            return map.get(key);
+        };
+
+        for (const trade of ledger.closedTrades) {
+            const day = String(trade.closedAt).slice(0, 10);
+            const groups = [group(byStrategy, trade.strategy, { strategy: trade.strategy }), group(byDay, day, { day })];
+            if (trade.ruleId) {
+                groups.push(group(byRule, trade.ruleId, { ruleId: trade.ruleId }));
+            }
+            for (const entry of groups) {
+                entry.realizedPnlSol += trade.profitSol;
+                entry.closedTrades++;
+                if (trade.profitSol > 0) entry.wins++;
+            }
+        }
+
+        for (const token of ledger.tokens) {
+            const price = prices.get(token.tokenAddress);
+            if (token.openAmount <= 0 || price === undefined) continue;
+            token.unrealizedPnlSol = token.openAmount * price - token.openCostSol;
+            for (const lot of token.openLots) {
+                const unrealized = lot.amount * price - lot.costSol;
+                group(byStrategy, lot.strategy, { strategy: lot.strategy }).unrealizedPnlSol += unrealized;
+                if (lot.ruleId) {
+                    group(byRule, lot.ruleId, { ruleId: lot.ruleId }).unrealizedPnlSol += unrealized;
+                }
+            }
+        }
+
+        const sum = (field) => ledger.tokens.reduce((total, token) => total + token[field], 0);
+        const closedCount = ledger.closedTrades.length;
+        const wins = ledger.closedTrades.filter(trade => trade.profitSol > 0).length;
+
+        return {
+            method: ledger.method,
+            realizedPnlSol: sum('realizedPnlSol'),
+            unrealizedPnlSol: sum('unrealizedPnlSol'),
+            swapFeesSol: sum('swapFeesSol'),
+            platformFeesSol: sum('platformFeesSol'),
+            openCostSol: sum('openCostSol'),
+            closedTrades: closedCount,
+            wins,
+            winRate: closedCount > 0 ? wins / closedCount * 100 : null,
+            tokens: ledger.tokens,
+            trades: ledger.closedTrades,
+            disposals: ledger.disposals,
+            byRule: [...byRule.values()],
+            byStrategy: [...byStrategy.values()],
+            byDay: [...byDay.values()].sort((a, b) => a.day.localeCompare(b.day))
+        };
+    }
+
+    static strategyLabel(strategy) {
+        return STRATEGY_LABELS[strategy] || strategy;
+    }
+
+    static formatSol(value) {
+        return `${value >= 0 ? '+' : ''}${value.toFixed(4)} SOL`;
+    }
+
+    /**
+     * Token prices in SOL, for valuing open lots
+     * @returns {Promise<Map<string, number>>}
+     */
+    async getSolPrices(tokenAddresses) {
+        const prices = new Map();
+        if (tokenAddresses.length === 0) {
+            return prices;
+        }
+        const quotes = await this.priceOracle.getQuotes([...tokenAddresses, SOL_MINT]);
+        const solQuote = quotes.get(SOL_MINT);
+        if (!solQuote || !(solQuote.price > 0)) {
+            return prices;
+        }
+        for (const tokenAddress of tokenAddresses) {
+            const quote = quotes.get(tokenAddress);
+            if (quote && quote.price > 0) {
+                prices.set(tokenAddress, quote.price / solQuote.price);
+            }
+        }
+        return prices;
+    }
+}
+
+PnlLedgerService.METHODS = PNL_METHODS;
+
+module.exports = PnlLedgerService;
@@ -0,0 +1,182 @@
+const winston = require('winston');
+const MarketDataService = require('./marketDataService');
+const TokenDataService = require('./tokenDataService');
+
+// Candle resolutions from finest to coarsest. Candles older than `retention`
+// are rolled up into the next resolution; the last one is simply pruned.
+const RESOLUTIONS = [
+    { name: '5m', seconds: 5 * 60, retention: 2 * 24 * 60 * 60 },
+    { name: '1h', seconds: 60 * 60, retention: 30 * 24 * 60 * 60 },
+    { name: '1d', seconds: 24 * 60 * 60, retention: 365 * 24 * 60 * 60 }
+];
+
+/**
+ * Local OHLCV time series for tracked tokens. Samples prices and 24h volumes
+ * into SQLite candles and serves the history StrategyEngine trades on.
+ */
+class PriceHistoryService {
+    constructor(config, db, options = {}) {
+        this.config = config;
+        this.db = db;
+        // Injectable clock (ms) so backtests can replay history at a simulated time
+        this.clock = options.clock || (() => Date.now());
+        this.marketDataService = new MarketDataService(config);
+        this.tokenDataService = new TokenDataService(config);
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+        this.trendingLimit = (config.priceHistory && config.priceHistory.trendingLimit) || 20;
+    }
+
+    trackToken(tokenAddress, meta = {}) {
+        return this.db.upsertTrackedToken(tokenAddress, meta);
+    }
+
+    /**
+     * Follow Jupiter's top traded tokens so strategies have a market to scan
+     */
+    async refreshTrendingTokens() {
+        const tokens = await this.tokenDataService.getTopTradedTokens(this.trendingLimit);
+        for (const token of tokens) {
+            if (!token.address) continue;
+            this.trackToken(token.address, {
+                symbol: token.symbol,
+                category: token.category,
+                source: 'trending'
+            });
+        }
+        this.logger.info(`Tracking ${tokens.length} trending tokens`);
+        return tokens.length;
+    }
+
+    /**
+     * Take one price/volume sample for every tracked token and fold it into
+     * the finest candle resolution.
+     * @returns {Promise<number>} Number of tokens sampled
+     */
+    async sampleTrackedTokens() {
+        const tracked = this.db.getTrackedTokens();
+        const addresses = new Set(tracked.map(t => t.token_address));
+
+        // Tokens with resting limit orders are always worth pricing
+        for (const order of this.db.getAllOpenLimitOrders()) {
+            addresses.add(order.token_address);
+        }
+
+        if (addresses.size === 0) {
+            return 0;
+        }
+
+        const snapshots = await this.marketDataService.getTokenSnapshots(Array.from(addresses));
+        const now = Math.floor(this.clock() / 1000);
+        const base = RESOLUTIONS[0];
+        const bucketStart = Math.floor(now / base.seconds) * base.seconds;
+
+        for (const [tokenAddress, snapshot] of snapshots) {
+            this.db.upsertPriceCandle(tokenAddress, base.name, bucketStart, {
+                open: snapshot.price,
+                high: snapshot.price,
+                low: snapshot.price,
+                close: snapshot.price,
+                volume: snapshot.volume24h,
+                liquidity: snapshot.liquidity,
+                marketCap: snapshot.marketCap
+            });
+            this.db.markTokenSampled(tokenAddress);
+        }
+
+        const missed = addresses.size - snapshots.size;
+        if (missed > 0) {
+            this.logger.warn(`No market data for ${missed} of ${addresses.size} tracked tokens`);
+        }
+        this.logger.info(`Sampled ${snapshots.size} tokens into ${base.name} candles`);
+        return snapshots.size;
+    }
+
+    /**
+     * Apply retention: downsample old candles into coarser resolutions and
+     * drop anything past the coarsest resolution's retention.
+     */
+    compactCandles() {
+        const now = Math.floor(this.clock() / 1000);
+
+        for (let i = 0; i < RESOLUTIONS.length; i++) {
+            const current = RESOLUTIONS[i];
+            const next = RESOLUTIONS[i + 1];
+
+            if (!next) {
+                const result = this.db.deletePriceCandlesBefore(current.name, now - current.retention);
+                this.logger.info(`Pruned ${result.changes} ${current.name} candles past retention`);
+                continue;
+            }
+
+            // Align to the coarser bucket so no coarse candle is ever half-built
+            const before = Math.floor((now - current.retention) / next.seconds) * next.seconds;
+            const compacted = this.db.compactPriceCandles(current.name, next.name, next.seconds, before);
+            this.logger.info(`Compacted ${compacted} ${current.name} candles into ${next.name}`);
+        }
+    }
+
+    getCandles(tokenAddress, lookbackSeconds) {
+        const since = Math.floor(this.clock() / 1000) - lookbackSeconds;
+        return this.db.getPriceCandles(tokenAddress, since);
+    }
+
+    getAllCandles(lookbackSeconds) {
+        const since = Math.floor(this.clock() / 1000) - lookbackSeconds;
+        return this.db.getPriceCandlesSince(since);
+    }
+
+    getLatestCandle(tokenAddress) {
+        return this.db.getLatestPriceCandle(tokenAddress);
+    }
+
+    /**
+     * Per-token summary over the lookback window, for market-wide scans
+     * @returns {Array} [{ address, symbol, category, price, priceChange, volumeChange, liquidity, marketCap, candles }]
+     */
+    getTokenStats(lookbackSeconds) {
+        const since = Math.floor(this.clock() / 1000) - lookbackSeconds;
+        const candles = this.db.getPriceCandlesSince(since);
+        const metadata = new Map(this.db.getTrackedTokens().map(t => [t.token_address, t]));
+
+        const byToken = new Map();
+        for (const candle of candles) {
+            if (!byToken.has(candle.token_address)) {
+                byToken.set(candle.token_address, []);
+            }
+            byToken.get(candle.token_address).push(candle);
+        }
+
+        const stats = [];
+        for (const [address, series] of byToken) {
+            const first = series[0];
+            const last = series[series.length - 1];
+            const meta = metadata.get(address) || {};
+
+            stats.push({
+                address,
+                symbol: meta.symbol || null,
+                category: meta.category || null,
+                price: last.close,
+                priceChange: first.open > 0 ? ((last.close - first.open) / first.open) * 100 : 0,
+                volumeChange: first.volume > 0 ? ((last.volume - first.volume) / first.volume) * 100 : 0,
+                volume24h: last.volume,
+                liquidity: last.liquidity || 0,
+                marketCap: last.market_cap,
+                candles: series
+            });
+        }
+
+        return stats;
+    }
+}
+
+PriceHistoryService.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = PriceHistoryService;
@@ -0,0 +1,299 @@
+const axios = require('axios');
+const winston = require('winston');
+
+const SOURCES = ['jupiter', 'birdeye', 'dexscreener'];
+const DEFAULTS = {
+    cacheTtlMs: 10 * 1000,
+    staleAfterMs: 2 * 60 * 1000,
+    maxDivergence: 0.1,
+    timeoutMs: 5000
+};
+
+// Last quote per mint, shared by every oracle instance in the process
+const quoteCache = new Map();
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * One place to ask "what is this token worth in USD".
+ *
+ * Jupiter, Birdeye and DexScreener are queried side by side. Readings that
+ * stray more than maxDivergence from the median are dropped as outliers and
+ * the median of the rest is the price. A quote is marked stale when its
+ * freshest reading is older than staleAfterMs, and divergent when the sources
+ * don't agree. Anything that trades on a price (stop-losses, limit orders)
+ * should go through getPrice(), which refuses both.
+ */
+class PriceOracle {
+    constructor(config = {}) {
+        this.config = config;
+        const oracleConfig = (config && config.priceOracle) || {};
+        this.cacheTtlMs = oracleConfig.cacheTtlMs || DEFAULTS.cacheTtlMs;
+        this.staleAfterMs = oracleConfig.staleAfterMs
+            || parseInt(process.env.PRICE_STALE_AFTER_SECONDS) * 1000
+            || DEFAULTS.staleAfterMs;
+        this.maxDivergence = oracleConfig.maxDivergence
+            || parseFloat(process.env.PRICE_MAX_DIVERGENCE)
+            || DEFAULTS.maxDivergence;
+        this.timeoutMs = oracleConfig.timeoutMs || DEFAULTS.timeoutMs;
+        this.birdeyeApiKey = oracleConfig.birdeyeApiKey
+            || config.birdEyeApiKey
+            || (config.birdeye && config.birdeye.apiKey)
+            || process.env.BIRDEYE_API_KEY
+            || null;
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    /**
+     * Aggregated quote for one token
+     * @returns {Promise<Object>} See buildQuote()
+     */
+    async getQuote(tokenAddress) {
+        const quotes = await this.getQuotes([tokenAddress]);
+        return quotes.get(tokenAddress);
+    }
+
+    /**
+     * Aggregated quotes for many tokens, batching each source's requests
+     * @param {string[]} tokenAddresses
+     * @returns {Promise<Map<string, Object>>} mint -> quote
+     */
+    async getQuotes(tokenAddresses) {
+        const now = Date.now();
+        const quotes = new Map();
+        const toFetch = [];
+
+        for (const mint of new Set(tokenAddresses)) {
+            const cached = quoteCache.get(mint);
+            if (cached && now - cached.fetchedAt < this.cacheTtlMs) {
+                quotes.set(mint, this.refreshAge(cached));
+            } else {
+                toFetch.push(mint);
+            }
+        }
+        if (toFetch.length === 0) {
+            return quotes;
+        }
+
+        const [jupiter, birdeye, dexscreener] = await Promise.all([
+            this.fetchJupiter(toFetch),
+            this.fetchBirdeye(toFetch),
+            this.fetchDexScreener(toFetch)
+        ]);
+
+        for (const mint of toFetch) {
+            const readings = [];
+            for (const [source, results] of [['jupiter', jupiter], ['birdeye', birdeye], ['dexscreener', dexscreener]]) {
+                const reading = results.get(mint);
+                if (reading && reading.price > 0) {
+                    readings.push({ source, price: reading.price, observedAt: reading.observedAt });
+                }
+            }
+
+            let quote;
+            if (readings.length > 0) {
+                quote = this.buildQuote(mint, readings);
+                quoteCache.set(mint, quote);
+            } else if (quoteCache.has(mint)) {
+                // Every source failed: fall back to the last quote, which ages into stale
+                quote = this.refreshAge(quoteCache.get(mint));
+            } else {
+                quote = this.buildQuote(mint, []);
+            }
+
+            if (quote.stale || quote.divergent) {
+                this.logger.warn(`Unreliable price for ${mint}: ${PriceOracle.describe(quote)}`);
+            }
+            quotes.set(mint, quote);
+        }
+
+        return quotes;
+    }
+
+    /**
+     * A price that is safe to trade on, or null when the quote is missing, stale or divergent
+     */
+    async getPrice(tokenAddress) {
+        const quote = await this.getQuote(tokenAddress);
+        return quote.usable ? quote.price : null;
+    }
+
+    buildQuote(tokenAddress, readings) {
+        const now = Date.now();
+        const fresh = readings.filter(r => now - r.observedAt <= this.staleAfterMs);
+        // Only fall back to old readings when nothing fresh came back
+        const pool = fresh.length > 0 ? fresh : readings;
+
+        let price = null;
+        let accepted = [];
+        let outliers = [];
+        let divergent = false;
+
+        if (pool.length > 0) {
+            const mid = median(pool.map(r => r.price));
+            accepted = pool.filter(r => Math.abs(r.price - mid) / mid <= this.maxDivergence);
+            outliers = pool.filter(r => !accepted.includes(r))
+                .map(r => ({ ...r, deviation: (r.price - mid) / mid }));
+
+            // A majority has to agree, and what's left must agree with itself
+            const prices = accepted.map(r => r.price);
+            const spread = accepted.length > 1 ? (Math.max(...prices) - Math.min(...prices)) / mid : 0;
+            divergent = accepted.length <= pool.length / 2 || spread > this.maxDivergence;
+
+            price = accepted.length > 0 ? median(prices) : mid;
+        }
+
+        const basis = accepted.length > 0 ? accepted : pool;
+        const observedAt = basis.length > 0 ? Math.max(...basis.map(r => r.observedAt)) : null;
+        const quote = {
+            tokenAddress,
+            price,
+            source: accepted.length === 1 ? accepted[0].source : (accepted.length > 1 ? 'median' : null),
+            sources: accepted,
+            outliers,
+            // Share of all configured sources that agree on the price
+            confidence: divergent ? 0 : accepted.length / SOURCES.length,
+            observedAt,
+            fetchedAt: now,
+            divergent
+        };
+        return this.refreshAge(quote);
+    }
+
+    refreshAge(quote) {
+        const ageMs = quote.observedAt ? Date.now() - quote.observedAt : null;
+        const stale = ageMs === null || ageMs > this.staleAfterMs;
+        return {
+            ...quote,
+            ageMs,
+            stale,
+            usable: quote.price > 0 && !stale && !quote.divergent
+        };
+    }
+
+    /**
+     * Jupiter price API; no timestamp, so the reading is as fresh as the request
+     */
+    async fetchJupiter(mints) {
+        const results = new Map();
+        for (let i = 0; i < mints.length; i += 100) {
+            const chunk = mints.slice(i, i + 100);
+            try {
+                const response = await axios.get(`https://lite-api.jup.ag/price/v2?ids=${chunk.join(',')}`, {
+                    headers: { 'Accept': 'application/json' },
+                    timeout: this.timeoutMs
+                });
+                const observedAt = Date.now();
+                const data = (response.data && response.data.data) || {};
+                for (const mint of chunk) {
+                    const price = parseFloat(data[mint]?.price);
+                    if (price > 0) {
+                        results.set(mint, { price, observedAt });
+                    }
+                }
+            } catch (error) {
+                this.logger.warn(`Jupiter price lookup failed: ${error.message}`);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Birdeye multi-price; reports when each price was last updated. Needs an API key.
+     */
+    async fetchBirdeye(mints) {
+        const results = new Map();
+        if (!this.birdeyeApiKey) {
+            return results;
+        }
+        for (let i = 0; i < mints.length; i += 100) {
+            const chunk = mints.slice(i, i + 100);
+            try {
+                const response = await axios.get('https://public-api.birdeye.so/defi/multi_price', {
+                    params: { list_address: chunk.join(',') },
+                    headers: { 'X-API-KEY': this.birdeyeApiKey, 'x-chain': 'solana', 'Accept': 'application/json' },
+                    timeout: this.timeoutMs
+                });
+                const fetchedAt = Date.now();
+                const data = (response.data && response.data.data) || {};
+                for (const mint of chunk) {
+                    const entry = data[mint];
+                    const price = parseFloat(entry?.value);
+                    if (price > 0) {
+                        const observedAt = entry.updateUnixTime ? Math.min(entry.updateUnixTime * 1000, fetchedAt) : fetchedAt;
+                        results.set(mint, { price, observedAt });
+                    }
+                }
+            } catch (error) {
+                this.logger.warn(`Birdeye price lookup failed: ${error.message}`);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * DexScreener, taking the most liquid Solana pair per token (30 addresses per request)
+     */
+    async fetchDexScreener(mints) {
+        const results = new Map();
+        const wanted = new Set(mints);
+        for (let i = 0; i < mints.length; i += 30) {
+            const chunk = mints.slice(i, i + 30);
+            try {
+                const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${chunk.join(',')}`, {
+                    headers: { 'Accept': 'application/json' },
+                    timeout: this.timeoutMs
+                });
+                const observedAt = Date.now();
+                const liquidityByMint = new Map();
+                for (const pair of (response.data && response.data.pairs) || []) {
+                    const mint = pair.baseToken?.address;
+                    if (pair.chainId !== 'solana' || !wanted.has(mint)) continue;
+
+                    const liquidity = pair.liquidity?.usd || 0;
+                    const price = parseFloat(pair.priceUsd);
+                    if (!(price > 0) || (liquidityByMint.has(mint) && liquidityByMint.get(mint) >= liquidity)) continue;
+
+                    liquidityByMint.set(mint, liquidity);
+                    results.set(mint, { price, observedAt });
+                }
+            } catch (error) {
+                this.logger.warn(`DexScreener price lookup failed: ${error.message}`);
+            }
+        }
+        return results;
+    }
+
+    static describe(quote) {
+        if (!quote || quote.price === null) {
+            return 'no price from any source';
+        }
+        const parts = [`$${quote.price} via ${quote.source || 'none'}`];
+        if (quote.ageMs !== null) parts.push(`${Math.round(quote.ageMs / 1000)}s old`);
+        if (quote.stale) parts.push('stale');
+        if (quote.divergent) parts.push('divergent');
+        if (quote.outliers.length > 0) {
+            parts.push(`outliers: ${quote.outliers.map(o => `${o.source} $${o.price}`).join(', ')}`);
+        }
+        return parts.join(', ');
+    }
+
+    static clearCache() {
+        quoteCache.clear();
+    }
+}
+
+PriceOracle.SOURCES = SOURCES;
+
+module.exports = PriceOracle;
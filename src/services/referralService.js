@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+// No 0/O or 1/I, so codes survive being read out or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = /^[A-Z0-9]{4,32}$/;
+
+/**
+ * Referral codes and the referrer's side of the program.
+ *
+ * Every user gets an invite code on first use, shared as a t.me/<bot>?start=<code>
+ * deep link. A new user who starts the bot through that link is bound to the
+ * referrer before they set up a wallet, and from then on FeeManagement.collectFee
+ * sends config.referralFeeShare of each of their trade fees to the referrer's
+ * active wallet and records it on the fees row.
+ */
+class ReferralService {
+    constructor(config, db) {
+        this.config = config;
+        this.db = db;
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    static generateCode() {
+        let code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        return code;
+    }
+
+    static normalizeCode(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        return CODE_PATTERN.test(normalized) ? normalized : null;
+    }
+
+    async getOrCreateCode(userId) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const existing = this.db.getReferralCode(userId);
+            if (existing === undefined) {
+                throw new Error(`User ${userId} not found`);
+            }
+            if (existing) {
+                return existing;
+            }
+            try {
+                this.db.setReferralCode(userId, ReferralService.generateCode());
+            } catch (error) {
+                // Another user already has this code; try a fresh one
+                if (!String(error.message).includes('UNIQUE')) {
+                    throw error;
+                }
+            }
+        }
+        throw new Error('Could not generate a referral code');
+    }
+
+    /**
+     * Bind a new user to the owner of a referral code
+     * @returns {Promise<Object|null>} The referrer, or null when the code was not applied
+     */
+    async applyReferralCode(user, code) {
+        const normalized = ReferralService.normalizeCode(code);
+        if (!normalized) {
+            return null;
+        }
+        const referrer = this.db.getUserByReferralCode(normalized);
+        if (!referrer || referrer.id === user.id || referrer.referred_by === user.id) {
+            return null;
+        }
+        // Only users still onboarding can be referred, so an existing user cannot be claimed by a later link
+        const wallets = await this.db.getWalletsByUserId(user.id);
+        if (wallets.length > 0 || !this.db.bindReferrer(user.id, referrer.id)) {
+            return null;
+        }
+        this.logger.info(`User ${user.id} referred by user ${referrer.id}`);
+        return referrer;
+    }
+
+    /**
+     * Everything the referral screen shows
+     */
+    async getStats(userId) {
+        const code = await this.getOrCreateCode(userId);
+        const referees = this.db.getReferees(userId);
+        const activeWallet = await this.db.getActiveWallet(userId);
+        return {
+            code,
+            share: this.config.referralFeeShare || 0,
+            walletAddress: activeWallet ? activeWallet.public_key : null,
+            referees,
+            refereeCount: referees.length,
+            tradingCount: referees.filter(r => r.fee_count > 0).length,
+            refereeVolume: referees.reduce((total, r) => total + r.volume, 0),
+            totalEarned: this.db.getReferralEarningsTotal(userId),
+            earned30d: this.db.getReferralEarningsTotal(userId, 30),
+            recent: this.db.getReferralEarnings(userId, 5)
+        };
+    }
+
+    static getReferralLink(botUsername, code) {
+        return botUsername ? `https://t.me/${botUsername}?start=${code}` : null;
+    }
+}
+
+module.exports = ReferralService;
@@ -0,0 +1,193 @@
+const winston = require('winston');
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+// Sells that close positions on the user's behalf: stop-loss, take-profit and time exits,
+// copying a leader's exit, and resting limit sells
+const EXIT_SOURCES = ['manual_management', 'copy_trade', 'limit_order'];
+
+/**
+ * Account-wide limits that every trade has to clear, whichever path it comes from:
+ * manual trades, copy trades, rules and strategies, limit orders and wallet groups.
+ *
+ * TradingExecution and PaperTradingService ask checkBuy() or checkSell() before
+ * swapping and report each fill through recordFill(), so the limits hold no matter
+ * who calls them. Sells the user places count towards the daily trade limit and are
+ * held by the loss cooldown; automated exits are never held, and the daily loss, open
+ * position and per-token exposure limits only apply to buys, because a sell can only
+ * shrink positions and exposure, and refusing it would keep a losing position open.
+ * Every sell's realised PnL still feeds the daily loss limit and the loss streak.
+ * Paper and real trading are tracked separately, so losses in one never lock the other.
+ */
+class RiskGuardService {
+    constructor(config, db) {
+        this.config = config;
+        this.db = db;
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    /**
+     * Whether a buy may go ahead. Rejections are logged and stored with the reason shown to the user.
+     * @param {Object} options - isPaper, source (e.g. 'manual', 'copy_trade') for the log
+     * @returns {Promise<{allowed: boolean, rule?: string, reason?: string}>}
+     */
+    async checkBuy(userId, tokenAddress, solAmount, { isPaper = false, source = null } = {}) {
+        const settings = await this.db.getUserSettings(userId);
+        const rejection = this.findViolation(userId, tokenAddress, solAmount, isPaper, settings || {});
+        if (!rejection) {
+            return { allowed: true };
+        }
+
+        this.db.createRiskRejection(userId, { tokenAddress, side: 'buy', isPaper, solAmount, ...rejection });
+        this.logger.warn(`Risk guard rejected ${isPaper ? 'paper ' : ''}buy of ${solAmount} SOL of ${tokenAddress} for user ${userId}${source ? ` (${source})` : ''}: ${rejection.reason}`);
+        return { allowed: false, ...rejection, reason: `🛡 Risk limit: ${rejection.reason}` };
+    }
+
+    /**
+     * Whether a sell may go ahead: only the daily trade limit and the loss cooldown apply,
+     * and automated exits (see EXIT_SOURCES) always go ahead.
+     * @param {Object} options - isPaper, source (e.g. 'manual', 'manual_management')
+     * @returns {Promise<{allowed: boolean, rule?: string, reason?: string}>}
+     */
+    async checkSell(userId, tokenAddress, tokenAmount, { isPaper = false, source = null } = {}) {
+        if (EXIT_SOURCES.includes(source)) {
+            return { allowed: true };
+        }
+
+        const settings = await this.db.getUserSettings(userId);
+        const rejection = this.findPacingViolation(userId, isPaper, settings || {}, 'Selling');
+        if (!rejection) {
+            return { allowed: true };
+        }
+
+        this.db.createRiskRejection(userId, { tokenAddress, side: 'sell', isPaper, ...rejection });
+        this.logger.warn(`Risk guard rejected ${isPaper ? 'paper ' : ''}sell of ${tokenAmount} ${tokenAddress} for user ${userId}${source ? ` (${source})` : ''}: ${rejection.reason}`);
+        return { allowed: false, ...rejection, reason: `🛡 Risk limit: ${rejection.reason}` };
+    }
+
+    // The limits on how often the user trades, which hold for buys and sells alike
+    findPacingViolation(userId, isPaper, settings, action) {
+        const state = this.db.getRiskState(userId, isPaper);
+        if (state && state.cooldown_until) {
+            const until = new Date(state.cooldown_until + 'Z');
+            if (until.getTime() > Date.now()) {
+                const minutes = Math.ceil((until.getTime() - Date.now()) / 60000);
+                return {
+                    rule: 'loss_cooldown',
+                    reason: `${action} is paused for ${minutes} more minute(s) after ${settings.loss_streak_limit || 'several'} losing trades in a row.`
+                };
+            }
+        }
+
+        const daily = this.db.getRiskDailyStats(userId, isPaper);
+        if (settings.max_daily_trades > 0 && daily.trades >= settings.max_daily_trades) {
+            return {
+                rule: 'max_daily_trades',
+                reason: `Daily trade limit reached (${daily.trades}/${settings.max_daily_trades} today).`
+            };
+        }
+        return null;
+    }
+
+    findViolation(userId, tokenAddress, solAmount, isPaper, settings) {
+        const pacing = this.findPacingViolation(userId, isPaper, settings, 'Buying');
+        if (pacing) {
+            return pacing;
+        }
+
+        const daily = this.db.getRiskDailyStats(userId, isPaper);
+        if (settings.daily_loss_limit > 0 && -daily.realized_pnl_sol >= settings.daily_loss_limit) {
+            return {
+                rule: 'daily_loss_limit',
+                reason: `Daily loss limit reached (${(-daily.realized_pnl_sol).toFixed(4)} of ${settings.daily_loss_limit} SOL lost today).`
+            };
+        }
+
+        const position = this.db.getRiskPosition(userId, tokenAddress, isPaper);
+        const isOpen = position && position.amount > 0;
+        if (!isOpen && settings.max_open_positions > 0) {
+            const openPositions = this.db.getRiskPositionCount(userId, isPaper);
+            if (openPositions >= settings.max_open_positions) {
+                return {
+                    rule: 'max_open_positions',
+                    reason: `Open position limit reached (${openPositions}/${settings.max_open_positions}). Close a position before opening another.`
+                };
+            }
+        }
+
+        if (settings.max_token_exposure_sol > 0) {
+            const exposure = (isOpen ? position.cost_sol : 0) + solAmount;
+            if (exposure > settings.max_token_exposure_sol) {
+                return {
+                    rule: 'max_token_exposure',
+                    reason: `This would put ${exposure.toFixed(4)} SOL into one token; your limit is ${settings.max_token_exposure_sol} SOL.`
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Record a completed fill. Losing sells extend the loss streak and, once it hits
+     * loss_streak_limit, start a cooldown; a winning sell resets it.
+     * @returns {Promise<number|null>} Realised PnL in SOL for sells with a known cost
+     */
+    async recordFill(userId, tokenAddress, side, solAmount, tokenAmount, { isPaper = false } = {}) {
+        try {
+            if (!(solAmount >= 0) || !(tokenAmount > 0)) {
+                return null;
+            }
+            const realizedPnl = this.db.recordRiskFill(userId, tokenAddress, isPaper, side, solAmount, tokenAmount);
+            if (side !== 'sell' || realizedPnl === null) {
+                return realizedPnl;
+            }
+
+            const settings = (await this.db.getUserSettings(userId)) || {};
+            const state = this.db.getRiskState(userId, isPaper);
+            const streak = realizedPnl < 0 ? (state ? state.loss_streak : 0) + 1 : 0;
+
+            if (settings.loss_streak_limit > 0 && streak >= settings.loss_streak_limit) {
+                const minutes = settings.loss_cooldown_minutes > 0 ? settings.loss_cooldown_minutes : DEFAULT_COOLDOWN_MINUTES;
+                // The streak starts over once the cooldown has been served
+                this.db.updateRiskState(userId, isPaper, 0, minutes);
+                this.logger.warn(`User ${userId} hit ${streak} losing trades in a row; trading paused for ${minutes} minutes`);
+            } else {
+                this.db.updateRiskState(userId, isPaper, streak);
+            }
+            return realizedPnl;
+        } catch (error) {
+            // Bookkeeping must never turn a completed trade into a failure
+            this.logger.error(`Risk guard could not record ${side} of ${tokenAddress} for user ${userId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Today's usage against each limit, for the risk settings screen
+     */
+    async getStatus(userId, isPaper = false) {
+        const settings = (await this.db.getUserSettings(userId)) || {};
+        const daily = this.db.getRiskDailyStats(userId, isPaper);
+        const state = this.db.getRiskState(userId, isPaper);
+        const cooldownUntil = state && state.cooldown_until ? new Date(state.cooldown_until + 'Z') : null;
+        return {
+            settings,
+            tradesToday: daily.trades,
+            realizedPnlToday: daily.realized_pnl_sol,
+            openPositions: this.db.getRiskPositionCount(userId, isPaper),
+            lossStreak: state ? state.loss_streak : 0,
+            cooldownUntil: cooldownUntil && cooldownUntil.getTime() > Date.now() ? cooldownUntil : null,
+            recentRejections: this.db.getRiskRejections(userId, 5)
+        };
+    }
+}
+
+module.exports = RiskGuardService;
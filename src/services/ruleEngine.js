@@ -1,11 +1,16 @@
 const TokenDataService = require('./tokenDataService');
 const TradingExecution = require('../modules/tradingExecution');
+const WalletKeystore = require('./walletKeystore');
+const TradingSessionService = require('./tradingSessionService');
 
 class RuleEngine {
     constructor(db, config) {
         this.db = db;
+        this.config = config;
         this.tokenDataService = new TokenDataService(config);
-        this.tradingExecution = new TradingExecution(config);
+        this.tradingExecution = new TradingExecution(config, db);
+        this.keystore = new WalletKeystore(config, db);
+        this.tradingSessionService = new TradingSessionService(config, db);
         this.isAutonomousMode = false;
     }
 
@@ -66,16 +71,13 @@ class RuleEngine {
                 throw new Error('No active wallet found for user');
             }
 
-            // Get user's telegram ID for decryption
-            const user = await this.db.getUserByTelegramId(userId.toString());
-            if (!user || !user.telegram_id) {
-                throw new Error('User telegram ID not found');
+            // Passphrase wallets only sign while their trading session is live
+            if (!this.tradingSessionService.canSign(activeWallet)) {
+                throw new Error('Trading session expired. Unlock your wallet to resume rule-based trading.');
             }
 
             // Decrypt private key
-            const BuyManager = require('../modules/buyManager');
-            const buyManager = new BuyManager(this.config, this.tradingExecution, this.db, null);
-            const decryptedKey = buyManager.decryptPrivateKey(activeWallet.encrypted_private_key, user.telegram_id.toString());
+            const decryptedKey = this.keystore.decryptWalletKey(activeWallet);
             const secretKey = Buffer.from(decryptedKey, 'base64');
             
             if (secretKey.length !== 64) {
@@ -97,7 +99,10 @@ class RuleEngine {
             }
 
             // Execute sell
-            const sellResult = await this.tradingExecution.executeSell(userId, tokenAddress, sellAmount);
+            const sellResult = await this.tradingExecution.executeSell(userId, tokenAddress, sellAmount, keypair, undefined, {
+                ruleId,
+                strategy: 'rule'
+            });
             
             if (sellResult.success) {
                 // Record successful sell
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const PriceOracle = require('./priceOracle');
 // Removed MarketDataService import since we only use Jupiter now
 
 class TokenDataService {
@@ -9,6 +10,7 @@ class TokenDataService {
         this.lastJupiterCall = 0; // Timestamp of last Jupiter API call
         this.cooldownMs = (config && config.jupiterCooldownMs) ? config.jupiterCooldownMs : 10 * 1000; // Configurable cooldown
         this.cooldownPromise = null; // Promise for ongoing cooldown
+        this.priceOracle = new PriceOracle(config || {});
     }
 
     async cooldownIfNeeded() {
@@ -42,7 +44,15 @@ class TokenDataService {
         }
         try {
             await this.cooldownIfNeeded();
-            const jupiterData = await this.getJupiterData(tokenAddress);
+            const [jupiterData, quote] = await Promise.all([
+                this.getJupiterData(tokenAddress),
+                this.priceOracle.getQuote(tokenAddress)
+            ]);
+            // Jupiter search supplies the metadata; the price comes from the oracle
+            if (quote.price !== null) {
+                jupiterData.price = quote.price;
+            }
+            jupiterData.priceQuote = quote;
             // Cache the result
             this.priceCache.set(tokenAddress, { priceData: jupiterData, timestamp: Date.now() });
             return jupiterData;
@@ -159,6 +169,33 @@ class TokenDataService {
         return data?.liquidity || 0;
     }
 
+    /**
+     * Top traded tokens over the last 24h from Jupiter, normalized to the getJupiterData shape.
+     * @param {number} limit - Maximum number of tokens to return.
+     * @returns {Promise<Array>} Array of token objects.
+     */
+    async getTopTradedTokens(limit = 20) {
+        try {
+            const response = await axios.get('https://lite-api.jup.ag/tokens/v2/toptraded/24h', {
+                headers: { 'Accept': 'application/json' }
+            });
+            const tokens = Array.isArray(response.data) ? response.data : (response.data?.data || []);
+            return tokens.slice(0, limit).map(token => ({
+                price: token.usdPrice,
+                address: token.id,
+                symbol: token.symbol,
+                name: token.name,
+                marketCap: token.mcap,
+                category: token.tags ? token.tags[0] : null,
+                volume24h: token.stats24h ? (token.stats24h.buyVolume + token.stats24h.sellVolume) : null,
+                liquidity: token.liquidity
+            }));
+        } catch (error) {
+            console.error('Error fetching top traded tokens:', error.message);
+            return [];
+        }
+    }
+
     /**
      * Fetch tokens from Jupiter, filter by rule criteria, and return a random selection.
      * @param {Object} rule - The rule object containing criteria for filtering tokens.
@@ -0,0 +1,194 @@
+const winston = require('winston');
+const WalletKeystore = require('./walletKeystore');
+
+const DEFAULT_TTL_MINUTES = 30;
+
+// Live sessions by wallet id, shared by every service instance in the process
+const sessions = new Map();
+
+/**
+ * Passphrase-gated trading sessions for wallets that have a passphrase.
+ *
+ * Unlocking with the passphrase opens a session that holds the wallet's
+ * derived decryption key in memory until it expires. Background trades
+ * (autonomous, copy, rule-based and managed exits) may only sign for such a
+ * wallet while its session is live. On expiry the key is wiped, the wallet is
+ * locked again and the user is told that automation is paused until they unlock.
+ */
+class TradingSessionService {
+    constructor(config, db, telegramBot = null) {
+        this.config = config;
+        this.db = db;
+        this.telegramBot = telegramBot;
+        this.keystore = new WalletKeystore(config, db);
+        const sessionConfig = (config && config.tradingSessions) || {};
+        this.defaultTtlMinutes = sessionConfig.ttlMinutes
+            || parseInt(process.env.TRADING_SESSION_TTL_MINUTES)
+            || DEFAULT_TTL_MINUTES;
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    /**
+     * Wallets without a passphrase unlock without a session and are never gated
+     */
+    static isSessionRequired(wallet) {
+        return !!(wallet && wallet.passphrase_hash);
+    }
+
+    static getSession(walletId) {
+        const session = sessions.get(Number(walletId));
+        if (!session) {
+            return null;
+        }
+        // A stalled timer must never leave a key usable past its expiry
+        if (Date.now() >= session.expiresAt) {
+            TradingSessionService.clearSession(walletId);
+            return null;
+        }
+        return session;
+    }
+
+    static getSessionKey(walletId) {
+        const session = TradingSessionService.getSession(walletId);
+        return session ? session.key : null;
+    }
+
+    static clearSession(walletId) {
+        const session = sessions.get(Number(walletId));
+        if (!session) {
+            return false;
+        }
+        clearTimeout(session.timer);
+        session.key.fill(0);
+        sessions.delete(Number(walletId));
+        return true;
+    }
+
+    /**
+     * Whether a background trade may sign for this wallet right now
+     */
+    canSign(wallet) {
+        return !TradingSessionService.isSessionRequired(wallet)
+            || !!TradingSessionService.getSession(wallet.id);
+    }
+
+    /**
+     * Session length for a user, from their security settings or the default
+     */
+    async getTtlMinutes(userId) {
+        const settings = await this.db.getUserSettings(userId);
+        return (settings && settings.auto_lock_timeout) || this.defaultTtlMinutes;
+    }
+
+    /**
+     * Open (or renew) a session after the passphrase has been verified
+     * @returns {Promise<{walletId: number, expiresAt: number, ttlMinutes: number}>}
+     */
+    async openSession(wallet, telegramId, passphrase) {
+        // Legacy rows are re-encrypted first so the session key matches the stored record
+        if (WalletKeystore.isLegacyFormat(wallet.encrypted_private_key)) {
+            this.keystore.decryptWalletKey(wallet);
+        }
+        const key = this.keystore.deriveWalletKey(wallet, passphrase);
+        const ttlMinutes = await this.getTtlMinutes(wallet.user_id);
+        const expiresAt = Date.now() + ttlMinutes * 60 * 1000;
+
+        TradingSessionService.clearSession(wallet.id);
+        const timer = setTimeout(() => {
+            this.expireSession(wallet.id).catch(error =>
+                this.logger.error(`Error expiring trading session for wallet ${wallet.id}: ${error.message}`)
+            );
+        }, ttlMinutes * 60 * 1000);
+        // Don't hold the process open just for a pending expiry
+        if (timer.unref) timer.unref();
+
+        sessions.set(Number(wallet.id), {
+            walletId: Number(wallet.id),
+            userId: wallet.user_id,
+            telegramId,
+            key,
+            expiresAt,
+            timer
+        });
+        await this.db.unlockWallet(wallet.id);
+        this.logger.info(`Opened ${ttlMinutes}m trading session for wallet ${wallet.id}`);
+
+        return { walletId: Number(wallet.id), expiresAt, ttlMinutes };
+    }
+
+    /**
+     * End a session early, e.g. when the user locks the wallet
+     */
+    async closeSession(walletId) {
+        const closed = TradingSessionService.clearSession(walletId);
+        if (closed) {
+            this.logger.info(`Closed trading session for wallet ${walletId}`);
+        }
+        return closed;
+    }
+
+    async expireSession(walletId) {
+        const session = sessions.get(Number(walletId));
+        if (!session) {
+            return;
+        }
+        TradingSessionService.clearSession(walletId);
+        await this.db.lockWallet(walletId);
+        this.logger.info(`Trading session expired for wallet ${walletId}`);
+        await this.notifyExpired(session);
+    }
+
+    async notifyExpired(session) {
+        if (!this.telegramBot || !session.telegramId) {
+            return;
+        }
+        try {
+            const wallet = await this.db.getWalletById(session.walletId);
+            const address = wallet ? `${wallet.public_key.slice(0, 6)}...${wallet.public_key.slice(-4)}` : `#${session.walletId}`;
+            const message = `
+*⏰ Trading Session Expired*
+
+Wallet \`${address}\` has been locked again.
+
+Autonomous, copy and rule-based trading for this wallet is *paused* until you unlock it with your passphrase.`;
+
+            await this.telegramBot.sendMessage(session.telegramId, message, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '🔓 Unlock Wallet', callback_data: `unlock_wallet_${session.walletId}` }]
+                    ]
+                }
+            });
+        } catch (error) {
+            this.logger.error(`Error sending session expiry notification: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lock every passphrase wallet; sessions don't survive a restart
+     */
+    lockAllSessionWallets() {
+        return this.db.lockPassphraseWallets();
+    }
+
+    static formatRemaining(walletId) {
+        const session = TradingSessionService.getSession(walletId);
+        if (!session) {
+            return null;
+        }
+        const minutes = Math.max(1, Math.ceil((session.expiresAt - Date.now()) / 60000));
+        return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+    }
+}
+
+TradingSessionService.DEFAULT_TTL_MINUTES = DEFAULT_TTL_MINUTES;
+
+module.exports = TradingSessionService;
@@ -0,0 +1,332 @@
+const axios = require('axios');
+const winston = require('winston');
+const PriceOracle = require('./priceOracle');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SOL = 1e9;
+
+const DEFAULTS = {
+    maxPages: 5, // 100 swaps per page
+    cacheTtlMs: 6 * 60 * 60 * 1000,
+    minClosedTrades: 20, // Below this the score is scaled down for thin evidence
+    timeoutMs: 15000
+};
+
+/**
+ * Track records for wallets that users may copy.
+ *
+ * A wallet's recent swaps are pulled from the Helius enhanced transactions API
+ * and replayed in order. Buys open FIFO lots per token; each sell closes the
+ * oldest lots first, which gives realised PnL and hold time per closed trade.
+ * What is still open is valued at the oracle price for unrealised PnL. Only
+ * SOL <-> token swaps are counted: token-to-token swaps have no SOL cost to
+ * measure against. Results are stored so the leaderboard and StrategyEngine
+ * can read them without hitting Helius again.
+ */
+class WalletAnalyticsService {
+    constructor(config, db) {
+        this.config = config;
+        this.db = db;
+        const analyticsConfig = (config && config.walletAnalytics) || {};
+        this.maxPages = analyticsConfig.maxPages || DEFAULTS.maxPages;
+        this.cacheTtlMs = analyticsConfig.cacheTtlMs || DEFAULTS.cacheTtlMs;
+        this.minClosedTrades = analyticsConfig.minClosedTrades || DEFAULTS.minClosedTrades;
+        this.heliusApiKey = (config && config.heliusApiKey) || process.env.HELIUS_API_KEY;
+        this.priceOracle = new PriceOracle(config);
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    /**
+     * Analyse a wallet, reusing a stored analysis younger than cacheTtlMs unless forced
+     * @returns {Promise<Object>} The wallet_analytics row
+     */
+    async analyzeWallet(walletAddress, { force = false } = {}) {
+        const cached = this.db.getWalletAnalytics(walletAddress);
+        if (cached && !force && Date.now() - new Date(cached.analyzed_at + 'Z').getTime() < this.cacheTtlMs) {
+            return cached;
+        }
+
+        const transactions = await this.fetchSwapHistory(walletAddress);
+        const trades = WalletAnalyticsService.extractTrades(transactions, walletAddress);
+        const ledger = WalletAnalyticsService.buildLedger(trades);
+        const prices = await this.getSolPrices(ledger.tokens.filter(token => token.openAmount > 0).map(token => token.tokenAddress));
+        const summary = this.summarize(ledger, prices, transactions.length);
+
+        this.db.saveWalletAnalytics(walletAddress, summary, ledger.tokens, ledger.closedTrades);
+        this.logger.info(`Analysed ${walletAddress}: ${trades.length} swaps, ${summary.closedTrades} closed trades, score ${summary.score.toFixed(1)}`);
+        return this.db.getWalletAnalytics(walletAddress);
+    }
+
+    /**
+     * Most recent swaps first, following Helius' `before` cursor for up to maxPages pages
+     */
+    async fetchSwapHistory(walletAddress) {
+        if (!this.heliusApiKey) {
+            throw new Error('HELIUS_API_KEY is required for wallet analytics');
+        }
+
+        const transactions = [];
+        let before = null;
+        for (let page = 0; page < this.maxPages; page++) {
+            const response = await axios.get(`https://api.helius.xyz/v0/addresses/${walletAddress}/transactions`, {
+                params: { 'api-key': this.heliusApiKey, type: 'SWAP', limit: 100, ...(before ? { before } : {}) },
+                timeout: DEFAULTS.timeoutMs
+            });
+            const batch = Array.isArray(response.data) ? response.data : [];
+            transactions.push(...batch);
+            if (batch.length < 100) {
+                break;
+            }
+            before = batch[batch.length - 1].signature;
+        }
+        return transactions;
+    }
+
+    /**
+     * SOL <-> token swaps made by the wallet, oldest first
+     * @returns {Array<{signature, timestamp, tokenAddress, side, amount, solAmount}>}
+     */
+    static extractTrades(transactions, walletAddress) {
+        const trades = [];
+        for (const transaction of transactions) {
+            const swap = transaction.events?.swap;
+            if (!swap || transaction.transactionError) continue;
+
+            const ownInputs = (swap.tokenInputs || []).filter(input => input.userAccount === walletAddress);
+            const ownOutputs = (swap.tokenOutputs || []).filter(output => output.userAccount === walletAddress);
+
+            // SOL may move natively or as wrapped SOL
+            let solIn = swap.nativeInput?.account === walletAddress ? parseInt(swap.nativeInput.amount) / LAMPORTS_PER_SOL : 0;
+            let solOut = swap.nativeOutput?.account === walletAddress ? parseInt(swap.nativeOutput.amount) / LAMPORTS_PER_SOL : 0;
+            solIn += ownInputs.filter(input => input.mint === SOL_MINT).reduce((sum, input) => sum + WalletAnalyticsService.tokenAmount(input), 0);
+            solOut += ownOutputs.filter(output => output.mint === SOL_MINT).reduce((sum, output) => sum + WalletAnalyticsService.tokenAmount(output), 0);
+
+            const tokensIn = ownInputs.filter(input => input.mint !== SOL_MINT);
+            const tokensOut = ownOutputs.filter(output => output.mint !== SOL_MINT);
+
+            let trade = null;
+            if (solIn > 0 && tokensOut.length === 1 && tokensIn.length === 0) {
+                trade = { tokenAddress: tokensOut[0].mint, side: 'buy', amount: WalletAnalyticsService.tokenAmount(tokensOut[0]), solAmount: solIn };
+            } else if (solOut > 0 && tokensIn.length === 1 && tokensOut.length === 0) {
+                trade = { tokenAddress: tokensIn[0].mint, side: 'sell', amount: WalletAnalyticsService.tokenAmount(tokensIn[0]), solAmount: solOut };
+            }
+            if (trade && trade.amount > 0) {
+                trades.push({ signature: transaction.signature, timestamp: transaction.timestamp, ...trade });
+            }
+        }
+        return trades.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    static tokenAmount(entry) {
+        const raw = entry.rawTokenAmount;
+        if (raw) {
+            return parseInt(raw.tokenAmount) / Math.pow(10, raw.decimals || 0);
+        }
+        return parseFloat(entry.tokenAmount) || 0;
+    }
+
+    /**
+     * Replay trades through FIFO lots per token.
+     * Sells of tokens bought before the history window only count against the lots we saw,
+     * so their unmatched part has no known cost and is left out.
+     */
+    static buildLedger(trades) {
+        const byToken = new Map();
+        const closedTrades = [];
+
+        for (const trade of trades) {
+            if (!byToken.has(trade.tokenAddress)) {
+                byToken.set(trade.tokenAddress, {
+                    tokenAddress: trade.tokenAddress,
+                    lots: [],
+                    buys: 0,
+                    sells: 0,
+                    costSol: 0,
+                    proceedsSol: 0,
+                    realizedPnlSol: 0,
+                    heldSeconds: 0,
+                    closedAmount: 0
+                });
+            }
+            const token = byToken.get(trade.tokenAddress);
+
+            if (trade.side === 'buy') {
+                token.buys++;
+                token.costSol += trade.solAmount;
+                token.lots.push({ amount: trade.amount, costSol: trade.solAmount, timestamp: trade.timestamp });
+                continue;
+            }
+
+            token.sells++;
+            let remaining = trade.amount;
+            let matched = 0;
+            let cost = 0;
+            let heldSeconds = 0;
+            while (remaining > 0 && token.lots.length > 0) {
+                const lot = token.lots[0];
+                const take = Math.min(lot.amount, remaining);
+                const lotCost = lot.costSol * (take / lot.amount);
+                cost += lotCost;
+                heldSeconds += take * (trade.timestamp - lot.timestamp);
+                matched += take;
+                remaining -= take;
+                lot.amount -= take;
+                lot.costSol -= lotCost;
+                if (lot.amount <= 1e-12) {
+                    token.lots.shift();
+                }
+            }
+            if (matched <= 0) continue;
+
+            const proceeds = trade.solAmount * (matched / trade.amount);
+            token.proceedsSol += proceeds;
+            token.realizedPnlSol += proceeds - cost;
+            token.heldSeconds += heldSeconds;
+            token.closedAmount += matched;
+            closedTrades.push({
+                tokenAddress: trade.tokenAddress,
+                signature: trade.signature,
+                amount: matched,
+                costSol: cost,
+                proceedsSol: proceeds,
+                profitSol: proceeds - cost,
+                holdSeconds: heldSeconds / matched,
+                closedAt: trade.timestamp
+            });
+        }
+
+        const tokens = [...byToken.values()].map(token => ({
+            tokenAddress: token.tokenAddress,
+            buys: token.buys,
+            sells: token.sells,
+            costSol: token.costSol,
+            proceedsSol: token.proceedsSol,
+            realizedPnlSol: token.realizedPnlSol,
+            openAmount: token.lots.reduce((sum, lot) => sum + lot.amount, 0),
+            openCostSol: token.lots.reduce((sum, lot) => sum + lot.costSol, 0),
+            unrealizedPnlSol: 0,
+            avgHoldSeconds: token.closedAmount > 0 ? token.heldSeconds / token.closedAmount : 0
+        }));
+
+        return {
+            tokens,
+            closedTrades,
+            firstTradeAt: trades.length > 0 ? trades[0].timestamp : null,
+            lastTradeAt: trades.length > 0 ? trades[trades.length - 1].timestamp : null
+        };
+    }
+
+    /**
+     * Token prices in SOL, for valuing open lots
+     * @returns {Promise<Map<string, number>>}
+     */
+    async getSolPrices(tokenAddresses) {
+        const prices = new Map();
+        if (tokenAddresses.length === 0) {
+            return prices;
+        }
+        const quotes = await this.priceOracle.getQuotes([...tokenAddresses, SOL_MINT]);
+        const solQuote = quotes.get(SOL_MINT);
+        if (!solQuote || !(solQuote.price > 0)) {
+            return prices;
+        }
+        for (const tokenAddress of tokenAddresses) {
+            const quote = quotes.get(tokenAddress);
+            if (quote && quote.price > 0) {
+                prices.set(tokenAddress, quote.price / solQuote.price);
+            }
+        }
+        return prices;
+    }
+
+    summarize(ledger, prices, swapsAnalyzed) {
+        for (const token of ledger.tokens) {
+            const price = prices.get(token.tokenAddress);
+            // Unpriced open lots are treated as worth their cost rather than zero
+            token.unrealizedPnlSol = token.openAmount > 0 && price !== undefined
+                ? token.openAmount * price - token.openCostSol
+                : 0;
+        }
+
+        const closed = ledger.closedTrades;
+        const wins = closed.filter(trade => trade.profitSol > 0);
+        const grossProfit = wins.reduce((sum, trade) => sum + trade.profitSol, 0);
+        const grossLoss = closed.filter(trade => trade.profitSol <= 0).reduce((sum, trade) => sum - trade.profitSol, 0);
+        const totalCostSol = ledger.tokens.reduce((sum, token) => sum + token.costSol, 0);
+
+        // Worst peak-to-trough fall of cumulative realised PnL, as a share of SOL deployed
+        let cumulative = 0;
+        let peak = 0;
+        let maxDrawdownSol = 0;
+        for (const trade of closed) {
+            cumulative += trade.profitSol;
+            peak = Math.max(peak, cumulative);
+            maxDrawdownSol = Math.max(maxDrawdownSol, peak - cumulative);
+        }
+
+        const summary = {
+            swapsAnalyzed,
+            closedTrades: closed.length,
+            winRate: closed.length > 0 ? wins.length / closed.length : 0,
+            // Capped so a wallet with no losing trades doesn't score infinitely
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? 10 : 0),
+            realizedPnlSol: ledger.tokens.reduce((sum, token) => sum + token.realizedPnlSol, 0),
+            unrealizedPnlSol: ledger.tokens.reduce((sum, token) => sum + token.unrealizedPnlSol, 0),
+            totalCostSol,
+            avgHoldSeconds: closed.length > 0 ? closed.reduce((sum, trade) => sum + trade.holdSeconds, 0) / closed.length : 0,
+            maxDrawdown: totalCostSol > 0 ? Math.min(maxDrawdownSol / totalCostSol, 1) : 0,
+            firstTradeAt: ledger.firstTradeAt,
+            lastTradeAt: ledger.lastTradeAt
+        };
+        summary.score = this.score(summary);
+        return summary;
+    }
+
+    /**
+     * 0-100 ranking score: win rate, profit factor, return on SOL deployed and drawdown,
+     * scaled down when there are fewer than minClosedTrades closed trades behind it
+     */
+    score(summary) {
+        if (summary.closedTrades === 0) {
+            return 0;
+        }
+        const roi = summary.totalCostSol > 0 ? summary.realizedPnlSol / summary.totalCostSol : 0;
+        const quality =
+            summary.winRate * 0.35 +
+            Math.min(summary.profitFactor / 3, 1) * 0.25 +
+            ((Math.max(-1, Math.min(roi, 1)) + 1) / 2) * 0.25 +
+            (1 - summary.maxDrawdown) * 0.15;
+        const evidence = Math.min(summary.closedTrades / this.minClosedTrades, 1);
+        return quality * evidence * 100;
+    }
+
+    getLeaderboard(limit = 10) {
+        return this.db.getWalletLeaderboard(limit);
+    }
+
+    /**
+     * Closed trades in the shape StrategyEngine's wallet metrics expect
+     * @param {Object} options - limit and minTimestamp (ms)
+     */
+    getClosedTrades(walletAddress, options = {}) {
+        const sinceSeconds = options.minTimestamp ? Math.floor(options.minTimestamp / 1000) : 0;
+        return this.db.getWalletAnalyticsTrades(walletAddress, sinceSeconds, options.limit || 100).map(trade => ({
+            tokenAddress: trade.token_address,
+            signature: trade.signature,
+            profit: trade.profit_sol,
+            holdTime: trade.hold_seconds,
+            timestamp: trade.closed_at * 1000
+        }));
+    }
+}
+
+WalletAnalyticsService.SOL_MINT = SOL_MINT;
+
+module.exports = WalletAnalyticsService;
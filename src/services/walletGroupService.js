@@ -0,0 +1,180 @@
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const winston = require('winston');
+const PaperTradingService = require('./paperTradingService');
+const WalletKeystore = require('./walletKeystore');
+
+const SPLIT_MODES = ['split', 'each'];
+
+/**
+ * Fans one buy or percentage sell out across the wallets of a wallet group.
+ *
+ * Each member wallet is a separate leg: its share of the order is worked out
+ * up front, then the legs run one after another, each with its own keypair, so
+ * one wallet failing (locked, out of SOL, no route) never stops the others.
+ * Running them in turn lets the risk guard see every earlier leg's fill, so a
+ * group can't go past the daily trade, position or exposure limits. Paper
+ * wallets in a group are filled by PaperTradingService like everywhere else.
+ */
+class WalletGroupService {
+    constructor(config, db, tradingExecution) {
+        this.config = config;
+        this.db = db;
+        this.tradingExecution = tradingExecution;
+        this.paperTradingService = new PaperTradingService(config, db, tradingExecution);
+        this.keystore = new WalletKeystore(config, db);
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    /**
+     * Work out how much SOL each member spends on a group buy
+     * @param {number} solAmount - Order size entered by the user
+     * @param {Array<Object>} members - Wallet rows with a `weight`
+     * @param {string} splitMode - 'split' divides solAmount by weight, 'each' spends it per wallet
+     * @returns {Array<{wallet: Object, amount: number}>}
+     */
+    static allocate(solAmount, members, splitMode = 'split') {
+        if (splitMode === 'each') {
+            return members.map(wallet => ({ wallet, amount: solAmount }));
+        }
+        const totalWeight = members.reduce((sum, wallet) => sum + (wallet.weight > 0 ? wallet.weight : 0), 0);
+        if (totalWeight <= 0) {
+            return [];
+        }
+        return members
+            .filter(wallet => wallet.weight > 0)
+            // Round down to whole lamports so the legs never add up to more than the order
+            .map(wallet => ({ wallet, amount: Math.floor((solAmount * wallet.weight / totalWeight) * 1e9) / 1e9 }));
+    }
+
+    async executeGroupBuy(user, group, tokenAddress, solAmount) {
+        const members = this.db.getWalletGroupMembers(group.id);
+        if (members.length === 0) {
+            throw new Error('This wallet group has no wallets');
+        }
+        const allocations = WalletGroupService.allocate(solAmount, members, group.split_mode);
+        this.logger.info(`Group buy ${group.id}: ${solAmount} SOL of ${tokenAddress} across ${allocations.length} wallet(s) (${group.split_mode})`);
+
+        const legs = [];
+        for (const { wallet, amount } of allocations) {
+            legs.push(await this.runLeg(wallet, amount, () => this.buyLeg(user, wallet, tokenAddress, amount)));
+        }
+        return this.summarize('buy', group, tokenAddress, legs);
+    }
+
+    async executeGroupSell(user, group, tokenAddress, percentage) {
+        if (!(percentage > 0 && percentage <= 100)) {
+            throw new Error('Percentage must be between 0 and 100');
+        }
+        const members = this.db.getWalletGroupMembers(group.id);
+        if (members.length === 0) {
+            throw new Error('This wallet group has no wallets');
+        }
+        this.logger.info(`Group sell ${group.id}: ${percentage}% of ${tokenAddress} from ${members.length} wallet(s)`);
+
+        // The percentage applies to what each wallet holds, so weights don't matter here
+        const legs = [];
+        for (const wallet of members) {
+            legs.push(await this.runLeg(wallet, null, () => this.sellLeg(user, wallet, tokenAddress, percentage)));
+        }
+        return this.summarize('sell', group, tokenAddress, legs);
+    }
+
+    async runLeg(wallet, amount, execute) {
+        const leg = {
+            walletId: wallet.id,
+            publicKey: wallet.public_key,
+            simulated: this.paperTradingService.isPaperWallet(wallet),
+            amount
+        };
+        try {
+            if (wallet.is_locked) {
+                throw new Error('Wallet is locked');
+            }
+            return { ...leg, ...(await execute()) };
+        } catch (error) {
+            this.logger.error(`Group leg failed for wallet ${wallet.id}: ${error.message}`);
+            return { ...leg, success: false, error: error.message };
+        }
+    }
+
+    async buyLeg(user, wallet, tokenAddress, solAmount) {
+        if (!(solAmount > 0)) {
+            throw new Error('Share of the order rounds down to 0 SOL');
+        }
+
+        if (this.paperTradingService.isPaperWallet(wallet)) {
+            const result = await this.paperTradingService.simulateBuy(user.id, wallet, tokenAddress, solAmount, undefined, { strategy: 'wallet_group' });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            return { success: true, signature: result.signature, filled: result.tokensReceived, symbol: result.symbol };
+        }
+
+        const result = await this.tradingExecution.executeBuy(user.id, tokenAddress, solAmount, this.getKeypair(wallet), { strategy: 'wallet_group' });
+        if (!result.success) {
+            throw new Error(result.error || 'Buy failed');
+        }
+        this.db.createTrade(user.id, tokenAddress, result.tokensReceived, solAmount / result.tokensReceived, 'buy');
+        return { success: true, signature: result.signature, filled: result.tokensReceived, symbol: result.symbol };
+    }
+
+    async sellLeg(user, wallet, tokenAddress, percentage) {
+        const isPaper = this.paperTradingService.isPaperWallet(wallet);
+        let balance;
+        if (isPaper) {
+            const position = this.db.getPaperPosition(wallet.id, tokenAddress);
+            balance = position ? position.amount : 0;
+        } else {
+            balance = await this.tradingExecution.getTokenBalance(new PublicKey(wallet.public_key), tokenAddress);
+        }
+        if (!(balance > 0)) {
+            return { success: false, skipped: true, amount: 0, error: 'No balance' };
+        }
+
+        const amount = (balance * percentage) / 100;
+        const result = isPaper
+            ? await this.paperTradingService.simulateSell(user.id, wallet, tokenAddress, amount, undefined, { strategy: 'wallet_group' })
+            : await this.tradingExecution.executeSell(user.id, tokenAddress, amount, this.getKeypair(wallet), undefined, { strategy: 'wallet_group' });
+        if (!result.success) {
+            throw new Error(result.error || 'Sell failed');
+        }
+        if (!isPaper) {
+            this.db.createTrade(user.id, tokenAddress, amount, result.tokenPrice, 'sell');
+        }
+        return { success: true, amount, signature: result.signature, filled: result.solReceived, symbol: result.symbol };
+    }
+
+    getKeypair(wallet) {
+        const decryptedKey = this.keystore.decryptWalletKey(wallet);
+        return Keypair.fromSecretKey(Buffer.from(decryptedKey, 'base64'));
+    }
+
+    summarize(side, group, tokenAddress, legs) {
+        const filled = legs.filter(leg => leg.success);
+        return {
+            side,
+            groupId: group.id,
+            groupName: group.name,
+            tokenAddress,
+            legs,
+            succeeded: filled.length,
+            failed: legs.filter(leg => !leg.success && !leg.skipped).length,
+            skipped: legs.filter(leg => leg.skipped).length,
+            // SOL spent for buys, tokens sold for sells
+            totalAmount: filled.reduce((sum, leg) => sum + (leg.amount || 0), 0),
+            // Tokens received for buys, SOL received for sells
+            totalFilled: filled.reduce((sum, leg) => sum + (leg.filled || 0), 0)
+        };
+    }
+}
+
+WalletGroupService.SPLIT_MODES = SPLIT_MODES;
+
+module.exports = WalletGroupService;
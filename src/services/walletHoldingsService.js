@@ -2,6 +2,7 @@ const { Connection, PublicKey } = require('@solana/web3.js');
 const { TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
 const axios = require('axios');
 const winston = require('winston');
+const PriceOracle = require('./priceOracle');
 
 class WalletHoldingsService {
     constructor(config = {}) {
@@ -10,7 +11,7 @@ class WalletHoldingsService {
             'confirmed'
         );
         this.tokenListCache = new Map();
-        this.priceCache = new Map();
+        this.priceOracle = new PriceOracle(config);
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
         
         this.logger = winston.createLogger({
@@ -146,281 +147,29 @@ class WalletHoldingsService {
     }
 
     /**
-     * Get token prices from Raydium pools only
+     * Get token prices from the price oracle
      */
     async getTokenPrices(tokenAddresses) {
         try {
             if (!tokenAddresses.length) return {};
 
-            const cacheKey = tokenAddresses.sort().join(',');
-            const cached = this.priceCache.get(cacheKey);
-            if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
-                return cached.data;
-            }
-
+            const quotes = await this.priceOracle.getQuotes(tokenAddresses);
             const prices = {};
-            const usdcMint = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
-            const solMint = 'So11111111111111111111111111111111111111112';
-            
-            // Set a reasonable fallback SOL price
-            let solPriceInUsdc = 150; // Default fallback price
-
-            // Try multiple smaller endpoints instead of the large pairs endpoint
-            try {
-                // Try to get SOL price from a simple price endpoint first
-                try {
-                    const solPriceResponse = await axios.get('https://api.raydium.io/v2/main/price', {
-                        params: { ids: solMint },
-                        timeout: 5000
-                    });
-                    
-                    if (solPriceResponse.data && solPriceResponse.data[solMint]) {
-                        solPriceInUsdc = parseFloat(solPriceResponse.data[solMint]);
-                    }
-                } catch (priceError) {
-                    this.logger.warn('Primary price API unavailable, trying alternative endpoint...');
-                    
-                    // Fallback: try to get basic pool info for SOL/USDC
-                    try {
-                        const infoResponse = await axios.get('https://api.raydium.io/v2/main/info', {
-                            timeout: 5000
-                        });
-                        
-                        if (infoResponse.data && infoResponse.data.price && infoResponse.data.price.SOL) {
-                            solPriceInUsdc = parseFloat(infoResponse.data.price.SOL);
-                            this.logger.info('SOL price obtained from info endpoint');
-                        }
-                    } catch (infoError) {
-                        this.logger.warn('Alternative price source also unavailable, using fallback price');
-                    }
-                }
-
-                // Set SOL price
-                prices[solMint] = {
-                    usd: solPriceInUsdc,
-                    usd_24h_change: 0,
-                    source: 'raydium-price'
-                };
-
-                // For other tokens, try to get individual prices or use fallback
-                for (const tokenAddress of tokenAddresses) {
-                    if (tokenAddress === solMint) continue; // Already handled
-                    
-                    try {
-                        // Try to get individual token price
-                        const tokenPriceResponse = await axios.get('https://api.raydium.io/v2/main/price', {
-                            params: { ids: tokenAddress },
-                            timeout: 3000
-                        });
-                        
-                        if (tokenPriceResponse.data && tokenPriceResponse.data[tokenAddress]) {
-                            const tokenPrice = parseFloat(tokenPriceResponse.data[tokenAddress]);
-                            if (tokenPrice > 0) {
-                                prices[tokenAddress] = {
-                                    usd: tokenPrice,
-                                    usd_24h_change: 0,
-                                    source: 'raydium-price'
-                                };
-                            }
-                        }
-                    } catch (tokenError) {
-                        // Silent fail for individual tokens - they'll just not have prices
-                        // This is normal for tokens not actively traded on Raydium
-                    }
-                }
-
-                // If we couldn't get prices from the price endpoint, try a simpler approach
-                if (Object.keys(prices).length === 1) { // Only SOL price
-                    this.logger.info('Only SOL price available, skipping additional price lookups for now');
-                    // Note: Additional price discovery methods could be added here in the future
-                }
-
-            } catch (error) {
-                this.logger.warn('All Raydium APIs failed:', error.message);
-                
-                // Final fallback: Set basic SOL price
-                prices[solMint] = {
-                    usd: solPriceInUsdc,
+            for (const [mint, quote] of quotes) {
+                if (quote.price === null) continue;
+                prices[mint] = {
+                    usd: quote.price,
                     usd_24h_change: 0,
-                    source: 'fallback'
+                    source: quote.source,
+                    stale: quote.stale,
+                    divergent: quote.divergent
                 };
             }
 
-            // Cache the result
-            this.priceCache.set(cacheKey, {
-                data: prices,
-                timestamp: Date.now()
-            });
-
             return prices;
         } catch (error) {
             this.logger.error('Error fetching token prices:', error.message);
-            return {
-                'So11111111111111111111111111111111111111112': {
-                    usd: 150,
-                    usd_24h_change: 0,
-                    source: 'error-fallback'
-                }
-            };
-        }
-    }
-
-    /**
-     * Get SOL balance for wallet
-     */
-    async getSolBalance(walletAddress) {
-        try {
-            const publicKey = new PublicKey(walletAddress);
-            const balance = await this.connection.getBalance(publicKey);
-            return {
-                mint: 'So11111111111111111111111111111111111111112',
-                symbol: 'SOL',
-                name: 'Solana',
-                balance: balance / 1e9,
-                decimals: 9,
-                uiAmount: balance / 1e9,
-                rawBalance: balance.toString(),
-                isNative: true
-            };
-        } catch (error) {
-            throw new Error(`Failed to get SOL balance: ${error.message}`);
-        }
-    }
-
-    /**
-     * Get all SPL token holdings for wallet
-     */
-    async getSplTokenHoldings(walletAddress) {
-        try {
-            const publicKey = new PublicKey(walletAddress);
-            
-            // Get all token accounts owned by the wallet
-            const tokenAccounts = await this.connection.getTokenAccountsByOwner(
-                publicKey,
-                { programId: TOKEN_PROGRAM_ID },
-                'confirmed'
-            );
-
-            const holdings = [];
-
-            for (const { account, pubkey } of tokenAccounts.value) {
-                try {
-                    // Parse token account data
-                    const accountData = account.data;
-                    const mint = new PublicKey(accountData.slice(0, 32));
-                    const owner = new PublicKey(accountData.slice(32, 64));
-                    const amount = accountData.readBigUInt64LE(64);
-
-                    // Skip accounts with zero balance
-                    if (amount === 0n) continue;
-
-                    // Get mint info for decimals
-                    const mintInfo = await this.connection.getParsedAccountInfo(mint);
-                    const decimals = mintInfo.value?.data?.parsed?.info?.decimals || 0;
-                    const supply = mintInfo.value?.data?.parsed?.info?.supply || '0';
-
-                    const uiAmount = Number(amount) / Math.pow(10, decimals);
-
-                    holdings.push({
-                        tokenAccount: pubkey.toString(),
-                        mint: mint.toString(),
-                        owner: owner.toString(),
-                        balance: uiAmount,
-                        decimals: decimals,
-                        uiAmount: uiAmount,
-                        rawBalance: amount.toString(),
-                        supply: supply,
-                        isNative: false
-                    });
-
-                } catch (error) {
-                    this.logger.warn(`Failed to parse token account ${pubkey.toString()}:`, error.message);
-                    continue;
-                }
-            }
-
-            return holdings;
-        } catch (error) {
-            throw new Error(`Failed to get SPL token holdings: ${error.message}`);
-        }
-    }
-
-    /**
-     * Fetch token metadata directly from blockchain
-     */
-    async getTokenMetadataFromChain(mintAddress) {
-        try {
-            const mint = new PublicKey(mintAddress);
-            
-            // Get mint info for basic details
-            const mintInfo = await this.connection.getParsedAccountInfo(mint);
-            if (!mintInfo.value) return null;
-            
-            const decimals = mintInfo.value.data?.parsed?.info?.decimals || 0;
-            
-            // Try to get metadata from Metaplex (if available)
-            try {
-                // Metaplex metadata PDA
-                const [metadataPDA] = PublicKey.findProgramAddressSync(
-                    [
-                        Buffer.from('metadata'),
-                        new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s').toBuffer(),
-                        mint.toBuffer(),
-                    ],
-                    new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s')
-                );
-
-                const metadataAccount = await this.connection.getAccountInfo(metadataPDA);
-                if (metadataAccount) {
-                    // Parse basic metadata (simplified parsing)
-                    const data = metadataAccount.data;
-                    if (data.length > 100) {
-                        // Try to extract name and symbol (basic parsing)
-                        let offset = 1 + 32 + 32; // Skip discriminator and keys
-                        
-                        // Read name length and name
-                        const nameLength = data.readUInt32LE(offset);
-                        offset += 4;
-                        const name = data.slice(offset, offset + nameLength).toString('utf8').replace(/\0/g, '').trim();
-                        offset += nameLength;
-                        
-                        // Read symbol length and symbol
-                        const symbolLength = data.readUInt32LE(offset);
-                        offset += 4;
-                        const symbol = data.slice(offset, offset + symbolLength).toString('utf8').replace(/\0/g, '').trim();
-                        
-                        if (name && symbol) {
-                            return {
-                                address: mintAddress,
-                                symbol: symbol,
-                                name: name,
-                                decimals: decimals,
-                                logoURI: null,
-                                tags: [],
-                                source: 'chain-metadata'
-                            };
-                        }
-                    }
-                }
-            } catch (metadataError) {
-                // Metadata parsing failed, continue with fallback
-            }
-            
-            // Fallback: return basic info with shortened address as symbol
-            const shortAddress = `${mintAddress.slice(0, 4)}...${mintAddress.slice(-4)}`;
-            return {
-                address: mintAddress,
-                symbol: shortAddress,
-                name: `Token ${shortAddress}`,
-                decimals: decimals,
-                logoURI: null,
-                tags: [],
-                source: 'chain-basic'
-            };
-            
-        } catch (error) {
-            this.logger.warn(`Failed to fetch metadata for ${mintAddress}:`, error.message);
-            return null;
+            return {};
         }
     }
 
@@ -579,7 +328,7 @@ class WalletHoldingsService {
      */
     clearCache() {
         this.tokenListCache.clear();
-        this.priceCache.clear();
+        PriceOracle.clearCache();
         this.logger.info('Cache cleared');
     }
 }
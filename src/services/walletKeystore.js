@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const winston = require('winston');
+
+const FORMAT_VERSION = 'v2';
+const MODE_MASTER = 'm';
+const MODE_PASSPHRASE = 'p';
+const DEFAULT_KEY_FILE = path.join(__dirname, '../../db/keystore.key');
+
+// Master keys are read once per process and shared by every keystore instance
+const masterKeyCache = new Map();
+
+/**
+ * Encrypts wallet private keys with AES-256-GCM.
+ *
+ * Each wallet gets its own random salt and IV. The encryption key is derived
+ * from the server master key (WALLET_MASTER_KEY or a key file) and, when the
+ * wallet is passphrase protected, from the user's passphrase as well. The
+ * wallet's public key is bound in as associated data so a ciphertext cannot be
+ * moved onto another wallet row.
+ *
+ * Stored format: v2:<m|p>:<salt>:<iv>:<tag>:<ciphertext> (hex). Rows in the old
+ * `iv:ciphertext` format, keyed only by the owner's Telegram ID, are
+ * re-encrypted in place by migrateLegacyKeys() or on first use.
+ */
+class WalletKeystore {
+    constructor(config, db) {
+        this.config = config;
+        this.db = db;
+        const keystoreConfig = (config && config.keystore) || {};
+        this.masterKeySource = keystoreConfig.masterKey || process.env.WALLET_MASTER_KEY || null;
+        this.keyFile = keystoreConfig.keyFile || process.env.WALLET_MASTER_KEY_FILE || DEFAULT_KEY_FILE;
+        // Re-encrypt keys with the user's passphrase when one is set in security settings
+        this.layerPassphrase = keystoreConfig.layerPassphrase !== undefined
+            ? !!keystoreConfig.layerPassphrase
+            : process.env.WALLET_LAYER_PASSPHRASE === 'true';
+        this.logger = winston.createLogger({
+            level: 'info',
+            format: winston.format.json(),
+            transports: [
+                new winston.transports.File({ filename: 'error.log', level: 'error' }),
+                new winston.transports.File({ filename: 'combined.log' })
+            ]
+        });
+    }
+
+    getMasterKey() {
+        const cacheKey = this.masterKeySource ? 'env' : this.keyFile;
+        if (masterKeyCache.has(cacheKey)) {
+            return masterKeyCache.get(cacheKey);
+        }
+
+        let key;
+        if (this.masterKeySource) {
+            key = WalletKeystore.parseMasterKey(this.masterKeySource);
+        } else if (fs.existsSync(this.keyFile)) {
+            key = WalletKeystore.parseMasterKey(fs.readFileSync(this.keyFile, 'utf8'));
+        } else {
+            key = crypto.randomBytes(32);
+            fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+            fs.writeFileSync(this.keyFile, key.toString('hex') + '\n', { mode: 0o600 });
+            this.logger.warn(`Generated a new wallet master key at ${this.keyFile}; back it up, wallets cannot be decrypted without it`);
+            console.warn(`⚠️ Generated wallet master key at ${this.keyFile}. Back it up or set WALLET_MASTER_KEY.`);
+        }
+
+        masterKeyCache.set(cacheKey, key);
+        return key;
+    }
+
+    static parseMasterKey(value) {
+        const trimmed = value.trim();
+        const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+            ? Buffer.from(trimmed, 'hex')
+            : Buffer.from(trimmed, 'base64');
+        if (key.length !== 32) {
+            throw new Error('Wallet master key must be 32 bytes, encoded as hex or base64');
+        }
+        return key;
+    }
+
+    static isLegacyFormat(encrypted) {
+        return typeof encrypted === 'string' && !encrypted.startsWith(`${FORMAT_VERSION}:`);
+    }
+
+    static isPassphraseProtected(wallet) {
+        const encrypted = wallet && wallet.encrypted_private_key;
+        return typeof encrypted === 'string' && encrypted.startsWith(`${FORMAT_VERSION}:${MODE_PASSPHRASE}:`);
+    }
+
+    deriveKey(salt, passphrase) {
+        const masterKey = this.getMasterKey();
+        if (!passphrase) {
+            return Buffer.from(crypto.hkdfSync('sha256', masterKey, salt, 'wallet-key', 32));
+        }
+        // The passphrase is stretched on its own, then mixed with the master key,
+        // so neither the database plus master key nor the passphrase alone is enough
+        const passphraseKey = crypto.scryptSync(passphrase, salt, 32);
+        return Buffer.from(crypto.hkdfSync('sha256', Buffer.concat([masterKey, passphraseKey]), salt, 'wallet-key-passphrase', 32));
+    }
+
+    /**
+     * Encrypt a private key for the wallet with the given public key
+     * @returns {string} Keystore record for wallets.encrypted_private_key
+     */
+    encryptPrivateKey(privateKey, publicKey, passphrase = null) {
+        if (!publicKey) {
+            throw new Error('Public key is required to encrypt a wallet key');
+        }
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt, passphrase), iv);
+        cipher.setAAD(Buffer.from(publicKey, 'utf8'));
+
+        const encrypted = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+        const mode = passphrase ? MODE_PASSPHRASE : MODE_MASTER;
+
+        return [FORMAT_VERSION, mode, salt.toString('hex'), iv.toString('hex'),
+            cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+    }
+
+    static parseRecord(encryptedData) {
+        const [version, mode, saltHex, ivHex, tagHex, encryptedHex] = encryptedData.split(':');
+        if (version !== FORMAT_VERSION || !saltHex || !ivHex || !tagHex || !encryptedHex) {
+            throw new Error('Invalid encrypted data format');
+        }
+        return { mode, salt: Buffer.from(saltHex, 'hex'), ivHex, tagHex, encryptedHex };
+    }
+
+    /**
+     * @param {Buffer} [derivedKey] - Key from deriveWalletKey, used instead of the passphrase
+     */
+    decryptRecord(encryptedData, publicKey, passphrase = null, derivedKey = null) {
+        const { mode, salt, ivHex, tagHex, encryptedHex } = WalletKeystore.parseRecord(encryptedData);
+        if (mode === MODE_PASSPHRASE && !passphrase && !derivedKey) {
+            throw new Error('Wallet is passphrase protected. Unlock it with your passphrase first.');
+        }
+
+        try {
+            const key = derivedKey || this.deriveKey(salt, mode === MODE_PASSPHRASE ? passphrase : null);
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'));
+            decipher.setAAD(Buffer.from(publicKey, 'utf8'));
+            decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+
+            return Buffer.concat([decipher.update(Buffer.from(encryptedHex, 'hex')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            // GCM authentication failures don't say why; the usual causes are these
+            throw new Error(mode === MODE_PASSPHRASE
+                ? 'Failed to decrypt private key: wrong passphrase or master key'
+                : 'Failed to decrypt private key: wrong master key or tampered record');
+        }
+    }
+
+    /**
+     * Old scheme: AES-256-CBC keyed by scrypt(telegramId, 'salt'). Only used to migrate.
+     */
+    static decryptLegacy(encryptedData, telegramId) {
+        const [ivHex, encrypted] = encryptedData.split(':');
+        if (!ivHex || !encrypted) {
+            throw new Error('Invalid encrypted data format');
+        }
+        const key = crypto.scryptSync(telegramId.toString(), 'salt', 32);
+        const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(ivHex, 'hex'));
+        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+        decrypted += decipher.final('utf8');
+        return decrypted;
+    }
+
+    /**
+     * Decrypt a wallet row's private key
+     * @param {Object} wallet - Row from the wallets table
+     * @param {string} [passphrase] - Required for passphrase protected wallets
+     * @returns {string} The private key as it was stored
+     */
+    decryptWalletKey(wallet, passphrase = null) {
+        if (!wallet || !wallet.encrypted_private_key) {
+            throw new Error('Wallet has no stored private key');
+        }
+
+        if (WalletKeystore.isLegacyFormat(wallet.encrypted_private_key)) {
+            return this.migrateWallet(wallet);
+        }
+
+        // Background trades have no passphrase; they use the key held by a live session
+        let sessionKey = null;
+        if (!passphrase && WalletKeystore.isPassphraseProtected(wallet)) {
+            const TradingSessionService = require('./tradingSessionService');
+            sessionKey = TradingSessionService.getSessionKey(wallet.id);
+        }
+
+        return this.decryptRecord(wallet.encrypted_private_key, wallet.public_key, passphrase, sessionKey);
+    }
+
+    /**
+     * Derive the key that decrypts this wallet row, checking that it works
+     * @returns {Buffer}
+     */
+    deriveWalletKey(wallet, passphrase = null) {
+        const { mode, salt } = WalletKeystore.parseRecord(wallet.encrypted_private_key);
+        const key = this.deriveKey(salt, mode === MODE_PASSPHRASE ? passphrase : null);
+        this.decryptRecord(wallet.encrypted_private_key, wallet.public_key, null, key);
+        return key;
+    }
+
+    /**
+     * Re-encrypt a legacy wallet row under the master key
+     * @returns {string} The decrypted private key
+     */
+    migrateWallet(wallet) {
+        const owner = this.db.getWalletOwnerTelegramId(wallet.id);
+        if (!owner) {
+            throw new Error(`Cannot migrate key for wallet ${wallet.id}: owner not found`);
+        }
+
+        let privateKey;
+        try {
+            privateKey = WalletKeystore.decryptLegacy(wallet.encrypted_private_key, owner.telegram_id);
+        } catch (error) {
+            throw new Error(`Failed to decrypt legacy key for wallet ${wallet.id}`);
+        }
+
+        const encrypted = this.encryptPrivateKey(privateKey, wallet.public_key);
+        this.db.updateWalletEncryptedKey(wallet.id, encrypted);
+        wallet.encrypted_private_key = encrypted;
+        this.logger.info(`Migrated wallet ${wallet.id} to keystore format ${FORMAT_VERSION}`);
+        return privateKey;
+    }
+
+    /**
+     * Re-encrypt every legacy wallet key in the database
+     * @returns {{migrated: number, failed: Array<{walletId: number, error: string}>}}
+     */
+    migrateLegacyKeys() {
+        const result = { migrated: 0, failed: [] };
+        for (const wallet of this.db.getAllWalletKeys()) {
+            if (!WalletKeystore.isLegacyFormat(wallet.encrypted_private_key)) {
+                continue;
+            }
+            try {
+                this.migrateWallet(wallet);
+                result.migrated++;
+            } catch (error) {
+                this.logger.error(error.message);
+                result.failed.push({ walletId: wallet.id, error: error.message });
+            }
+        }
+        if (result.migrated > 0 || result.failed.length > 0) {
+            console.log(`🔐 Wallet keystore migration: ${result.migrated} migrated, ${result.failed.length} failed`);
+        }
+        return result;
+    }
+
+    /**
+     * Re-encrypt a wallet key with a new passphrase (or none)
+     * @param {Object} wallet - Row from the wallets table
+     * @param {string|null} currentPassphrase - Needed if the key is already passphrase protected
+     * @param {string|null} newPassphrase - null to fall back to the master key only
+     */
+    rewrapWalletKey(wallet, currentPassphrase, newPassphrase) {
+        const privateKey = this.decryptWalletKey(wallet, currentPassphrase);
+        const encrypted = this.encryptPrivateKey(privateKey, wallet.public_key, newPassphrase);
+        this.db.updateWalletEncryptedKey(wallet.id, encrypted);
+        wallet.encrypted_private_key = encrypted;
+        return encrypted;
+    }
+}
+
+WalletKeystore.FORMAT_VERSION = FORMAT_VERSION;
+
+module.exports = WalletKeystore;
@@ -154,6 +154,7 @@ Please create or import a wallet to get started.`;
                 inline_keyboard: [
                     [
                         { text: '📊 Portfolio', callback_data: 'view_portfolio' },
+                        { text: '💎 Rewards', callback_data: 'rwd_menu' }
                     ],
                     [
                         { text: '⚡️ Trade', callback_data: 'trade' },
@@ -170,6 +171,7 @@ Please create or import a wallet to get started.`;
                         }
                     ],
                     [
+                        { text: '🤝 Referrals', callback_data: 'ref_menu' },
                         { text: '❓ Help', callback_data: 'help' }
                     ]
                 ]
@@ -224,7 +226,7 @@ Manage your bot preferences and wallet settings`;
 *Active Wallet:*
 \`${activeWallet.public_key}\`
 ${activeWallet.created_at ? `Created: ${new Date(activeWallet.created_at).toLocaleDateString()}` : ''}
-${activeWallet.is_locked ? '🔒 Locked' : '🔓 Unlocked'}
+${activeWallet.is_locked ? '🔒 Locked' : '🔓 Unlocked'}${activeWallet.is_paper ? '\n📝 Paper trading (simulated)' : ''}
 
 *All Wallets:*\n`;
             
@@ -234,7 +236,8 @@ ${activeWallet.is_locked ? '🔒 Locked' : '🔓 Unlocked'}
                 wallets.forEach((wallet, index) => {
                     const isActive = wallet.is_active ? '✅' : '';
                     const isLocked = wallet.is_locked ? '🔒' : '🔓';
-                    message += `${index + 1}. \`${wallet.public_key}\` ${isActive} ${isLocked}\n`;
+                    const isPaper = wallet.is_paper ? '📝' : '';
+                    message += `${index + 1}. \`${wallet.public_key}\` ${isActive} ${isLocked} ${isPaper}\n`;
                 });
             }
 
@@ -252,6 +255,10 @@ ${activeWallet.is_locked ? '🔒 Locked' : '🔓 Unlocked'}
                         { text: '🔒 Security', callback_data: 'wallet_security' },
                         { text: '🔑 Passphrase', callback_data: 'wallet_passphrase' }
                     ],
+                    [
+                        { text: '📝 Paper Trading', callback_data: 'wallet_paper' },
+                        { text: '👥 Wallet Groups', callback_data: 'wg_list' }
+                    ],
                     [
                         { text: '◀️ Back to Settings', callback_data: 'settings' }
                     ]
@@ -278,6 +285,7 @@ ${activeWallet.is_locked ? '🔒 Locked' : '🔓 Unlocked'}
 /strategy - Configure trading strategies
 /portfolio - View your holdings and P&L
 /claim - Claim 4TOOL fee rewards
+/referral - Invite friends and earn from their fees
 /status - Check bot status
 /help - Show this help message
 
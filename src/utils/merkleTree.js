@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Merkle tree over fee allocations, so an epoch's whole payout list is committed to
+ * by one root and any single allocation can be proven against it.
+ *
+ * Pairs are hashed in sorted order, so a proof is just the list of sibling hashes;
+ * an odd node at the end of a level is carried up unchanged.
+ */
+class MerkleTree {
+    static leafHash(epochId, walletAddress, amountLamports) {
+        return sha256(`${epochId}:${walletAddress}:${amountLamports}`);
+    }
+
+    static hashPair(a, b) {
+        return a < b ? sha256(a + b) : sha256(b + a);
+    }
+
+    static levels(leaves) {
+        const levels = [leaves];
+        while (levels[levels.length - 1].length > 1) {
+            const level = levels[levels.length - 1];
+            const next = [];
+            for (let i = 0; i < level.length; i += 2) {
+                next.push(i + 1 < level.length ? MerkleTree.hashPair(level[i], level[i + 1]) : level[i]);
+            }
+            levels.push(next);
+        }
+        return levels;
+    }
+
+    static root(leaves) {
+        if (leaves.length === 0) {
+            return sha256('');
+        }
+        const levels = MerkleTree.levels(leaves);
+        return levels[levels.length - 1][0];
+    }
+
+    static proof(leaves, index) {
+        const proof = [];
+        for (const level of MerkleTree.levels(leaves).slice(0, -1)) {
+            const sibling = index % 2 === 0 ? index + 1 : index - 1;
+            if (sibling < level.length) {
+                proof.push(level[sibling]);
+            }
+            index = Math.floor(index / 2);
+        }
+        return proof;
+    }
+
+    static verify(leaf, proof, root) {
+        return proof.reduce((hash, sibling) => MerkleTree.hashPair(hash, sibling), leaf) === root;
+    }
+}
+
+module.exports = MerkleTree;
@@ -1,4 +1,3 @@
-const crypto = require('crypto');
 const { Keypair } = require('@solana/web3.js');
 const bs58 = require('bs58');
 
@@ -62,45 +61,6 @@ class TelegramUtils {
         };
     }
 
-    /**
-     * Encrypt private key with password
-     */
-    static encryptPrivateKey(privateKey, password) {
-        const iv = crypto.randomBytes(16);
-        const key = crypto.scryptSync(password, 'salt', 32);
-        const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
-        
-        let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        
-        // Store IV with encrypted data
-        return iv.toString('hex') + ':' + encrypted;
-    }
-
-    /**
-     * Decrypt private key with password
-     */
-    static decryptPrivateKey(encryptedData, password) {
-        try {
-            const [ivHex, encrypted] = encryptedData.split(':');
-            if (!ivHex || !encrypted) {
-                throw new Error('Invalid encrypted data format');
-            }
-
-            const iv = Buffer.from(ivHex, 'hex');
-            const key = crypto.scryptSync(password, 'salt', 32);
-            const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-            
-            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            
-            return decrypted;
-        } catch (error) {
-            console.error('Error decrypting private key:', error);
-            throw new Error('Failed to decrypt private key');
-        }
-    }
-
     /**
      * Validate wallet address format
      */
@@ -0,0 +1,84 @@
+/**
+ * Time-based exit conditions for managed and autonomous positions: sell after a
+ * maximum hold, sell if the position has not gained enough after a while, and
+ * sell once the token's trading volume dries up.
+ *
+ * Stored as rule conditions:
+ *   management_max_hold   { hours }
+ *   management_min_gain   { hours, percentage }
+ *   management_min_volume { volume24h } (USD)
+ */
+class TimeExits {
+    /**
+     * Pull the time-based exits out of a rule's conditions
+     * @returns {Object|null} { maxHoldHours, minGain: { hours, percentage }, minVolume24h }
+     */
+    static parseConditions(ruleConditions) {
+        const exits = {};
+        for (const condition of ruleConditions || []) {
+            let value;
+            try {
+                value = JSON.parse(condition.condition_value);
+            } catch (error) {
+                continue;
+            }
+            if (!value || typeof value !== 'object') continue;
+
+            switch (condition.condition_type) {
+                case 'management_max_hold':
+                    if (value.hours > 0) exits.maxHoldHours = value.hours;
+                    break;
+                case 'management_min_gain':
+                    if (value.hours > 0 && typeof value.percentage === 'number') {
+                        exits.minGain = { hours: value.hours, percentage: value.percentage };
+                    }
+                    break;
+                case 'management_min_volume':
+                    if (value.volume24h > 0) exits.minVolume24h = value.volume24h;
+                    break;
+            }
+        }
+        return Object.keys(exits).length > 0 ? exits : null;
+    }
+
+    /**
+     * Whether any time-based exit is due
+     * @param {Object} exits - As returned by parseConditions (extra keys are ignored)
+     * @param {Object} position - heldHours, priceChange (%), volume24h (USD, null if unknown)
+     * @returns {{reason: string, detail: string}|null}
+     */
+    static check(exits, { heldHours, priceChange, volume24h = null }) {
+        if (!exits) {
+            return null;
+        }
+        if (exits.maxHoldHours && heldHours >= exits.maxHoldHours) {
+            return {
+                reason: 'max_hold',
+                detail: `held ${heldHours.toFixed(1)}h of a ${exits.maxHoldHours}h maximum`
+            };
+        }
+        if (exits.minGain && heldHours >= exits.minGain.hours && priceChange < exits.minGain.percentage) {
+            return {
+                reason: 'min_gain',
+                detail: `${priceChange.toFixed(2)}% after ${heldHours.toFixed(1)}h, below the +${exits.minGain.percentage}% target`
+            };
+        }
+        if (exits.minVolume24h && volume24h !== null && volume24h < exits.minVolume24h) {
+            return {
+                reason: 'low_volume',
+                detail: `24h volume $${Math.round(volume24h).toLocaleString()} below $${exits.minVolume24h.toLocaleString()}`
+            };
+        }
+        return null;
+    }
+
+    static describe(exits) {
+        const parts = [];
+        if (exits.maxHoldHours) parts.push(`Sell after ${exits.maxHoldHours}h`);
+        if (exits.minGain) parts.push(`Sell if below +${exits.minGain.percentage}% after ${exits.minGain.hours}h`);
+        if (exits.minVolume24h) parts.push(`Sell if 24h volume < $${exits.minVolume24h.toLocaleString()}`);
+        return parts;
+    }
+}
+
+module.exports = TimeExits;
@@ -0,0 +1,72 @@
+const CopyTradingBot = require('../src/modules/copyTradingBot');
+
+describe('CopyTradingBot.calculateTradeAmount', () => {
+    const wallet = { id: 1, public_key: 'FollowerWa11et' };
+    const swapData = { leaderAddress: 'LeaderWa11et', leaderSolSpent: 5 };
+    let bot;
+
+    beforeEach(() => {
+        // Sizing only needs the balance and leader lookups, so skip the constructor's database and RPC setup
+        bot = Object.create(CopyTradingBot.prototype);
+        bot.getWalletSolBalance = jest.fn(async () => 10);
+        bot.getLeaderTradeShare = jest.fn(async () => 0.25);
+        bot.getKellyFraction = jest.fn(async () => 0.2);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const size = (leader, userSettings = {}) => bot.calculateTradeAmount(swapData, userSettings, leader, wallet);
+
+    test('fixed spends the leader\'s configured SOL amount', async () => {
+        await expect(size({ sizing_mode: 'fixed', sizing_value: 0.3 })).resolves.toBe(0.3);
+        expect(bot.getWalletSolBalance).not.toHaveBeenCalled();
+    });
+
+    test('defaults to a fixed 0.1 SOL without a leader or sizing mode', async () => {
+        await expect(size(null)).resolves.toBe(0.1);
+        await expect(size({ sizing_mode: 'martingale', sizing_value: 0 })).resolves.toBe(0.1);
+    });
+
+    test('balance_pct spends a percentage of the follower\'s balance', async () => {
+        await expect(size({ sizing_mode: 'balance_pct', sizing_value: 5 })).resolves.toBe(0.5);
+        expect(bot.getWalletSolBalance).toHaveBeenCalledWith(wallet);
+    });
+
+    test('proportional matches the share of their portfolio the leader spent, scaled by the value', async () => {
+        await expect(size({ sizing_mode: 'proportional', sizing_value: 100 })).resolves.toBe(2.5);
+        await expect(size({ sizing_mode: 'proportional', sizing_value: 50 })).resolves.toBe(1.25);
+        expect(bot.getLeaderTradeShare).toHaveBeenCalledWith(swapData);
+    });
+
+    test('proportional skips the trade when the leader\'s share is unknown', async () => {
+        bot.getLeaderTradeShare.mockResolvedValue(null);
+
+        await expect(size({ sizing_mode: 'proportional', sizing_value: 100 })).resolves.toBeNull();
+    });
+
+    test('kelly bets the half-Kelly fraction, capped at the value', async () => {
+        await expect(size({ sizing_mode: 'kelly', sizing_value: 50 })).resolves.toBe(2);
+        await expect(size({ sizing_mode: 'kelly', sizing_value: 10 })).resolves.toBe(1);
+        expect(bot.getKellyFraction).toHaveBeenCalledWith('LeaderWa11et');
+    });
+
+    test('kelly skips leaders without an edge', async () => {
+        bot.getKellyFraction.mockResolvedValue(0);
+
+        await expect(size({ sizing_mode: 'kelly', sizing_value: 50 })).resolves.toBeNull();
+    });
+
+    test('clamps to the user\'s max trade amount and skips trades below their minimum', async () => {
+        await expect(size({ sizing_mode: 'balance_pct', sizing_value: 50 }, { max_trade_amount: 1 })).resolves.toBe(1);
+        await expect(size({ sizing_mode: 'fixed', sizing_value: 0.05 }, { min_trade_amount: 0.1 })).resolves.toBeNull();
+    });
+
+    test('rounds down to whole lamports', async () => {
+        bot.getWalletSolBalance.mockResolvedValue(1);
+
+        await expect(size({ sizing_mode: 'balance_pct', sizing_value: 100 / 3 })).resolves.toBe(0.333333333);
+    });
+});
@@ -0,0 +1,205 @@
+const { Keypair } = require('@solana/web3.js');
+const FeeManagement = require('../src/modules/feeManagement');
+
+describe('FeeManagement', () => {
+    const config = {
+        rpcEndpoint: 'http://127.0.0.1:8899',
+        treasuryWallet: Keypair.generate().publicKey.toBase58(),
+        rewardWallet: Keypair.generate().publicKey.toBase58(),
+        feePercentage: 0.01,
+        minimumTokenHoldings: 1000
+    };
+
+    describe('allocate', () => {
+        test('splits the pool pro rata to raw balances', () => {
+            const allocations = FeeManagement.allocate([
+                { wallet: 'A', balance: 3000, raw: '3000000000' },
+                { wallet: 'B', balance: 1000, raw: '1000000000' }
+            ], 1000000);
+
+            expect(allocations).toEqual([
+                { wallet: 'A', balance: 3000, share: 0.75, amountLamports: 750000 },
+                { wallet: 'B', balance: 1000, share: 0.25, amountLamports: 250000 }
+            ]);
+        });
+
+        test('rounds down to the lamport and never pays out more than the pool', () => {
+            const holders = [1, 1, 1].map((_, i) => ({ wallet: `W${i}`, balance: 1, raw: '1' }));
+            const allocations = FeeManagement.allocate(holders, 100);
+
+            expect(allocations.map(a => a.amountLamports)).toEqual([33, 33, 33]);
+            expect(allocations.reduce((sum, a) => sum + a.amountLamports, 0)).toBeLessThanOrEqual(100);
+        });
+
+        test('handles raw balances beyond Number precision', () => {
+            const allocations = FeeManagement.allocate([
+                { wallet: 'Whale', balance: 9e12, raw: '9000000000000000001' },
+                { wallet: 'Minnow', balance: 9e12, raw: '9000000000000000001' }
+            ], 2000000000);
+
+            expect(allocations.map(a => a.amountLamports)).toEqual([1000000000, 1000000000]);
+        });
+
+        test('leaves out holders whose share rounds to nothing', () => {
+            const allocations = FeeManagement.allocate([
+                { wallet: 'Big', balance: 1e6, raw: '1000000' },
+                { wallet: 'Dust', balance: 1, raw: '1' }
+            ], 1000);
+
+            expect(allocations.map(a => a.wallet)).toEqual(['Big']);
+        });
+
+        test('allocates nothing when no one holds the token', () => {
+            expect(FeeManagement.allocate([{ wallet: 'A', balance: 0, raw: '0' }], 1000)).toEqual([]);
+        });
+    });
+
+    describe('getFeeTier', () => {
+        let db;
+        let feeManager;
+
+        const snapshotOf = holdings => ({ eligible_wallets: JSON.stringify(holdings), total_balance: 0 });
+
+        beforeEach(() => {
+            db = {
+                getWalletsByUserId: jest.fn(async () => [{ public_key: 'WalletA' }, { public_key: 'WalletB' }]),
+                getLatestSnapshot: jest.fn(() => snapshotOf([])),
+                getTradingVolume: jest.fn(() => 0)
+            };
+            feeManager = new FeeManagement(config, db);
+        });
+
+        test('charges the full rate without a user', async () => {
+            const tier = await feeManager.getFeeTier(null);
+
+            expect(tier).toMatchObject({ tier: 'Standard', discount: 0, rate: 0.01 });
+            expect(await feeManager.calculateTradeFee(2, null)).toBeCloseTo(0.02);
+        });
+
+        test('reaches a tier through 4TOOL held across the user\'s wallets', async () => {
+            db.getLatestSnapshot.mockReturnValue(snapshotOf([
+                { wallet: 'WalletA', balance: 6000 },
+                { wallet: 'WalletB', balance: 5000 },
+                { wallet: 'SomeoneElse', balance: 1e9 }
+            ]));
+
+            const tier = await feeManager.getFeeTier(1);
+
+            expect(tier).toMatchObject({ tier: 'Silver', discount: 0.25, holdings: 11000 });
+            expect(tier.rate).toBeCloseTo(0.0075);
+            expect(tier.next).toEqual({ name: 'Gold', holdings: 50000, volumeSol: 500, discount: 0.4 });
+            expect(await feeManager.calculateTradeFee(2, 1)).toBeCloseTo(0.015);
+        });
+
+        test('reaches a tier through 30-day volume, whichever is higher', async () => {
+            db.getLatestSnapshot.mockReturnValue(snapshotOf([{ wallet: 'WalletA', balance: 1000 }]));
+            db.getTradingVolume.mockReturnValue(600);
+
+            const tier = await feeManager.getFeeTier(1);
+
+            expect(db.getTradingVolume).toHaveBeenCalledWith(1, 30);
+            expect(tier).toMatchObject({ tier: 'Gold', volumeSol: 600 });
+        });
+
+        test('has no next tier at the top', async () => {
+            db.getTradingVolume.mockReturnValue(10000);
+
+            const tier = await feeManager.getFeeTier(1);
+
+            expect(tier.tier).toBe('Platinum');
+            expect(tier.rate).toBeCloseTo(0.004);
+            expect(tier.next).toBeNull();
+        });
+
+        test('falls back to the full rate when the lookup fails', async () => {
+            db.getTradingVolume.mockImplementation(() => {
+                throw new Error('database is locked');
+            });
+
+            expect(await feeManager.getFeeTier(1)).toMatchObject({ tier: 'Standard', rate: 0.01 });
+        });
+    });
+
+    describe('collectFee', () => {
+        const payer = Keypair.generate();
+        let db;
+        let feeManager;
+
+        beforeEach(() => {
+            db = {
+                getWalletsByUserId: jest.fn(async () => []),
+                getLatestSnapshot: jest.fn(() => null),
+                getTradingVolume: jest.fn(() => 0),
+                getReferrer: jest.fn(() => null),
+                createFee: jest.fn()
+            };
+            feeManager = new FeeManagement(config, db);
+            feeManager.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            feeManager.transferFee = jest.fn(async () => 'sig');
+        });
+
+        test('charges the tier the trade was quoted at without looking it up again', async () => {
+            const feeTier = { tier: 'Silver', discount: 0.25, rate: 0.0075 };
+            jest.spyOn(feeManager, 'getFeeTier');
+
+            const result = await feeManager.collectFee(2, payer, { userId: 1, feeTier });
+
+            expect(feeManager.getFeeTier).not.toHaveBeenCalled();
+            expect(result.totalFee).toBeCloseTo(0.015);
+            expect(db.createFee).toHaveBeenCalledWith(expect.objectContaining({ userId: 1, tier: 'Silver', rate: 0.0075 }));
+            expect(db.createFee.mock.calls[0][0]).not.toHaveProperty('feeTier');
+        });
+
+        test('looks the tier up when the caller has none', async () => {
+            const result = await feeManager.collectFee(2, payer, { userId: 1 });
+
+            expect(db.getTradingVolume).toHaveBeenCalledWith(1, 30);
+            expect(result).toMatchObject({ tier: 'Standard' });
+            expect(result.totalFee).toBeCloseTo(0.02);
+        });
+
+        describe('with a referrer', () => {
+            const referrerWallet = Keypair.generate().publicKey.toBase58();
+            const feeTier = { tier: 'Standard', discount: 0, rate: 0.01 };
+            const destinations = () => feeManager.transferFee.mock.calls.map(([, destination, amount]) => [destination.toBase58(), amount]);
+
+            beforeEach(() => {
+                feeManager.referralShare = 0.2;
+                db.getReferrer.mockReturnValue({ id: 5, wallet_address: referrerWallet });
+            });
+
+            test('pays the referrer last and records the slice', async () => {
+                await feeManager.collectFee(10, payer, { userId: 1, feeTier });
+
+                const sent = destinations();
+                expect(sent.map(([destination]) => destination)).toEqual([config.treasuryWallet, config.rewardWallet, referrerWallet]);
+                expect(sent[0][1]).toBeCloseTo(0.04);
+                expect(sent[2][1]).toBeCloseTo(0.02);
+                expect(db.createFee).toHaveBeenCalledWith(expect.objectContaining({ referrerId: 5, referralWallet: referrerWallet }));
+            });
+
+            test('sends nothing to the referrer when an earlier transfer fails', async () => {
+                feeManager.transferFee.mockResolvedValueOnce('sig').mockRejectedValueOnce(new Error('insufficient funds'));
+
+                await expect(feeManager.collectFee(10, payer, { userId: 1, feeTier })).rejects.toThrow('insufficient funds');
+
+                expect(destinations().map(([destination]) => destination)).not.toContain(referrerWallet);
+            });
+
+            test('gives the slice to the treasury when the referral transfer fails', async () => {
+                feeManager.transferFee
+                    .mockResolvedValueOnce('sig')
+                    .mockResolvedValueOnce('sig')
+                    .mockRejectedValueOnce(new Error('account below rent exemption'));
+
+                const result = await feeManager.collectFee(10, payer, { userId: 1, feeTier });
+
+                expect(destinations()[3]).toEqual([config.treasuryWallet, expect.closeTo(0.02)]);
+                expect(result.referralAmount).toBe(0);
+                expect(result.wallet1Amount).toBeCloseTo(0.06);
+                expect(db.createFee.mock.calls[0][0]).toMatchObject({ teamShare: expect.closeTo(0.06) });
+                expect(db.createFee.mock.calls[0][0]).not.toHaveProperty('referrerId');
+            });
+        });
+    });
+});
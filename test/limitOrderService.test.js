@@ -0,0 +1,106 @@
+const { Keypair } = require('@solana/web3.js');
+const LimitOrderService = require('../src/services/limitOrderService');
+
+const MINT = 'TokenMint111111111111111111111111111111111';
+
+describe('LimitOrderService.fillOrder', () => {
+    let service;
+    let db;
+    let tradingExecution;
+    let bot;
+
+    beforeEach(() => {
+        db = {
+            transitionLimitOrderStatus: jest.fn(() => true),
+            getWalletById: jest.fn(async () => ({ id: 3, public_key: 'Wa11et', is_paper: 0, is_locked: 0 })),
+            updateLimitOrder: jest.fn(),
+            createTrade: jest.fn()
+        };
+        tradingExecution = { fillLimitOrder: jest.fn() };
+        bot = { sendMessage: jest.fn(async () => {}) };
+        service = new LimitOrderService({}, db, tradingExecution, bot);
+        service.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        service.tradingSessionService.canSign = jest.fn(() => true);
+        service.keystore.decryptWalletKey = jest.fn(() => Buffer.from(Keypair.generate().secretKey).toString('base64'));
+    });
+
+    const order = (fields = {}) => ({
+        id: 7,
+        user_id: 1,
+        wallet_id: 3,
+        telegram_id: 42,
+        token_address: MINT,
+        side: 'sell',
+        amount: 1000,
+        target_price: 0.01,
+        slippage_bps: 100,
+        fill_attempts: 0,
+        error: null,
+        ...fields
+    });
+    const lastUpdate = () => db.updateLimitOrder.mock.calls[db.updateLimitOrder.mock.calls.length - 1][1];
+
+    test('records the fill and the trade', async () => {
+        tradingExecution.fillLimitOrder.mockResolvedValue({ success: true, signature: 'sig', tokenAmount: 1000, price: 0.0001 });
+
+        await service.fillOrder(order(), 0.012);
+
+        expect(lastUpdate()).toMatchObject({ status: 'filled', fill_signature: 'sig' });
+        expect(db.createTrade).toHaveBeenCalledWith(1, MINT, 1000, 0.0001, 'sell');
+    });
+
+    test('puts the order back after a failed swap and counts the attempt', async () => {
+        tradingExecution.fillLimitOrder.mockResolvedValue({ success: false, error: 'Slippage tolerance exceeded' });
+
+        await service.fillOrder(order({ fill_attempts: 1 }), 0.012);
+
+        expect(lastUpdate()).toEqual({ status: 'open', error: 'Slippage tolerance exceeded', fill_attempts: 2 });
+        expect(bot.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('gives up once the retry limit is reached', async () => {
+        tradingExecution.fillLimitOrder.mockResolvedValue({ success: false, error: 'Request timed out' });
+
+        await service.fillOrder(order({ fill_attempts: 4 }), 0.012);
+
+        expect(lastUpdate()).toEqual({ status: 'failed', error: 'Request timed out', fill_attempts: 5 });
+        expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('never retries a fill whose transaction was sent', async () => {
+        tradingExecution.fillLimitOrder.mockResolvedValue({ success: false, signature: 'sig', error: 'Transaction not found on blockchain' });
+
+        await service.fillOrder(order(), 0.012);
+
+        expect(lastUpdate()).toMatchObject({ status: 'failed' });
+    });
+
+    test('fails straight away when the wallet is gone', async () => {
+        db.getWalletById.mockResolvedValue(null);
+
+        await service.fillOrder(order(), 0.012);
+
+        expect(lastUpdate()).toMatchObject({ status: 'failed', error: 'Wallet no longer exists' });
+        expect(tradingExecution.fillLimitOrder).not.toHaveBeenCalled();
+    });
+
+    test('keeps the order open on a risk rejection without using up an attempt', async () => {
+        const rejection = { success: false, error: '🛡 Risk limit: Daily trade limit reached (10/10 today).', riskRule: 'max_daily_trades' };
+        tradingExecution.fillLimitOrder.mockResolvedValue(rejection);
+
+        await service.fillOrder(order({ side: 'buy', fill_attempts: 4 }), 0.008);
+        await service.fillOrder(order({ side: 'buy', fill_attempts: 4, error: rejection.error }), 0.008);
+
+        expect(lastUpdate()).toEqual({ status: 'open', error: rejection.error });
+        // The user hears about it once, not every tick
+        expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('escapes Markdown in the error it sends', async () => {
+        tradingExecution.fillLimitOrder.mockResolvedValue({ success: false, signature: 'sig', error: 'Custom program error: slippage_exceeded *0x1771*' });
+
+        await service.fillOrder(order(), 0.012);
+
+        expect(bot.sendMessage.mock.calls[0][1]).toContain('slippage\\_exceeded \\*0x1771\\*');
+    });
+});
@@ -0,0 +1,125 @@
+const ManualManagementService = require('../src/services/manualManagementService');
+
+const MINT = 'TokenMint111111111111111111111111111111111';
+
+describe('ManualManagementService exits', () => {
+    let service;
+    let db;
+
+    beforeEach(() => {
+        db = { updateManagedPositionLadder: jest.fn() };
+        service = new ManualManagementService({}, db, null, null);
+        service.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    });
+
+    const position = (conditions, fields = {}) => ({
+        userId: 1,
+        tokenAddress: MINT,
+        conditions,
+        buyPrice: 1,
+        highestPrice: 1,
+        tokenAmount: 1000,
+        initialTokenAmount: 1000,
+        ladderRungsFilled: 0,
+        breakevenStop: false,
+        openedAt: Date.now(),
+        ...fields
+    });
+
+    const ladder = [
+        { percentage: 50, sellPercent: 25 },
+        { percentage: 100, sellPercent: 25 },
+        { percentage: 200, sellPercent: 50 }
+    ];
+
+    describe('checkLadderRung', () => {
+        test('waits until the price reaches the next rung', () => {
+            expect(service.checkLadderRung(MINT, position({ takeProfitLadder: ladder }), 49.9)).toBeNull();
+        });
+
+        test('sells the rung\'s share of the initial position', () => {
+            const decision = service.checkLadderRung(MINT, position({ takeProfitLadder: ladder }), 55);
+
+            expect(decision).toEqual({
+                shouldSell: true,
+                reason: 'take_profit_rung',
+                percentage: 55,
+                rung: 1,
+                sellAmount: 250,
+                partial: true
+            });
+        });
+
+        test('sizes later rungs against the initial position, not what is left', () => {
+            const tokenData = position({ takeProfitLadder: ladder }, { tokenAmount: 750, ladderRungsFilled: 1 });
+
+            expect(service.checkLadderRung(MINT, tokenData, 120)).toMatchObject({ rung: 2, sellAmount: 250, partial: true });
+        });
+
+        test('only fires one rung per check even when the price skips past several', () => {
+            expect(service.checkLadderRung(MINT, position({ takeProfitLadder: ladder }), 250)).toMatchObject({ rung: 1 });
+        });
+
+        test('closes the whole position on a rung that would leave dust', () => {
+            const tokenData = position({ takeProfitLadder: ladder }, { tokenAmount: 500.2, ladderRungsFilled: 2 });
+
+            expect(service.checkLadderRung(MINT, tokenData, 210)).toMatchObject({ rung: 3, sellAmount: 500.2, partial: false });
+        });
+
+        test('does nothing once every rung has filled', () => {
+            const tokenData = position({ takeProfitLadder: ladder }, { tokenAmount: 0, ladderRungsFilled: 3 });
+
+            expect(service.checkLadderRung(MINT, tokenData, 500)).toBeNull();
+        });
+    });
+
+    describe('recordLadderFill', () => {
+        test('books the rung and moves the stop to breakeven when configured', () => {
+            const tokenData = position({ takeProfitLadder: ladder, breakevenAfterFirstRung: true });
+
+            service.recordLadderFill(tokenData, { rung: 1, sellAmount: 250 });
+
+            expect(tokenData).toMatchObject({ tokenAmount: 750, ladderRungsFilled: 1, breakevenStop: true });
+            expect(db.updateManagedPositionLadder).toHaveBeenCalledWith(1, MINT, 1, 750, true);
+        });
+
+        test('leaves the stop alone without breakevenAfterFirstRung', () => {
+            const tokenData = position({ takeProfitLadder: ladder });
+
+            service.recordLadderFill(tokenData, { rung: 1, sellAmount: 250 });
+
+            expect(tokenData.breakevenStop).toBe(false);
+        });
+    });
+
+    describe('checkSellConditions', () => {
+        test('a breakeven stop sells the rest once the price falls back to the buy price', async () => {
+            const tokenData = position({ takeProfitLadder: ladder, stopLoss: 20 }, { breakevenStop: true, ladderRungsFilled: 1 });
+
+            await expect(service.checkSellConditions(MINT, tokenData, 1.02, 2)).resolves.toEqual({ shouldSell: false });
+            await expect(service.checkSellConditions(MINT, tokenData, 1, 0))
+                .resolves.toMatchObject({ shouldSell: true, reason: 'breakeven_stop' });
+        });
+
+        test('the stop loss still applies before any rung fills', async () => {
+            const tokenData = position({ takeProfitLadder: ladder, stopLoss: 20 });
+
+            await expect(service.checkSellConditions(MINT, tokenData, 0.95, -5)).resolves.toEqual({ shouldSell: false });
+            await expect(service.checkSellConditions(MINT, tokenData, 0.8, -20))
+                .resolves.toMatchObject({ shouldSell: true, reason: 'stop_loss' });
+        });
+
+        test('a rung takes priority over the breakeven stop', async () => {
+            const tokenData = position({ takeProfitLadder: ladder }, { breakevenStop: true, ladderRungsFilled: 1, tokenAmount: 750 });
+
+            await expect(service.checkSellConditions(MINT, tokenData, 2.1, 110)).resolves.toMatchObject({ reason: 'take_profit_rung', rung: 2 });
+        });
+
+        test('a single take profit sells the whole position', async () => {
+            const tokenData = position({ takeProfit: 50 });
+
+            await expect(service.checkSellConditions(MINT, tokenData, 1.6, 60))
+                .resolves.toEqual({ shouldSell: true, reason: 'take_profit', percentage: 60 });
+        });
+    });
+});
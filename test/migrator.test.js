@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const MigrationRunner = require('../src/database/migrator');
+
+function writeMigration(dir, file, up) {
+    fs.writeFileSync(path.join(dir, file), `module.exports = { up: ${JSON.stringify(up)} };\n`);
+}
+
+describe('MigrationRunner', () => {
+    let dir;
+    let db;
+    let runner;
+    let messages;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        writeMigration(dir, '001_users.js', ['CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)']);
+        writeMigration(dir, '002_user_email.js', [{ addColumn: 'users', column: 'email', definition: 'TEXT' }]);
+        db = new Database(':memory:');
+        messages = [];
+        runner = new MigrationRunner(db, { migrationsDir: dir, log: message => messages.push(message) });
+    });
+
+    afterEach(() => {
+        db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const columns = table => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+
+    test('applies pending migrations in order and records them', () => {
+        const applied = runner.migrate();
+
+        expect(applied.map(m => m.version)).toEqual([1, 2]);
+        expect(columns('users')).toEqual(['id', 'name', 'email']);
+        expect(runner.getAppliedMigrations().map(row => row.name)).toEqual(['users', 'user_email']);
+        expect(runner.migrate()).toEqual([]);
+    });
+
+    test('skips addColumn steps for columns a legacy database already has', () => {
+        db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, email TEXT)');
+        writeMigration(dir, '001_users.js', ['CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY, name TEXT)']);
+
+        const applied = runner.migrate();
+
+        expect(applied[1].statements).toEqual(['-- already present: ALTER TABLE users ADD COLUMN email TEXT']);
+        expect(runner.getPendingMigrations()).toEqual([]);
+    });
+
+    test('rolls back a failing migration and leaves it pending', () => {
+        writeMigration(dir, '003_broken.js', [
+            { addColumn: 'users', column: 'phone', definition: 'TEXT' },
+            'INSERT INTO missing_table VALUES (1)'
+        ]);
+
+        expect(() => runner.migrate()).toThrow(/003_broken.js failed and was rolled back/);
+        expect(columns('users')).not.toContain('phone');
+        expect(runner.getPendingMigrations().map(m => m.version)).toEqual([3]);
+    });
+
+    test('dry run reports the SQL without changing the database', () => {
+        const plan = runner.dryRun();
+
+        expect(plan.map(m => m.version)).toEqual([1, 2]);
+        expect(plan[1].statements).toEqual(['ALTER TABLE users ADD COLUMN email TEXT;']);
+        expect(columns('users')).toEqual([]);
+        expect(runner.hasMigrationsTable()).toBe(false);
+    });
+
+    test('rejects gaps in the version sequence', () => {
+        writeMigration(dir, '004_gap.js', ['SELECT 1']);
+
+        expect(() => runner.loadMigrations()).toThrow(/expected 3, found 004_gap.js/);
+    });
+
+    test('warns when an applied migration was edited', () => {
+        runner.migrate();
+        writeMigration(dir, '002_user_email.js', [{ addColumn: 'users', column: 'email', definition: 'TEXT NOT NULL DEFAULT \'\'' }]);
+        jest.resetModules();
+
+        expect(runner.getPendingMigrations()).toEqual([]);
+        expect(messages.some(message => message.includes('002_user_email.js was edited'))).toBe(true);
+    });
+
+    test('verify reports tables and columns the database is missing', () => {
+        db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY, name INTEGER)');
+
+        expect(runner.verify()).toEqual({
+            missingTables: [],
+            missingColumns: ['users.email'],
+            typeMismatches: ['users.name is INTEGER, expected TEXT']
+        });
+        expect(() => runner.assertSchema()).toThrow(/missing columns: \[users.email\]/);
+    });
+
+    test('the bundled migrations build a schema that verifies cleanly', () => {
+        const bundled = new MigrationRunner(db, { log: () => {} });
+        bundled.migrate();
+
+        expect(bundled.verify()).toEqual({ missingTables: [], missingColumns: [], typeMismatches: [] });
+    });
+});
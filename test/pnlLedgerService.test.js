@@ -0,0 +1,116 @@
+const PnlLedgerService = require('../src/services/pnlLedgerService');
+
+const MINT = 'TokenMint111111111111111111111111111111111';
+
+let nextId = 1;
+function fill(side, tokenAmount, solAmount, fields = {}) {
+    const id = nextId++;
+    return {
+        id,
+        token_address: MINT,
+        side,
+        token_amount: tokenAmount,
+        sol_amount: solAmount,
+        swap_fee_sol: 0,
+        platform_fee_sol: 0,
+        rule_id: null,
+        strategy: 'manual',
+        signature: `sig${id}`,
+        sol_usd_price: null,
+        created_at: `2025-01-0${Math.min(id, 9)} 12:00:00`,
+        ...fields
+    };
+}
+
+describe('PnlLedgerService.buildLedger', () => {
+    // 100 tokens at 1 SOL, 100 more at 3 SOL, then half the position sold for 2.5 SOL
+    const fills = () => [
+        fill('buy', 100, 1),
+        fill('buy', 100, 3),
+        fill('sell', 100, 2.5)
+    ];
+
+    test('FIFO closes the oldest lot first', () => {
+        const ledger = PnlLedgerService.buildLedger(fills(), 'fifo');
+        const [token] = ledger.tokens;
+
+        expect(token.realizedPnlSol).toBeCloseTo(1.5);
+        expect(token.openAmount).toBeCloseTo(100);
+        expect(token.openCostSol).toBeCloseTo(3);
+        expect(ledger.disposals).toHaveLength(1);
+        expect(ledger.disposals[0]).toMatchObject({ amount: 100, acquiredAt: '2025-01-01 12:00:00' });
+        expect(ledger.disposals[0].costSol).toBeCloseTo(1);
+    });
+
+    test('average cost closes every lot pro rata at the position\'s average', () => {
+        const ledger = PnlLedgerService.buildLedger(fills(), 'average');
+        const [token] = ledger.tokens;
+
+        expect(token.realizedPnlSol).toBeCloseTo(0.5);
+        expect(token.openAmount).toBeCloseTo(100);
+        expect(token.openCostSol).toBeCloseTo(2);
+        expect(ledger.disposals.map(d => d.amount)).toEqual([50, 50]);
+        ledger.disposals.forEach(disposal => expect(disposal.costSol).toBeCloseTo(1));
+    });
+
+    test('both methods realise the same PnL once the position is closed', () => {
+        const closed = [...fills(), fill('sell', 100, 2.5)];
+
+        const fifo = PnlLedgerService.buildLedger(closed, 'fifo').tokens[0];
+        const average = PnlLedgerService.buildLedger(closed, 'average').tokens[0];
+
+        expect(fifo.realizedPnlSol).toBeCloseTo(1);
+        expect(average.realizedPnlSol).toBeCloseTo(1);
+        expect(fifo.openAmount).toBeCloseTo(0);
+        expect(average.openAmount).toBeCloseTo(0);
+    });
+
+    test('adds fees to cost and takes them off proceeds', () => {
+        const ledger = PnlLedgerService.buildLedger([
+            fill('buy', 100, 1, { swap_fee_sol: 0.01, platform_fee_sol: 0.01 }),
+            fill('sell', 100, 2, { swap_fee_sol: 0.01, platform_fee_sol: 0.02 })
+        ], 'fifo');
+        const [token] = ledger.tokens;
+
+        expect(token.costSol).toBeCloseTo(1.02);
+        expect(token.proceedsSol).toBeCloseTo(1.97);
+        expect(token.realizedPnlSol).toBeCloseTo(0.95);
+        expect(token.platformFeesSol).toBeCloseTo(0.03);
+    });
+
+    test('leaves the unmatched part of a sell of tokens bought elsewhere out of PnL', () => {
+        const ledger = PnlLedgerService.buildLedger([
+            fill('buy', 100, 1),
+            fill('sell', 200, 4)
+        ], 'fifo');
+        const [token] = ledger.tokens;
+
+        expect(token.proceedsSol).toBeCloseTo(2);
+        expect(token.realizedPnlSol).toBeCloseTo(1);
+        expect(token.openAmount).toBeCloseTo(0);
+    });
+
+    test('credits closed PnL to the rule and strategy that opened the lot', () => {
+        const ledger = PnlLedgerService.buildLedger([
+            fill('buy', 100, 1, { rule_id: 7, strategy: 'rule' }),
+            fill('buy', 100, 1, { strategy: 'copy_trade' }),
+            fill('sell', 200, 3, { rule_id: 9, strategy: 'manual_management' })
+        ], 'fifo');
+
+        const summary = PnlLedgerService.summarize(ledger, new Map());
+
+        expect(summary.byStrategy.map(s => [s.strategy, s.realizedPnlSol])).toEqual([['rule', 0.5], ['copy_trade', 0.5]]);
+        // The lot without a rule of its own goes to the rule that sold it
+        expect(summary.byRule.map(r => r.ruleId).sort()).toEqual([7, 9]);
+    });
+
+    test('values open lots at the given price', () => {
+        const ledger = PnlLedgerService.buildLedger(fills(), 'fifo');
+
+        const summary = PnlLedgerService.summarize(ledger, new Map([[MINT, 0.05]]));
+
+        expect(summary.unrealizedPnlSol).toBeCloseTo(2);
+        expect(summary.realizedPnlSol).toBeCloseTo(1.5);
+        expect(summary.winRate).toBe(100);
+    });
+});
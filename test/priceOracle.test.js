@@ -0,0 +1,92 @@
+const PriceOracle = require('../src/services/priceOracle');
+
+describe('PriceOracle.buildQuote', () => {
+    const NOW = Date.UTC(2025, 0, 1, 12);
+    const MINT = 'TokenMint111111111111111111111111111111111';
+    let oracle;
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(NOW);
+        oracle = new PriceOracle({ priceOracle: { staleAfterMs: 60 * 1000, maxDivergence: 0.1 } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const reading = (source, price, ageSeconds = 5) => ({ source, price, observedAt: NOW - ageSeconds * 1000 });
+
+    test('takes the median of agreeing sources', () => {
+        const quote = oracle.buildQuote(MINT, [reading('jupiter', 1.0), reading('birdeye', 1.04), reading('dexscreener', 1.02)]);
+
+        expect(quote.price).toBe(1.02);
+        expect(quote.source).toBe('median');
+        expect(quote.confidence).toBe(1);
+        expect(quote.outliers).toEqual([]);
+        expect(quote.usable).toBe(true);
+    });
+
+    test('averages the middle pair when an even number of sources agree', () => {
+        const quote = oracle.buildQuote(MINT, [reading('jupiter', 2.0), reading('birdeye', 2.1)]);
+
+        expect(quote.price).toBeCloseTo(2.05);
+        expect(quote.confidence).toBeCloseTo(2 / 3);
+        expect(quote.usable).toBe(true);
+    });
+
+    test('drops an outlier and prices off the sources that agree', () => {
+        const quote = oracle.buildQuote(MINT, [reading('jupiter', 1.0), reading('birdeye', 1.01), reading('dexscreener', 3.0)]);
+
+        expect(quote.price).toBeCloseTo(1.005);
+        expect(quote.divergent).toBe(false);
+        expect(quote.outliers).toEqual([expect.objectContaining({ source: 'dexscreener', price: 3.0 })]);
+        expect(quote.usable).toBe(true);
+    });
+
+    test('flags sources that disagree with no majority as divergent', () => {
+        const quote = oracle.buildQuote(MINT, [reading('jupiter', 1.0), reading('birdeye', 2.0)]);
+
+        expect(quote.divergent).toBe(true);
+        expect(quote.confidence).toBe(0);
+        expect(quote.usable).toBe(false);
+        expect(PriceOracle.describe(quote)).toContain('divergent');
+    });
+
+    test('ignores stale readings while a fresh one exists', () => {
+        const quote = oracle.buildQuote(MINT, [reading('jupiter', 1.0, 5), reading('birdeye', 5.0, 600)]);
+
+        expect(quote.price).toBe(1.0);
+        expect(quote.source).toBe('jupiter');
+        expect(quote.stale).toBe(false);
+        expect(quote.usable).toBe(true);
+    });
+
+    test('marks a quote stale when every reading is old', () => {
+        const quote = oracle.buildQuote(MINT, [reading('jupiter', 1.0, 600), reading('birdeye', 1.01, 300)]);
+
+        expect(quote.price).toBeCloseTo(1.005);
+        expect(quote.ageMs).toBe(300 * 1000);
+        expect(quote.stale).toBe(true);
+        expect(quote.usable).toBe(false);
+    });
+
+    test('a cached quote ages into stale', () => {
+        const quote = oracle.buildQuote(MINT, [reading('jupiter', 1.0, 30)]);
+        expect(quote.usable).toBe(true);
+
+        Date.now.mockReturnValue(NOW + 60 * 1000);
+        const aged = oracle.refreshAge(quote);
+
+        expect(aged.stale).toBe(true);
+        expect(aged.usable).toBe(false);
+    });
+
+    test('has no price without readings', () => {
+        const quote = oracle.buildQuote(MINT, []);
+
+        expect(quote.price).toBeNull();
+        expect(quote.stale).toBe(true);
+        expect(quote.usable).toBe(false);
+        expect(PriceOracle.describe(quote)).toBe('no price from any source');
+    });
+});
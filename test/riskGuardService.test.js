@@ -0,0 +1,96 @@
+const RiskGuardService = require('../src/services/riskGuardService');
+
+const MINT = 'TokenMint111111111111111111111111111111111';
+
+describe('RiskGuardService', () => {
+    let db;
+    let guard;
+    let settings;
+    let daily;
+    let state;
+    let position;
+
+    beforeEach(() => {
+        settings = {};
+        daily = { trades: 0, realized_pnl_sol: 0 };
+        state = null;
+        position = null;
+        db = {
+            getUserSettings: jest.fn(async () => settings),
+            getRiskState: jest.fn(() => state),
+            getRiskDailyStats: jest.fn(() => daily),
+            getRiskPosition: jest.fn(() => position),
+            getRiskPositionCount: jest.fn(() => 0),
+            createRiskRejection: jest.fn()
+        };
+        guard = new RiskGuardService({}, db);
+        guard.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    });
+
+    const inMinutes = minutes => new Date(Date.now() + minutes * 60000).toISOString().replace('T', ' ').slice(0, 19);
+
+    test('allows trades with no limits set', async () => {
+        await expect(guard.checkBuy(1, MINT, 1)).resolves.toEqual({ allowed: true });
+        await expect(guard.checkSell(1, MINT, 1000)).resolves.toEqual({ allowed: true });
+        expect(db.createRiskRejection).not.toHaveBeenCalled();
+    });
+
+    test('the daily trade limit holds buys and sells', async () => {
+        settings = { max_daily_trades: 3 };
+        daily = { trades: 3, realized_pnl_sol: 0 };
+
+        await expect(guard.checkBuy(1, MINT, 1)).resolves.toMatchObject({ allowed: false, rule: 'max_daily_trades' });
+        await expect(guard.checkSell(1, MINT, 1000, { source: 'market_order' }))
+            .resolves.toMatchObject({ allowed: false, rule: 'max_daily_trades', reason: '🛡 Risk limit: Daily trade limit reached (3/3 today).' });
+        expect(db.createRiskRejection).toHaveBeenLastCalledWith(1, expect.objectContaining({ side: 'sell', tokenAddress: MINT, rule: 'max_daily_trades' }));
+    });
+
+    test('the loss cooldown holds buys and sells', async () => {
+        settings = { loss_streak_limit: 3 };
+        state = { loss_streak: 0, cooldown_until: inMinutes(30) };
+
+        await expect(guard.checkBuy(1, MINT, 1)).resolves.toMatchObject({ rule: 'loss_cooldown', reason: expect.stringContaining('Buying is paused') });
+        await expect(guard.checkSell(1, MINT, 1000)).resolves.toMatchObject({ rule: 'loss_cooldown', reason: expect.stringContaining('Selling is paused') });
+    });
+
+    test('a stop-loss still sells during a cooldown', async () => {
+        settings = { loss_streak_limit: 3 };
+        state = { loss_streak: 0, cooldown_until: inMinutes(30) };
+
+        await expect(guard.checkSell(1, MINT, 1000, { source: 'manual_management' })).resolves.toEqual({ allowed: true });
+        expect(db.createRiskRejection).not.toHaveBeenCalled();
+    });
+
+    test('automated exits are not held by the daily trade limit', async () => {
+        settings = { max_daily_trades: 3 };
+        daily = { trades: 3, realized_pnl_sol: 0 };
+
+        for (const source of ['manual_management', 'copy_trade', 'limit_order']) {
+            await expect(guard.checkSell(1, MINT, 1000, { source })).resolves.toEqual({ allowed: true });
+        }
+        await expect(guard.checkSell(1, MINT, 1000, { source: 'wallet_group' })).resolves.toMatchObject({ allowed: false });
+    });
+
+    test('an expired cooldown no longer applies', async () => {
+        state = { loss_streak: 0, cooldown_until: inMinutes(-1) };
+
+        await expect(guard.checkSell(1, MINT, 1000)).resolves.toEqual({ allowed: true });
+    });
+
+    test('loss, position and exposure limits only hold buys', async () => {
+        settings = { daily_loss_limit: 1, max_token_exposure_sol: 2 };
+        daily = { trades: 5, realized_pnl_sol: -1.5 };
+        position = { amount: 1000, cost_sol: 3 };
+
+        await expect(guard.checkBuy(1, MINT, 1)).resolves.toMatchObject({ allowed: false, rule: 'daily_loss_limit' });
+        await expect(guard.checkSell(1, MINT, 1000)).resolves.toEqual({ allowed: true });
+    });
+
+    test('per-token exposure counts what is already held', async () => {
+        settings = { max_token_exposure_sol: 2 };
+        position = { amount: 1000, cost_sol: 1.5 };
+
+        await expect(guard.checkBuy(1, MINT, 0.4)).resolves.toEqual({ allowed: true });
+        await expect(guard.checkBuy(1, MINT, 0.6)).resolves.toMatchObject({ allowed: false, rule: 'max_token_exposure' });
+    });
+});
@@ -0,0 +1,85 @@
+const WalletGroupService = require('../src/services/walletGroupService');
+
+describe('WalletGroupService.allocate', () => {
+    const wallets = [
+        { id: 1, weight: 1 },
+        { id: 2, weight: 2 },
+        { id: 3, weight: 1 }
+    ];
+    const amounts = allocations => allocations.map(({ wallet, amount }) => [wallet.id, amount]);
+
+    test('splits the order by weight', () => {
+        expect(amounts(WalletGroupService.allocate(1, wallets, 'split'))).toEqual([[1, 0.25], [2, 0.5], [3, 0.25]]);
+    });
+
+    test('splits by weight when no mode is given', () => {
+        expect(amounts(WalletGroupService.allocate(2, wallets))).toEqual([[1, 0.5], [2, 1], [3, 0.5]]);
+    });
+
+    test('rounds each leg down to whole lamports so the legs never exceed the order', () => {
+        const allocations = WalletGroupService.allocate(1, wallets.map(wallet => ({ ...wallet, weight: 1 })));
+
+        expect(allocations.map(a => a.amount)).toEqual([0.333333333, 0.333333333, 0.333333333]);
+        expect(allocations.reduce((sum, a) => sum + a.amount, 0)).toBeLessThanOrEqual(1);
+    });
+
+    test('skips wallets without a positive weight', () => {
+        const allocations = WalletGroupService.allocate(1, [...wallets, { id: 4, weight: 0 }, { id: 5, weight: -1 }]);
+
+        expect(allocations.map(a => a.wallet.id)).toEqual([1, 2, 3]);
+    });
+
+    test('allocates nothing when no wallet has weight', () => {
+        expect(WalletGroupService.allocate(1, [{ id: 1, weight: 0 }])).toEqual([]);
+    });
+
+    test('spends the full amount in every wallet in "each" mode, whatever the weights', () => {
+        expect(amounts(WalletGroupService.allocate(0.5, [...wallets, { id: 4, weight: 0 }], 'each')))
+            .toEqual([[1, 0.5], [2, 0.5], [3, 0.5], [4, 0.5]]);
+    });
+});
+
+describe('WalletGroupService.executeGroupBuy', () => {
+    const members = [1, 2, 3].map(id => ({ id, public_key: `Wa11et${id}`, weight: 1, is_paper: 0, is_locked: 0 }));
+    let service;
+    let db;
+    let tradesToday;
+    let inFlight;
+
+    beforeEach(() => {
+        tradesToday = 0;
+        inFlight = 0;
+        db = {
+            getWalletGroupMembers: jest.fn(() => members),
+            createTrade: jest.fn()
+        };
+        // Stands in for executeBuy with a risk guard allowing two trades a day
+        const tradingExecution = {
+            executeBuy: jest.fn(async () => {
+                if (tradesToday >= 2) {
+                    return { success: false, error: 'Daily trade limit reached' };
+                }
+                inFlight++;
+                const overlapping = inFlight > 1;
+                await new Promise(resolve => setImmediate(resolve));
+                inFlight--;
+                if (overlapping) {
+                    throw new Error('legs overlapped');
+                }
+                tradesToday++;
+                return { success: true, signature: `sig${tradesToday}`, tokensReceived: 100 };
+            })
+        };
+        service = new WalletGroupService({}, db, tradingExecution);
+        service.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        service.getKeypair = jest.fn(() => ({}));
+    });
+
+    test('runs the legs one at a time so each sees the fills before it', async () => {
+        const result = await service.executeGroupBuy({ id: 1 }, { id: 9, name: 'Main', split_mode: 'each' }, 'TokenMint', 0.1);
+
+        expect(result.legs.map(leg => leg.success)).toEqual([true, true, false]);
+        expect(result.legs[2].error).toBe('Daily trade limit reached');
+        expect(db.createTrade).toHaveBeenCalledTimes(2);
+    });
+});
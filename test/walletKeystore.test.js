@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const WalletKeystore = require('../src/services/walletKeystore');
+
+const PUBLIC_KEY = 'So1anaWa11etPub1icKey1111111111111111111111';
+const PRIVATE_KEY = crypto.randomBytes(64).toString('base64');
+const TELEGRAM_ID = 123456789;
+// Master keys are cached per process, so every test shares this one
+const MASTER_KEY = crypto.randomBytes(32).toString('hex');
+
+// The pre-keystore scheme: AES-256-CBC keyed by the owner's Telegram ID
+function encryptLegacy(privateKey, telegramId) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', crypto.scryptSync(telegramId.toString(), 'salt', 32), iv);
+    return `${iv.toString('hex')}:${cipher.update(privateKey, 'utf8', 'hex')}${cipher.final('hex')}`;
+}
+
+describe('WalletKeystore', () => {
+    let db;
+    let keystore;
+
+    beforeEach(() => {
+        db = {
+            getWalletOwnerTelegramId: jest.fn(walletId => (walletId === 7 ? null : { telegram_id: TELEGRAM_ID })),
+            updateWalletEncryptedKey: jest.fn(),
+            getAllWalletKeys: jest.fn(() => [])
+        };
+        keystore = new WalletKeystore({ keystore: { masterKey: MASTER_KEY } }, db);
+    });
+
+    test('round-trips a key under the master key', () => {
+        const encrypted = keystore.encryptPrivateKey(PRIVATE_KEY, PUBLIC_KEY);
+
+        expect(encrypted.startsWith(`${WalletKeystore.FORMAT_VERSION}:m:`)).toBe(true);
+        expect(keystore.decryptWalletKey({ id: 1, public_key: PUBLIC_KEY, encrypted_private_key: encrypted })).toBe(PRIVATE_KEY);
+    });
+
+    test('uses a fresh salt and IV for every encryption', () => {
+        expect(keystore.encryptPrivateKey(PRIVATE_KEY, PUBLIC_KEY)).not.toBe(keystore.encryptPrivateKey(PRIVATE_KEY, PUBLIC_KEY));
+    });
+
+    test('refuses a record moved onto another wallet', () => {
+        const encrypted = keystore.encryptPrivateKey(PRIVATE_KEY, PUBLIC_KEY);
+
+        expect(() => keystore.decryptWalletKey({ id: 2, public_key: 'AnotherWa11et', encrypted_private_key: encrypted }))
+            .toThrow('wrong master key or tampered record');
+    });
+
+    test('passphrase records need the right passphrase', () => {
+        const wallet = { id: 3, public_key: PUBLIC_KEY, encrypted_private_key: keystore.encryptPrivateKey(PRIVATE_KEY, PUBLIC_KEY, 'correct horse') };
+
+        expect(WalletKeystore.isPassphraseProtected(wallet)).toBe(true);
+        expect(() => keystore.decryptWalletKey(wallet)).toThrow('passphrase protected');
+        expect(() => keystore.decryptWalletKey(wallet, 'wrong horse')).toThrow('wrong passphrase');
+        expect(keystore.decryptWalletKey(wallet, 'correct horse')).toBe(PRIVATE_KEY);
+        expect(keystore.decryptRecord(wallet.encrypted_private_key, PUBLIC_KEY, null, keystore.deriveWalletKey(wallet, 'correct horse'))).toBe(PRIVATE_KEY);
+    });
+
+    test('migrates a legacy key on first use', () => {
+        const wallet = { id: 4, public_key: PUBLIC_KEY, encrypted_private_key: encryptLegacy(PRIVATE_KEY, TELEGRAM_ID) };
+
+        expect(keystore.decryptWalletKey(wallet)).toBe(PRIVATE_KEY);
+        expect(db.updateWalletEncryptedKey).toHaveBeenCalledWith(4, wallet.encrypted_private_key);
+        expect(WalletKeystore.isLegacyFormat(wallet.encrypted_private_key)).toBe(false);
+        expect(keystore.decryptWalletKey(wallet)).toBe(PRIVATE_KEY);
+    });
+
+    test('migrateLegacyKeys re-encrypts legacy rows and reports failures', () => {
+        const current = keystore.encryptPrivateKey(PRIVATE_KEY, PUBLIC_KEY);
+        db.getAllWalletKeys.mockReturnValue([
+            { id: 5, public_key: PUBLIC_KEY, encrypted_private_key: encryptLegacy(PRIVATE_KEY, TELEGRAM_ID) },
+            { id: 6, public_key: PUBLIC_KEY, encrypted_private_key: current },
+            { id: 7, public_key: PUBLIC_KEY, encrypted_private_key: encryptLegacy(PRIVATE_KEY, TELEGRAM_ID) }
+        ]);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const result = keystore.migrateLegacyKeys();
+
+        expect(result.migrated).toBe(1);
+        expect(result.failed).toEqual([{ walletId: 7, error: 'Cannot migrate key for wallet 7: owner not found' }]);
+        expect(db.updateWalletEncryptedKey).toHaveBeenCalledTimes(1);
+        expect(db.updateWalletEncryptedKey.mock.calls[0][0]).toBe(5);
+        console.log.mockRestore();
+    });
+
+    test('rewraps a key with a new passphrase and back to the master key', () => {
+        const wallet = { id: 8, public_key: PUBLIC_KEY, encrypted_private_key: keystore.encryptPrivateKey(PRIVATE_KEY, PUBLIC_KEY) };
+
+        keystore.rewrapWalletKey(wallet, null, 'first passphrase');
+        expect(WalletKeystore.isPassphraseProtected(wallet)).toBe(true);
+        expect(keystore.decryptWalletKey(wallet, 'first passphrase')).toBe(PRIVATE_KEY);
+
+        expect(() => keystore.rewrapWalletKey(wallet, 'not it', 'second passphrase')).toThrow('wrong passphrase');
+        keystore.rewrapWalletKey(wallet, 'first passphrase', 'second passphrase');
+        expect(keystore.decryptWalletKey(wallet, 'second passphrase')).toBe(PRIVATE_KEY);
+
+        keystore.rewrapWalletKey(wallet, 'second passphrase', null);
+        expect(WalletKeystore.isPassphraseProtected(wallet)).toBe(false);
+        expect(keystore.decryptWalletKey(wallet)).toBe(PRIVATE_KEY);
+        expect(db.updateWalletEncryptedKey).toHaveBeenCalledTimes(3);
+    });
+});